@@ -29,6 +29,15 @@ module.exports = async function (options) {
     await builder.build()
 
     cli.info('编译成功！')
+
+    if (options.lqip) {
+      // 按需加载，未开启 lqip 时不引入 jimp
+      const generateLqip = require('./lqip')
+      await generateLqip({
+        dir: options.dir,
+        type: options.lqip === true ? 'image' : options.lqip
+      })
+    }
   } catch (e) {
     cli.error('编译失败')
     if (Array.isArray(e)) {
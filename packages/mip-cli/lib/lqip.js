@@ -0,0 +1,19 @@
+/**
+ * @file 构建时为组件示例页面生成 lqip 占位图，直接修改示例页面源文件
+ * @author sfe-sy (sfe-sy@baidu.com)
+ */
+
+const path = require('path')
+const cli = require('./cli')
+
+module.exports = async function generateLqip ({dir, type = 'image'}) {
+  if (type !== 'image' && type !== 'color') {
+    throw new Error(`不支持的占位图类型 ${type}，可选参数为 image, color`)
+  }
+
+  // jimp 较大，仅在开启 lqip 时加载
+  const {lqip} = require('./utils/lqip')
+  let files = await lqip({dir, type})
+  files.forEach(file => cli.info('已更新示例页面', cli.chalk.green(path.relative(dir, file))))
+  cli.info(`已为 ${files.length} 个示例页面生成 lqip 占位图`)
+}
@@ -0,0 +1,114 @@
+/**
+ * @file lqip.js 为示例页面中引用本地图片的 mip-img 生成低质量占位图（LQIP）
+ * @author sfe-sy (sfe-sy@baidu.com)
+ */
+
+const path = require('path')
+const fs = require('fs-extra')
+const Jimp = require('jimp')
+const cli = require('../cli')
+const {globPify} = require('./helper')
+const projectPath = require('./project-path')
+
+/**
+ * 缩略图宽度，浏览器中会模糊处理，很小的尺寸即可
+ *
+ * @const
+ * @type {number}
+ */
+const LQIP_WIDTH = 16
+
+const TAG_REG = /<mip-img\b[^>]*>/g
+const EMPTY_LQIP_REG = /(\s)lqip(?:=(?:""|''))?(?=[\s/>])/
+const SRC_REG = /\ssrc=(?:"([^"]*)"|'([^']*)'|([^\s>]+))/
+
+/**
+ * 生成图片的缩略图 data URI 或主色
+ *
+ * @param {string} file 图片路径
+ * @param {string=} type image 为缩略图，color 为主色，默认为 image
+ * @return {Promise.<string>} data URI 或 #rrggbb 格式的颜色
+ */
+async function generate (file, type) {
+  let image = await Jimp.read(file)
+
+  if (type === 'color') {
+    let {r, g, b} = Jimp.intToRGBA(image.resize(1, 1).getPixelColor(0, 0))
+    return '#' + [r, g, b].map(value => ('0' + value.toString(16)).slice(-2)).join('')
+  }
+
+  // 有透明像素时使用 png，避免透明区域变为黑色
+  let mime = image.hasAlpha() ? Jimp.MIME_PNG : Jimp.MIME_JPEG
+  return image.resize(LQIP_WIDTH, Jimp.AUTO).quality(70).getBase64Async(mime)
+}
+
+/**
+ * 为 html 中 lqip 属性为空且 src 为本地图片的 mip-img 填充 lqip
+ *
+ * @param {string} html 页面内容
+ * @param {Object} options 配置
+ * @param {string} options.dir 页面所在目录，用于解析相对路径
+ * @param {string} options.root 项目目录，用于解析以 / 开头的路径
+ * @param {string=} options.type image 或 color
+ * @return {Promise.<string>} 填充后的页面内容
+ */
+async function inject (html, {dir, root, type}) {
+  let replacements = {}
+  let tags = html.match(TAG_REG) || []
+
+  for (let tag of tags) {
+    if (replacements[tag] || !EMPTY_LQIP_REG.test(tag)) {
+      continue
+    }
+
+    let match = SRC_REG.exec(tag)
+    let src = match && (match[1] || match[2] || match[3])
+    // 跳过远程图片和 data URI
+    if (!src || /^([a-z]+:)?\/\//i.test(src) || /^data:/i.test(src)) {
+      continue
+    }
+
+    let pathname = src.replace(/[?#].*$/, '')
+    let file = pathname[0] === '/' ? path.join(root, pathname) : path.resolve(dir, pathname)
+    if (!await fs.pathExists(file)) {
+      cli.warn(`lqip: 找不到图片 ${src}`)
+      continue
+    }
+
+    let value = await generate(file, type)
+    replacements[tag] = tag.replace(EMPTY_LQIP_REG, `$1lqip="${value}"`)
+  }
+
+  return html.replace(TAG_REG, tag => replacements[tag] || tag)
+}
+
+/**
+ * 为项目中所有组件示例页面生成 lqip，并写回示例页面
+ *
+ * @param {Object} options 配置
+ * @param {string} options.dir 项目目录
+ * @param {string=} options.type image 或 color
+ * @return {Promise.<Array.<string>>} 发生修改的示例页面
+ */
+async function lqip ({dir, type}) {
+  let componentsDir = projectPath.components(dir)
+  let files = await globPify(path.resolve(componentsDir, '*/example/**/*.html'))
+  let changed = []
+
+  for (let file of files) {
+    let html = await fs.readFile(file, 'utf-8')
+    let result = await inject(html, {dir: path.dirname(file), root: dir, type})
+    if (result !== html) {
+      await fs.writeFile(file, result)
+      changed.push(file)
+    }
+  }
+
+  return changed
+}
+
+module.exports = {
+  generate,
+  inject,
+  lqip
+}
@@ -0,0 +1,44 @@
+/**
+ * @file lqip.spec.js
+ * @author sfe-sy (sfe-sy@baidu.com)
+ */
+
+const path = require('path')
+const {expect} = require('chai')
+const {generate, inject} = require('../../lib/utils/lqip')
+
+const root = path.resolve(__dirname, '../mock/mock-lqip')
+const image = path.resolve(root, 'images/red.png')
+
+describe('test lqip', function () {
+  it('generate thumbnail', async function () {
+    let dataUri = await generate(image)
+    expect(dataUri).to.match(/^data:image\/jpeg;base64,/)
+  })
+
+  it('generate dominant color', async function () {
+    let color = await generate(image, 'color')
+    expect(color).to.be.equal('#ff0000')
+  })
+
+  it('inject empty lqip of local images', async function () {
+    let html = [
+      '<mip-img lqip src="../images/red.png"></mip-img>',
+      '<mip-img lqip="" src="/images/red.png?v=1" layout="fill"></mip-img>',
+      '<mip-img lqip="#000000" src="../images/red.png"></mip-img>',
+      '<mip-img lqip src="https://www.mipengine.org/static/img/sample_01.jpg"></mip-img>',
+      '<mip-img lqip src="../images/not-exists.png"></mip-img>',
+      '<mip-img src="../images/red.png"></mip-img>'
+    ].join('\n')
+
+    let result = await inject(html, {dir: path.resolve(root, 'example'), root, type: 'color'})
+    expect(result.split('\n')).to.deep.equal([
+      '<mip-img lqip="#ff0000" src="../images/red.png"></mip-img>',
+      '<mip-img lqip="#ff0000" src="/images/red.png?v=1" layout="fill"></mip-img>',
+      '<mip-img lqip="#000000" src="../images/red.png"></mip-img>',
+      '<mip-img lqip src="https://www.mipengine.org/static/img/sample_01.jpg"></mip-img>',
+      '<mip-img lqip src="../images/not-exists.png"></mip-img>',
+      '<mip-img src="../images/red.png"></mip-img>'
+    ])
+  })
+})
@@ -154,19 +154,33 @@ class BaseElement extends HTMLElement {
    *
    * This method is always called for first time in viewport
    *
+   * Elements with `data-block-on-consent` are held until the user accepts
+   * in `<mip-consent>`, and are not held on pages without it.
+   *
    * @return {!Promise}
    */
   layoutCallback () {
+    if (this.hasAttribute('data-block-on-consent')) {
+      return Services.consent().whenAccepted().then(() => {
+        this.toggleLoading(true)
+        return this.customElement.layoutCallback()
+      })
+    }
     this.toggleLoading(true)
     return this.customElement.layoutCallback()
   }
 
   /**
    * It will be called when element remove by resource, unload resource
-   * or unbind event.
+   * or unbind event. If the custom element returns `true`, `layoutCallback`
+   * will be called again the next time it enters the viewport.
    */
   unlayoutCallback () {
-    return this.customElement.unlayoutCallback()
+    let relayout = this.customElement.unlayoutCallback()
+    if (relayout) {
+      this._firstInViewport = false
+    }
+    return relayout
   }
 
   /**
@@ -5,10 +5,18 @@
 
 import MipImg from './mip-img'
 import MipRem from './mip-rem'
-import MipVideo from './mip-video'
+import MipVideo from './mip-video/index'
 import MipCarousel from './mip-carousel'
 import MipIframe from './mip-iframe'
 import MipPix from './mip-pix'
+import MipAnalytics from './mip-analytics/index'
+import MipConsent from './mip-consent'
+import MipExperiment from './mip-experiment'
+import MipList from './mip-list'
+import MipForm from './mip-form'
+import MipAccordion from './mip-accordion'
+import MipTabs from './mip-tabs'
+import MipLightbox from './mip-lightbox'
 import mipBindInit from './mip-bind/init'
 import MipDataWatch from './mip-bind/mip-data-watch'
 import MipData from './mip-bind/mip-data'
@@ -26,6 +34,8 @@ export default {
   register () {
     registerElement('mip-layout', MipLayout)
     registerElement('mip-pix', MipPix)
+    registerElement('mip-analytics', MipAnalytics)
+    registerElement('mip-consent', MipConsent)
     registerElement('mip-img', MipImg)
     registerElement('mip-rem', MipRem)
     registerElement('mip-carousel', MipCarousel)
@@ -33,8 +43,14 @@ export default {
     registerElement('mip-video', MipVideo)
     registerElement('mip-fixed', MipFixed)
     mipBindInit()
+    registerElement('mip-experiment', MipExperiment)
     registerElement('mip-data-watch', MipDataWatch)
     registerElement('mip-data', MipData)
+    registerElement('mip-list', MipList)
+    registerElement('mip-form', MipForm)
+    registerElement('mip-accordion', MipAccordion)
+    registerElement('mip-tabs', MipTabs)
+    registerElement('mip-lightbox', MipLightbox)
     isMIPShellDisabled() || registerElement('mip-shell', MipShell)
   }
 }
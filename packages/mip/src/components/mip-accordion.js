@@ -0,0 +1,345 @@
+/**
+ * @file mip-accordion 折叠面板组件，每个 <section> 的第一个子元素为标题，最后一个子元素为内容
+ * @author sfe-sy (sfe-sy@baidu.com)
+ */
+
+/* global MIP */
+
+import CustomElement from '../custom-element'
+import css from '../util/dom/css'
+import naboo from '../util/naboo'
+import log from '../util/log'
+import viewer from '../viewer'
+import resources from '../resources'
+
+const logger = log('MIP-accordion')
+
+/**
+ * 键盘按键对应的标题焦点移动方式
+ *
+ * @const
+ * @type {Object}
+ */
+const FOCUS_KEYS = {
+  ArrowDown: 1,
+  Down: 1,
+  ArrowUp: -1,
+  Up: -1
+}
+
+let uid = 0
+
+/**
+ * 解析 on 表达式传入的参数，支持 section 下标或 section id
+ *
+ * @param {string} arg 参数字符串，如 1 或 "faq-1"
+ * @return {number|string|undefined} 下标或 id
+ */
+export function parseSectionArg (arg) {
+  arg = (arg || '').trim().replace(/^(['"])(.*)\1$/, '$2')
+  if (!arg) {
+    return
+  }
+  return /^\d+$/.test(arg) ? +arg : arg
+}
+
+class MIPAccordion extends CustomElement {
+  constructor (...args) {
+    super(...args)
+
+    /**
+     * 面板列表，{section, header, content}
+     * @type {Array.<Object>}
+     */
+    this.sections = []
+
+    this.clickHandler = this.clickHandler.bind(this)
+    this.keydownHandler = this.keydownHandler.bind(this)
+  }
+
+  build () {
+    let prefix = `mip-accordion-${uid++}`
+    let sections = [...this.element.children].filter(el => el.tagName === 'SECTION')
+
+    sections.forEach((section, index) => {
+      let header = section.firstElementChild
+      let content = section.lastElementChild
+
+      if (!header || header === content) {
+        logger.warn('<section> 需要包含标题和内容两个子元素', section)
+        return
+      }
+
+      header.id = header.id || `${prefix}-header-${index}`
+      content.id = content.id || `${prefix}-content-${index}`
+
+      header.classList.add('mip-accordion-header')
+      header.setAttribute('role', 'button')
+      header.setAttribute('tabindex', '0')
+      header.setAttribute('aria-controls', content.id)
+      content.classList.add('mip-accordion-content')
+      content.setAttribute('role', 'region')
+      content.setAttribute('aria-labelledby', header.id)
+
+      this.sections.push({section, header, content})
+    })
+
+    // MIP 数据中已存在的展开状态优先于 expanded 属性
+    let expanded = this.normalize(this.getStoredState() || this.getExpanded())
+    this.sections.forEach((item, index) => this.applySection(item, expanded.indexOf(index) > -1, false))
+    this.saveState()
+
+    this.element.addEventListener('click', this.clickHandler)
+    this.element.addEventListener('keydown', this.keydownHandler)
+
+    this.addEventAction('toggle', (e, arg) => this.toggle(parseSectionArg(arg)))
+    this.addEventAction('expand', (e, arg) => this.toggle(parseSectionArg(arg), true))
+    this.addEventAction('collapse', (e, arg) => this.toggle(parseSectionArg(arg), false))
+
+    let {id, scope} = this.props
+    if (id && scope) {
+      // 其他地方修改了展开状态时（如 mip-data 持久化数据恢复），同步到组件
+      MIP.watch(`${id}.expanded`, value => Array.isArray(value) && this.setExpanded(value))
+    }
+  }
+
+  disconnectedCallback () {
+    this.element.removeEventListener('click', this.clickHandler)
+    this.element.removeEventListener('keydown', this.keydownHandler)
+  }
+
+  /**
+   * 读取写在 MIP 数据中的展开状态
+   *
+   * @return {Array.<number>|undefined} 展开的面板下标列表
+   */
+  getStoredState () {
+    let {id, scope} = this.props
+    if (id && scope) {
+      let value = MIP.getData(`${id}.expanded`)
+      return Array.isArray(value) ? value : undefined
+    }
+  }
+
+  /**
+   * 将展开状态写入 MIP 数据，写入的字段为 id.expanded
+   */
+  saveState () {
+    let {id, scope} = this.props
+    if (id && scope) {
+      MIP.setData({[id]: {expanded: this.getExpanded()}})
+    }
+  }
+
+  /**
+   * 获取当前展开的面板下标列表
+   *
+   * @return {Array.<number>} 下标列表
+   */
+  getExpanded () {
+    return this.sections
+      .map(({section}, index) => section.hasAttribute('expanded') ? index : -1)
+      .filter(index => index > -1)
+  }
+
+  /**
+   * 根据下标或 id 查找面板下标
+   *
+   * @param {number|string} target 下标或 section id
+   * @return {number} 下标，找不到时返回 -1
+   */
+  indexOf (target) {
+    if (typeof target === 'number') {
+      return target < this.sections.length ? target : -1
+    }
+    return this.findSection(({section}) => section.id === target)
+  }
+
+  /**
+   * 查找满足条件的面板下标
+   *
+   * @param {Function} predicate 判断函数
+   * @return {number} 下标，找不到时返回 -1
+   */
+  findSection (predicate) {
+    for (let i = 0; i < this.sections.length; i++) {
+      if (predicate(this.sections[i])) {
+        return i
+      }
+    }
+    return -1
+  }
+
+  /**
+   * expand-single-section 模式下只保留最后一个展开的面板
+   *
+   * @param {Array.<number>} indexes 展开的面板下标列表
+   * @return {Array.<number>} 处理后的下标列表
+   */
+  normalize (indexes) {
+    return this.props.expandSingleSection && indexes.length > 1
+      ? indexes.slice(-1)
+      : indexes
+  }
+
+  /**
+   * 切换面板的展开状态，未指定面板时作用于全部面板
+   *
+   * @param {number|string=} target 面板下标或 section id
+   * @param {boolean=} expand 是否展开，不传时取反
+   */
+  toggle (target, expand) {
+    if (target === undefined) {
+      let all = expand === undefined ? !this.getExpanded().length : expand
+      this.setExpanded(all ? this.sections.map((item, index) => index) : [])
+      return
+    }
+
+    let index = this.indexOf(target)
+    if (index === -1) {
+      logger.warn(`找不到面板 ${target}`)
+      return
+    }
+
+    let expanded = this.getExpanded().filter(i => i !== index)
+    let current = this.sections[index].section.hasAttribute('expanded')
+    if (expand === undefined ? !current : expand) {
+      expanded.push(index)
+    }
+    this.setExpanded(expanded)
+  }
+
+  /**
+   * 设置展开的面板，并触发 expand / collapse 事件
+   *
+   * @param {Array.<number>} indexes 展开的面板下标列表
+   */
+  setExpanded (indexes) {
+    indexes = this.normalize(indexes)
+
+    let changed = false
+    this.sections.forEach((item, index) => {
+      let expand = indexes.indexOf(index) > -1
+      if (item.section.hasAttribute('expanded') === expand) {
+        return
+      }
+      changed = true
+      this.applySection(item, expand, this.props.animate)
+      viewer.eventAction.execute(expand ? 'expand' : 'collapse', this.element, {index})
+    })
+
+    if (changed) {
+      this.saveState()
+      resources.updateState()
+    }
+  }
+
+  /**
+   * 更新单个面板的展开状态、ARIA 属性和内容的 hidden 属性
+   *
+   * @param {Object} item 面板
+   * @param {boolean} expand 是否展开
+   * @param {boolean} animate 是否执行动画
+   */
+  applySection ({section, header, content}, expand, animate) {
+    if (expand) {
+      section.setAttribute('expanded', '')
+    } else {
+      section.removeAttribute('expanded')
+    }
+    header.setAttribute('aria-expanded', expand ? 'true' : 'false')
+
+    if (!animate) {
+      expand ? content.removeAttribute('hidden') : content.setAttribute('hidden', '')
+      return
+    }
+
+    // 动画结束时面板状态可能已经再次改变，此时不做处理
+    let done = () => {
+      if (section.hasAttribute('expanded') !== expand) {
+        return
+      }
+      expand || content.setAttribute('hidden', '')
+      css(content, {height: '', overflow: ''})
+    }
+
+    content.removeAttribute('hidden')
+    let height = content.scrollHeight
+    css(content, {height: (expand ? 0 : content.offsetHeight) + 'px', overflow: 'hidden'})
+    naboo.animate(content, {height: (expand ? height : 0) + 'px'}, {
+      duration: this.props.duration
+    }).start(done)
+  }
+
+  /**
+   * 点击标题时切换面板
+   *
+   * @param {Event} e 点击事件
+   */
+  clickHandler (e) {
+    let index = this.findSection(({header}) => header.contains(e.target))
+    index > -1 && this.toggle(index)
+  }
+
+  /**
+   * 标题的键盘操作：Enter / 空格切换面板，上下方向键、Home、End 移动焦点
+   *
+   * @param {KeyboardEvent} e 键盘事件
+   */
+  keydownHandler (e) {
+    let index = this.findSection(({header}) => header === e.target)
+    if (index === -1) {
+      return
+    }
+
+    let last = this.sections.length - 1
+    let next
+
+    if (e.key === 'Enter' || e.key === ' ' || e.key === 'Spacebar') {
+      e.preventDefault()
+      this.toggle(index)
+      return
+    } else if (FOCUS_KEYS[e.key]) {
+      next = (index + FOCUS_KEYS[e.key] + last + 1) % (last + 1)
+    } else if (e.key === 'Home') {
+      next = 0
+    } else if (e.key === 'End') {
+      next = last
+    } else {
+      return
+    }
+
+    e.preventDefault()
+    this.sections[next].header.focus()
+  }
+
+  /* istanbul ignore next */
+  prerenderAllowed () {
+    return true
+  }
+}
+
+MIPAccordion.props = {
+  id: {
+    type: String,
+    default: ''
+  },
+  scope: {
+    type: Boolean,
+    default: false
+  },
+  expandSingleSection: {
+    type: Boolean,
+    default: false
+  },
+  animate: {
+    type: Boolean,
+    default: false
+  },
+  duration: {
+    type: Number,
+    default: 300
+  }
+}
+
+export default MIPAccordion
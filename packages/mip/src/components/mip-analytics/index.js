@@ -0,0 +1,235 @@
+/**
+ * @file mip-analytics 统计组件，通过 JSON 配置触发条件和统计请求
+ * @author sfe-sy (sfe-sy@baidu.com)
+ */
+
+/* global Image */
+
+import util from '../../util/index'
+import CustomElement from '../../custom-element'
+import Services from '../../services/index'
+import log from '../../util/log'
+import triggerHandlers from './triggers'
+
+const {fn, jsonParse} = util
+const logger = log('MIP-analytics')
+
+/**
+ * 厂商预设的服务名前缀，如 type="tongji" 对应 mip-analytics-vendor-tongji
+ *
+ * @const
+ * @type {string}
+ */
+export const VENDOR_SERVICE_PREFIX = 'mip-analytics-vendor-'
+
+/**
+ * 请求和变量嵌套引用的最大层数，避免循环引用
+ *
+ * @const
+ * @type {number}
+ */
+const MAX_DEPTH = 5
+
+/**
+ * 正在发送的图片请求，避免图片对象被回收导致请求取消
+ *
+ * @type {Array.<Image>}
+ */
+let pendingImages = []
+
+/**
+ * 展开模板中的 ${name}。name 为请求名时展开为该请求，为变量时展开为编码后的变量值
+ *
+ * @param {string} template 模板
+ * @param {Object} context 上下文
+ * @param {Object} context.requests 请求配置
+ * @param {Object} context.vars 变量，优先级高于 url-replacements 服务提供的内置变量
+ * @param {boolean=} context.encode 是否编码变量值，默认为 true
+ * @param {number=} depth 当前嵌套层数
+ * @return {string} 展开后的字符串
+ */
+export function expandTemplate (template, context, depth = 0) {
+  let {requests = {}, vars = {}} = context
+  let encode = context.encode === false ? value => String(value) : encodeURIComponent
+  return String(template).replace(/\$\{([\w.-]+)(?:\(([^()]*)\))?\}/g, (all, name, arg) => {
+    if (depth >= MAX_DEPTH) {
+      logger.warn(`Too deep to expand \${${name}}, check if there is a circular reference`)
+      return ''
+    }
+    if (requests.hasOwnProperty(name)) {
+      return expandTemplate(requests[name], context, depth + 1)
+    }
+    if (vars.hasOwnProperty(name)) {
+      // 变量中引用的变量不单独编码，避免重复编码
+      return encode(expandTemplate(vars[name], fn.extend({}, context, {encode: false}), depth + 1))
+    }
+    // 内置变量与 mip-pix 一致，由 url-replacements 服务提供，异步变量不支持
+    let value = Services.urlReplacements().getSync(name, arg)
+    return value === undefined ? '' : encode(value)
+  })
+}
+
+/**
+ * 发送统计请求，支持时优先使用 sendBeacon，失败时使用图片请求
+ *
+ * @param {string} url 请求地址
+ * @param {Object=} transport 发送方式配置
+ * @param {boolean=} transport.beacon 是否使用 sendBeacon，默认为 true
+ * @param {boolean=} transport.image 是否使用图片请求，默认为 true
+ * @return {string} 实际使用的发送方式，beacon、image，没有可用的方式时为空字符串
+ */
+export function send (url, transport = {}) {
+  let {navigator} = window
+  if (transport.beacon !== false && navigator.sendBeacon && navigator.sendBeacon(url, '')) {
+    return 'beacon'
+  }
+  if (transport.image === false) {
+    return ''
+  }
+  let image = new Image()
+  image.onload = image.onerror = () => {
+    pendingImages = pendingImages.filter(item => item !== image)
+  }
+  image.src = url
+  pendingImages.push(image)
+  return 'image'
+}
+
+/**
+ * 获取元素上 data-vars-* 声明的变量，如 data-vars-name="buy" 对应变量 name
+ *
+ * @param {HTMLElement=} element 元素
+ * @return {Object} 变量
+ */
+function getElementVars (element) {
+  let vars = {}
+  let attributes = element ? element.attributes : []
+  for (let i = 0; i < attributes.length; i++) {
+    let match = /^data-vars-(.+)$/.exec(attributes[i].name)
+    if (match) {
+      let name = match[1].replace(/-([a-z])/g, (all, letter) => letter.toUpperCase())
+      vars[name] = attributes[i].value
+    }
+  }
+  return vars
+}
+
+class MipAnalytics extends CustomElement {
+  constructor (...args) {
+    super(...args)
+
+    /**
+     * 合并厂商预设后的配置
+     * @type {Object}
+     */
+    this.config = null
+
+    /**
+     * 解除触发条件监听的函数
+     * @type {Array.<Function>}
+     */
+    this.unlisteners = []
+  }
+
+  build () {
+    // 支持 analytics.trigger(share) 和 analytics.trigger('share') 两种写法
+    this.addEventAction('trigger', (e, name) => this.triggerCustom(name.replace(/^(['"])(.*)\1$/, '$2'), e))
+
+    this.loadConfig().then(config => {
+      this.config = config
+      this.listen()
+    }).catch(err => logger.error(err))
+  }
+
+  /**
+   * 读取 <script type="application/json"> 中的配置，设置了 type 时与通过 registerService 注册的厂商预设合并
+   *
+   * @return {Promise.<Object>} 配置
+   */
+  loadConfig () {
+    let script = this.element.querySelector('script[type="application/json"]')
+    let config = script ? jsonParse(script.textContent.toString()) : {}
+    let type = this.element.getAttribute('type')
+
+    if (!type) {
+      return Promise.resolve(config)
+    }
+
+    return Services.getServicePromise(VENDOR_SERVICE_PREFIX + type)
+      .then(vendor => fn.extend(true, {}, vendor.config || {}, config))
+  }
+
+  /**
+   * 监听所有的触发条件
+   */
+  listen () {
+    let triggers = this.config.triggers || {}
+    Object.keys(triggers).forEach(key => {
+      let trigger = triggers[key]
+      let handler = triggerHandlers[trigger.on]
+      if (!handler) {
+        logger.warn(`Unknown trigger "${trigger.on}" of ${key}`)
+        return
+      }
+      this.unlisteners.push(handler(trigger, (vars, element) => this.fire(trigger, vars, element)))
+    })
+  }
+
+  /**
+   * 执行 trigger 行为，触发 event 相同的 custom 触发条件
+   *
+   * @param {string} name 事件名
+   * @param {Object=} event 触发行为的事件
+   */
+  triggerCustom (name, event) {
+    let triggers = (this.config && this.config.triggers) || {}
+    Object.keys(triggers).forEach(key => {
+      let trigger = triggers[key]
+      if (trigger.on === 'custom' && trigger.event === name) {
+        this.fire(trigger, {}, event && event.target)
+      }
+    })
+  }
+
+  /**
+   * 触发条件满足时，展开并发送请求
+   *
+   * @param {Object} trigger 触发条件配置
+   * @param {Object=} vars 触发条件提供的变量，如 scrollDepth
+   * @param {HTMLElement=} element 触发的元素，其 data-vars-* 会作为变量
+   */
+  fire (trigger, vars, element) {
+    let {requests = {}, extraUrlParams = {}, transport} = this.config
+    let context = {
+      requests,
+      vars: fn.extend({}, this.config.vars, trigger.vars, getElementVars(element), vars)
+    }
+
+    let names = Array.isArray(trigger.request) ? trigger.request : [trigger.request]
+    names.forEach(name => {
+      if (!requests[name]) {
+        logger.warn(`Request "${name}" is not defined`)
+        return
+      }
+      let url = expandTemplate(requests[name], context)
+      let params = fn.extend({}, extraUrlParams, trigger.extraUrlParams)
+      let query = Object.keys(params)
+        .map(key => {
+          let value = expandTemplate(params[key], fn.extend({encode: false}, context))
+          return encodeURIComponent(key) + '=' + encodeURIComponent(value)
+        })
+        .join('&')
+      if (query) {
+        url += (url.indexOf('?') === -1 ? '?' : '&') + query
+      }
+      send(url, transport)
+    })
+  }
+
+  disconnectedCallback () {
+    this.unlisteners.forEach(unlisten => unlisten())
+    this.unlisteners = []
+  }
+}
+
+export default MipAnalytics
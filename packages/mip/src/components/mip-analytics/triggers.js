@@ -0,0 +1,187 @@
+/**
+ * @file triggers.js mip-analytics 的触发条件，每种触发条件返回解除监听的函数
+ * @author sfe-sy (sfe-sy@baidu.com)
+ */
+
+import dom from '../../util/dom/dom'
+import viewer from '../../viewer'
+import viewport from '../../viewport'
+
+/**
+ * 计算元素在视口中的可见比例
+ *
+ * @param {HTMLElement} element 元素
+ * @return {number} 0 到 1 之间的可见比例
+ */
+export function getVisibleRatio (element) {
+  let rect = element.getBoundingClientRect()
+  if (!rect.width || !rect.height) {
+    return 0
+  }
+  let width = Math.min(rect.right, viewport.getWidth()) - Math.max(rect.left, 0)
+  let height = Math.min(rect.bottom, viewport.getHeight()) - Math.max(rect.top, 0)
+  return Math.max(width, 0) * Math.max(height, 0) / (rect.width * rect.height)
+}
+
+/**
+ * 计算页面的纵向滚动深度
+ *
+ * @return {number} 视口底部所在位置占页面高度的百分比
+ */
+export function getScrollDepth () {
+  let scrollHeight = viewport.getScrollHeight()
+  if (!scrollHeight) {
+    return 100
+  }
+  return Math.min((viewport.getScrollTop() + viewport.getHeight()) / scrollHeight * 100, 100)
+}
+
+/**
+ * 页面展示时触发，预渲染的页面在展示后才触发
+ *
+ * @param {Object} trigger 触发条件配置
+ * @param {Function} fire 发送请求
+ * @return {Function} 解除监听
+ */
+function pageview (trigger, fire) {
+  let destroyed = false
+  let fired = false
+  viewer.on('show', () => {
+    if (!destroyed && !fired) {
+      fired = true
+      fire()
+    }
+  })
+  return () => {
+    destroyed = true
+  }
+}
+
+/**
+ * selector 对应的元素可见比例达到 threshold 并持续 duration 毫秒后触发，每个元素只触发一次
+ *
+ * @param {Object} trigger 触发条件配置
+ * @param {string} trigger.selector 元素选择器
+ * @param {number=} trigger.threshold 可见比例，默认为 0，即出现在视口中
+ * @param {number=} trigger.duration 持续时长，默认为 0
+ * @param {Function} fire 发送请求
+ * @return {Function} 解除监听
+ */
+function visible ({selector, threshold = 0, duration = 0}, fire) {
+  let states = [...document.querySelectorAll(selector)].map(element => ({element, since: 0, timer: null}))
+
+  let check = () => {
+    let now = Date.now()
+    states.forEach(state => {
+      if (state.fired) {
+        return
+      }
+      let ratio = getVisibleRatio(state.element)
+      if (ratio === 0 || ratio < threshold) {
+        state.since = 0
+        clearTimeout(state.timer)
+        state.timer = null
+        return
+      }
+      state.since = state.since || now
+      let remaining = duration - (now - state.since)
+      if (remaining <= 0) {
+        state.fired = true
+        fire({visibleRatio: Math.round(ratio * 100) / 100}, state.element)
+      } else if (!state.timer) {
+        // 没有滚动时也需要在持续时长结束后再次检查
+        state.timer = setTimeout(() => {
+          state.timer = null
+          check()
+        }, remaining)
+      }
+    })
+  }
+
+  viewport.on('changed', check)
+  check()
+
+  return () => {
+    viewport.off('changed', check)
+    states.forEach(state => clearTimeout(state.timer))
+  }
+}
+
+/**
+ * 点击 selector 对应的元素时触发
+ *
+ * @param {Object} trigger 触发条件配置
+ * @param {string} trigger.selector 元素选择器
+ * @param {Function} fire 发送请求
+ * @return {Function} 解除监听
+ */
+function tap ({selector}, fire) {
+  let handler = e => {
+    let target = dom.closest(e.target, selector)
+    target && fire({}, target)
+  }
+  document.addEventListener('click', handler, true)
+  return () => document.removeEventListener('click', handler, true)
+}
+
+/**
+ * 滚动深度达到 boundaries 中的百分比时触发，每个值只触发一次
+ *
+ * @param {Object} trigger 触发条件配置
+ * @param {Array.<number>} trigger.boundaries 滚动深度百分比，如 [25, 50, 75, 100]
+ * @param {Function} fire 发送请求
+ * @return {Function} 解除监听
+ */
+function scroll ({boundaries = []}, fire) {
+  let pending = boundaries.slice().sort((a, b) => a - b)
+
+  let check = () => {
+    let depth = getScrollDepth()
+    while (pending.length && pending[0] <= depth) {
+      fire({scrollDepth: pending.shift()})
+    }
+  }
+
+  viewport.on('changed', check)
+  check()
+
+  return () => viewport.off('changed', check)
+}
+
+/**
+ * 每隔 interval 毫秒触发，最多触发 maxCount 次
+ *
+ * @param {Object} trigger 触发条件配置
+ * @param {number} trigger.interval 时间间隔
+ * @param {number=} trigger.maxCount 最多触发次数，不设置时不限制
+ * @param {Function} fire 发送请求
+ * @return {Function} 解除监听
+ */
+function timer ({interval, maxCount}, fire) {
+  let count = 0
+  let id = setInterval(() => {
+    fire({timerCount: ++count})
+    if (maxCount && count >= maxCount) {
+      clearInterval(id)
+    }
+  }, interval)
+  return () => clearInterval(id)
+}
+
+/**
+ * 通过 on 属性执行 mip-analytics 的 trigger 行为时触发，由组件直接调用，这里无需监听
+ *
+ * @return {Function} 解除监听
+ */
+function custom () {
+  return () => {}
+}
+
+export default {
+  pageview,
+  visible,
+  tap,
+  scroll,
+  timer,
+  custom
+}
@@ -6,7 +6,8 @@
 import {isElementNode} from '../../util/dom/dom'
 import {traverse} from '../../util/fn'
 
-import {isBindingAttr} from './binding'
+import {isBindingAttr, createDirective} from './binding'
+import {getScope} from './directive'
 
 /**
  * HTML 节点描述
@@ -124,6 +125,11 @@ function createBindingNodeWrapper (node, attrs) {
   if (attrs) {
     wrapper.keys = Object.keys(attrs)
   }
+  // m-for 渲染出的节点需要记录其作用域数据
+  let scope = getScope(node)
+  if (scope) {
+    wrapper.scope = scope
+  }
   return wrapper
 }
 
@@ -140,6 +146,14 @@ function queryBindings (root) {
     if (!isElementNode(node)) {
       return
     }
+    // m-for / m-if 结构指令
+    let directive = createDirective(node)
+    if (directive) {
+      results.push(createBindingNodeWrapper(directive.anchor, directive.attrs))
+      if (directive.stop) {
+        return
+      }
+    }
     let attrs = queryBindingAttrs(node)
     attrs && results.push(createBindingNodeWrapper(node, attrs))
     if (node.children) {
@@ -0,0 +1,134 @@
+/**
+ * @file binding-for.js
+ * @author sfe-sy (sfe-sy@baidu.com)
+ */
+
+import {createAnchor, setScope, stamp, insertAfter, removeNodes, emitDOMChange} from './directive'
+import {getType} from '../../util/fn'
+
+export const attr = 'm-for'
+
+/**
+ * 锚点上存储 m-for 渲染状态的属性名
+ *
+ * @const
+ * @type {string}
+ */
+const STATE_KEY = '__mipBindFor'
+
+/**
+ * 匹配 item in list 或 (item, index) in list
+ *
+ * @const
+ * @type {RegExp}
+ */
+const FOR_REGEXP = /^\s*(?:\(\s*([\w$]+)\s*(?:,\s*([\w$]+)\s*)?\)|([\w$]+))\s+in\s+([\s\S]+?)\s*$/
+
+/**
+ * 处理 m-for 指令节点，将节点替换为注释锚点并作为后续渲染的模板
+ *
+ * @param {HTMLElement} node 指令节点
+ * @return {Object|undefined} 锚点和绑定属性 {anchor, attrs}，表达式格式错误时返回 undefined
+ */
+export function createForDirective (node) {
+  let matched = node.getAttribute(attr).match(FOR_REGEXP)
+
+  if (!matched) {
+    return
+  }
+
+  let anchor = createAnchor(node, attr, true)
+
+  anchor[STATE_KEY] = {
+    template: node,
+    itemName: matched[1] || matched[3],
+    indexName: matched[2],
+    items: []
+  }
+
+  return {
+    anchor,
+    attrs: {
+      [attr]: {expr: matched[4]}
+    }
+  }
+}
+
+/**
+ * 将绑定值转换成数组，支持数组、对象（取值）和数字（生成 0 ~ n-1）
+ *
+ * @param {*} value 绑定值
+ * @return {Array} 列表
+ */
+function toList (value) {
+  let type = getType(value)
+
+  if (type === '[object Array]') {
+    return value
+  }
+  if (type === '[object Object]') {
+    return Object.keys(value).map(key => value[key])
+  }
+  if (type === '[object Number]' && value > 0) {
+    return Array.from({length: Math.floor(value)}, (v, i) => i)
+  }
+  return []
+}
+
+/**
+ * 根据列表渲染节点，已渲染的节点按位置复用并更新其作用域数据
+ * 如：<li m-for="(item, index) in list" m-text="index + ':' + item.name"></li>
+ *
+ * @param {Comment} anchor 注释锚点
+ * @param {string} key 'm-for'，参数占位用
+ * @param {*} value 新值
+ * @param {*} oldValue 旧值
+ * @param {Object} data 当前作用域数据
+ * @return {*} 新值
+ */
+export function bindingFor (anchor, key, value, oldValue, data) {
+  let state = anchor[STATE_KEY]
+
+  if (value === oldValue && state.rendered) {
+    return value
+  }
+
+  state.rendered = true
+
+  let {items, itemName, indexName, template} = state
+  let list = toList(value)
+  let reused = Math.min(items.length, list.length)
+
+  // 复用已有节点，仅更新循环变量
+  for (let i = 0; i < reused; i++) {
+    items[i].scope[itemName] = list[i]
+    indexName && (items[i].scope[indexName] = i)
+  }
+
+  // 移除多余的节点
+  let removed = items.length > reused
+  for (let i = reused; i < items.length; i++) {
+    removeNodes(items[i].nodes)
+  }
+  items.length = reused
+
+  // 渲染新增的节点
+  let added = []
+  for (let i = reused; i < list.length; i++) {
+    let last = items[items.length - 1]
+    let ref = last ? last.nodes[last.nodes.length - 1] : anchor
+    let scope = Object.create(data)
+    scope[itemName] = list[i]
+    indexName && (scope[indexName] = i)
+
+    let nodes = stamp(template)
+    nodes.forEach(node => setScope(node, scope))
+    insertAfter(ref, nodes)
+    items.push({nodes, scope})
+    added.push(...nodes)
+  }
+
+  emitDOMChange(added, removed)
+
+  return value
+}
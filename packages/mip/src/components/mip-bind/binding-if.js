@@ -0,0 +1,81 @@
+/**
+ * @file binding-if.js
+ * @author sfe-sy (sfe-sy@baidu.com)
+ */
+
+import {createAnchor, getScope, setScope, stamp, insertAfter, removeNodes, emitDOMChange} from './directive'
+
+export const attr = 'm-if'
+
+/**
+ * 锚点上存储 m-if 渲染状态的属性名
+ *
+ * @const
+ * @type {string}
+ */
+const STATE_KEY = '__mipBindIf'
+
+/**
+ * 处理 m-if 指令节点，在节点前插入注释锚点
+ * 普通元素保留在原位置，由绑定结果决定是否移除；<template> 则在条件成立时渲染其内容
+ *
+ * @param {HTMLElement} node 指令节点
+ * @return {Object} 锚点和绑定属性 {anchor, attrs}
+ */
+export function createIfDirective (node) {
+  let expr = node.getAttribute(attr)
+  let isTemplate = node.tagName === 'TEMPLATE'
+  let anchor = createAnchor(node, attr, isTemplate)
+
+  anchor[STATE_KEY] = {
+    // 普通元素的子节点随后会被处理，其中的 m-for / m-if 会被替换成锚点，
+    // 因此先保留一份带有指令属性的副本，元素移除后重新显示时由副本重新生成
+    template: isTemplate ? node : node.cloneNode(true),
+    nodes: isTemplate ? [] : [node]
+  }
+
+  return {
+    anchor,
+    attrs: {
+      [attr]: {expr}
+    }
+  }
+}
+
+/**
+ * 根据条件渲染或移除节点
+ * 如：<p m-if="list.length === 0">暂无数据</p>
+ *
+ * @param {Comment} anchor 注释锚点
+ * @param {string} key 'm-if'，参数占位用
+ * @param {*} value 新值
+ * @param {boolean|undefined} oldValue 旧值
+ * @return {boolean} 格式化新值
+ */
+export function bindingIf (anchor, key, value, oldValue) {
+  value = !!value
+
+  if (value === oldValue) {
+    return value
+  }
+
+  let state = anchor[STATE_KEY]
+
+  if (!value) {
+    removeNodes(state.nodes)
+    return value
+  }
+
+  // 首次绑定时普通元素仍在原位置，无需重新插入
+  if (state.nodes[0] && state.nodes[0].parentNode) {
+    return value
+  }
+
+  let scope = getScope(anchor)
+  state.nodes = stamp(state.template)
+  scope && state.nodes.forEach(node => setScope(node, scope))
+  insertAfter(anchor, state.nodes)
+  emitDOMChange(state.nodes)
+
+  return value
+}
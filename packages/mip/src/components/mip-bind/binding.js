@@ -11,12 +11,16 @@ import {parse} from '../../util/event-action/parser'
 import {attr as classAttr, bindingClass} from './binding-class'
 import {attr as styleAttr, bindingStyle} from './binding-style'
 import {attr as textAttr, bindingText} from './binding-text'
+import {attr as forAttr, bindingFor, createForDirective} from './binding-for'
+import {attr as ifAttr, bindingIf, createIfDirective} from './binding-if'
 import {isBindingAttr as isDefaultBindingAttr, bindingAttr} from './binding-attr'
 
 const bindings = {
   [classAttr]: bindingClass,
   [styleAttr]: bindingStyle,
-  [textAttr]: bindingText
+  [textAttr]: bindingText,
+  [forAttr]: bindingFor,
+  [ifAttr]: bindingIf
 }
 
 const bindingAttrs = Object.keys(bindings)
@@ -32,6 +36,24 @@ export function isBindingAttr (attr) {
   // return bindingAttrs.includes(attr) || isDefaultBindingAttr(attr)
 }
 
+/**
+ * 处理节点上的结构指令（m-for 优先于 m-if），将其转换为以注释锚点为节点的绑定
+ *
+ * @param {HTMLElement} node 节点
+ * @return {Object|undefined} 锚点和绑定属性 {anchor, attrs, stop}，
+ *         stop 为 true 时表示不再查找该节点本身及其子节点的绑定
+ */
+export function createDirective (node) {
+  if (node.hasAttribute(forAttr)) {
+    let directive = createForDirective(node)
+    return directive && Object.assign(directive, {stop: true})
+  }
+  if (node.hasAttribute(ifAttr)) {
+    let directive = createIfDirective(node)
+    return Object.assign(directive, {stop: node.tagName === 'TEMPLATE'})
+  }
+}
+
 /**
  * 通过属性名获取对应的绑定属性处理方法
  *
@@ -70,6 +92,6 @@ export function applyBinding ({node, attrs, keys}, data) {
     // 调用各类属性绑定的处理方法进行属性修改，
     // 并存储格式化后的新值
     let binding = getBinding(key)
-    attrs[key].value = binding(node, key, newVal, oldVal)
+    attrs[key].value = binding(node, key, newVal, oldVal, data)
   }
 }
@@ -0,0 +1,168 @@
+/**
+ * @file computed.js
+ * @author sfe-sy (sfe-sy@baidu.com)
+ * @description 计算属性，表达式使用 event-action/parser 进行解析，
+ * 计算结果缓存在数据仓库当中，仅当依赖的数据发生变化时才重新计算
+ */
+
+import parser, {parse} from '../../util/event-action/parser'
+import {CUSTOM_OBJECTS} from '../../util/event-action/whitelist/basic'
+import log from '../../util/log'
+
+const logger = log('MIP-bind Computed')
+
+/**
+ * 计算属性之间相互依赖时允许的最大重算轮数，用于避免循环依赖导致死循环
+ *
+ * @const
+ * @type {number}
+ */
+const MAX_ROUNDS = 100
+
+/**
+ * 遍历 AST，收集表达式中引用到的顶层变量名
+ *
+ * @param {ASTNode} ast AST
+ * @return {Array.<string>} 依赖的变量名列表
+ */
+export function getDependencies (ast) {
+  let names = []
+  let params = []
+
+  let walk = node => {
+    if (Array.isArray(node)) {
+      node.forEach(walk)
+      return
+    }
+
+    if (!node || typeof node !== 'object') {
+      return
+    }
+
+    if (node.type === 'Variable') {
+      names.indexOf(node.name) === -1 && names.push(node.name)
+      return
+    }
+
+    if (node.type === 'ArrowFunction') {
+      params.push(...node.params.map(param => param.name))
+    }
+
+    Object.keys(node).forEach(key => walk(node[key]))
+  }
+
+  walk(ast)
+
+  // 箭头函数参数和白名单对象不属于数据依赖
+  return names.filter(name => params.indexOf(name) === -1 && !CUSTOM_OBJECTS[name])
+}
+
+/**
+ * 计算属性管理类
+ *
+ * @class
+ */
+export default class Computed {
+  /**
+   * 构造函数
+   *
+   * @constructor
+   * @param {Object} data 数据仓库
+   */
+  constructor (data) {
+    this.data = data
+
+    /**
+     * 计算属性定义，{name: {fn, deps}}
+     *
+     * @type {Object}
+     */
+    this.defs = {}
+  }
+
+  /**
+   * 定义计算属性
+   *
+   * @param {Object} defs 计算属性名与表达式字符串的键值对
+   * @return {Array.<ChangeDesc>} 计算属性初始值所产生的数据变化
+   */
+  define (defs) {
+    let names = []
+
+    for (let name of Object.keys(defs)) {
+      let expr = defs[name]
+      try {
+        this.defs[name] = {
+          fn: parse(expr, 'Conditional'),
+          deps: getDependencies(parser.parse(expr, 'Conditional'))
+        }
+        names.push(name)
+      } catch (e) {
+        logger.error(`计算属性 ${name} 的表达式 ${expr} 解析失败`, e)
+      }
+    }
+
+    return this.run(names)
+  }
+
+  /**
+   * 根据数据变化重新计算依赖这些数据的计算属性
+   *
+   * @param {Array.<ChangeDesc>} changes 数据变化列表
+   * @return {Array.<ChangeDesc>} 计算属性产生的数据变化
+   */
+  update (changes) {
+    return this.run(this.getAffected(changes))
+  }
+
+  /**
+   * 找出依赖了变化数据的计算属性
+   *
+   * @param {Array.<ChangeDesc>} changes 数据变化列表
+   * @return {Array.<string>} 计算属性名列表
+   */
+  getAffected (changes) {
+    let tops = changes.map(change => change.expr.split('.')[0])
+    return Object.keys(this.defs).filter(name =>
+      this.defs[name].deps.some(dep => tops.indexOf(dep) > -1)
+    )
+  }
+
+  /**
+   * 计算指定的计算属性并写入数据仓库，计算属性的变化会继续触发依赖它的计算属性重算
+   *
+   * @param {Array.<string>} names 计算属性名列表
+   * @return {Array.<ChangeDesc>} 数据变化列表
+   */
+  run (names) {
+    let result = []
+
+    for (let round = 0; names.length; round++) {
+      if (round >= MAX_ROUNDS) {
+        logger.error(`计算属性 ${names.join(', ')} 存在循环依赖`)
+        break
+      }
+
+      let changes = []
+      for (let name of names) {
+        let oldVal = this.data[name]
+        let newVal
+        try {
+          newVal = this.defs[name].fn({data: this.data})
+        } catch (e) {
+          logger.error(e)
+        }
+        // 计算结果直接替换旧值，不与旧值做合并
+        if (newVal !== oldVal) {
+          this.data[name] = newVal
+          changes.push({expr: name, oldVal, newVal})
+        }
+      }
+
+      result.push(...changes)
+      names = this.getAffected(changes)
+    }
+
+    return result
+  }
+}
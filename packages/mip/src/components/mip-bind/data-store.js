@@ -5,6 +5,8 @@
 
 import DataWatcher from './data-watcher'
 import GlobalData from './global-data'
+import Computed from './computed'
+import History from './history'
 import {merge, getProperty} from './util'
 import {isObject} from '../../util/fn'
 
@@ -36,6 +38,20 @@ export default class DataStore {
      * @type {GlobalData}
      */
     this.global = new GlobalData()
+
+    /**
+     * 计算属性管理对象
+     *
+     * @type {Computed}
+     */
+    this.computed = new Computed(storage)
+
+    /**
+     * 数据修改历史记录，默认不开启
+     *
+     * @type {History|null}
+     */
+    this.history = null
   }
 
   /**
@@ -51,12 +67,88 @@ export default class DataStore {
     let {global, page} = this.global.classify(data)
     // 将本页数据合入数据存储对象中
     let changes = merge(this.data, page)
+    // 开启历史记录时记录本次修改，计算属性的变化由撤销/重做时重新计算得到
+    // 记录副本，避免后续追加的计算属性变化混入历史记录
+    this.history && this.history.record(changes.slice())
+    // 重新计算依赖了变化数据的计算属性
+    changes.push(...this.computed.update(changes))
     // 通知数据修改监视器哪些数据发生变化
     this.watcher.notify(changes)
     // 通知更新全局数据
     this.global.update(global)
   }
 
+  /**
+   * 开启数据修改历史记录，重复调用时仅调整历史记录条数
+   *
+   * @param {number=} size 最多保存的历史记录条数
+   */
+  enableHistory (size) {
+    if (this.history) {
+      this.history.resize(size)
+    } else {
+      this.history = new History(this.data, size)
+    }
+  }
+
+  /**
+   * 撤销最近一次数据修改
+   *
+   * @return {boolean} 是否存在可撤销的修改
+   */
+  undo () {
+    return this.travel('undo')
+  }
+
+  /**
+   * 重做最近一次被撤销的数据修改
+   *
+   * @return {boolean} 是否存在可重做的修改
+   */
+  redo () {
+    return this.travel('redo')
+  }
+
+  /**
+   * 在历史记录中前进或后退，并通知数据修改监视器
+   *
+   * @param {string} direction undo 或 redo
+   * @return {boolean} 数据是否发生变化
+   */
+  travel (direction) {
+    if (!this.history) {
+      return false
+    }
+    let changes = this.history[direction]()
+    if (!changes.length) {
+      return false
+    }
+    changes.push(...this.computed.update(changes))
+    this.watcher.notify(changes)
+    return true
+  }
+
+  /**
+   * 导出数据修改历史记录快照
+   *
+   * @return {Object|null} 快照，未开启历史记录时返回 null
+   */
+  exportHistory () {
+    return this.history ? this.history.snapshot() : null
+  }
+
+  /**
+   * 定义计算属性，并将计算结果写入数据仓库
+   *
+   * @param {Object} defs 计算属性名与表达式字符串的键值对
+   */
+  defineComputed (defs) {
+    if (!isObject(defs)) {
+      throw new Error('computed MUST be an object! Check your input:' + defs)
+    }
+    this.watcher.notify(this.computed.define(defs))
+  }
+
   /**
    * 读取数据
    *
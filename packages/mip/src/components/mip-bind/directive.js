@@ -0,0 +1,121 @@
+/**
+ * @file directive.js
+ * @author sfe-sy (sfe-sy@baidu.com)
+ * @description m-for / m-if 等结构指令的公共方法
+ */
+
+import {customEmit} from '../../util/custom-event'
+import {DOM_CHANGE_EVENT} from './util'
+
+/**
+ * 结构指令渲染出的根节点上存储作用域数据的属性名
+ *
+ * @const
+ * @type {string}
+ */
+const SCOPE_KEY = '__mipBindScope'
+
+/**
+ * 设置节点的作用域数据
+ *
+ * @param {Node} node 节点
+ * @param {Object} scope 作用域数据
+ */
+export function setScope (node, scope) {
+  node[SCOPE_KEY] = scope
+}
+
+/**
+ * 沿节点树向上查找最近的作用域数据，m-for 中的节点通过作用域读取循环变量
+ *
+ * @param {Node} node 节点
+ * @return {Object|undefined} 作用域数据
+ */
+export function getScope (node) {
+  while (node) {
+    if (node[SCOPE_KEY]) {
+      return node[SCOPE_KEY]
+    }
+    node = node.parentNode
+  }
+}
+
+/**
+ * 将指令节点替换成注释锚点，锚点用于标记指令渲染内容在 DOM 中的位置
+ *
+ * @param {HTMLElement} node 指令节点
+ * @param {string} attr 指令属性名
+ * @param {boolean} replace 是否从 DOM 中移除指令节点
+ * @return {Comment} 注释锚点
+ */
+export function createAnchor (node, attr, replace) {
+  let anchor = document.createComment(` ${attr}: ${node.getAttribute(attr)} `)
+  node.removeAttribute(attr)
+
+  // 指令节点本身是 m-for 渲染出的根节点时，锚点需要继承其作用域
+  if (node[SCOPE_KEY]) {
+    anchor[SCOPE_KEY] = node[SCOPE_KEY]
+  }
+
+  if (node.parentNode) {
+    node.parentNode.insertBefore(anchor, node)
+    replace && node.parentNode.removeChild(node)
+  }
+
+  return anchor
+}
+
+/**
+ * 根据模板生成节点，<template> 使用其 content 生成，其他元素直接深拷贝
+ *
+ * @param {HTMLElement} template 模板节点
+ * @return {Array.<Node>} 生成的节点列表
+ */
+export function stamp (template) {
+  if (template.tagName === 'TEMPLATE') {
+    return [...document.importNode(template.content, true).childNodes]
+  }
+  return [template.cloneNode(true)]
+}
+
+/**
+ * 将节点列表插入到参考节点之后
+ *
+ * @param {Node} ref 参考节点
+ * @param {Array.<Node>} nodes 节点列表
+ */
+export function insertAfter (ref, nodes) {
+  let parent = ref.parentNode
+  if (!parent) {
+    return
+  }
+  let next = ref.nextSibling
+  for (let node of nodes) {
+    parent.insertBefore(node, next)
+  }
+}
+
+/**
+ * 将节点列表从 DOM 中移除
+ *
+ * @param {Array.<Node>} nodes 节点列表
+ */
+export function removeNodes (nodes) {
+  for (let node of nodes) {
+    node.parentNode && node.parentNode.removeChild(node)
+  }
+}
+
+/**
+ * 通知节点增减，使新增节点上的绑定生效，并让其中的 MIP 组件被 resources 管理。
+ * 有节点被移除时即使没有新增节点也要通知，domWatcher 会清理已不在文档中的节点
+ *
+ * @param {Array.<Node>} nodes 新增节点
+ * @param {boolean=} removed 是否有节点被移除
+ */
+export function emitDOMChange (nodes, removed) {
+  let add = nodes.filter(node => node.nodeType === 1)
+  if (add.length || removed) {
+    customEmit(document, DOM_CHANGE_EVENT, {add})
+  }
+}
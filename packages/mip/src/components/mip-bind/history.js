@@ -0,0 +1,178 @@
+/**
+ * @file history.js
+ * @author sfe-sy (sfe-sy@baidu.com)
+ * @description 数据修改历史记录，用于调试时回溯数据的变化过程
+ */
+
+import {getProperty} from './util'
+
+/**
+ * 默认最多保存的历史记录条数
+ *
+ * @const
+ * @type {number}
+ */
+export const DEFAULT_HISTORY_SIZE = 100
+
+/**
+ * 将数据写入点运算表达式对应的位置，值为 undefined 时删除该属性
+ *
+ * @param {Object} data 数据源
+ * @param {string} expr 点运算表达式
+ * @param {*} value 值
+ */
+function setProperty (data, expr, value) {
+  let keys = expr.split('.')
+  let last = keys.pop()
+  let target = keys.length ? getProperty(data, keys.join('.')) : data
+
+  if (target == null || typeof target !== 'object') {
+    return
+  }
+
+  if (value === undefined) {
+    delete target[last]
+  } else {
+    target[last] = value
+  }
+}
+
+/**
+ * 拷贝数据用于导出，无法序列化的数据（如循环引用）原样返回
+ *
+ * @param {*} value 数据
+ * @return {*} 拷贝结果
+ */
+function clone (value) {
+  try {
+    return value === undefined ? value : JSON.parse(JSON.stringify(value))
+  } catch (e) /* istanbul ignore next */ {
+    return value
+  }
+}
+
+/**
+ * 数据修改历史记录管理类
+ *
+ * @class
+ */
+export default class History {
+  /**
+   * 构造函数
+   *
+   * @constructor
+   * @param {Object} data 数据仓库
+   * @param {number=} size 最多保存的历史记录条数
+   */
+  constructor (data, size) {
+    this.data = data
+    this.size = size > 0 ? size : DEFAULT_HISTORY_SIZE
+
+    /**
+     * 历史记录列表，每一条记录对应一次 setData 产生的数据变化
+     *
+     * @type {Array.<Object>}
+     */
+    this.records = []
+
+    /**
+     * 当前所处的历史位置，即已生效的记录条数
+     *
+     * @type {number}
+     */
+    this.index = 0
+  }
+
+  /**
+   * 设置最多保存的历史记录条数，超出的旧记录会被丢弃
+   *
+   * @param {number} size 历史记录条数
+   */
+  resize (size) {
+    this.size = size > 0 ? size : DEFAULT_HISTORY_SIZE
+    this.trim()
+  }
+
+  /**
+   * 记录一次数据修改，当前位置之后的记录将被丢弃
+   *
+   * @param {Array.<ChangeDesc>} changes merge 返回的数据变化列表
+   */
+  record (changes) {
+    if (!changes.length) {
+      return
+    }
+    this.records.length = this.index
+    this.records.push({
+      time: Date.now(),
+      changes
+    })
+    this.index = this.records.length
+    this.trim()
+  }
+
+  /**
+   * 丢弃超出数量限制的旧记录
+   */
+  trim () {
+    let overflow = this.records.length - this.size
+    if (overflow > 0) {
+      this.records.splice(0, overflow)
+      this.index = Math.max(this.index - overflow, 0)
+    }
+  }
+
+  /**
+   * 撤销最近一次数据修改
+   *
+   * @return {Array.<ChangeDesc>} 撤销所产生的数据变化，无可撤销记录时返回空数组
+   */
+  undo () {
+    if (this.index === 0) {
+      return []
+    }
+    let {changes} = this.records[--this.index]
+    // 逆序还原，保证同一次修改中先后写入的数据能够正确恢复
+    return changes.slice().reverse().map(({expr, oldVal, newVal}) => {
+      setProperty(this.data, expr, oldVal)
+      return {expr, oldVal: newVal, newVal: oldVal}
+    })
+  }
+
+  /**
+   * 重做最近一次被撤销的数据修改
+   *
+   * @return {Array.<ChangeDesc>} 重做所产生的数据变化，无可重做记录时返回空数组
+   */
+  redo () {
+    if (this.index === this.records.length) {
+      return []
+    }
+    let {changes} = this.records[this.index++]
+    return changes.map(({expr, oldVal, newVal}) => {
+      setProperty(this.data, expr, newVal)
+      return {expr, oldVal, newVal}
+    })
+  }
+
+  /**
+   * 导出历史记录快照，便于提交问题时附带数据的变化过程
+   *
+   * @return {Object} 快照 {size, index, records, data}
+   */
+  snapshot () {
+    return {
+      size: this.size,
+      index: this.index,
+      records: this.records.map(({time, changes}) => ({
+        time,
+        changes: changes.map(({expr, oldVal, newVal}) => ({
+          expr,
+          oldVal: clone(oldVal),
+          newVal: clone(newVal)
+        }))
+      })),
+      data: clone(this.data)
+    }
+  }
+}
@@ -6,7 +6,7 @@
 
 /* global MIP */
 
-import {def} from './util'
+import {def, DOM_CHANGE_EVENT} from './util'
 import DataStore from './data-store'
 import {applyBinding} from './binding'
 import {instance as domWatcher} from './binding-dom-watcher'
@@ -17,18 +17,24 @@ import log from '../../util/log'
 
 const logger = log('MIP-bind')
 
-export const DOM_CHANGE_EVENT = 'dom-change'
+export {DOM_CHANGE_EVENT}
 
 export default function () {
   const store = new DataStore()
   const getData = store.get.bind(store)
   const setData = store.set.bind(store)
   const watch = store.watcher.watch.bind(store.watcher)
+  const defineComputed = store.defineComputed.bind(store)
+  const enableHistory = store.enableHistory.bind(store)
+  const undoData = store.undo.bind(store)
+  const redoData = store.redo.bind(store)
+  const exportDataHistory = store.exportHistory.bind(store)
 
   const applyBindings = domInfos => {
     for (let info of domInfos) {
       try {
-        applyBinding(info, store.data)
+        // m-for 渲染出的节点使用其作用域数据进行计算
+        applyBinding(info, info.scope || store.data)
       } catch (e) /* istanbul ignore next */ {
         logger.error(e)
       }
@@ -50,7 +56,8 @@ export default function () {
 
   // 数据更改触发所有 binding 节点的绑定属性计算，并且只有当计算结果存在变化时才会触发属性修改
   store.watcher.watch(() => {
-    applyBindings(domWatcher.doms)
+    // 绑定过程中 m-for / m-if 可能会增删节点，因此遍历副本
+    applyBindings(domWatcher.doms.slice())
   })
 
   /**
@@ -72,6 +79,13 @@ export default function () {
   def(MIP, '$set', $set)
   def(MIP, 'getData', getData)
   def(MIP, 'watch', watch)
+  // 供 mip-data 定义计算属性使用
+  def(MIP, '$computed', defineComputed)
+  // 数据修改历史记录，供调试使用
+  def(MIP, '$history', enableHistory)
+  def(MIP, 'undoData', undoData)
+  def(MIP, 'redoData', redoData)
+  def(MIP, 'exportDataHistory', exportDataHistory)
 
   /**
    * 用于判断页面上 mip-data 是否完全加载
@@ -9,13 +9,34 @@
 /* global mipDataPromises */
 
 import CustomElement from '../../custom-element'
+import Services from '../../services/index'
 import jsonParse from '../../util/json-parse'
 import Deffered from '../../util/deferred'
 import log from '../../util/log'
+import customStorage from '../../util/custom-storage'
 import {timeout} from './util'
 
 const logger = log('MIP-data')
 
+/**
+ * persist 属性对应的 customStorage 类型
+ *
+ * @const
+ * @type {Object}
+ */
+const PERSIST_STORAGE_TYPE = {
+  local: 0,
+  session: 3
+}
+
+/**
+ * 持久化数据的存储键名前缀
+ *
+ * @const
+ * @type {string}
+ */
+const PERSIST_KEY_PREFIX = 'mip-data-'
+
 class MIPData extends CustomElement {
   static get observedAttributes () {
     return ['src']
@@ -26,16 +47,162 @@ class MIPData extends CustomElement {
   }
 
   build () {
-    this.addEventAction('refresh', () => {
-      this.fetch()
-    })
+    // 返回 Promise，使 on 表达式中的后续行为在数据请求完成后再执行
+    this.addEventAction('refresh', () => this.fetch(true))
+
+    if (this.props.persist) {
+      this.initPersist()
+    }
+
+    this.defineComputed()
 
     if (this.props.src) {
       // get remote data
-      this.fetch()
+      this.fetch().then(() => this.enableHistory())
     } else {
       // get local data
       this.sync()
+      this.hydrate()
+      this.enableHistory()
+    }
+  }
+
+  /**
+   * 在写入初始数据之后开启历史记录，避免撤销操作清空初始数据。
+   * 远程数据需要等请求结束后再开启
+   */
+  enableHistory () {
+    if (this.props.history > 0) {
+      MIP.$history(this.props.history)
+    }
+  }
+
+  /**
+   * 初始化数据持久化，读取已存储的数据，并在数据发生变化时写回存储
+   */
+  initPersist () {
+    let {persist, persistKey, id} = this.props
+    let type = PERSIST_STORAGE_TYPE[persist]
+    let key = persistKey || id
+
+    if (type === undefined || !key) {
+      logger.warn('persist 属性需为 local 或 session，并且需要通过 persist-key 或 id 指定存储键名')
+      return
+    }
+
+    /**
+     * 数据存储对象
+     * @type {LocalStorage|SessionStorage}
+     */
+    this.storage = customStorage(type)
+    this.storageKey = PERSIST_KEY_PREFIX + key
+
+    /**
+     * 需要持久化的数据字段
+     * @type {Array.<string>}
+     */
+    this.persistKeys = []
+
+    /**
+     * 从存储中读取的数据，在初始数据写入之后再合入数据仓库
+     * @type {Object}
+     */
+    this.persisted = this.restore()
+
+    // DataWatcher 通知数据变化时写回存储
+    MIP.watch(() => this.save())
+  }
+
+  /**
+   * 读取存储中未过期的数据
+   *
+   * @return {Object|undefined} 存储的数据
+   */
+  restore () {
+    let stored
+    try {
+      stored = JSON.parse(this.storage.get(this.storageKey) || 'null')
+    } catch (e) {
+      logger.warn(e)
+    }
+
+    if (!stored || !stored.data) {
+      return
+    }
+
+    if (stored.expire && stored.expire <= Date.now()) {
+      this.storage.rm(this.storageKey)
+      return
+    }
+
+    this.storedValue = JSON.stringify(stored)
+    return stored.data
+  }
+
+  /**
+   * 将存储中的数据合入数据仓库，存储的数据优先级高于 mip-data 的初始数据
+   */
+  hydrate () {
+    if (!this.storage || this.hydrated) {
+      return
+    }
+
+    this.hydrated = true
+
+    if (this.persisted) {
+      this.assign(this.persisted)
+      this.persisted = null
+    }
+  }
+
+  /**
+   * 将当前 mip-data 管理的数据写回存储，页面使用 mip-consent 时用户同意之前不写入
+   */
+  save () {
+    if (!this.hydrated || Services.consent().isStorageBlocked()) {
+      return
+    }
+
+    let {id, scope, persistExpire} = this.props
+    let data = {}
+
+    if (id && scope) {
+      data = MIP.getData(id)
+    } else {
+      for (let key of this.persistKeys) {
+        data[key] = MIP.getData(key)
+      }
+    }
+
+    let value = JSON.stringify({
+      data,
+      expire: persistExpire > 0 ? Date.now() + persistExpire : 0
+    })
+
+    if (value === this.storedValue) {
+      return
+    }
+
+    try {
+      this.storage.set(this.storageKey, value)
+      this.storedValue = value
+    } catch (e) {
+      logger.warn(e)
+    }
+  }
+
+  /**
+   * 计算属性定义方式，写在 <mip-data> 标签中的 <script type="application/json" computed>，
+   * 属性值为 mip-bind 表达式字符串
+   */
+  defineComputed () {
+    let ele = this.element.querySelector('script[type="application/json"][computed]')
+
+    if (ele) {
+      let defs = ele.textContent.toString()
+      if (defs) {
+        MIP.$computed(jsonParse(defs))
+      }
     }
   }
 
@@ -43,7 +210,7 @@ class MIPData extends CustomElement {
    * 同步数据源定义方式，写在 <mip-data> 标签中的 <script type="application/json">
    */
   sync () {
-    let ele = this.element.querySelector('script[type="application/json"]')
+    let ele = this.element.querySelector('script[type="application/json"]:not([computed])')
 
     if (ele) {
       let data = ele.textContent.toString()
@@ -73,10 +240,13 @@ class MIPData extends CustomElement {
     })
   }
 
-  /*
+  /**
    * 异步请求远程数据
+   *
+   * @async
+   * @param {boolean=} rethrow 请求失败时是否抛出错误，用于 refresh 行为触发 catch 分支
    */
-  async fetch () {
+  async fetch (rethrow) {
     let url = this.props.src
 
     if (!url) {
@@ -89,12 +259,16 @@ class MIPData extends CustomElement {
     // such as only to resolve when res.json() done
     mipDataPromises.push(promise)
     let resolver = resolve
+    let error
 
     try {
+      // 替换 src 中的变量，如 ${CLIENT_ID}、${MIP_DATA(user.id)}
+      url = await Services.urlReplacements().expand(url)
       let data = await this.request(url)
       this.assign(data)
     } catch (e) {
       logger.error(e)
+      error = e
       resolver = reject
       MIP.viewer.eventAction.execute('fetch-error', this.element, e)
     }
@@ -104,7 +278,12 @@ class MIPData extends CustomElement {
       mipDataPromises.splice(index, 1)
     }
 
+    this.hydrate()
     resolver()
+
+    if (error && rethrow) {
+      throw error
+    }
   }
 
   /**
@@ -114,6 +293,16 @@ class MIPData extends CustomElement {
    */
   assign (data) {
     let {id, scope} = this.props
+
+    if (this.persistKeys && !(id && scope)) {
+      for (let key of Object.keys(data)) {
+        // 以 # 开头的全局数据不做持久化
+        if (key[0] !== '#' && this.persistKeys.indexOf(key) === -1) {
+          this.persistKeys.push(key)
+        }
+      }
+    }
+
     // @TODO deprecated
     // 为了兼容 MIP 旧版逻辑而加上的遍历，下一个大版本移除
     MIP.$set(id && scope ? {[id]: data} : data)
@@ -145,6 +334,22 @@ MIPData.props = {
   scope: {
     type: Boolean,
     default: false
+  },
+  persist: {
+    type: String,
+    default: ''
+  },
+  persistKey: {
+    type: String,
+    default: ''
+  },
+  persistExpire: {
+    type: Number,
+    default: 0
+  },
+  history: {
+    type: Number,
+    default: 0
   }
 }
 
@@ -5,6 +5,14 @@
 
 import {traverse, getType, noop} from '../../util/fn'
 
+/**
+ * 节点增减时触发的事件名
+ *
+ * @const
+ * @type {string}
+ */
+export const DOM_CHANGE_EVENT = 'dom-change'
+
 /**
  * 封装 Object.defineProperty
  *
@@ -5,13 +5,15 @@
  * @modify wangpei07 2016-11-30
  */
 
-// import resources from '../resources'
+/* global MIP */
+
 import CustomElement from '../custom-element'
 import resources from '../resources'
 import viewer from '../viewer'
-import util from '../util'
-
-let prerenderElement = resources.prerenderElement
+import viewport from '../viewport'
+import css from '../util/dom/css'
+import event from '../util/dom/event'
+import {raf} from '../util/fn'
 
 let carouselParas = {
   boxClass: 'mip-carousel-container',
@@ -20,56 +22,51 @@ let carouselParas = {
   activeitem: 'mip-carousel-activeitem',
   threshold: 0.2
 }
+
 /**
- * 当前图片为 index，懒加载 index 前后各 NUM 个图
- * @type {Number}
+ * 当前可视窗口前后各预加载 NUM 个 slide，其余 slide 会被卸载
+ * @type {number}
  */
 const NUM = 1
+
 /**
- * 由于动态创建的 mip-carousel 下的 mip-img 无法正确地懒加载，所以调整方案为修改 src 使其加载
- * @param  {Array.<HTMLElement>} allMipImgs   carousel 下的 childNodes 组成的数组
- * @param  {number} index    起始点
- * @param  {number} num      当前图片前后 num 个图需要渲染
- * @param  {Array} arraySrc  childNodes 中的 src 组成的数组
- * @return {void}            无
+ * 松手时的速度超过该值（px/ms）并且滑动距离超过 FLICK_DISTANCE 时，即使未达到阈值也切换
+ * @type {number}
  */
-function prerenderSetSrc (allMipImgs, index, num, arraySrc) {
-  let start = Math.max(index - num, 0)
-  let end = Math.min(index + num + 1, allMipImgs.length)
-  for (let i = start; i < end; i++) {
-    if (allMipImgs[i].tagName === 'MIP-IMG') {
-      allMipImgs[i].setAttribute('src', arraySrc[i])
-      // 头尾增加的两个 dom 没有正确渲染，多了个img，TODO
-      let imgs = [...allMipImgs[i].querySelectorAll('img')]
-      for (let j = 0; j < imgs.length; j++) {
-        imgs[j].setAttribute('src', arraySrc[i])
-      }
-    } else {
-      let mipImg = allMipImgs[i].querySelector('mip-img')
-      mipImg && mipImg.setAttribute('src', arraySrc[i])
-    }
-  }
+const FLICK_VELOCITY = 0.3
+
+/**
+ * @type {number}
+ */
+const FLICK_DISTANCE = 10
+
+/**
+ * free-scroll 模式下，松手后按速度继续滑动的时长系数（ms）
+ * @type {number}
+ */
+const MOMENTUM_TIME = 300
+
+/**
+ * 取模，结果总是非负数
+ *
+ * @param {number} n 被除数
+ * @param {number} m 除数
+ * @return {number} 结果
+ */
+function mod (n, m) {
+  return ((n % m) + m) % m
 }
+
 /**
- * 修改 src 为某张图的 src
- * @param  {NodeList} childList 一般是 mip-img 标签的集合
- * @param  {number} imgIndex    imgIndex是显示的第一张图片的在arraySrc中的index
- * @param   {Array} arraySrc    所有图片的src组成的数组
- * @return {NodeList}           返回 childList
+ * 缓动函数 easeOutCubic
+ *
+ * @param {number} t 进度 [0, 1]
+ * @return {number} 缓动后的进度
  */
-function changeSrc (childList, imgIndex, arraySrc) {
-  // 由于懒加载方案是修改 src，所以在第一次加载图片的时候需要修改所有图片的 src，如若不是图片('no-src')则重定向，防止404。
-  let src = arraySrc[imgIndex] !== 'no-src' ? arraySrc[imgIndex] : '?mip_img_ori=1'
-  for (let i = 0; i < childList.length; i++) {
-    if (childList[i].tagName === 'MIP-IMG') {
-      childList[i].setAttribute('src', src)
-    } else {
-      let mipImg = childList[i].querySelector('mip-img')
-      mipImg && mipImg.setAttribute('src', src)
-    }
-  }
-  return childList
+function easeOut (t) {
+  return 1 - Math.pow(1 - t, 3)
 }
+
 /**
  * 求 carousel 的高度，这是 autoheight 的需求，即宽度 100%，高度自适应时的高度。
  *
@@ -80,6 +77,7 @@ function changeSrc (childList, imgIndex, arraySrc) {
 function getCarouselHeight (containerWidth, img) {
   return containerWidth * img.naturalHeight / img.naturalWidth
 }
+
 /**
  * 高度变化的动画
  *
@@ -88,62 +86,35 @@ function getCarouselHeight (containerWidth, img) {
  * @param {HTMLElement} dom
  */
 function translateHeight (value, time, dom) {
-  util.css(dom, {
+  css(dom, {
     height: value,
     transition: `height ${time}s`
   })
 }
+
 /**
- * 改变 carousel 高度。
- *
- * @param {HTMLElement} carousel
- * @param {number} index
- * @param {number} time
- */
-function changeCarouselHeight (carousel, index, time) {
-  let img = carousel.querySelectorAll('.mip-carousel-slideBox')[index].querySelector('img')
-  let containerWidth = parseInt(window.getComputedStyle(carousel, null).getPropertyValue('width'), 10)
-  translateHeight(getCarouselHeight(containerWidth, img), time, carousel)
-}
-/**
- * 针对 autoheight 需求，carousel 第一次改变高度，动画时间是 0 。
- * 由于 mip-img 的渲染问题，首尾的 slider 内部依然有 mip-placeholder ，这个需要删除。
- * TODO: 1. 找出 mip-placeholder 的原因
+ * 根据 slide 中的图片改变 carousel 高度，图片未加载完成时等待加载
  *
  * @param {HTMLElement} carousel carousel
- * @param {number} index 第几个 slider ，即求第几张图片对应的 carousel 高度
+ * @param {HTMLElement} slide slide
+ * @param {number} time 动画时长
  */
-function initHeight (carousel, index) {
-  // carousel.style.position = 'relative'
-  /* global Image */
-  let newImage = new Image()
-  newImage.src = carousel.querySelectorAll('.mip-carousel-slideBox')[index].querySelector('img').src
-  newImage.onload = () => {
-    [...carousel.querySelectorAll('.mip-placeholder')].map(value => value.parentNode.removeChild(value))
-    changeCarouselHeight(carousel, index, 0)
+function changeCarouselHeight (carousel, slide, time) {
+  let img = slide.querySelector('img')
+  if (!img) {
+    return
   }
-}
-/**
- * 获取carousel下所有mip-img的src，目前只处理一层和两层的，3层也当两层处理
- * @param  {Array.<HTMLElement>} childNodes getChildNodes函数得出的数组
- * @return {Array.<string>}                 mip-img中的src组成的数组
- */
-function getAllMipImgSrc (childNodes) {
-  let arr = []
-  for (let i = 0; i < childNodes.length; i++) {
-    if (childNodes[i].tagName === 'MIP-IMG') {
-      arr.push(childNodes[i].getAttribute('src'))
-    } else {
-      let node = childNodes[i].querySelector('mip-img')
-      if (node) {
-        arr.push(node.getAttribute('src'))
-      } else {
-        arr.push('no-src')
-      }
-    }
+  let change = () => {
+    let containerWidth = parseInt(window.getComputedStyle(carousel, null).getPropertyValue('width'), 10)
+    translateHeight(getCarouselHeight(containerWidth, img), time, carousel)
+  }
+  if (img.complete && img.naturalWidth) {
+    change()
+  } else {
+    event.loadPromise(img).then(change, () => {})
   }
-  return arr
 }
+
 // 按tagName创建一个固定class的tag
 function createTagWithClass (className, tagName) {
   tagName = tagName || 'div'
@@ -151,488 +122,690 @@ function createTagWithClass (className, tagName) {
   tag.className = className || ''
   return tag
 }
-// 获取carouse标签下所有非mip layout引入的元素
-function getChildNodes (element) {
-  let allChildNodes = element.children
-  let arrNode = Array.prototype.slice.call(allChildNodes)
-  let childList = []
-
-  arrNode.map(function (ele, i) {
-    if (ele.tagName.toLowerCase() !== 'mip-i-space') {
-      childList.push(ele)
-      element.removeChild(ele)
-    }
-  })
-  if (childList.length > 0) {
-    // 拷贝第一个和最后一个节点拼接dom
-    let firstCard = childList[0].cloneNode(true)
-    let endCard = childList[childList.length - 1].cloneNode(true)
-    firstCard.classList.add('mip-carousel-extra-img')
-    endCard.classList.add('mip-carousel-extra-img')
-    childList.unshift(endCard)
-    childList.push(firstCard)
-  }
-  return childList
-}
 
-// 移动函数
-function translateFn (value, time, wrapBox) {
-  wrapBox.style.webkitTransform = 'translate3d(' + value + 'px, 0px, 0px)'
-  wrapBox.style.transitionDuration = time
-}
-
-// 移出class
-function removeClass (dom, className) {
-  /* istanbul ignore if */
-  if (!dom) {
-    return
+class MIPCarousel extends CustomElement {
+  constructor (...args) {
+    super(...args)
+
+    /**
+     * slide 列表，{slide, item, v}，v 为 slide 当前排布的位置
+     * @type {Array.<Object>}
+     */
+    this.slides = []
+
+    /**
+     * 当前位置，以 slide 宽度为单位，loop 模式下滑动过程中可以超出 [0, slides.length)
+     * @type {number}
+     */
+    this.position = 0
+
+    /**
+     * 正在滑向的位置
+     * @type {number}
+     */
+    this.target = 0
+
+    /**
+     * 当前 slide 的下标，从 0 开始
+     * @type {number}
+     */
+    this.index = 0
+
+    /**
+     * 关联的圆点指示器
+     * @type {Array.<HTMLElement>}
+     */
+    this.dotItems = []
+
+    /**
+     * 是否自动轮播，可以通过 play / pause 行为切换
+     * @type {boolean}
+     */
+    this.playing = false
+
+    this.timer = null
+    this.animationId = 0
+    this.touch = null
+
+    this.resizeHandler = this.resizeHandler.bind(this)
+    this.touchstartHandler = this.touchstartHandler.bind(this)
+    this.touchmoveHandler = this.touchmoveHandler.bind(this)
+    this.touchendHandler = this.touchendHandler.bind(this)
   }
-  let curClassName = dom.className
-  dom.className = curClassName.replace(className, '').replace(/(^\s*)|(\s*$)/g, '')
-}
 
-// 追加class
-function addClass (dom, className) {
-  /* istanbul ignore if */
-  if (!dom) {
-    return
+  static get observedAttributes () {
+    return ['index']
   }
-  let curClassName = dom.className
-  if (!curClassName) {
-    dom.className = className
-  } else {
-    dom.className = curClassName + ' ' + className
-  }
-}
 
-/**
- * 计算滚动之后需要到达的坐标 resetPosAndIdx
- *
- * @param {number} curIndex curIndex
- * @param {number} totalNum totalNum
- * @param {number} deviceWidth deviceWidth
- * @param {number} endPos endPos
- * @return {Object}
- */
-function resetPosAndIdx (curIndex, totalNum, deviceWidth, endPos) {
-  let endInfo = {
-    endPos: 0,
-    endIndex: curIndex
-  }
-  if (curIndex === totalNum - 1) {
-    endInfo.endPos = -deviceWidth
-    endInfo.endIndex = 1
-  } else if (curIndex === 0) {
-    // if it is last one
-    endInfo.endPos = -(totalNum - 2) * deviceWidth
-    endInfo.endIndex = totalNum - 2
-  } else {
-    endInfo.endPos = endPos
+  /**
+   * 支持通过 m-bind:index 切换，index 从 1 开始计数
+   *
+   * @param {number} prev 之前的值
+   * @param {number} next 新的值
+   */
+  handleIndexChange (prev, next) {
+    let index = Math.floor(next) - 1
+    index !== this.index && this.interact(() => this.go(index))
   }
-  return endInfo
-}
 
-// changeIndicatorStyle
-function changeIndicatorStyle (startDot, endDot, className) {
-  removeClass(startDot, className)
-  addClass(endDot, className)
-}
+  build () {
+    // 轮播中的元素由组件按当前位置加载，不随视口自动加载
+    resources.setOwner(this.element, this.element)
+
+    this.playing = this.props.autoplay
+
+    // 跳转索引
+    this.addEventAction('go', (e, num) => this.interact(() => this.go(parseInt(num, 10) - 1)))
+    this.addEventAction('next', () => this.interact(() => this.next()))
+    this.addEventAction('prev', () => this.interact(() => this.prev()))
+    this.addEventAction('play', () => {
+      this.playing = true
+      this.startAutoplay()
+    })
+    this.addEventAction('pause', () => {
+      this.playing = false
+      this.stopAutoplay()
+    })
+
+    let {id, scope} = this.props
+    if (id && scope) {
+      // 其他地方修改了当前下标时，同步到组件
+      MIP.watch(`${id}.index`, value => {
+        typeof value === 'number' && value - 1 !== this.index && this.interact(() => this.go(value - 1))
+      })
+    }
+  }
 
-class MIPCarousel extends CustomElement {
-  /* eslint-disable fecs-max-statements */
   layoutCallback () {
     let ele = this.element
-    let self = this
-    let eleWidth = ele.clientWidth
+    let items = ele.getRealChildNodes().filter(node => node.nodeType === 1)
 
-    let dotItems = []
+    // 没有子元素时，不做任何处理
+    if (!items.length) {
+      return Promise.resolve()
+    }
 
-    // 获取用户填写属性
-    // 是否自动播放
-    let isAutoPlay = ele.hasAttribute('autoplay')
+    let {slidesPerView, loop, index} = this.props
+    this.perView = slidesPerView > 0 ? slidesPerView : 1
+    this.loop = loop && items.length > Math.ceil(this.perView)
+    this.rtl = window.getComputedStyle(ele, null).direction === 'rtl'
+    this.sign = this.rtl ? -1 : 1
+    ele.classList.toggle('mip-carousel-rtl', this.rtl)
 
-    // 图片间隔时长默认为4000
-    let isDefer = ele.getAttribute('defer')
+    let carouselBox = createTagWithClass(carouselParas.boxClass)
+    this.wrapBox = createTagWithClass(carouselParas.wrapBoxClass)
+
+    this.slides = items.map(item => {
+      let slide = createTagWithClass(carouselParas.slideBox)
+      css(slide, 'width', 100 / this.perView + '%')
+      slide.appendChild(item)
+      this.wrapBox.appendChild(slide)
+      resources.setOwner(slide, ele)
+
+      this.applyFillContent(item, true)
+      let allImgs = item.querySelectorAll('mip-img')
+      for (let idx = 0; idx < allImgs.length; idx++) {
+        this.applyFillContent(allImgs[idx], true)
+      }
+      return {slide, item, v: null}
+    })
 
-    let isDeferNum = isDefer || 4000
+    carouselBox.appendChild(this.wrapBox)
+    ele.appendChild(carouselBox)
+    // slide 以外的子元素（如 placeholder）随轮播一起加载
+    resources.layoutElement(ele)
+
+    this.measure()
+    // 初始化时不触发切换事件，MIP 数据中已存在的下标优先于 index 属性
+    let stored = this.getStoredState()
+    let start = Math.floor(stored === undefined ? index : stored) - 1
+    start = Math.min(Math.max(start, 0), this.slides.length - 1) || 0
+    this.index = mod(Math.round(this.clamp(start)), this.slides.length)
+    this.slideTo(start, false)
+    this.saveState()
+
+    if (this.props.indicator) {
+      this.createIndicator()
+    }
+    if (ele.hasAttribute('buttonController')) {
+      this.createButtons()
+    }
+    if (ele.hasAttribute('indicatorId')) {
+      this.bindDots(ele.getAttribute('indicatorId'))
+    }
+    this.updateIndicators()
 
-    // 分页显示器
-    let showPageNum = ele.hasAttribute('indicator')
+    if (this.props.autoheight) {
+      changeCarouselHeight(ele, this.slides[this.index].slide, 0)
+    }
 
-    // 翻页按钮
-    let showBtn = ele.hasAttribute('buttonController')
+    this.wrapBox.addEventListener('touchstart', this.touchstartHandler, false)
+    this.wrapBox.addEventListener('touchmove', this.touchmoveHandler, false)
+    this.wrapBox.addEventListener('touchend', this.touchendHandler, false)
+    this.wrapBox.addEventListener('touchcancel', this.touchendHandler, false)
 
-    // 翻页按钮
-    let indicatorId = ele.getAttribute('indicatorId')
+    // 打开 popup 时暂停轮播
+    ele.addEventListener('open-popup', e => {
+      e.stopPropagation()
+      this.stopAutoplay()
+    })
 
-    // 跳转索引
-    let index = ele.getAttribute('index')
+    // 关闭 popup 时继续轮播
+    ele.addEventListener('close-popup', e => {
+      e.stopPropagation()
+      this.startAutoplay()
+    })
 
-    let indexNum = parseInt(index) || 1
+    // 横竖屏兼容处理
+    viewport.on('resize', this.resizeHandler)
 
-    // Gesture锁
-    let slideLock = {
-      stop: 1
-    }
+    this.startAutoplay()
+    return Promise.resolve()
+  }
 
-    // btn按钮手势锁
-    let btnLock = {
-      stop: 1
-    }
+  disconnectedCallback () {
+    this.stopAutoplay()
+    this.stopAnimation()
+    viewport.off('resize', this.resizeHandler)
+  }
 
-    // 缓存上一次手势位置
-    let prvGestureClientx = 0
+  /**
+   * 读取写在 MIP 数据中的当前下标
+   *
+   * @return {number|undefined} 下标，从 1 开始计数
+   */
+  getStoredState () {
+    let {id, scope} = this.props
+    if (id && scope) {
+      let value = MIP.getData(`${id}.index`)
+      return typeof value === 'number' ? value : undefined
+    }
+  }
 
-    // 缓存当前值轮播位置
-    let curGestureClientx = -eleWidth
+  /**
+   * 将当前下标写入 MIP 数据，写入的字段为 id.index，从 1 开始计数
+   */
+  saveState () {
+    let {id, scope} = this.props
+    if (id && scope) {
+      MIP.setData({[id]: {index: this.index + 1}})
+    }
+  }
 
-    // 当前图片显示索引
-    // let imgIndex = 1
-    let imgIndex = indexNum
+  /**
+   * 读取 carousel 宽度，计算 slide 宽度
+   */
+  measure () {
+    this.width = this.element.clientWidth
+    this.slideWidth = this.width / this.perView
+  }
 
-    // 定时器时间hold
-    let moveInterval
+  /**
+   * 非 loop 模式下可以停留的位置范围，非 centered 模式下最后一屏不留空白
+   *
+   * @return {Array.<number>} [min, max]
+   */
+  getBounds () {
+    let total = this.slides.length
+    return this.props.centered
+      ? [0, total - 1]
+      : [0, Math.max(0, total - this.perView)]
+  }
 
-    // 禁止左右滑动配置
-    let startPos = {}
-    let endPos = {}
-    let isScrolling = 0
+  /**
+   * 将位置限制在可停留的范围内
+   *
+   * @param {number} position 位置
+   * @return {number} 限制后的位置
+   */
+  clamp (position) {
+    if (this.loop) {
+      return position
+    }
+    let [min, max] = this.getBounds()
+    return Math.min(Math.max(position, min), max)
+  }
 
-    // 获取carousel下的所有节点
-    let childNodes = getChildNodes(ele)
-    // 获取所有的 src
-    let arraySrc = getAllMipImgSrc(childNodes)
-    childNodes = changeSrc(childNodes, imgIndex, arraySrc)
+  /**
+   * 拖动超出边界时增加阻力
+   *
+   * @param {number} position 位置
+   * @return {number} 处理后的位置
+   */
+  resist (position) {
+    let clamped = this.clamp(position)
+    return clamped + (position - clamped) / 3
+  }
 
-    // 图片显示个数
-    // 其实图片个数应该为实际个数+2.copy了头和尾的两部分
-    let childNum = childNodes.length
+  /**
+   * 可视窗口起点的位置，centered 模式下当前 slide 居中
+   *
+   * @param {number} position 位置
+   * @return {number} 可视窗口起点
+   */
+  getWindowStart (position) {
+    return this.props.centered ? position - (this.perView - 1) / 2 : position
+  }
 
-    // length 等于0时，不做任何处理
-    if (childNum === 0) {
-      return Promise.resolve()
+  /**
+   * 获取可视窗口及前后 NUM 个位置上的 slide 下标
+   *
+   * @param {number} position 位置
+   * @return {Array.<number>} 下标列表
+   */
+  getWindowIndexes (position) {
+    let total = this.slides.length
+    let start = this.getWindowStart(position)
+    let end = Math.ceil(start + this.perView) - 1 + NUM
+    let indexes = []
+    for (let v = Math.floor(start) - NUM; v <= end; v++) {
+      if (!this.loop && (v < 0 || v >= total)) {
+        continue
+      }
+      let i = mod(v, total)
+      indexes.indexOf(i) === -1 && indexes.push(i)
     }
-    // 将getChildNodes获取的元素拼装轮播dom
-    let carouselBox = createTagWithClass(carouselParas.boxClass)
+    return indexes
+  }
 
-    let wrapBox = createTagWithClass(carouselParas.wrapBoxClass)
-
-    childNodes.map(function (ele, i) {
-      let slideBox = createTagWithClass(carouselParas.slideBox)
-      slideBox.appendChild(ele)
-      slideBox.style.width = (100 / childNum) + '%'
-      wrapBox.appendChild(slideBox)
-
-      // 遍历mip-img计算布局
-      self.applyFillContent(ele, true)
-      prerenderElement(ele)
-      // inview callback  bug, TODO
-      // let MIP = window.MIP || {};
-      // 没有对下面的代码进行处理
-      let allImgs = ele.querySelectorAll('mip-img')
-      let len = allImgs.length
-      for (let idx = 0; idx < len; idx++) {
-        self.applyFillContent(allImgs[idx], true)
-        prerenderElement(allImgs[idx])
+  /**
+   * 通过 resources 加载指定的 slide
+   *
+   * @param {Array.<number>} indexes 需要加载的 slide 下标
+   * @param {boolean=} unlayout 是否卸载其余的 slide
+   */
+  layoutSlides (indexes, unlayout) {
+    this.slides.forEach(({slide}, i) => {
+      if (indexes.indexOf(i) > -1) {
+        resources.layoutElement(slide)
+      } else if (unlayout) {
+        resources.unlayoutElement(slide)
       }
     })
+  }
 
-    wrapBox.style.width = childNum * 100 + '%'
-
-    carouselBox.appendChild(wrapBox)
-    ele.appendChild(carouselBox)
+  /**
+   * 按当前位置移动轮播，并排布 slide。
+   * loop 模式下每个 slide 排布到离可视窗口中心最近的位置，不需要复制头尾节点
+   */
+  render () {
+    let total = this.slides.length
+    let offset = this.props.centered ? (this.width - this.slideWidth) / 2 : 0
+    let center = this.getWindowStart(this.position) + this.perView / 2 - 0.5
+
+    css(this.wrapBox, 'transform', `translate3d(${this.sign * (offset - this.position * this.slideWidth)}px, 0px, 0px)`)
+
+    this.slides.forEach((item, i) => {
+      let v = this.loop ? i + total * Math.round((center - i) / total) : i
+      if (item.v !== v) {
+        item.v = v
+        css(item.slide, 'transform', `translate3d(${this.sign * v * 100}%, 0px, 0px)`)
+      }
+    })
+  }
 
-    // 初始渲染时应该改变位置到第一张图
-    // let initPostion = -eleWidth
-    // 初始渲染时如果有跳转索引就改变位置到指定图片
-    let initPostion = index ? -eleWidth * indexNum : -eleWidth
-    curGestureClientx = initPostion
-    prerenderSetSrc(childNodes, indexNum, NUM, arraySrc)
-    wrapBox.style.webkitTransform = 'translate3d(' + initPostion + 'px, 0, 0)'
-    // 针对 autoHeight 需求
-    let autoHeight = ele.hasAttribute('autoheight')
-    if (autoHeight) {
-      initHeight(ele, indexNum)
+  /**
+   * 滑动到指定位置
+   *
+   * @param {number} target 目标位置，loop 模式下超出 [0, slides.length) 表示继续向该方向滑动
+   * @param {boolean=} animate 是否执行动画
+   */
+  slideTo (target, animate = true) {
+    if (!this.slides.length) {
+      return
     }
-    // 绑定wrapBox的手势事件
-    // 手势移动的距离
-    let diffNum = 0
-
-    // 绑定手势点击事件
-    wrapBox.addEventListener('touchstart', function (event) {
-      // 以下兼容横屏时禁止左右滑动
-      let touch = event.targetTouches[0]
-      startPos = {
-        x: touch.pageX,
-        y: touch.pageY,
-        time: Date.now()
-      }
-      isScrolling = 0 // 这个参数判断是垂直滚动还是水平滚动
-
-      // 获取手势点击位置
-      prvGestureClientx = touch.pageX
-      clearInterval(moveInterval)
-    }, false)
-
-    wrapBox.addEventListener('touchmove', function (event) {
-      // 阻止触摸事件的默认行为，即阻止滚屏
-      let touch = event.targetTouches[0]
-      endPos = {
-        x: touch.pageX - startPos.x,
-        y: touch.pageY - startPos.y
+    target = this.clamp(target)
+    this.stopAnimation()
+    this.target = target
+    this.layoutSlides(this.getWindowIndexes(target))
+    this.setIndex(mod(Math.round(target), this.slides.length))
+
+    let from = this.position
+    if (!animate || from === target) {
+      this.position = target
+      this.settle()
+      return
+    }
+
+    let id = this.animationId
+    let start = Date.now()
+    let duration = this.props.duration
+    let step = () => {
+      if (id !== this.animationId) {
+        return
       }
-      isScrolling = Math.abs(endPos.x) < Math.abs(endPos.y) ? 1 : 0 // isScrolling为1时，表示纵向滑动，0为横向滑动
-      if (isScrolling === 0) {
-        event.preventDefault()
+      let t = Math.min((Date.now() - start) / duration, 1)
+      this.position = from + (target - from) * easeOut(t)
+      if (t < 1) {
+        this.render()
+        raf(step)
+      } else {
+        this.settle()
       }
+    }
+    raf(step)
+  }
 
-      // 获取手指移动的距离
-      diffNum = event.targetTouches[0].pageX - prvGestureClientx
-
-      // 外框同步运动
-      translateFn(diffNum + curGestureClientx, '0ms', wrapBox)
-
-      // 滚动手势锁 正在滑动
-      slideLock.stop = 0
-    }, false)
-
-    wrapBox.addEventListener('touchend', function (event) {
-      //  只有滑动之后才会触发
-      if (!slideLock.stop) {
-        let startIdx = imgIndex
-        let endIdx = startIdx
-        // 如果大于设定阈值
-        if (Math.abs(diffNum) > eleWidth * carouselParas.threshold) {
-          endIdx = (diffNum > 0) ? imgIndex - 1 : imgIndex + 1
-        }
-        move(wrapBox, startIdx, endIdx)
-        slideLock.stop = 1
-      }
+  /**
+   * 停止滑动动画
+   */
+  stopAnimation () {
+    this.animationId++
+  }
 
-      // 如果存在自动则调用自动轮播
-      if (isAutoPlay) {
-        clearInterval(moveInterval)
-        autoPlay()
-      }
-    }, false)
+  /**
+   * 滑动结束，loop 模式下将位置归一到 [0, slides.length)，并卸载可视窗口外的 slide
+   */
+  settle () {
+    if (this.loop) {
+      this.position = mod(this.position, this.slides.length)
+      this.target = this.position
+    }
+    this.render()
+    this.layoutSlides(this.getWindowIndexes(this.position), true)
+  }
 
-    // 打开 popup 时暂停轮播
-    ele.addEventListener('open-popup', e => {
-      e.stopPropagation()
-      clearInterval(moveInterval)
-    })
+  /**
+   * 切换到指定下标的 slide，loop 模式下沿较近的方向滑动
+   *
+   * @param {number} index slide 下标，从 0 开始
+   * @param {boolean=} animate 是否执行动画
+   */
+  go (index, animate) {
+    let total = this.slides.length
+    if (!(index >= 0 && index < total)) {
+      return
+    }
+    let target = index
+    if (this.loop) {
+      target = index + total * Math.round((this.position - index) / total)
+    }
+    this.slideTo(target, animate)
+  }
 
-    // 关闭 popup 时继续轮播
-    ele.addEventListener('close-popup', e => {
-      e.stopPropagation()
-      /* istanbul ignore if */
-      if (isAutoPlay) {
-        autoPlay()
-      }
-    })
+  /**
+   * 切换到下一个 slide
+   */
+  next () {
+    this.slideTo(Math.round(this.target) + 1)
+  }
 
-    // 自动轮播
-    if (isAutoPlay) {
-      autoPlay()
+  /**
+   * 切换到上一个 slide
+   */
+  prev () {
+    this.slideTo(Math.round(this.target) - 1)
+  }
+
+  /**
+   * 更新当前下标，同步指示器、高度和 MIP 数据，并触发 slideChange 和 switchCompleted 事件
+   *
+   * @param {number} index slide 下标
+   */
+  setIndex (index) {
+    if (index === this.index) {
+      return
     }
+    let previous = this.index
+    this.index = index
+    this.updateIndicators()
+    this.saveState()
+
+    if (this.props.autoheight) {
+      changeCarouselHeight(this.element, this.slides[index].slide, 0.3)
+    }
+
+    viewer.eventAction.execute('slideChange', this.element, {
+      index: index + 1,
+      previous: previous + 1,
+      total: this.slides.length
+    })
+    viewer.eventAction.execute('switchCompleted', this.element, {
+      currIndex: index + 1,
+      currCarouselItem: this.slides[index].item,
+      carouselChildrenLength: this.slides.length
+    })
+  }
 
-    // 指示器
-    if (showPageNum) {
-      indicator()
+  /**
+   * 用户操作时暂停自动轮播，操作后重新计时
+   *
+   * @param {Function} fn 操作
+   */
+  interact (fn) {
+    this.stopAutoplay()
+    fn()
+    this.startAutoplay()
+  }
+
+  startAutoplay () {
+    this.stopAutoplay()
+    if (this.playing && this.slides.length > 1) {
+      // 非 loop 模式下到达末尾时回到第一个
+      this.timer = setInterval(() => {
+        !this.loop && this.target >= this.getBounds()[1] ? this.go(0) : this.next()
+      }, this.props.defer)
     }
+  }
+
+  stopAutoplay () {
+    clearInterval(this.timer)
+    this.timer = null
+  }
+
+  /**
+   * 创建数字指示器
+   */
+  createIndicator () {
+    let indicatorBox = createTagWithClass('mip-carousel-indicatorbox')
+    let indicatorBoxWrap = createTagWithClass('mip-carousel-indicatorBoxwrap', 'p')
+    let indicatorAllNum = createTagWithClass('', 'span')
+    this.indicatorNow = createTagWithClass('mip-carousel-indicatornow', 'span')
+    indicatorAllNum.innerHTML = '/' + this.slides.length
+    indicatorBoxWrap.appendChild(this.indicatorNow)
+    indicatorBoxWrap.appendChild(indicatorAllNum)
+    indicatorBox.appendChild(indicatorBoxWrap)
+    this.element.appendChild(indicatorBox)
+  }
+
+  /**
+   * 创建左右翻页按钮
+   */
+  createButtons () {
+    let preBtn = createTagWithClass('mip-carousel-preBtn', 'p')
+    let nextBtn = createTagWithClass('mip-carousel-nextBtn', 'p')
+    preBtn.addEventListener('click', () => this.interact(() => this.prev()), false)
+    nextBtn.addEventListener('click', () => this.interact(() => this.next()), false)
+    this.element.appendChild(preBtn)
+    this.element.appendChild(nextBtn)
+  }
 
-    // 控制按钮
-    if (showBtn) {
-      cratebutton()
+  /**
+   * 关联圆点指示器，个数与 slide 不一致时隐藏指示器
+   *
+   * @param {string} domId 指示器 id
+   */
+  bindDots (domId) {
+    let indicDom = document.getElementById(domId)
+    if (!indicDom) {
+      return
     }
+    let dotItems = [...indicDom.children]
+    if (dotItems.length !== this.slides.length) {
+      indicDom.classList.add('mip-hide')
+      return
+    }
+    dotItems.forEach((dot, i) => {
+      dot.addEventListener('click', () => this.interact(() => this.go(i)))
+    })
+    this.dotItems = dotItems
+  }
 
-    // 是否关联indicator
-    if (indicatorId) {
-      indicatorDot(indicatorId)
+  /**
+   * 同步数字指示器和圆点指示器
+   */
+  updateIndicators () {
+    if (this.indicatorNow) {
+      this.indicatorNow.innerHTML = this.index + 1
     }
+    this.dotItems.forEach((dot, i) => dot.classList.toggle(carouselParas.activeitem, i === this.index))
+  }
 
-    // 自动轮播
-    function autoPlay () {
-      moveInterval = setInterval(function () {
-        move(wrapBox, imgIndex, imgIndex + 1)
-      }, isDeferNum)
+  touchstartHandler (e) {
+    let touch = e.targetTouches[0]
+    this.slideWidth || this.measure()
+    this.stopAnimation()
+    this.stopAutoplay()
+    if (this.loop) {
+      let shift = this.position - mod(this.position, this.slides.length)
+      this.position -= shift
+      this.target -= shift
+    }
+    this.touch = {
+      x: touch.pageX,
+      y: touch.pageY,
+      position: this.position,
+      // 首次移动时确定是水平拖动还是垂直滚动
+      dragging: null,
+      dx: 0,
+      lastX: touch.pageX,
+      lastTime: Date.now(),
+      velocity: 0
     }
+  }
 
-    // 创建指示器
-    function indicator () {
-      let indicatorBox = createTagWithClass('mip-carousel-indicatorbox')
-      let indicatorBoxWrap = createTagWithClass('mip-carousel-indicatorBoxwrap', 'p')
-      let indicatorNow = createTagWithClass('mip-carousel-indicatornow', 'span')
-      let indicatorAllNum = createTagWithClass('', 'span')
-      indicatorAllNum.innerHTML = '/' + (childNum - 2)
-      indicatorNow.innerHTML = imgIndex
-      indicatorBoxWrap.appendChild(indicatorNow)
-      indicatorBoxWrap.appendChild(indicatorAllNum)
-      indicatorBox.appendChild(indicatorBoxWrap)
-      ele.appendChild(indicatorBox)
+  touchmoveHandler (e) {
+    let touch = this.touch
+    if (!touch) {
+      return
     }
+    let point = e.targetTouches[0]
+    let dx = point.pageX - touch.x
+    let dy = point.pageY - touch.y
 
-    // 指示器数字变化
-    function indicatorChange (idx) {
-      if (!showPageNum) {
+    if (touch.dragging === null) {
+      if (!dx && !dy) {
         return
       }
-      let indicatorNow = ele.querySelector('.mip-carousel-indicatornow')
-      indicatorNow.innerHTML = idx
+      touch.dragging = Math.abs(dx) >= Math.abs(dy)
+    }
+    if (!touch.dragging) {
+      return
     }
 
-    // 创建左右轮播切换btn
-    function cratebutton () {
-      let preBtn = document.createElement('p')
-      preBtn.className = 'mip-carousel-preBtn'
-      let nextBtn = document.createElement('p')
-      nextBtn.className = 'mip-carousel-nextBtn'
+    // 阻止触摸事件的默认行为，即阻止滚屏
+    e.preventDefault()
 
-      ele.appendChild(preBtn)
-      ele.appendChild(nextBtn)
-      bindBtn()
-    }
+    let now = Date.now()
+    touch.velocity = (point.pageX - touch.lastX) / Math.max(now - touch.lastTime, 1)
+    touch.lastX = point.pageX
+    touch.lastTime = now
+    touch.dx = dx
+
+    this.position = this.resist(touch.position - this.sign * dx / this.slideWidth)
+    this.render()
+    this.layoutSlides(this.getWindowIndexes(this.position))
+  }
 
-    // 绑定按钮切换事件
-    function bindBtn () {
-      ele.querySelector('.mip-carousel-preBtn').addEventListener('click', function (event) {
-        /* istanbul ignore if */
-        if (!btnLock.stop) {
-          return
-        }
-
-        btnLock.stop = 0
-
-        imgIndex = imgIndex - 1
-
-        clearInterval(moveInterval)
-        move(wrapBox, imgIndex + 1, imgIndex)
-        if (isAutoPlay) {
-          autoPlay()
-        }
-      }, false)
-
-      ele.querySelector('.mip-carousel-nextBtn').addEventListener('click', function (event) {
-        /* istanbul ignore if */
-        if (!btnLock.stop) {
-          return
-        }
-
-        btnLock.stop = 0
-
-        imgIndex = imgIndex + 1
-        clearInterval(moveInterval)
-        move(wrapBox, imgIndex - 1, imgIndex)
-        if (isAutoPlay) {
-          autoPlay()
-        }
-      }, false)
+  touchendHandler () {
+    let touch = this.touch
+    if (!touch) {
+      return
     }
+    this.touch = null
 
-    // 图片滑动处理与手势滑动函数endPosition为最终距离,Duration变换时间
-    function move (wrapBox, startIdx, endIdx, Duration) {
-      /* istanbul ignore if */
-      if (!wrapBox) {
-        return
-      }
-      // 双保险，确认位移的是 ele 的 width
-      if (eleWidth !== ele.clientWidth) {
-        eleWidth = ele.clientWidth
-      }
-      imgIndex = endIdx
-      let endPosition = -eleWidth * endIdx
-      if (Duration) {
-        translateFn(endPosition, '0ms', wrapBox)
-        wrapBox.style.transitionDuration = '0ms'
-      } else {
-        translateFn(endPosition, '300ms', wrapBox)
-        wrapBox.style.transitionDuration = '300ms'
-      }
-      // resetPosAndIdx
-      let posIdxObj = resetPosAndIdx(imgIndex, childNum, eleWidth, endPosition)
-      curGestureClientx = posIdxObj.endPos
-      endIdx = posIdxObj.endIndex
-      imgIndex = endIdx
-
-      // 如果有指示器，需更新选中位置的样式
-      if (dotItems.length > 0) {
-        changeIndicatorStyle(dotItems[startIdx - 1], dotItems[endIdx - 1], carouselParas.activeitem)
-      }
-      // 如果切换了坐标，需要在动画结束后重置translatex位置
-      if (curGestureClientx !== endPosition) {
-        setTimeout(function () {
-          translateFn(curGestureClientx, '0ms', wrapBox)
-          btnLock.stop = 1
-        }, 400)
-      }
-      btnLock.stop = 1
-      indicatorChange(imgIndex)
-      viewer.eventAction.execute('switchCompleted', ele, {
-        currIndex: imgIndex,
-        currCarouselItem: childNodes[imgIndex],
-        carouselChildrenLength: childNum
-      })
-      // 加载需要的图片
-      prerenderSetSrc(childNodes, imgIndex, NUM, arraySrc)
-      // autoHeight
-      if (autoHeight) {
-        let time = 0.3
-        if (Duration) time = 0
-        changeCarouselHeight(wrapBox.parentNode.parentNode, imgIndex, time)
-      }
+    if (touch.dragging) {
+      this.slideTo(this.getTouchTarget(touch))
+    } else if (this.position !== this.target) {
+      // 拖动前打断了滑动动画，继续滑到目标位置
+      this.slideTo(this.target)
     }
+    this.startAutoplay()
+  }
 
-    // 处理圆点型指示器
-    function indicatorDot (domId) {
-      let indicDom = document.getElementById(domId)
-      if (!indicDom) {
-        return
-      }
-      dotItems = indicDom.children
-      let dotLen = dotItems.length
-
-      if (index) {
-        // 清除DOM中预先设置的mip-carousel-activeitem类
-        dotItems = Array.prototype.slice.call(dotItems)
-        dotItems.forEach(dotItem => {
-          removeClass(dotItem, carouselParas.activeitem)
-        })
-        addClass(dotItems[imgIndex - 1], carouselParas.activeitem)
-      }
+  /**
+   * 计算松手后滑向的位置
+   *
+   * @param {Object} touch 触摸信息
+   * @return {number} 目标位置
+   */
+  getTouchTarget (touch) {
+    let {freeScroll, snap} = this.props
+
+    // 自由滑动：按松手时的速度继续滑动一段距离，snap 时对齐到最近的 slide
+    if (freeScroll) {
+      let target = this.position - this.sign * touch.velocity * MOMENTUM_TIME / this.slideWidth
+      return snap ? Math.round(target) : target
+    }
 
-      if (dotLen === childNum - 2) {
-        for (let i = 0; i < dotLen; i++) {
-          dotItems[i].count = i
-          dotItems[i].addEventListener('click', function (event) {
-            let count = this.count
-            clearInterval(moveInterval)
-            move(wrapBox, imgIndex, count + 1)
-            if (isAutoPlay) {
-              autoPlay()
-            }
-          })
-        }
-      } else {
-        // 若个数不匹配，则隐藏掉indicator
-        addClass(indicDom, 'mip-hide')
-        dotItems = []
-      }
+    let start = Math.round(touch.position)
+    let moved = this.position - start
+    let target = Math.round(this.position)
+    let flick = Math.abs(touch.velocity) > FLICK_VELOCITY && Math.abs(touch.dx) > FLICK_DISTANCE
+    if (target === start && (Math.abs(moved) > carouselParas.threshold || flick)) {
+      target = start + (moved > 0 ? 1 : -1)
     }
-    // 横竖屏兼容处理
-    window.addEventListener('resize', function () {
-      eleWidth = ele.clientWidth
-      move(wrapBox, imgIndex, imgIndex, '0ms')
-    }, false)
+    return target
+  }
 
-    // 跳转索引
-    this.addEventAction('go', function (event, num) {
-      clearInterval(moveInterval)
-      move(wrapBox, imgIndex, parseInt(num))
-      if (isAutoPlay) {
-        autoPlay()
-      }
-    })
-    return Promise.resolve()
+  resizeHandler () {
+    this.measure()
+    this.slideTo(this.target, false)
+  }
+}
+
+MIPCarousel.props = {
+  id: {
+    type: String,
+    default: ''
+  },
+  scope: {
+    type: Boolean,
+    default: false
+  },
+  autoplay: {
+    type: Boolean,
+    default: false
+  },
+  defer: {
+    type: Number,
+    default: 4000
+  },
+  indicator: {
+    type: Boolean,
+    default: false
+  },
+  index: {
+    type: Number,
+    default: 1
+  },
+  autoheight: {
+    type: Boolean,
+    default: false
+  },
+  slidesPerView: {
+    type: Number,
+    default: 1
+  },
+  centered: {
+    type: Boolean,
+    default: false
+  },
+  loop: {
+    type: Boolean,
+    default: true
+  },
+  freeScroll: {
+    type: Boolean,
+    default: false
+  },
+  snap: {
+    type: Boolean,
+    default: false
+  },
+  duration: {
+    type: Number,
+    default: 300
   }
 }
 
@@ -0,0 +1,67 @@
+/**
+ * @file mip-consent 用户授权组件，记录用户是否同意，并在同意前阻止设置了 data-block-on-consent 的元素加载
+ * @author sfe-sy (sfe-sy@baidu.com)
+ */
+
+import CustomElement from '../custom-element'
+import Services, {CONSENT_STATE} from '../services/index'
+import viewer from '../viewer'
+
+class MipConsent extends CustomElement {
+  build () {
+    /**
+     * 授权状态服务
+     * @type {Consent}
+     */
+    this.consent = Services.consent()
+
+    // 选择与之前相同时状态不会变化，需要直接隐藏授权 UI
+    this.addEventAction('accept', () => {
+      this.consent.accept()
+      this.togglePrompt(false)
+    })
+    this.addEventAction('reject', () => {
+      this.consent.reject()
+      this.togglePrompt(false)
+    })
+    // 重新展示授权 UI，用于用户修改之前的选择
+    this.addEventAction('prompt', () => this.togglePrompt(true))
+
+    this.unlisten = this.consent.onChange(state => {
+      this.update(state)
+      viewer.eventAction.execute(state === CONSENT_STATE.ACCEPTED ? 'accepted' : 'rejected', this.element, {state})
+    })
+
+    // 读取已存储的选择，没有选择时展示授权 UI
+    this.update(this.consent.require())
+  }
+
+  /**
+   * 根据授权状态更新元素的 state 属性和授权 UI
+   *
+   * @param {string} state 授权状态
+   */
+  update (state) {
+    this.element.setAttribute('state', state)
+    this.togglePrompt(state === CONSENT_STATE.UNKNOWN)
+  }
+
+  /**
+   * 展示或隐藏 [ui] 子元素
+   *
+   * @param {boolean} show 是否展示
+   */
+  togglePrompt (show) {
+    this.element.classList.toggle('mip-consent-prompt', show)
+  }
+
+  disconnectedCallback () {
+    this.unlisten && this.unlisten()
+  }
+
+  prerenderAllowed () {
+    return true
+  }
+}
+
+export default MipConsent
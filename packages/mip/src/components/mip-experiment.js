@@ -0,0 +1,27 @@
+/**
+ * @file mip-experiment 前端实验组件，按 JSON 配置中的权重为用户分组
+ * @author sfe-sy (sfe-sy@baidu.com)
+ */
+
+/* global MIP */
+
+import CustomElement from '../custom-element'
+import viewer from '../viewer'
+import {applyPageExperiments} from '../experiment/index'
+
+class MipExperiment extends CustomElement {
+  build () {
+    // MIP 初始化时已经完成分组，这里读取分组结果，并处理之后插入页面的 <mip-experiment>
+    let variants = applyPageExperiments(this.element)
+
+    // 分组结果可以通过 MIP.getData('experiment.实验名') 获取
+    MIP.setData({experiment: variants})
+    viewer.eventAction.execute('assigned', this.element, {variants})
+  }
+
+  prerenderAllowed () {
+    return true
+  }
+}
+
+export default MipExperiment
@@ -0,0 +1,405 @@
+/**
+ * @file mip-form 表单组件，拦截表单提交并通过 fetch 发送请求，支持字段校验及提交结果模板渲染
+ * @author sfe-sy (sfe-sy@baidu.com)
+ */
+
+/* global fetch */
+/* global FormData */
+/* global MIP */
+
+import CustomElement from '../custom-element'
+import templates from '../util/templates'
+import log from '../util/log'
+import {customEmit} from '../util/custom-event'
+import viewer from '../viewer'
+import {timeout} from './mip-bind/util'
+import {DOM_CHANGE_EVENT} from './mip-bind/init'
+
+const logger = log('MIP-form')
+
+/**
+ * 提交状态对应的 class
+ *
+ * @const
+ * @type {Object}
+ */
+const STATE_CLASS = {
+  submitting: 'mip-form-submitting',
+  success: 'mip-form-submit-success',
+  error: 'mip-form-submit-error'
+}
+
+const INVALID_CLASS = 'mip-form-invalid'
+const ERROR_CLASS = 'mip-form-error'
+
+/**
+ * 各类校验失败时的默认提示文案，可通过字段上的 `${type}-message` 属性覆盖，
+ * 如 required-message="请填写手机号"
+ *
+ * @const
+ * @type {Object}
+ */
+const VALIDITY_MESSAGES = {
+  valueMissing: ['required', '请填写此字段'],
+  typeMismatch: ['type', '格式不正确'],
+  patternMismatch: ['pattern', '格式不正确'],
+  tooShort: ['minlength', '长度不足'],
+  tooLong: ['maxlength', '长度超出限制'],
+  rangeUnderflow: ['min', '数值过小'],
+  rangeOverflow: ['max', '数值过大'],
+  stepMismatch: ['step', '数值不符合要求']
+}
+
+/**
+ * 将表单字段序列化为 [[name, value]] 的形式，规则与浏览器原生提交保持一致
+ *
+ * @param {HTMLFormElement} form 表单元素
+ * @return {Array.<Array.<string>>} 字段列表
+ */
+export function serialize (form) {
+  let fields = []
+
+  for (let field of [...form.elements]) {
+    let {name, type, disabled} = field
+
+    if (!name || disabled || type === 'file' || type === 'submit' ||
+      type === 'button' || type === 'reset') {
+      continue
+    }
+
+    if ((type === 'checkbox' || type === 'radio') && !field.checked) {
+      continue
+    }
+
+    if (type === 'select-multiple') {
+      for (let option of [...field.options]) {
+        option.selected && fields.push([name, option.value])
+      }
+      continue
+    }
+
+    fields.push([name, field.value])
+  }
+
+  return fields
+}
+
+class MIPForm extends CustomElement {
+  constructor (...args) {
+    super(...args)
+
+    /**
+     * 表单元素
+     * @type {HTMLFormElement}
+     */
+    this.form = null
+
+    /**
+     * 是否正在提交
+     * @type {boolean}
+     */
+    this.submitting = false
+  }
+
+  build () {
+    this.form = this.element.querySelector('form')
+
+    // 兼容直接将表单字段写在 <mip-form> 内的写法
+    if (!this.form) {
+      this.form = document.createElement('form')
+      while (this.element.firstChild) {
+        this.form.appendChild(this.element.firstChild)
+      }
+      this.element.appendChild(this.form)
+    }
+
+    // 由组件接管校验及错误展示
+    this.form.setAttribute('novalidate', '')
+
+    for (let el of [...this.element.querySelectorAll('[submit-success],[submit-error]')]) {
+      el.setAttribute('hidden', '')
+    }
+
+    this.form.addEventListener('submit', e => {
+      e.preventDefault()
+      this.submit()
+    })
+
+    // 已经标记为错误的字段在输入时重新校验
+    this.form.addEventListener('input', e => {
+      let field = e.target
+      if (field.classList && field.classList.contains(INVALID_CLASS)) {
+        this.validateField(field)
+      }
+    })
+
+    this.addEventAction('submit', () => this.submit())
+    this.addEventAction('reset', () => {
+      this.reset()
+    })
+  }
+
+  /**
+   * 校验全部字段
+   *
+   * @return {boolean} 是否校验通过
+   */
+  validate () {
+    let valid = true
+    let firstInvalid
+
+    for (let field of [...this.form.elements]) {
+      if (!this.validateField(field)) {
+        valid = false
+        firstInvalid = firstInvalid || field
+      }
+    }
+
+    firstInvalid && firstInvalid.focus()
+    return valid
+  }
+
+  /**
+   * 校验单个字段，并展示或清除该字段的错误提示
+   *
+   * @param {HTMLElement} field 表单字段
+   * @return {boolean} 是否校验通过
+   */
+  validateField (field) {
+    if (!field.willValidate || field.checkValidity()) {
+      this.setFieldError(field, '')
+      return true
+    }
+
+    this.setFieldError(field, this.getValidationMessage(field))
+    return false
+  }
+
+  /**
+   * 获取字段校验失败的提示文案
+   *
+   * @param {HTMLElement} field 表单字段
+   * @return {string} 提示文案
+   */
+  getValidationMessage (field) {
+    let validity = field.validity
+
+    for (let key of Object.keys(VALIDITY_MESSAGES)) {
+      if (validity[key]) {
+        let [attr, defaultMessage] = VALIDITY_MESSAGES[key]
+        return field.getAttribute(`${attr}-message`) ||
+          field.getAttribute('validation-message') ||
+          defaultMessage
+      }
+    }
+
+    return field.getAttribute('validation-message') || field.validationMessage
+  }
+
+  /**
+   * 设置字段的错误提示，错误提示展示在 [validation-for="字段名"] 元素中，
+   * 没有该元素时在字段后自动创建
+   *
+   * @param {HTMLElement} field 表单字段
+   * @param {string} message 错误提示，为空时清除错误状态
+   */
+  setFieldError (field, message) {
+    let name = field.name || field.id
+    let errorEl = name && this.form.querySelector(`[validation-for="${name}"]`)
+
+    if (!errorEl && message) {
+      errorEl = document.createElement('div')
+      errorEl.classList.add(ERROR_CLASS)
+      name && errorEl.setAttribute('validation-for', name)
+      field.parentNode.insertBefore(errorEl, field.nextSibling)
+    }
+
+    field.classList.toggle(INVALID_CLASS, !!message)
+
+    if (message) {
+      field.setAttribute('aria-invalid', 'true')
+      errorEl.textContent = message
+      errorEl.removeAttribute('hidden')
+    } else {
+      field.removeAttribute('aria-invalid')
+      if (errorEl) {
+        errorEl.textContent = ''
+        errorEl.setAttribute('hidden', '')
+      }
+    }
+  }
+
+  /**
+   * 校验并提交表单
+   */
+  async submit () {
+    if (this.submitting || !this.validate()) {
+      return
+    }
+
+    this.setState('submitting')
+    viewer.eventAction.execute('submit', this.element, {})
+
+    let response
+    try {
+      response = await this.request()
+    } catch (e) {
+      logger.error(e)
+      this.setState('error')
+      await this.renderResult('error', {error: e.message})
+      viewer.eventAction.execute('submit-error', this.element, {error: e.message})
+      return
+    }
+
+    this.setState('success')
+    this.assign(response)
+    await this.renderResult('success', response)
+    viewer.eventAction.execute('submit-success', this.element, {response})
+  }
+
+  /**
+   * 发送请求，method 为 get 时将字段拼接到 url 上，否则以 FormData 的形式 post
+   *
+   * @async
+   * @return {Object} 服务端返回的 json 数据
+   */
+  request () {
+    let {url, method, credentials, timeout: time} = this.props
+    url = url || this.form.getAttribute('action')
+    method = (method || this.form.getAttribute('method') || 'get').toUpperCase()
+
+    if (!url) {
+      return Promise.reject(Error('mip-form requires url'))
+    }
+
+    let options = {method, credentials}
+
+    if (method === 'GET') {
+      let query = serialize(this.form)
+        .map(([name, value]) => `${encodeURIComponent(name)}=${encodeURIComponent(value)}`)
+        .join('&')
+      if (query) {
+        url += (url.indexOf('?') > -1 ? '&' : '?') + query
+      }
+    } else {
+      options.body = new FormData(this.form)
+    }
+
+    return Promise.race([
+      fetch(url, options),
+      timeout(time)
+    ]).then(res => {
+      if (!res.ok) {
+        throw Error(`Fetch request failed: ${url}`)
+      }
+      return res.json()
+    })
+  }
+
+  /**
+   * 将服务端返回的数据写入 MIP 数据仓库
+   *
+   * @param {Object} data 数据
+   */
+  assign (data) {
+    let {id, scope} = this.props
+    MIP.setData(id && scope ? {[id]: data} : data)
+  }
+
+  /**
+   * 使用 [submit-success] / [submit-error] 元素中的模板渲染提交结果
+   *
+   * @param {string} type success 或 error
+   * @param {Object} data 模板数据
+   */
+  async renderResult (type, data) {
+    let container = this.element.querySelector(`[submit-${type}]`)
+    let other = this.element.querySelector(`[submit-${type === 'success' ? 'error' : 'success'}]`)
+
+    other && other.setAttribute('hidden', '')
+
+    if (!container) {
+      return
+    }
+
+    let result = container.querySelector('.mip-form-result')
+    if (!result) {
+      result = document.createElement('div')
+      result.classList.add('mip-form-result')
+      container.appendChild(result)
+    }
+
+    if (container.querySelector('template')) {
+      try {
+        result.innerHTML = (await templates.render(container, data)) || ''
+        customEmit(document, DOM_CHANGE_EVENT, {add: [result]})
+      } catch (e) {
+        logger.error(e)
+      }
+    }
+
+    container.removeAttribute('hidden')
+  }
+
+  /**
+   * 切换表单的提交状态
+   *
+   * @param {string} state submitting/success/error
+   */
+  setState (state) {
+    this.submitting = state === 'submitting'
+    for (let key of Object.keys(STATE_CLASS)) {
+      this.element.classList.toggle(STATE_CLASS[key], key === state)
+    }
+  }
+
+  /**
+   * 重置表单字段、错误提示及提交状态
+   */
+  reset () {
+    this.form.reset()
+    for (let field of [...this.form.elements]) {
+      this.setFieldError(field, '')
+    }
+    for (let key of Object.keys(STATE_CLASS)) {
+      this.element.classList.remove(STATE_CLASS[key])
+    }
+    for (let el of [...this.element.querySelectorAll('[submit-success],[submit-error]')]) {
+      el.setAttribute('hidden', '')
+    }
+  }
+
+  /* istanbul ignore next  */
+  prerenderAllowed () {
+    return true
+  }
+}
+
+MIPForm.props = {
+  url: {
+    type: String,
+    default: ''
+  },
+  method: {
+    type: String,
+    default: ''
+  },
+  credentials: {
+    type: String,
+    default: 'omit'
+  },
+  timeout: {
+    type: Number,
+    default: 5000
+  },
+  id: {
+    type: String,
+    default: ''
+  },
+  scope: {
+    type: Boolean,
+    default: false
+  }
+}
+
+export default MIPForm
@@ -5,39 +5,218 @@
 
 import util from '../util/index'
 import CustomElement from '../custom-element'
+import Messenger from '../messager'
+import viewer from '../viewer'
 import viewport from '../viewport'
+import performance from '../performance'
+import Services from '../services/index'
+import log from '../util/log'
 import {
   CUSTOM_EVENT_RESIZE_PAGE,
   MESSAGE_MIPIFRAME_RESIZE,
   MESSAGE_PAGE_RESIZE
 } from '../page/const'
 
-const {css, event} = util
+const {css, event, fn} = util
+const logger = log('MIP-iframe')
 
-let attrList = ['allowfullscreen', 'allowtransparency', 'sandbox']
+let attrList = ['allowfullscreen', 'allowtransparency']
+
+/**
+ * 未设置 sandbox 属性时使用的默认值，不允许嵌入页面导航顶层窗口
+ *
+ * @const
+ * @type {Array.<string>}
+ */
+const DEFAULT_SANDBOX = [
+  'allow-scripts',
+  'allow-forms',
+  'allow-popups',
+  'allow-popups-to-escape-sandbox',
+  'allow-same-origin'
+]
+
+/**
+ * 嵌入页面可以调用的通信接口
+ *
+ * @const
+ * @type {Object}
+ */
+const BRIDGE_EVENTS = {
+  setData: 'setData',
+  action: 'action',
+  resize: 'resize'
+}
+
+let iframeId = 0
+
+/**
+ * 获取延迟加载的时长
+ *
+ * @param {HTMLElement} element mip-iframe 元素
+ * @return {number} 进入视口后延迟加载的时长，单位 ms，未设置时为 -1，只在点击时加载
+ */
+function getFacadeDelay (element) {
+  let delay = parseInt(element.getAttribute('facade-delay'), 10)
+  return delay >= 0 ? delay : -1
+}
+
+/**
+ * 将空格或逗号分隔的属性值转为列表
+ *
+ * @param {string} value 属性值
+ * @return {Array.<string>} 列表
+ */
+function splitList (value) {
+  return (value || '').split(/[\s,]+/).filter(item => item)
+}
+
+/**
+ * 获取地址的 origin，data URI 等不透明 origin 为 'null'
+ *
+ * @param {string} src 地址
+ * @return {string} origin
+ */
+function getOrigin (src) {
+  let url = new URL(src, window.location.href)
+  return /^https?:$/.test(url.protocol) ? url.origin : 'null'
+}
 
 class MipIframe extends CustomElement {
   constructor (...args) {
     super(...args)
 
     this.iframe = undefined
+    this.messenger = null
+
+    /**
+     * 元素在视口内时请求的高度，等待点击 overflow 元素或离开视口后生效
+     * @type {number}
+     */
+    this.pendingHeight = 0
+
+    /**
+     * facade 模式下是否在等待加载 iframe
+     * @type {boolean}
+     */
+    this.facadePending = false
+    this.facadeTimer = null
+
+    this.handlePageResize = this.handlePageResize.bind(this)
+    this.notifyRootPage = this.notifyRootPage.bind(this)
+    this.facadeClickHandler = () => this.activate('tap')
   }
   isLoadingEnabled () {
-    return true
+    // facade 模式下点击后才加载，不展示 loading
+    return !this.element.hasAttribute('facade')
+  }
+
+  /**
+   * facade 模式下没有 placeholder 子元素时，创建默认的占位元素
+   *
+   * @override
+   * @return {?HTMLElement} 占位元素
+   */
+  createPlaceholderCallback () {
+    if (!this.element.hasAttribute('facade')) {
+      return null
+    }
+    let placeholder = document.createElement('div')
+    placeholder.setAttribute('placeholder', '')
+    placeholder.classList.add('mip-iframe-facade')
+    placeholder.innerHTML = '<span class="mip-iframe-facade-button">点击加载</span>'
+    return placeholder
   }
 
   layoutCallback () {
-    this.handlePageResize = this.handlePageResize.bind(this)
-    this.notifyRootPage = this.notifyRootPage.bind(this)
+    if (!this.element.hasAttribute('facade')) {
+      return this.renderIframe()
+    }
+
+    // facade 模式下先展示占位元素，点击或在视口中停留一段时间后再加载 iframe
+    this.facadePending = true
+    this.element.addEventListener('click', this.facadeClickHandler)
+    performance.recordElementTiming(this.element, 'facade-render')
+    this.scheduleActivation()
+    return Promise.resolve()
+  }
+
+  /**
+   * 元素在视口中时，设置 facade-delay 后开始计时加载
+   */
+  scheduleActivation () {
+    let delay = getFacadeDelay(this.element)
+    if (!this.facadePending || delay < 0 || this.facadeTimer || !this.element.inViewport()) {
+      return
+    }
+    this.facadeTimer = setTimeout(() => {
+      this.facadeTimer = null
+      this.activate('visible')
+    }, delay)
+  }
+
+  /**
+   * 取消计时，元素离开视口时需要重新计时
+   */
+  cancelActivation () {
+    clearTimeout(this.facadeTimer)
+    this.facadeTimer = null
+  }
+
+  /**
+   * 加载 facade 模式的 iframe，加载完成后隐藏占位元素
+   *
+   * @param {string} trigger 加载原因，tap 为点击，visible 为在视口中停留了 facade-delay
+   * @return {Promise} iframe 加载完成后 resolve
+   */
+  activate (trigger) {
+    if (!this.facadePending) {
+      return Promise.resolve()
+    }
+    this.facadePending = false
+    this.cancelActivation()
+    this.element.removeEventListener('click', this.facadeClickHandler)
 
+    let element = this.element
+    let {time} = performance.recordElementTiming(element, 'facade-activate', {trigger})
+    return this.renderIframe().then(() => {
+      element.classList.add('mip-iframe-activated')
+      performance.recordElementTiming(element, 'facade-load', {
+        trigger,
+        duration: Date.now() - time
+      })
+    })
+  }
+
+  /**
+   * 替换 src 中的变量后创建 iframe
+   *
+   * @return {Promise} iframe 加载完成后 resolve
+   */
+  renderIframe () {
     let element = this.element
     let src = element.getAttribute('src')
     let srcdoc = element.getAttribute('srcdoc')
 
     if (srcdoc) {
-      src = 'data:text/html;charset=utf-8;base64,' + window.btoa(srcdoc)
+      return this.createIframe('data:text/html;charset=utf-8;base64,' + window.btoa(srcdoc))
+    }
+
+    let urlReplacements = Services.urlReplacements()
+    if (src && urlReplacements.hasAsyncVariables(src)) {
+      return urlReplacements.expand(src).then(src => this.createIframe(src))
     }
+    return this.createIframe(src && urlReplacements.expandSync(src))
+  }
 
+  /**
+   * 创建 iframe
+   *
+   * @param {string} src iframe 地址
+   * @return {Promise} iframe 加载完成后 resolve
+   */
+  createIframe (src) {
+    let element = this.element
     let height = element.getAttribute('height')
     let width = element.getAttribute('width') || '100%'
 
@@ -48,23 +227,29 @@ class MipIframe extends CustomElement {
     this.iframe = document.createElement('iframe')
     this.iframe.frameBorder = '0'
     this.iframe.scrolling = 'no'
+    // 嵌入页面通过 window.name 与当前组件通信
+    this.iframe.name = 'mip-iframe-' + (++iframeId)
 
     this.applyFillContent(this.iframe)
     this.element.appendChild(this.iframe)
 
     // window.addEventListener('message', )
-    window.addEventListener('message', this.notifyRootPage.bind(this))
+    window.addEventListener('message', this.notifyRootPage)
 
     css(this.iframe, {
       width,
       height
     })
 
+    let sandbox = this.getSandbox(src)
+    this.iframe.setAttribute('sandbox', sandbox.join(' '))
     this.iframe.src = src
 
     this.expendAttr(attrList, this.iframe)
     element.appendChild(this.iframe)
 
+    this.createBridge(src, sandbox)
+
     /**
      * 修复一个 iOS UC 下的 bug
      * 设置 100% 还不够，必须是精确值，否则弹起再收起软键盘后，iframe 高度不会恢复
@@ -86,17 +271,191 @@ class MipIframe extends CustomElement {
     return event.loadPromise(this.iframe)
   }
 
+  /**
+   * 获取 iframe 的 sandbox。未设置 sandbox 属性时使用默认值，
+   * 嵌入同源页面时去掉 allow-same-origin，否则嵌入页面可以移除自身的 sandbox
+   *
+   * @param {string} src iframe 地址
+   * @return {Array.<string>} sandbox 列表
+   */
+  getSandbox (src) {
+    if (this.element.hasAttribute('sandbox')) {
+      return splitList(this.element.getAttribute('sandbox'))
+    }
+    if (getOrigin(src) === window.location.origin) {
+      return DEFAULT_SANDBOX.filter(token => token !== 'allow-same-origin')
+    }
+    return DEFAULT_SANDBOX.slice()
+  }
+
+  /**
+   * 创建与嵌入页面通信的 messenger，只接收来自当前 iframe 且 origin 在白名单中的消息
+   *
+   * @param {string} src iframe 地址
+   * @param {Array.<string>} sandbox sandbox 列表
+   */
+  createBridge (src, sandbox) {
+    // 未允许 allow-same-origin 时，嵌入页面的 origin 为 'null'
+    let origin = sandbox.indexOf('allow-same-origin') === -1 ? 'null' : getOrigin(src)
+    let origins = splitList(this.element.getAttribute('allow-origins'))
+    if (!origins.length) {
+      origins = [origin]
+    }
+
+    let messenger = this.messenger = new Messenger({
+      targetWindow: this.iframe,
+      targetOrigin: origins.length === 1 && origins[0] !== 'null' ? origins[0] : '*',
+      sourceOrigins: origins,
+      name: this.iframe.name
+    })
+
+    Object.keys(BRIDGE_EVENTS).forEach(name => {
+      let handler = this[name + 'Handler'].bind(this)
+      // setData 的数据由处理函数校验，其他消息缺省为空对象
+      let handle = data => handler(name === BRIDGE_EVENTS.setData ? data : data || {})
+      // 双向消息回复处理结果，单向消息直接处理
+      messenger.setHandler(name, ({data}) => handle(data))
+      messenger.on(name, handle)
+    })
+  }
+
+  /**
+   * 嵌入页面修改页面数据，数据不是普通对象时不修改并返回失败
+   *
+   * @param {Object} data 数据
+   * @return {Object} 处理结果
+   */
+  setDataHandler (data) {
+    if (!fn.isPlainObject(data)) {
+      logger.warn('setData only accepts a plain object')
+      return {success: false}
+    }
+    window.MIP.setData(data)
+    return {success: true}
+  }
+
+  /**
+   * 嵌入页面触发 mip-iframe 上的事件，只允许 allow-actions 中声明的事件
+   *
+   * @param {Object} options 参数
+   * @param {string} options.name 事件名
+   * @param {Object=} options.data 事件数据，在 on 表达式中通过 event 访问
+   * @return {Object} 处理结果
+   */
+  actionHandler ({name, data}) {
+    if (splitList(this.element.getAttribute('allow-actions')).indexOf(name) === -1) {
+      logger.warn(`Action "${name}" is not allowed, please add it to allow-actions`)
+      return {success: false}
+    }
+    viewer.eventAction.execute(name, this.element, data || {})
+    return {success: true}
+  }
+
+  /**
+   * 嵌入页面请求修改高度。元素在视口内时直接修改会导致页面跳动，
+   * 此时展示 overflow 元素，由用户点击后修改，或在元素离开视口后修改
+   *
+   * @param {Object} options 参数
+   * @param {number} options.height 高度
+   * @return {Object} 处理结果，overflow 为 true 表示高度修改被延迟
+   */
+  resizeHandler ({height}) {
+    height = Math.round(+height)
+    if (!(height > 0)) {
+      return {success: false}
+    }
+
+    let rect = this.element.getBoundingClientRect()
+    if (rect.bottom <= 0 || rect.top >= viewport.getHeight()) {
+      this.changeHeight(height)
+      return {success: true}
+    }
+
+    this.pendingHeight = height
+    this.toggleOverflow(true)
+    return {success: false, overflow: true}
+  }
+
+  /**
+   * 修改组件高度，responsive 布局时按当前宽度修改占位元素的比例
+   *
+   * @param {number} height 高度
+   */
+  changeHeight (height) {
+    let element = this.element
+    let space = element.spaceElement
+
+    this.pendingHeight = 0
+    this.toggleOverflow(false)
+
+    if (space && space.parentNode === element) {
+      let width = element.getBoundingClientRect().width
+      width && css(space, 'padding-top', height / width * 100 + '%')
+    } else {
+      css(element, 'height', height + 'px')
+    }
+    css(this.iframe, 'height', height + 'px')
+  }
+
+  /**
+   * 显示或隐藏 overflow 元素
+   *
+   * @param {boolean} show 是否显示
+   */
+  toggleOverflow (show) {
+    let overflow = this.getOverflow()
+    if (!overflow) {
+      return
+    }
+    overflow.classList.toggle('mip-iframe-overflow-visible', show)
+    if (show && !overflow.overflowBound) {
+      overflow.overflowBound = true
+      overflow.addEventListener('click', () => {
+        this.pendingHeight && this.changeHeight(this.pendingHeight)
+      })
+    }
+  }
+
+  /**
+   * 获取 overflow 元素
+   *
+   * @return {?HTMLElement} overflow 元素
+   */
+  getOverflow () {
+    let children = this.element.children
+    for (let i = 0; i < children.length; i++) {
+      if (children[i].hasAttribute('overflow')) {
+        return children[i]
+      }
+    }
+    return null
+  }
+
+  viewportCallback (inViewport) {
+    if (!inViewport && this.pendingHeight) {
+      this.changeHeight(this.pendingHeight)
+    }
+    if (this.facadePending) {
+      inViewport ? this.scheduleActivation() : this.cancelActivation()
+    }
+  }
+
   firstInviewCallback () {
-    window.addEventListener(CUSTOM_EVENT_RESIZE_PAGE, this.handlePageResize.bind(this))
+    window.addEventListener(CUSTOM_EVENT_RESIZE_PAGE, this.handlePageResize)
   }
 
   disconnectedCallback () {
-    window.removeEventListener(CUSTOM_EVENT_RESIZE_PAGE, this.handlePageResize.bind(this))
-    window.removeEventListener('message', this.notifyRootPage.bind(this))
+    window.removeEventListener(CUSTOM_EVENT_RESIZE_PAGE, this.handlePageResize)
+    window.removeEventListener('message', this.notifyRootPage)
+    this.cancelActivation()
+    if (this.messenger) {
+      this.messenger.destory()
+      this.messenger = null
+    }
   }
 
   notifyRootPage ({data}) {
-    if (data.type === MESSAGE_MIPIFRAME_RESIZE) {
+    if (data && data.type === MESSAGE_MIPIFRAME_RESIZE) {
       window.MIP.viewer.page.notifyRootPage({
         type: MESSAGE_PAGE_RESIZE
       })
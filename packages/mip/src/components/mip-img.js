@@ -8,10 +8,13 @@
 import util from '../util/index'
 import {customEmit} from '../util/custom-event'
 import CustomElement from '../custom-element'
-import viewport from '../viewport'
 import viewer from '../viewer'
+import viewport from '../viewport'
+import {parseSrcset, hasWidthDescriptor, selectCandidate, supportsImageType} from '../util/srcset'
+import {parseSizeList} from '../size-list'
+import {DEFAULT_GROUP, getGroup} from './mip-lightbox'
 
-const {css, rect, event, naboo, platform, dom} = util
+const {css, event, platform} = util
 
 // 取值根据 https://developer.mozilla.org/en-US/docs/Web/API/HTMLImageElement
 let imgAttributes = [
@@ -24,39 +27,6 @@ let imgAttributes = [
   'title'
 ]
 
-/**
- * 获取弹出图片的位置
- * 2018-10-11 增加：由于浏览效果改为了 contain 效果，所以 carousel 内部采用 div 的 background-image 来显示图片。
- * 所以 carousel 必须设置的高宽都固定成了视口的高宽。保留这个函数只是为了动画效果。
- *
- * @param  {number} imgWidth  原始图片的宽度
- * @param  {number} imgHeight 原始图片的高度
- * @return {Object}           包含定位信息的对象
- */
-function getPopupImgPos (imgWidth, imgHeight) {
-  let viewportW = viewport.getWidth()
-  let viewportH = viewport.getHeight()
-  let top = 0
-  let left = 0
-  if (viewportH / viewportW < imgHeight / imgWidth) {
-    let width = Math.round(viewportH * imgWidth / imgHeight)
-    left = (viewportW - width) / 2
-    return {
-      height: viewportH,
-      width,
-      left,
-      top: 0
-    }
-  }
-  let height = Math.round(viewportW * imgHeight / imgWidth)
-  top = (viewportH - height) / 2
-  return {
-    height,
-    width: viewportW,
-    left: 0,
-    top
-  }
-}
 /**
  * 从 mip-img 属性列表里获取属性
  *
@@ -76,15 +46,75 @@ function getAttributeSet (attributes) {
   return attrs
 }
 /**
- * 获取图片的 offset
+ * 浏览器是否原生支持 <picture> 和 srcset 的 w 描述符，不支持时由组件选择图片
+ *
+ * @param {HTMLImageElement} img 图片元素
+ * @return {boolean} 是否支持
+ */
+function isSrcsetSupported (img) {
+  return 'sizes' in img && !!window.HTMLPictureElement
+}
+
+/**
+ * 绝对长度单位对应的 CSS 像素数
+ *
+ * @type {Object}
+ */
+const ABSOLUTE_UNITS = {
+  px: 1,
+  in: 96,
+  cm: 96 / 2.54,
+  mm: 96 / 25.4,
+  q: 96 / 101.6,
+  pt: 4 / 3,
+  pc: 16
+}
+
+/**
+ * 将 sizes 中选中的长度换算为 CSS 像素，sizes 中的 em 与 rem 均相对根元素字号
+ *
+ * @param {string} size 长度，如 50px、50vw
+ * @return {number} 像素值，无法换算（如 calc()）时返回 NaN
+ */
+function toPixels (size) {
+  let match = /^(\d+(?:\.\d+)?)([a-z]+)$/i.exec(size)
+  if (!match) {
+    return NaN
+  }
+  let value = parseFloat(match[1])
+  let unit = match[2].toLowerCase()
+  let width = viewport.getWidth()
+  let height = viewport.getHeight()
+
+  if (ABSOLUTE_UNITS[unit]) {
+    return value * ABSOLUTE_UNITS[unit]
+  }
+  switch (unit) {
+    case 'vw':
+      return value * width / 100
+    case 'vh':
+      return value * height / 100
+    case 'vmin':
+      return value * Math.min(width, height) / 100
+    case 'vmax':
+      return value * Math.max(width, height) / 100
+    case 'em':
+    case 'rem':
+      return value * (parseFloat(window.getComputedStyle(document.documentElement).fontSize) || 16)
+  }
+  return NaN
+}
+
+/**
+ * 判断 lqip 属性是否为颜色值，如 #e0d6c3、rgb(224, 214, 195)
  *
- * @param  {HTMLElement} img img
- * @return {Object} 一个包含 offset 信息的对象
+ * @param {string} value lqip 属性值
+ * @return {boolean} 是否为颜色值
  */
-function getImgOffset (img) {
-  let imgOffset = rect.getElementOffset(img)
-  return imgOffset
+function isColor (value) {
+  return /^(#[0-9a-f]{3,8}|(rgb|hsl)a?\(.*\))$/i.test(value)
 }
+
 /**
  * 获取有 popup 属性的 mip-img src 和本元素在数组中对应的 index
  *
@@ -92,10 +122,7 @@ function getImgOffset (img) {
  * @return {Object} 保存 src 数组和 index
  */
 function getImgsSrcIndex (ele) {
-  // 取 popup 图片，不包括 carousel 中头尾的两个图片
-  const mipImgs = [...document.querySelectorAll('mip-img[popup]')].filter(
-    mipImg => !mipImg.classList.contains('mip-carousel-extra-img')
-  )
+  const mipImgs = [...document.querySelectorAll('mip-img[popup]')]
   let index = mipImgs.indexOf(ele)
   /* istanbul ignore if */
   if (index === -1) {
@@ -112,91 +139,34 @@ function getImgsSrcIndex (ele) {
   return {imgsSrcArray, index}
 }
 /**
- * 找出当前视口下的图片
- * @param  {HTMLElement} carouselWrapper carouselWrapper
- * @param  {HTMLElement} mipCarousel mipCarousel
- * @return {HTMLElement} img
- */
-function getCurrentImg (carouselWrapper, mipCarousel) {
-  // 例如：'translate3d(-90px,0,0)'
-  let str = carouselWrapper.style.webkitTransform || carouselWrapper.style.transform
-  let result = /translate3d\(-?([0-9]+)/i.exec(str)
-  // 原先宽度是视口宽度，现在需要的是图片本身宽度。最后还是一样的。。。
-  let width = mipCarousel.getAttribute('width')
-  let number = parseInt(result[1], 10) / width
-  return carouselWrapper.querySelectorAll('.div-mip-img')[number]
-}
-/**
- * 创建图片弹层
+ * 获取指定分组的 mip-lightbox，页面中没有时自动创建
  *
- * @param  {HTMLElement} element mip-img 组件元素
- * @return {HTMLElment} 图片弹层的 div
+ * @param {string} group 分组名
+ * @return {HTMLElement} mip-lightbox 元素
  */
-function createPopup (element) {
-  const {imgsSrcArray, index} = getImgsSrcIndex(element)
-  /* istanbul ignore if */
-  if (imgsSrcArray.length === 0 || index === -1) {
-    return
-  }
-  let popup = document.createElement('div')
-  css(popup, 'display', 'block')
-
-  popup.className = 'mip-img-popUp-wrapper'
-  popup.setAttribute('data-name', 'mip-img-popUp-name')
-
-  // 创建图片预览图层
-  let popUpBg = document.createElement('div')
-  // 创建多图预览 wrapper
-  let carouselWrapper = document.createElement('div')
-  // 计算 wrapper 窗口大小，变为视口大小
-  css(carouselWrapper, {
-    'position': 'absolute',
-    'width': viewport.getWidth(),
-    'height': viewport.getHeight(),
-    'left': 0,
-    'top': 0
-  })
-  // 创建 mip-carousel
-  let carousel = document.createElement('mip-carousel')
-
-  carousel.setAttribute('layout', 'responsive')
-  carousel.setAttribute('index', index + 1)
-  carousel.setAttribute('width', viewport.getWidth())
-  carousel.setAttribute('height', viewport.getHeight())
-
-  for (let i = 0; i < imgsSrcArray.length; i++) {
-    let mipImg = document.createElement('div')
-    mipImg.className = 'div-mip-img'
-    mipImg.setAttribute('data-src', imgsSrcArray[i])
-    css(mipImg, {
-      'background-image': `url(${imgsSrcArray[i]})`,
-      'background-repeat': 'no-repeat',
-      'background-size': 'contain',
-      'background-position': 'center'
-    })
-    carousel.appendChild(mipImg)
+function getLightbox (group) {
+  let lightbox = [...document.querySelectorAll('mip-lightbox')].filter(
+    lightbox => (lightbox.getAttribute('group') || DEFAULT_GROUP) === group
+  )[0]
+  if (!lightbox) {
+    lightbox = document.createElement('mip-lightbox')
+    lightbox.setAttribute('layout', 'nodisplay')
+    group !== DEFAULT_GROUP && lightbox.setAttribute('group', group)
+    document.body.appendChild(lightbox)
   }
-  popUpBg.className = 'mip-img-popUp-bg'
-
-  carouselWrapper.appendChild(carousel)
-  popup.appendChild(popUpBg)
-  popup.appendChild(carouselWrapper)
-  document.body.appendChild(popup)
-  return popup
+  return lightbox
 }
+
 /**
- * 将图片与弹层绑定
+ * 将图片与弹层绑定，点击图片时交由 mip-lightbox 展示
  *
  * @param  {HTMLElement} element mip-img
  * @param  {HTMLElement} img     mip-img 下的 img
  * @return {void}         无
  */
 function bindPopup (element, img) {
-  // 是否在 mip-carousel 中
-  let carouselOutside = element.customElement.carouselOutside
-  // 图片点击时展现图片
-  img.addEventListener('click', function (event) {
-    event.stopPropagation()
+  img.addEventListener('click', function (e) {
+    e.stopPropagation()
     let current = img.currentSrc || img.src
     // 图片未加载则不弹层
     /* istanbul ignore if */
@@ -204,92 +174,15 @@ function bindPopup (element, img) {
       return
     }
 
-    // Show page mask
-    window.MIP.viewer.page.togglePageMask(true, {
-      skipTransition: true,
-      extraClass: 'black'
-    })
-    let popup = createPopup(element)
-    /* istanbul ignore if */
-    if (!popup) {
-      return
-    }
-
-    if (carouselOutside) {
-      customEmit(carouselOutside, 'open-popup')
-    }
-
-    let popupBg = popup.querySelector('.mip-img-popUp-bg')
-    let mipCarousel = popup.querySelector('mip-carousel')
-    let popupImg = new Image()
-    popupImg.setAttribute('src', current)
-    popup.appendChild(popupImg)
-
-    // 背景 fade in
-    naboo.animate(popupBg, {
-      opacity: 1
-    }).start()
-
-    let imgOffset = getImgOffset(img)
-
-    popup.addEventListener('click', imagePop, false)
-
-    function imagePop () {
-      // Hide page mask
-      window.MIP.viewer.page.togglePageMask(false, {
-        skipTransition: true,
-        extraClass: 'black'
-      })
-
-      let mipCarouselWrapper = popup.querySelector('.mip-carousel-wrapper')
-      /* istanbul ignore if */
-      if (mipCarouselWrapper == null) return
-
-      // 找出当前视口下的图片
-      let currentImg = getCurrentImg(mipCarouselWrapper, mipCarousel)
-      popupImg.setAttribute('src', currentImg.getAttribute('data-src'))
-      let previousPos = getImgOffset(img)
-      // 获取弹出图片滑动的距离，根据前面的设定，top 大于 0 就不是长图，小于 0 才是滑动的距离。
-      let currentImgPos = getImgOffset(currentImg)
-      currentImgPos.top < 0 && (previousPos.top -= currentImgPos.top)
-      currentImgPos.left < 0 && (previousPos.left -= currentImgPos.left)
-      css(popupImg, getPopupImgPos(popupImg.naturalWidth, popupImg.naturalHeight))
-      css(popupImg, 'display', 'block')
-      css(mipCarousel, 'display', 'none')
-      naboo.animate(popupBg, {
-        opacity: 0
-      }).start()
-
-      naboo.animate(popup, {'display': 'none'})
-      naboo.animate(popupImg, previousPos).start(() => {
-        css(img, 'visibility', 'visible')
-        css(popup, 'display', 'none')
-        popup.removeEventListener('click', imagePop, false)
-        popup.remove()
-      })
-
-      if (carouselOutside) {
-        customEmit(carouselOutside, 'close-popup')
-      }
-    }
-
-    let onResize = function () {
-      imgOffset = getImgOffset(img)
-      css(popupImg, imgOffset)
-      naboo.animate(popupImg, getPopupImgPos(img.naturalWidth, img.naturalHeight)).start()
+    let lightbox = getLightbox(getGroup(element))
+    let open = () => lightbox.customElement.openItem(element)
+    // 新创建的 mip-lightbox 在预渲染时可能尚未 build
+    /* istanbul ignore else */
+    if (lightbox.isBuilt()) {
+      open()
+    } else {
+      event.listenOnce(lightbox, 'build', open)
     }
-    window.addEventListener('resize', onResize)
-
-    css(popupImg, imgOffset)
-    css(mipCarousel, 'visibility', 'hidden')
-    css(popupBg, 'opacity', 1)
-
-    naboo.animate(popupImg, getPopupImgPos(img.naturalWidth, img.naturalHeight)).start(() => {
-      css(popupImg, 'display', 'none')
-      css(mipCarousel, 'visibility', 'visible')
-    })
-    css(img, 'visibility', 'hidden')
-    css(img.parentNode, 'zIndex', 'inherit')
   }, false)
 }
 
@@ -351,6 +244,18 @@ function bindInvocation (ele, img) {
 }
 
 class MipImg extends CustomElement {
+  constructor (...args) {
+    super(...args)
+
+    /**
+     * 由组件根据展示宽度设置 sizes 的 <img> 和 <source>
+     * @type {Array.<HTMLElement>}
+     */
+    this.autoSizesNodes = []
+
+    this.resizeHandler = this.resizeHandler.bind(this)
+  }
+
   static get observedAttributes () {
     return imgAttributes
   }
@@ -375,11 +280,41 @@ class MipImg extends CustomElement {
 
   /** @overwrite */
   build () {
-    // 在 build 中判断，在 layoutCallback 可能不对（与执行顺序有关）
-    this.carouselOutside = dom.closest(this.element, 'mip-carousel')
     this.createPlaceholder()
   }
 
+  /**
+   * 根据 lqip 或 placeholder-src 属性创建低质量占位图，按 layout 撑满组件，
+   * 图片加载完成后隐藏占位图时与图片交叉渐变
+   *
+   * @override
+   * @return {?HTMLElement} 占位元素
+   */
+  createPlaceholderCallback () {
+    let ele = this.element
+    let lqip = (ele.getAttribute('lqip') || '').trim()
+    let src = lqip || (ele.getAttribute('placeholder-src') || '').trim()
+
+    if (!src) {
+      return null
+    }
+
+    let placeholder = document.createElement('div')
+    placeholder.setAttribute('placeholder', '')
+    placeholder.classList.add('mip-img-lqip')
+
+    if (lqip && isColor(lqip)) {
+      css(placeholder, 'background-color', lqip)
+    } else {
+      let blur = document.createElement('div')
+      blur.classList.add('mip-img-lqip-blur')
+      css(blur, 'background-image', `url("${src.replace(/"/g, '%22')}")`)
+      placeholder.appendChild(blur)
+    }
+
+    return placeholder
+  }
+
   /**
    * Create default placeholder if element has not define size
    */
@@ -432,6 +367,10 @@ class MipImg extends CustomElement {
     if (sources.length) {
       let pic = document.createElement('picture')
       sources.forEach(source => {
+        // 未设置 sizes 的 <source> 使用 mip-img 的 sizes
+        if (this.attributes.sizes && !source.hasAttribute('sizes')) {
+          source.setAttribute('sizes', this.attributes.sizes)
+        }
         pic.appendChild(source)
       })
       pic.appendChild(img)
@@ -440,6 +379,15 @@ class MipImg extends CustomElement {
       ele.appendChild(img)
     }
 
+    this.img = img
+    this.sources = sources
+    this.srcset = img.getAttribute('srcset')
+    this.autoSizesNodes = [img, ...sources].filter(node =>
+      !node.hasAttribute('sizes') && hasWidthDescriptor(node === img ? this.srcset : node.getAttribute('srcset'))
+    )
+    this.applySrcset()
+    viewport.on('resize', this.resizeHandler)
+
     // 在手百中，可调起图片查看器
     if (platform.isBaiduApp()) {
       bindInvocation(ele, img)
@@ -470,7 +418,77 @@ class MipImg extends CustomElement {
     }
   }
 
+  connectedCallback () {
+    // 重新插入文档时恢复监听
+    this.img && viewport.on('resize', this.resizeHandler)
+  }
+
+  disconnectedCallback () {
+    viewport.off('resize', this.resizeHandler)
+  }
+
+  /**
+   * 获取图片的展示宽度。设置了 sizes 时按当前匹配的 sizes 换算，
+   * 无法换算时与浏览器一致按 100vw 处理；未设置 sizes 时才读取 mip-img 的实际宽度
+   *
+   * @return {number} 展示宽度，单位 CSS 像素
+   */
+  getSlotWidth () {
+    let sizes = this.element.getAttribute('sizes')
+    if (sizes) {
+      let width = toPixels(parseSizeList(sizes).select(window))
+      return isNaN(width) ? viewport.getWidth() : width
+    }
+    return this.element.getBoundingClientRect().width || viewport.getWidth()
+  }
+
+  /**
+   * 未设置 sizes 时浏览器按 100vw 选择 w 描述的图片，改为按图片的展示宽度选择。
+   * 浏览器不支持 <picture> 和 srcset 时，根据 <source> 的 media、type 和屏幕像素比选择图片
+   */
+  applySrcset () {
+    let {img, sources} = this
+    let slotWidth = this.getSlotWidth()
+
+    this.autoSizesNodes.forEach(node => node.setAttribute('sizes', Math.round(slotWidth) + 'px'))
+
+    if (isSrcsetSupported(img)) {
+      return
+    }
+
+    let srcset = this.srcset
+    for (let i = 0; i < sources.length; i++) {
+      let media = sources[i].getAttribute('media')
+      if ((!media || window.matchMedia(media).matches) && supportsImageType(sources[i].getAttribute('type'))) {
+        srcset = sources[i].getAttribute('srcset')
+        break
+      }
+    }
+
+    let candidate = selectCandidate(parseSrcset(srcset), slotWidth, window.devicePixelRatio || 1)
+    // 部分浏览器支持 x 描述符，移除 srcset 避免覆盖选择的图片
+    img.removeAttribute('srcset')
+    if (candidate && img.getAttribute('src') !== candidate.url) {
+      img.setAttribute('src', candidate.url)
+    }
+  }
+
+  resizeHandler () {
+    this.img && this.applySrcset()
+  }
+
   attributeChangedCallback (attributeName, oldValue, newValue, namespace) {
+    if (attributeName === 'srcset' && oldValue !== newValue && this.img) {
+      let {img} = this
+      this.srcset = newValue
+      newValue === null ? img.removeAttribute('srcset') : img.setAttribute('srcset', newValue)
+      this.autoSizesNodes = this.autoSizesNodes.filter(node => node !== img)
+      if (!this.element.hasAttribute('sizes') && hasWidthDescriptor(newValue)) {
+        this.autoSizesNodes.push(img)
+      }
+      this.applySrcset()
+    }
+
     if (attributeName === 'src' && oldValue !== newValue) {
       let img = this.element.querySelector('img')
 
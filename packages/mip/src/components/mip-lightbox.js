@@ -0,0 +1,486 @@
+/**
+ * @file mip-lightbox 图片浏览组件，展示页面中同一分组的图片，支持左右滑动切换、双指缩放和图片说明
+ * @author sfe-sy (sfe-sy@baidu.com)
+ */
+
+import CustomElement from '../custom-element'
+import Gesture from '../util/gesture/index'
+import css from '../util/dom/css'
+import dom from '../util/dom/dom'
+import naboo from '../util/naboo'
+import log from '../util/log'
+import {customEmit} from '../util/custom-event'
+import viewer from '../viewer'
+
+const logger = log('MIP-lightbox')
+
+/**
+ * 未指定分组时使用的分组名
+ *
+ * @const
+ * @type {string}
+ */
+export const DEFAULT_GROUP = 'default'
+
+/**
+ * 双击图片时的缩放比例
+ *
+ * @const
+ * @type {number}
+ */
+const DOUBLE_TAP_SCALE = 2
+
+/**
+ * 键盘按键对应的切换方向
+ *
+ * @const
+ * @type {Object}
+ */
+const NAV_KEYS = {
+  ArrowRight: 1,
+  Right: 1,
+  ArrowLeft: -1,
+  Left: -1
+}
+
+/**
+ * 获取元素所属的图片分组，带 lightbox 属性的元素属于属性值对应的分组，
+ * 未设置 lightbox 属性的 mip-img[popup] 属于默认分组
+ *
+ * @param {HTMLElement} element 元素
+ * @return {string|undefined} 分组名，不属于任何分组时返回 undefined
+ */
+export function getGroup (element) {
+  if (element.hasAttribute('lightbox')) {
+    return element.getAttribute('lightbox') || DEFAULT_GROUP
+  }
+  if (element.tagName === 'MIP-IMG' && element.hasAttribute('popup')) {
+    return DEFAULT_GROUP
+  }
+}
+
+/**
+ * 获取分组中所有图片元素，按文档顺序排列
+ *
+ * @param {string} group 分组名
+ * @return {Array.<HTMLElement>} 图片元素列表
+ */
+export function getGroupItems (group) {
+  return [...document.querySelectorAll('[lightbox], mip-img[popup]')].filter(
+    element => getGroup(element) === group
+  )
+}
+
+/**
+ * 获取图片元素对应的大图地址，优先使用 lightbox-src 属性
+ *
+ * @param {HTMLElement} element 图片元素
+ * @return {string} 图片地址
+ */
+function getItemSrc (element) {
+  if (element.hasAttribute('lightbox-src')) {
+    return element.getAttribute('lightbox-src')
+  }
+  let img = element.tagName === 'IMG' ? element : element.querySelector('img')
+  if (img && (img.currentSrc || img.src)) {
+    return img.currentSrc || img.src
+  }
+  return element.getAttribute('src') || ''
+}
+
+/**
+ * 获取图片说明，依次读取 data-caption 属性、所在 <figure> 的 <figcaption> 和 alt 属性
+ *
+ * @param {HTMLElement} element 图片元素
+ * @return {string} 图片说明
+ */
+function getItemCaption (element) {
+  if (element.hasAttribute('data-caption')) {
+    return element.getAttribute('data-caption')
+  }
+  let figure = dom.closest(element, 'figure')
+  let figcaption = figure && figure.querySelector('figcaption')
+  if (figcaption) {
+    return figcaption.textContent.trim()
+  }
+  return element.getAttribute('alt') || ''
+}
+
+class MIPLightbox extends CustomElement {
+  constructor (...args) {
+    super(...args)
+
+    /**
+     * 当前打开的图片元素列表
+     * @type {Array.<HTMLElement>}
+     */
+    this.items = []
+
+    /**
+     * 图片对应的幻灯片列表，{slide, img}
+     * @type {Array.<Object>}
+     */
+    this.slides = []
+
+    /**
+     * 当前展示的图片下标
+     * @type {number}
+     */
+    this.index = -1
+
+    /**
+     * 是否处于打开状态
+     * @type {boolean}
+     */
+    this.isOpen = false
+
+    /**
+     * 打开时图片所在的 mip-carousel
+     * @type {HTMLElement}
+     */
+    this.carousel = null
+
+    /**
+     * 当前图片的缩放状态
+     * @type {Object}
+     */
+    this.zoom = {scale: 1, x: 0, y: 0}
+
+    this.clickHandler = this.clickHandler.bind(this)
+    this.keydownHandler = this.keydownHandler.bind(this)
+    this.documentClickHandler = this.documentClickHandler.bind(this)
+  }
+
+  build () {
+    let element = this.element
+
+    element.setAttribute('role', 'dialog')
+    element.setAttribute('aria-modal', 'true')
+    element.setAttribute('aria-hidden', 'true')
+
+    this.container = document.createElement('div')
+    this.container.className = 'mip-lightbox-container'
+
+    this.track = document.createElement('div')
+    this.track.className = 'mip-lightbox-track'
+
+    this.caption = document.createElement('div')
+    this.caption.className = 'mip-lightbox-caption'
+
+    this.counter = document.createElement('div')
+    this.counter.className = 'mip-lightbox-counter'
+
+    this.closeButton = document.createElement('button')
+    this.closeButton.className = 'mip-lightbox-close'
+    this.closeButton.setAttribute('type', 'button')
+    this.closeButton.setAttribute('aria-label', '关闭')
+
+    this.container.appendChild(this.track)
+    element.appendChild(this.container)
+    element.appendChild(this.caption)
+    element.appendChild(this.counter)
+    element.appendChild(this.closeButton)
+
+    this.bindGesture()
+
+    element.addEventListener('click', this.clickHandler)
+    document.addEventListener('click', this.documentClickHandler)
+
+    this.addEventAction('open', (e, index) => this.open(index === undefined || index === '' ? 0 : +index, e && e.target))
+    this.addEventAction('close', () => this.close())
+    this.addEventAction('next', () => this.go(this.index + 1))
+    this.addEventAction('prev', () => this.go(this.index - 1))
+  }
+
+  disconnectedCallback () {
+    this.isOpen && this.close()
+    this.gesture && this.gesture.cleanup()
+    this.element.removeEventListener('click', this.clickHandler)
+    document.removeEventListener('click', this.documentClickHandler)
+  }
+
+  /**
+   * 绑定手势：左右滑动切换图片，双击缩放，双指缩放，放大后拖动图片
+   */
+  bindGesture () {
+    let gesture = this.gesture = new Gesture(this.element, {
+      preventX: false
+    })
+    let pinchScale = 1
+    let panStart = null
+
+    gesture.on('swipeleft', () => this.zoom.scale === 1 && this.go(this.index + 1))
+    gesture.on('swiperight', () => this.zoom.scale === 1 && this.go(this.index - 1))
+    gesture.on('doubletap', () => this.setZoom(this.zoom.scale === 1 ? DOUBLE_TAP_SCALE : 1, 0, 0, true))
+
+    gesture.on('pinchstart', () => {
+      pinchScale = this.zoom.scale
+    })
+    gesture.on('pinchmove', (event, data) => {
+      this.setZoom(pinchScale * data.scale, this.zoom.x, this.zoom.y)
+    })
+
+    // 放大后拖动图片，起点扣除识别拖动前的位移，避免图片跳动
+    gesture.on('panstart', (event, data) => {
+      panStart = {x: this.zoom.x - data.deltaX, y: this.zoom.y - data.deltaY}
+    })
+    gesture.on('panmove', (event, data) => {
+      this.zoom.scale > 1 && this.setZoom(this.zoom.scale, panStart.x + data.deltaX, panStart.y + data.deltaY)
+    })
+
+    // 浏览图片时阻止页面滚动
+    gesture.on('touchmove', event => event.preventDefault())
+  }
+
+  /**
+   * 打开图片浏览
+   *
+   * @param {number} index 图片在分组中的下标
+   * @param {HTMLElement=} opener 触发打开的元素，关闭后焦点回到该元素上
+   */
+  open (index, opener) {
+    let items = getGroupItems(this.props.group)
+    if (!items.length) {
+      logger.warn(`分组 ${this.props.group} 中没有图片`)
+      return
+    }
+    if (!(index >= 0 && index < items.length)) {
+      logger.warn(`图片下标 ${index} 超出范围`)
+      return
+    }
+
+    if (this.isOpen) {
+      this.go(index)
+      return
+    }
+
+    this.items = items
+    this.opener = opener || document.activeElement
+    this.render()
+
+    this.isOpen = true
+    this.index = -1
+    this.element.classList.add('mip-lightbox-open')
+    this.element.setAttribute('aria-hidden', 'false')
+    document.addEventListener('keydown', this.keydownHandler)
+
+    // 在 mip-shell 中展示遮罩盖住头部
+    viewer.page && viewer.page.togglePageMask(true, {
+      skipTransition: true,
+      extraClass: 'black'
+    })
+    this.go(index, false)
+
+    // 记录打开时图片所在的轮播，关闭时通知同一个轮播继续
+    this.carousel = dom.closest(items[index], 'mip-carousel')
+    this.emitCarouselEvent('open-popup')
+
+    css(this.element, 'opacity', 0)
+    naboo.animate(this.element, {opacity: 1}, {duration: this.props.duration}).start(() => css(this.element, 'opacity', ''))
+    this.closeButton.focus()
+
+    viewer.eventAction.execute('open', this.element, {index})
+  }
+
+  /**
+   * 关闭图片浏览
+   */
+  close () {
+    if (!this.isOpen) {
+      return
+    }
+    let index = this.index
+
+    this.isOpen = false
+    this.element.classList.remove('mip-lightbox-open')
+    this.element.setAttribute('aria-hidden', 'true')
+    document.removeEventListener('keydown', this.keydownHandler)
+
+    viewer.page && viewer.page.togglePageMask(false, {
+      skipTransition: true,
+      extraClass: 'black'
+    })
+    this.emitCarouselEvent('close-popup')
+    this.carousel = null
+
+    this.opener && this.opener.focus && this.opener.focus()
+    this.opener = null
+
+    viewer.eventAction.execute('close', this.element, {index})
+  }
+
+  /**
+   * 打开图片浏览，并定位到指定的图片元素
+   *
+   * @param {HTMLElement} item 图片元素
+   */
+  openItem (item) {
+    this.open(getGroupItems(this.props.group).indexOf(item), item)
+  }
+
+  /**
+   * 根据图片元素列表生成幻灯片，图片在切换到附近时才加载
+   */
+  render () {
+    this.track.innerHTML = ''
+    this.slides = this.items.map((item, i) => {
+      let slide = document.createElement('div')
+      let img = document.createElement('img')
+      slide.className = 'mip-lightbox-slide'
+      img.className = 'mip-lightbox-img'
+      img.setAttribute('alt', getItemCaption(item))
+      css(slide, 'left', `${i * 100}%`)
+      slide.appendChild(img)
+      this.track.appendChild(slide)
+      return {slide, img}
+    })
+  }
+
+  /**
+   * 切换到指定的图片
+   *
+   * @param {number} index 图片下标
+   * @param {boolean=} animate 是否执行切换动画
+   */
+  go (index, animate = true) {
+    let total = this.items.length
+    if (!this.isOpen || !total) {
+      return
+    }
+    if (this.props.loop) {
+      index = (index + total) % total
+    }
+    if (!(index >= 0 && index < total) || index === this.index) {
+      return
+    }
+
+    // 切换前还原上一张图片的缩放
+    this.setZoom(1, 0, 0)
+    let previous = this.index
+    this.index = index
+
+    // 预加载当前及前后相邻的图片
+    for (let i = index - 1; i <= index + 1; i++) {
+      let slide = this.slides[i]
+      if (slide && !slide.img.getAttribute('src')) {
+        slide.img.setAttribute('src', getItemSrc(this.items[i]))
+      }
+    }
+
+    css(this.track, {
+      transition: animate ? `transform ${this.props.duration}ms ease` : 'none',
+      transform: `translate3d(${-index * 100}%, 0, 0)`
+    })
+
+    this.caption.textContent = getItemCaption(this.items[index])
+    this.counter.textContent = total > 1 ? `${index + 1} / ${total}` : ''
+
+    if (previous !== -1) {
+      viewer.eventAction.execute('change', this.element, {index, previous})
+    }
+  }
+
+  /**
+   * 设置当前图片的缩放比例和位移
+   *
+   * @param {number} scale 缩放比例，限制在 1 到 max-scale 之间
+   * @param {number} x 横向位移
+   * @param {number} y 纵向位移
+   * @param {boolean=} animate 是否执行动画
+   */
+  setZoom (scale, x, y, animate) {
+    scale = Math.min(Math.max(scale, 1), this.props.maxScale)
+    if (scale === 1) {
+      x = y = 0
+    }
+    this.zoom = {scale, x, y}
+
+    this.element.classList.toggle('mip-lightbox-zoomed', scale > 1)
+
+    let slide = this.slides[this.index]
+    if (!slide) {
+      return
+    }
+    css(slide.img, {
+      transition: animate ? `transform ${this.props.duration}ms ease` : 'none',
+      transform: scale === 1 ? '' : `translate3d(${x}px, ${y}px, 0) scale(${scale})`
+    })
+  }
+
+  /**
+   * 通知打开时图片所在的 mip-carousel 暂停或继续轮播
+   *
+   * @param {string} name 事件名，open-popup 或 close-popup
+   */
+  emitCarouselEvent (name) {
+    this.carousel && customEmit(this.carousel, name)
+  }
+
+  /**
+   * 点击关闭按钮或图片以外的区域时关闭
+   *
+   * @param {Event} e 点击事件
+   */
+  clickHandler (e) {
+    e.stopPropagation()
+    let target = e.target
+    if (target === this.closeButton ||
+      !(target.classList.contains('mip-lightbox-img') || this.caption.contains(target))
+    ) {
+      this.close()
+    }
+  }
+
+  /**
+   * 点击页面中带 lightbox 属性的元素时，打开所属分组的图片浏览
+   *
+   * @param {Event} e 点击事件
+   */
+  documentClickHandler (e) {
+    let item = dom.closest(e.target, '[lightbox]')
+    if (item && !this.isOpen && getGroup(item) === this.props.group) {
+      this.openItem(item)
+    }
+  }
+
+  /**
+   * 键盘操作：Esc 关闭，左右方向键切换图片
+   *
+   * @param {KeyboardEvent} e 键盘事件
+   */
+  keydownHandler (e) {
+    if (e.key === 'Escape' || e.key === 'Esc') {
+      e.preventDefault()
+      this.close()
+    } else if (NAV_KEYS[e.key]) {
+      e.preventDefault()
+      this.go(this.index + NAV_KEYS[e.key])
+    }
+  }
+
+  /* istanbul ignore next */
+  prerenderAllowed () {
+    return true
+  }
+}
+
+MIPLightbox.props = {
+  group: {
+    type: String,
+    default: DEFAULT_GROUP
+  },
+  loop: {
+    type: Boolean,
+    default: false
+  },
+  duration: {
+    type: Number,
+    default: 300
+  },
+  maxScale: {
+    type: Number,
+    default: 3
+  }
+}
+
+export default MIPLightbox
@@ -0,0 +1,327 @@
+/**
+ * @file mip-list 列表组件，请求远程 JSON 数据并通过 <template> 渲染列表，支持分页加载
+ * @author sfe-sy (sfe-sy@baidu.com)
+ */
+
+/* global fetch */
+
+import CustomElement from '../custom-element'
+import templates from '../util/templates'
+import jsonParse from '../util/json-parse'
+import log from '../util/log'
+import rect from '../util/dom/rect'
+import {customEmit} from '../util/custom-event'
+import {hyphenate} from '../util/string'
+import viewer from '../viewer'
+import viewport from '../viewport'
+import resources from '../resources'
+import {timeout, getProperty} from './mip-bind/util'
+import {DOM_CHANGE_EVENT} from './mip-bind/init'
+
+const logger = log('MIP-list')
+
+/**
+ * 自动加载模式下，列表底部距离视口底部小于该倍数的视口高度时触发加载
+ *
+ * @const
+ * @type {number}
+ */
+const AUTO_LOAD_THRESHOLD = 0.5
+
+const LOAD_MORE_MANUAL = 'manual'
+const LOAD_MORE_AUTO = 'auto'
+
+class MIPList extends CustomElement {
+  constructor (...args) {
+    super(...args)
+
+    /**
+     * 列表项容器
+     * @type {HTMLElement}
+     */
+    this.container = null
+
+    /**
+     * “加载更多”按钮
+     * @type {HTMLElement}
+     */
+    this.loadMoreButton = null
+
+    /**
+     * 下一页的请求地址，为空表示没有更多数据
+     * @type {string}
+     */
+    this.nextSrc = ''
+
+    /**
+     * 是否正在请求数据
+     * @type {boolean}
+     */
+    this.loading = false
+
+    this.scrollHandler = this.scrollHandler.bind(this)
+  }
+
+  static get observedAttributes () {
+    return ['src']
+  }
+
+  handleSrcChange () {
+    this.refresh()
+  }
+
+  build () {
+    this.container = document.createElement('div')
+    this.container.classList.add('mip-list-container')
+    this.container.setAttribute('role', 'list')
+    this.element.appendChild(this.container)
+
+    if (this.props.loadMore === LOAD_MORE_MANUAL) {
+      this.createLoadMoreButton()
+    }
+
+    this.addEventAction('refresh', () => this.refresh())
+    this.addEventAction('loadMore', () => this.loadMore())
+  }
+
+  layoutCallback () {
+    if (this.props.loadMore === LOAD_MORE_AUTO) {
+      viewport.on('changed resize', this.scrollHandler)
+    }
+
+    if (this.props.src) {
+      return this.refresh()
+    }
+
+    return this.sync()
+  }
+
+  disconnectedCallback () {
+    viewport.off('changed resize', this.scrollHandler)
+  }
+
+  /**
+   * 创建“加载更多”按钮，优先使用用户在组件内定义的 [load-more-button] 元素
+   */
+  createLoadMoreButton () {
+    let button = this.element.querySelector('[load-more-button]')
+
+    if (!button) {
+      button = document.createElement('button')
+      button.textContent = '加载更多'
+      this.element.appendChild(button)
+    }
+
+    button.classList.add('mip-list-load-more')
+    button.setAttribute('hidden', '')
+    button.addEventListener('click', () => this.loadMore())
+
+    this.loadMoreButton = button
+  }
+
+  /**
+   * 同步数据源定义方式，写在 <mip-list> 标签中的 <script type="application/json">
+   *
+   * @return {Promise}
+   */
+  sync () {
+    let ele = this.element.querySelector('script[type="application/json"]')
+    let data = ele && ele.textContent.toString()
+
+    if (!data) {
+      return Promise.resolve()
+    }
+
+    return this.render(jsonParse(data), true)
+  }
+
+  /**
+   * 带超时和指定 credentials 的数据请求功能，要求后端返回的必须是 json
+   *
+   * @async
+   * @param {string} url url
+   * @return {Object} 远程数据
+   */
+  request (url) {
+    let {credentials, timeout: time} = this.props
+    return Promise.race([
+      fetch(url, {credentials}),
+      timeout(time)
+    ]).then(res => {
+      if (!res.ok) {
+        throw Error(`Fetch request failed: ${url}`)
+      }
+      return res.json()
+    })
+  }
+
+  /**
+   * 重新请求第一页数据并替换当前列表
+   *
+   * @return {Promise}
+   */
+  refresh () {
+    return this.fetch(this.props.src, true)
+  }
+
+  /**
+   * 请求下一页数据并追加到当前列表末尾
+   *
+   * @return {Promise}
+   */
+  loadMore () {
+    if (!this.nextSrc) {
+      return Promise.resolve()
+    }
+    return this.fetch(this.nextSrc, false)
+  }
+
+  /**
+   * 请求数据并渲染
+   *
+   * @param {string} url 请求地址
+   * @param {boolean} replace 是否替换已有列表项
+   */
+  async fetch (url, replace) {
+    if (!url || this.loading) {
+      return
+    }
+
+    this.toggleLoading(true)
+
+    try {
+      let data = await this.request(url)
+      await this.render(data, replace)
+    } catch (e) {
+      logger.error(e)
+      viewer.eventAction.execute('fetch-error', this.element, e)
+    }
+
+    this.toggleLoading(false)
+  }
+
+  /**
+   * 渲染数据，并记录下一页的请求地址
+   *
+   * @param {Object|Array} data 数据
+   * @param {boolean} replace 是否替换已有列表项
+   * @return {Promise<Array<HTMLElement>>} 新增的列表项
+   */
+  async render (data, replace) {
+    let itemsKey = this.getPathAttribute('items')
+    let loadMoreBookmark = this.getPathAttribute('loadMoreBookmark')
+    let items = Array.isArray(data) ? data : getProperty(data, itemsKey)
+
+    if (!Array.isArray(items)) {
+      throw Error(`Can not find list items by key: ${itemsKey}`)
+    }
+
+    this.nextSrc = (!Array.isArray(data) && getProperty(data, loadMoreBookmark)) || ''
+
+    let htmls = (await templates.render(this.element, items)) || []
+
+    if (replace) {
+      this.container.innerHTML = ''
+    }
+
+    let nodes = htmls.map(html => {
+      let node = document.createElement('div')
+      node.setAttribute('role', 'listitem')
+      node.innerHTML = html
+      this.container.appendChild(node)
+      return node
+    })
+
+    this.updateLoadMoreButton()
+
+    // 通知 mip-bind 处理新增节点上的绑定，并更新新增元素的视口状态
+    customEmit(document, DOM_CHANGE_EVENT, {add: nodes})
+    resources.updateState()
+
+    return nodes
+  }
+
+  /**
+   * 读取数据路径配置。同步数据所在的 <script type="application/json"> 会被合并进 props，
+   * 其中的 items 等字段会覆盖同名属性，因此数据路径只从标签属性中读取
+   *
+   * @param {string} name 属性名
+   * @return {string} 数据路径
+   */
+  getPathAttribute (name) {
+    return this.element.getAttribute(hyphenate(name)) || MIPList.props[name].default
+  }
+
+  /**
+   * 切换加载状态
+   *
+   * @param {boolean} loading 是否正在加载
+   */
+  toggleLoading (loading) {
+    this.loading = loading
+    this.element.classList.toggle('mip-list-loading', loading)
+    if (this.loadMoreButton) {
+      this.loadMoreButton.disabled = loading
+    }
+  }
+
+  /**
+   * 根据是否还有下一页决定“加载更多”按钮是否展示
+   */
+  updateLoadMoreButton () {
+    if (!this.loadMoreButton) {
+      return
+    }
+
+    if (this.nextSrc) {
+      this.loadMoreButton.removeAttribute('hidden')
+    } else {
+      this.loadMoreButton.setAttribute('hidden', '')
+    }
+  }
+
+  /**
+   * 自动加载模式下，列表底部接近视口底部时加载下一页
+   */
+  scrollHandler () {
+    if (this.loading || !this.nextSrc) {
+      return
+    }
+
+    let elementRect = rect.getElementRect(this.element)
+    let viewportRect = viewport.getRect()
+
+    if (elementRect.bottom - viewportRect.bottom < viewportRect.height * AUTO_LOAD_THRESHOLD) {
+      this.loadMore()
+    }
+  }
+}
+
+MIPList.props = {
+  src: {
+    type: String,
+    default: ''
+  },
+  credentials: {
+    type: String,
+    default: 'omit'
+  },
+  timeout: {
+    type: Number,
+    default: 5000
+  },
+  items: {
+    type: String,
+    default: 'items'
+  },
+  loadMore: {
+    type: String,
+    default: ''
+  },
+  loadMoreBookmark: {
+    type: String,
+    default: 'next'
+  }
+}
+
+export default MIPList
@@ -7,6 +7,7 @@
 
 import util from '../util/index'
 import CustomElement from '../custom-element'
+import Services from '../services/index'
 
 const DEFAULT_PARAMS = {
   TIME: 't',
@@ -15,55 +16,40 @@ const DEFAULT_PARAMS = {
 }
 
 /**
- * 替换请求链接中的参数
+ * 未在 src 中使用的通用参数，以默认的参数名添加到 src 末尾
  *
- * @param {string} src      用户填写在mip-pix中的src
- * @param {string} paraName key, 如"title"
- * @param {string} paraVal  value, 如当前时间戳
+ * @param {string} src 用户填写在mip-pix中的src
  * @return {string} url
  */
-function addParas (src, paraName, paraVal) {
-  let paraNameQ = new RegExp('\\$?{' + paraName + '}', 'g')
-  if (src.search(paraNameQ) > -1) {
-    return src.replace(paraNameQ, paraVal)
-  }
-  src += src.indexOf('?') > -1 ? '&' : '?'
-  paraName = DEFAULT_PARAMS[paraName] || /* istanbul ignore next */ paraName
-  return src + paraName + '=' + paraVal
-}
-
-/**
- * 从body获取mip-expeirment实验分组
- *
- * @param  {string} attr 实验名
- * @return {string}      实验分组
- */
-function getBodyAttr (attr) {
-  let body = document.getElementsByTagName('body')[0]
-  return body.getAttribute(attr) || 'default'
+function addDefaultParas (src) {
+  Object.keys(DEFAULT_PARAMS).forEach(paraName => {
+    if (!new RegExp('\\$?{' + paraName + '}').test(src)) {
+      src += (src.indexOf('?') > -1 ? '&' : '?') + DEFAULT_PARAMS[paraName] + '=${' + paraName + '}'
+    }
+  })
+  return src
 }
 
 class MipPix extends CustomElement {
   layoutCallback () {
-    // 获取统计所需参数
-    let ele = this.element
-    let src = ele.getAttribute('src')
-    let host = window.location.href
-    let title = (document.querySelector('title') || /* istanbul ignore next */ {}).innerHTML || ''
-    let time = Date.now()
-
-    // 替换通用参数
-    src = addParas(src, 'TIME', time)
-    src = addParas(src, 'TITLE', encodeURIComponent(title))
-    src = addParas(src, 'HOST', encodeURIComponent(host))
+    let src = addDefaultParas(this.element.getAttribute('src'))
+    let urlReplacements = Services.urlReplacements()
 
-    // 增加对<mip-experiment>支持，获取实验分组
-    let expReg = /MIP-X-((\w|-|\d|_)+)/g
-    let matchExpArr = src.match(expReg)
-    for (let i in matchExpArr) {
-      let matchExp = matchExpArr[i]
-      src = addParas(src, matchExp, getBodyAttr(matchExp))
+    // 替换通用参数、<mip-experiment> 实验分组等变量，包含异步变量时等待变量取值完成后再发送
+    if (urlReplacements.hasAsyncVariables(src)) {
+      return urlReplacements.expand(src).then(url => this.send(url))
     }
+    this.send(urlReplacements.expandSync(src))
+    return Promise.resolve()
+  }
+
+  /**
+   * 创建图片发送请求
+   *
+   * @param {string} src 替换变量后的请求地址
+   */
+  send (src) {
+    let ele = this.element
 
     // 去除匹配失败的其餘{參數}
     src = src.replace(/\$?{.+?}/g, '')
@@ -79,7 +65,6 @@ class MipPix extends CustomElement {
     ele.setAttribute('height', '')
     ele.appendChild(image)
     util.css(ele, {display: 'none'})
-    return Promise.resolve()
   }
 }
 
@@ -0,0 +1,254 @@
+/**
+ * @file mip-tabs 选项卡组件，带 tab 属性的元素为标签，带 tab-panel 属性的元素为对应顺序的内容面板
+ * @author sfe-sy (sfe-sy@baidu.com)
+ */
+
+/* global MIP */
+
+import CustomElement from '../custom-element'
+import css from '../util/dom/css'
+import naboo from '../util/naboo'
+import log from '../util/log'
+import viewer from '../viewer'
+import resources from '../resources'
+
+const logger = log('MIP-tabs')
+
+/**
+ * 键盘按键对应的标签焦点移动方式
+ *
+ * @const
+ * @type {Object}
+ */
+const FOCUS_KEYS = {
+  ArrowRight: 1,
+  Right: 1,
+  ArrowDown: 1,
+  Down: 1,
+  ArrowLeft: -1,
+  Left: -1,
+  ArrowUp: -1,
+  Up: -1
+}
+
+let uid = 0
+
+class MIPTabs extends CustomElement {
+  constructor (...args) {
+    super(...args)
+
+    /**
+     * 标签元素列表
+     * @type {Array.<HTMLElement>}
+     */
+    this.tabs = []
+
+    /**
+     * 内容面板列表，与标签一一对应
+     * @type {Array.<HTMLElement>}
+     */
+    this.panels = []
+
+    /**
+     * 当前选中的标签下标
+     * @type {number}
+     */
+    this.selected = -1
+
+    this.clickHandler = this.clickHandler.bind(this)
+    this.keydownHandler = this.keydownHandler.bind(this)
+  }
+
+  build () {
+    let prefix = `mip-tabs-${uid++}`
+    this.tabs = [...this.element.querySelectorAll('[tab]')]
+    this.panels = [...this.element.querySelectorAll('[tab-panel]')]
+
+    if (this.tabs.length !== this.panels.length) {
+      logger.warn('标签 [tab] 与内容面板 [tab-panel] 的数量不一致')
+    }
+
+    let tabList = this.tabs[0] && this.tabs[0].parentNode
+    tabList && tabList.setAttribute('role', 'tablist')
+
+    this.tabs.forEach((tab, index) => {
+      let panel = this.panels[index]
+      tab.id = tab.id || `${prefix}-tab-${index}`
+      tab.classList.add('mip-tabs-tab')
+      tab.setAttribute('role', 'tab')
+
+      if (panel) {
+        panel.id = panel.id || `${prefix}-panel-${index}`
+        panel.classList.add('mip-tabs-panel')
+        panel.setAttribute('role', 'tabpanel')
+        panel.setAttribute('aria-labelledby', tab.id)
+        tab.setAttribute('aria-controls', panel.id)
+      }
+    })
+
+    // MIP 数据中已存在的选中状态优先于 selected 属性
+    let stored = this.getStoredState()
+    this.select(stored === undefined ? this.props.selected : stored, false)
+
+    this.element.addEventListener('click', this.clickHandler)
+    this.element.addEventListener('keydown', this.keydownHandler)
+
+    this.addEventAction('select', (e, index) => this.select(+index))
+    this.addEventAction('next', () => this.select((this.selected + 1) % this.tabs.length))
+    this.addEventAction('prev', () => this.select((this.selected - 1 + this.tabs.length) % this.tabs.length))
+
+    let {id, scope} = this.props
+    if (id && scope) {
+      // 其他地方修改了选中状态时，同步到组件
+      MIP.watch(`${id}.selected`, value => typeof value === 'number' && this.select(value))
+    }
+  }
+
+  disconnectedCallback () {
+    this.element.removeEventListener('click', this.clickHandler)
+    this.element.removeEventListener('keydown', this.keydownHandler)
+  }
+
+  /**
+   * 读取写在 MIP 数据中的选中状态
+   *
+   * @return {number|undefined} 选中的标签下标
+   */
+  getStoredState () {
+    let {id, scope} = this.props
+    if (id && scope) {
+      let value = MIP.getData(`${id}.selected`)
+      return typeof value === 'number' ? value : undefined
+    }
+  }
+
+  /**
+   * 选中标签，并显示对应的内容面板
+   *
+   * @param {number} index 标签下标
+   * @param {boolean=} notify 是否触发 change 事件并执行动画，初始化时为 false
+   */
+  select (index, notify = true) {
+    if (!(index >= 0 && index < this.tabs.length) || index === this.selected) {
+      return
+    }
+
+    let previous = this.selected
+    this.selected = index
+
+    this.tabs.forEach((tab, i) => {
+      let active = i === index
+      let panel = this.panels[i]
+      tab.setAttribute('aria-selected', active ? 'true' : 'false')
+      // 仅选中的标签可以通过 Tab 键获得焦点，其他标签通过方向键切换
+      tab.setAttribute('tabindex', active ? '0' : '-1')
+      tab.classList.toggle('mip-tabs-tab-active', active)
+      if (panel) {
+        active ? panel.removeAttribute('hidden') : panel.setAttribute('hidden', '')
+      }
+    })
+
+    let {id, scope, animate, duration} = this.props
+
+    if (id && scope) {
+      MIP.setData({[id]: {selected: index}})
+    }
+
+    if (!notify) {
+      return
+    }
+
+    let panel = this.panels[index]
+    if (animate && panel) {
+      css(panel, 'opacity', 0)
+      naboo.animate(panel, {opacity: 1}, {duration}).start(() => css(panel, 'opacity', ''))
+    }
+
+    viewer.eventAction.execute('change', this.element, {index, previous})
+    resources.updateState()
+  }
+
+  /**
+   * 查找事件目标所在的标签下标
+   *
+   * @param {HTMLElement} target 事件目标
+   * @return {number} 下标，找不到时返回 -1
+   */
+  indexOfTab (target) {
+    for (let i = 0; i < this.tabs.length; i++) {
+      if (this.tabs[i].contains(target)) {
+        return i
+      }
+    }
+    return -1
+  }
+
+  /**
+   * 点击标签时切换
+   *
+   * @param {Event} e 点击事件
+   */
+  clickHandler (e) {
+    let index = this.indexOfTab(e.target)
+    index > -1 && this.select(index)
+  }
+
+  /**
+   * 标签的键盘操作：方向键、Home、End 切换并聚焦标签
+   *
+   * @param {KeyboardEvent} e 键盘事件
+   */
+  keydownHandler (e) {
+    let index = this.tabs.indexOf(e.target)
+    if (index === -1) {
+      return
+    }
+
+    let total = this.tabs.length
+    let next
+
+    if (FOCUS_KEYS[e.key]) {
+      next = (index + FOCUS_KEYS[e.key] + total) % total
+    } else if (e.key === 'Home') {
+      next = 0
+    } else if (e.key === 'End') {
+      next = total - 1
+    } else {
+      return
+    }
+
+    e.preventDefault()
+    this.select(next)
+    this.tabs[next].focus()
+  }
+
+  /* istanbul ignore next */
+  prerenderAllowed () {
+    return true
+  }
+}
+
+MIPTabs.props = {
+  id: {
+    type: String,
+    default: ''
+  },
+  scope: {
+    type: Boolean,
+    default: false
+  },
+  selected: {
+    type: Number,
+    default: 0
+  },
+  animate: {
+    type: Boolean,
+    default: false
+  },
+  duration: {
+    type: Number,
+    default: 300
+  }
+}
+
+export default MIPTabs
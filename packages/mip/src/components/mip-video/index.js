@@ -4,10 +4,27 @@
  * @version 1.0
  * @copyright 2016 Baidu.com, Inc. All Rights Reserved
  */
-import util from '../util/index'
-import viewer from '../viewer'
-import CustomElement from '../custom-element'
-import {CUSTOM_EVENT_SHOW_PAGE, CUSTOM_EVENT_HIDE_PAGE} from '../page/const/index'
+
+/* global MIP */
+
+import util from '../../util/index'
+import viewer from '../../viewer'
+import CustomElement from '../../custom-element'
+import viewport from '../../viewport'
+import log from '../../util/log'
+import {throttle} from '../../util/fn'
+import {CUSTOM_EVENT_SHOW_PAGE, CUSTOM_EVENT_HIDE_PAGE} from '../../page/const/index'
+import StreamPlayer, {getStreamType, canPlayNatively, isMSESupported} from './stream-player'
+
+const logger = log('MIP-video')
+
+/**
+ * timeupdate 事件和播放状态同步的最小间隔，单位 ms
+ *
+ * @const
+ * @type {number}
+ */
+const TIMEUPDATE_INTERVAL = 1000
 
 let videoAttributes = [
   'ads',
@@ -36,6 +53,24 @@ const videoExtAttributes = [
 
 const videoAttributesName = videoAttributes.concat(videoExtAttributes)
 
+/**
+ * 获取视频当前的播放状态，duration 未知时为 0
+ *
+ * @param {HTMLVideoElement} videoEl 视频元素
+ * @return {Object} 播放状态
+ */
+function getPlaybackState (videoEl) {
+  let duration = isFinite(videoEl.duration) ? videoEl.duration : 0
+  let currentTime = videoEl.currentTime
+  return {
+    playing: !videoEl.paused && !videoEl.ended,
+    ended: videoEl.ended,
+    currentTime,
+    duration,
+    percent: duration ? Math.min(100, Math.round(currentTime / duration * 100)) : 0
+  }
+}
+
 /**
  * Get attribute Set from attribute List
  *
@@ -57,38 +92,177 @@ function getAttributeSet (attributes) {
 }
 
 class MipVideo extends CustomElement {
+  constructor (...args) {
+    super(...args)
+
+    /**
+     * 当前渲染的视频元素，renderPlayElsewhere 和 renderError 时为 div
+     * @type {HTMLElement}
+     */
+    this.videoElement = null
+
+    /**
+     * 播放 HLS、DASH 码流的 MSE 播放器
+     * @type {StreamPlayer}
+     */
+    this.player = null
+  }
+
   layoutCallback () {
     this.attributes = getAttributeSet(this.element.attributes)
     this.sourceDoms = [...this.element.querySelectorAll('source')]
 
-    let videoElement = this.renderVideo()
+    this.videoElement = this.renderVideo()
 
     window.addEventListener(CUSTOM_EVENT_SHOW_PAGE, () => {
-      videoElement.parentElement.removeChild(videoElement)
-      videoElement = this.renderVideo()
-      this.applyFillContent(videoElement, true)
-    })
-    window.addEventListener(CUSTOM_EVENT_HIDE_PAGE, () => {
-      videoElement.pause && videoElement.pause()
+      this.destroyPlayer()
+      this.videoElement.parentElement.removeChild(this.videoElement)
+      this.videoElement = this.renderVideo()
+      this.applyFillContent(this.videoElement, true)
     })
+    window.addEventListener(CUSTOM_EVENT_HIDE_PAGE, () => this.pause())
     this.addEventAction('seekTo', (e, currentTime) => {
-      videoElement.currentTime = currentTime
+      this.videoElement.currentTime = currentTime
     })
     this.addEventAction('play', () => {
       // renderPlayElsewhere 的 videoElement 是 div，没有 play
       /* istanbul ignore next */
-      videoElement.play && videoElement.play()
-    })
-    this.addEventAction('pause', () => {
-      // renderPlayElsewhere 的 videoElement 是 div，没有 pause
-      /* istanbul ignore next */
-      videoElement.pause && videoElement.pause()
+      this.videoElement.play && this.videoElement.play()
     })
+    this.addEventAction('pause', () => this.pause())
 
-    this.applyFillContent(videoElement, true)
+    this.applyFillContent(this.videoElement, true)
     return Promise.resolve()
   }
 
+  // 离开视口时暂停播放
+  viewportCallback (inViewport) {
+    inViewport || this.pause()
+  }
+
+  disconnectedCallback () {
+    this.destroyPlayer()
+  }
+
+  pause () {
+    let videoEl = this.videoElement
+    // renderPlayElsewhere 的 videoElement 是 div，没有 pause
+    if (videoEl && videoEl.pause && !videoEl.paused) {
+      videoEl.pause()
+    }
+  }
+
+  /**
+   * 查找 HLS、DASH 码流地址，src 属性优先于 <source>
+   *
+   * @return {Object|undefined} {src, type, node}，node 为码流对应的 <source>
+   */
+  getStream () {
+    let {src} = this.attributes
+    if (getStreamType(src)) {
+      return {src, type: getStreamType(src)}
+    }
+    for (let i = 0; i < this.sourceDoms.length; i++) {
+      let node = this.sourceDoms[i]
+      let type = getStreamType(node.getAttribute('src'), node.getAttribute('type'))
+      if (type) {
+        return {src: node.src, type, node}
+      }
+    }
+  }
+
+  /**
+   * 通过 MSE 播放码流，根据视频展示宽度和屏幕像素比选择码率，失败时回退到其他 <source>
+   *
+   * @param {HTMLVideoElement} videoEl 视频元素
+   * @param {Object} stream 码流
+   */
+  playStream (videoEl, stream) {
+    let viewportWidth = viewport.getWidth()
+    let width = Math.min(this.element.getBoundingClientRect().width || viewportWidth, viewportWidth)
+
+    // 清单地址由播放器请求，不能交给 <video> 直接加载
+    videoEl.removeAttribute('src')
+    stream.node && stream.node.parentNode === videoEl && videoEl.removeChild(stream.node)
+
+    let player = this.player = new StreamPlayer(videoEl, {
+      src: stream.src,
+      type: stream.type,
+      width: width * (window.devicePixelRatio || 1),
+      onError: err => logger.warn(err.message)
+    })
+
+    player.load().catch(err => {
+      logger.warn(err.message)
+      if (this.player !== player) {
+        return
+      }
+      this.destroyPlayer()
+      videoEl.removeAttribute('src')
+      videoEl.load()
+    })
+  }
+
+  /**
+   * 将播放事件转发给 EventAction：play、pause、ended、timeupdate（节流）、quartile、error，
+   * 设置了 id 和 scope 时同步播放状态到 MIP 数据
+   *
+   * @param {HTMLVideoElement} videoEl 视频元素
+   */
+  bindEvents (videoEl) {
+    let emit = (name, data) => viewer.eventAction.execute(name, this.element, data)
+    let update = name => {
+      let state = getPlaybackState(videoEl)
+      this.saveState(state)
+      emit(name, state)
+    }
+
+    // 已触发的四分位进度，重新播放时重置
+    let quartile = 0
+    let emitQuartile = value => {
+      while (quartile < value) {
+        quartile++
+        emit('quartile', {quartile, percent: quartile * 25})
+      }
+    }
+
+    let emitTimeupdate = throttle(() => update('timeupdate'), TIMEUPDATE_INTERVAL)
+
+    videoEl.addEventListener('play', () => update('play'))
+    videoEl.addEventListener('pause', () => videoEl.ended || update('pause'))
+    videoEl.addEventListener('timeupdate', () => {
+      let {duration, currentTime} = getPlaybackState(videoEl)
+      duration && emitQuartile(Math.min(3, Math.floor(currentTime / duration * 4)))
+      emitTimeupdate()
+    })
+    videoEl.addEventListener('ended', () => {
+      emitQuartile(4)
+      quartile = 0
+      update('ended')
+    })
+    videoEl.addEventListener('error', () => {
+      let {code, message} = videoEl.error || {}
+      emit('error', {code: code || 0, message: message || ''})
+    })
+  }
+
+  /**
+   * 设置了 id 和 scope 时，将播放状态写入 MIP 数据
+   *
+   * @param {Object} state 播放状态
+   */
+  saveState (state) {
+    let {id, scope} = this.props
+    if (id && scope) {
+      MIP.setData({[id]: state})
+    }
+  }
+
+  destroyPlayer () {
+    this.player && this.player.destroy()
+    this.player = null
+  }
+
   // Render the `<video>` element, and append to `this.element`
   renderInView () {
     let videoEl = document.createElement('video')
@@ -123,6 +297,12 @@ class MipVideo extends CustomElement {
         this.currentTime = +currentTime
       }
     })
+    this.bindEvents(videoEl)
+    // HLS、DASH 码流在浏览器不支持原生播放时，通过 MSE 播放
+    let stream = this.getStream()
+    if (stream && !canPlayNatively(videoEl, stream.type) && isMSESupported()) {
+      this.playStream(videoEl, stream)
+    }
     this.element.appendChild(videoEl)
     return videoEl
   }
@@ -207,4 +387,15 @@ class MipVideo extends CustomElement {
   }
 }
 
+MipVideo.props = {
+  id: {
+    type: String,
+    default: ''
+  },
+  scope: {
+    type: Boolean,
+    default: false
+  }
+}
+
 export default MipVideo
@@ -0,0 +1,285 @@
+/**
+ * @file manifest.js 解析 HLS（m3u8）和 DASH（mpd）清单，并根据展示宽度选择码率
+ * @author sfe-sy (sfe-sy@baidu.com)
+ */
+
+/* global DOMParser */
+
+/**
+ * 将清单中的相对地址解析为绝对地址
+ *
+ * @param {string} url 地址
+ * @param {string} base 清单所在地址
+ * @return {string} 绝对地址
+ */
+export function resolveUrl (url, base) {
+  return new URL(url, new URL(base, window.location.href)).href
+}
+
+/**
+ * 解析 m3u8 标签的属性列表，如 BANDWIDTH=800000,RESOLUTION=640x360,CODECS="avc1.4d401e,mp4a.40.2"
+ *
+ * @param {string} str 属性列表
+ * @return {Object} 属性键值对
+ */
+function parseAttributeList (str) {
+  let attrs = {}
+  let reg = /([A-Z0-9-]+)=("[^"]*"|[^,]*)/g
+  let match
+  while ((match = reg.exec(str))) {
+    attrs[match[1]] = match[2].replace(/^"|"$/g, '')
+  }
+  return attrs
+}
+
+/**
+ * 解析 m3u8 清单。主清单返回各码率的子清单，媒体清单返回分片列表
+ *
+ * @param {string} text 清单内容
+ * @param {string} baseUrl 清单地址
+ * @return {Object} 主清单为 {variants}，媒体清单为 {init, segments, duration}
+ */
+export function parseM3U8 (text, baseUrl) {
+  let lines = text.split(/\r?\n/).map(line => line.trim()).filter(line => line)
+  if (lines[0] !== '#EXTM3U') {
+    throw new Error('Invalid m3u8 playlist: ' + baseUrl)
+  }
+
+  let variants = []
+  let segments = []
+  let init = ''
+  let duration = 0
+  let streamInfo = null
+  let segmentDuration = 0
+
+  lines.slice(1).forEach(line => {
+    if (line.indexOf('#EXT-X-STREAM-INF:') === 0) {
+      streamInfo = parseAttributeList(line.slice(18))
+    } else if (line.indexOf('#EXTINF:') === 0) {
+      segmentDuration = parseFloat(line.slice(8)) || 0
+    } else if (line.indexOf('#EXT-X-MAP:') === 0) {
+      init = resolveUrl(parseAttributeList(line.slice(11)).URI, baseUrl)
+    } else if (line[0] !== '#') {
+      let url = resolveUrl(line, baseUrl)
+      if (streamInfo) {
+        let [width, height] = (streamInfo.RESOLUTION || '').split('x')
+        variants.push({
+          url,
+          bandwidth: +streamInfo.BANDWIDTH || 0,
+          width: +width || 0,
+          height: +height || 0,
+          codecs: streamInfo.CODECS || ''
+        })
+        streamInfo = null
+      } else {
+        segments.push({url, start: duration, duration: segmentDuration})
+        duration += segmentDuration
+      }
+    }
+  })
+
+  return variants.length ? {variants} : {init, segments, duration}
+}
+
+/**
+ * 解析 ISO 8601 时长，如 PT1M30.5S
+ *
+ * @param {string} str 时长
+ * @return {number} 秒数
+ */
+function parseDuration (str) {
+  let match = /^P(?:(\d+)D)?(?:T(?:([\d.]+)H)?(?:([\d.]+)M)?(?:([\d.]+)S)?)?$/.exec(str || '')
+  if (!match) {
+    return 0
+  }
+  return (+match[1] || 0) * 86400 + (+match[2] || 0) * 3600 + (+match[3] || 0) * 60 + (+match[4] || 0)
+}
+
+/**
+ * 获取指定名称的直接子元素
+ *
+ * @param {Element} node 父元素
+ * @param {string} name 子元素名称
+ * @return {Array.<Element>} 子元素列表
+ */
+function getChildren (node, name) {
+  return [...node.childNodes].filter(child => child.nodeType === 1 && child.localName === name)
+}
+
+/**
+ * 根据各层级的 BaseURL 计算当前层级的地址
+ *
+ * @param {Element} node 元素
+ * @param {string} base 上一层级的地址
+ * @return {string} 当前层级的地址
+ */
+function getBaseUrl (node, base) {
+  let baseUrl = getChildren(node, 'BaseURL')[0]
+  return baseUrl ? resolveUrl(baseUrl.textContent.trim(), base) : base
+}
+
+/**
+ * 替换 SegmentTemplate 中的 $RepresentationID$、$Number%05d$ 等标识符
+ *
+ * @param {string} template 地址模板
+ * @param {Object} values 标识符对应的值
+ * @return {string} 地址
+ */
+function fillTemplate (template, values) {
+  return template.replace(/\$(\w*)(?:%0(\d+)d)?\$/g, (all, name, width) => {
+    if (!name) {
+      return '$'
+    }
+    let value = String(values[name])
+    let padding = (width || 0) - value.length
+    return padding > 0 ? new Array(padding + 1).join('0') + value : value
+  })
+}
+
+/**
+ * 根据 SegmentTemplate 或 SegmentList 生成分片列表，Representation 上的设置优先于 AdaptationSet
+ *
+ * @param {Element} set AdaptationSet 元素
+ * @param {Element} rep Representation 元素
+ * @param {Object} info 码率信息
+ * @param {number} duration 总时长
+ * @return {Object} {init, segments}
+ */
+function getSegments (set, rep, info, duration) {
+  let templates = getChildren(rep, 'SegmentTemplate').concat(getChildren(set, 'SegmentTemplate'))
+  let lists = getChildren(rep, 'SegmentList').concat(getChildren(set, 'SegmentList'))
+  let nodes = templates.length ? templates : lists
+  let attr = name => {
+    for (let i = 0; i < nodes.length; i++) {
+      if (nodes[i].hasAttribute(name)) {
+        return nodes[i].getAttribute(name)
+      }
+    }
+  }
+
+  if (!nodes.length) {
+    throw new Error('Unsupported DASH segment addressing, SegmentTemplate or SegmentList is required')
+  }
+
+  let timescale = +attr('timescale') || 1
+  let segmentDuration = +attr('duration') || 0
+  let segments = []
+
+  if (!templates.length) {
+    let list = nodes[0]
+    let init = getChildren(list, 'Initialization')[0]
+    getChildren(list, 'SegmentURL').forEach((node, i) => {
+      segments.push({
+        url: resolveUrl(node.getAttribute('media'), info.baseUrl),
+        start: i * segmentDuration / timescale,
+        duration: segmentDuration / timescale
+      })
+    })
+    return {
+      init: init ? resolveUrl(init.getAttribute('sourceURL'), info.baseUrl) : '',
+      segments
+    }
+  }
+
+  let number = attr('startNumber') ? +attr('startNumber') : 1
+  let media = attr('media')
+  let values = {RepresentationID: info.id, Bandwidth: info.bandwidth}
+  let push = (time, d) => {
+    segments.push({
+      url: resolveUrl(fillTemplate(media, {...values, Number: number++, Time: time}), info.baseUrl),
+      start: time / timescale,
+      duration: d / timescale
+    })
+  }
+
+  let timeline = templates.map(node => getChildren(node, 'SegmentTimeline')[0]).filter(Boolean)[0]
+  if (timeline) {
+    let time = 0
+    getChildren(timeline, 'S').forEach(s => {
+      let d = +s.getAttribute('d')
+      let repeat = +s.getAttribute('r') || 0
+      time = s.hasAttribute('t') ? +s.getAttribute('t') : time
+      // r 为负数时重复到结束
+      let count = d > 0 ? (repeat < 0 ? Math.ceil((duration * timescale - time) / d) : repeat + 1) : 0
+      for (let i = 0; i < count; i++) {
+        push(time, d)
+        time += d
+      }
+    })
+  } else if (segmentDuration) {
+    let count = Math.ceil(duration * timescale / segmentDuration)
+    for (let i = 0; i < count; i++) {
+      push(i * segmentDuration, segmentDuration)
+    }
+  }
+
+  return {
+    init: resolveUrl(fillTemplate(attr('initialization') || '', values), info.baseUrl),
+    segments
+  }
+}
+
+/**
+ * 解析 DASH 清单中第一个 Period 的音视频码率，仅支持点播
+ *
+ * @param {string} text 清单内容
+ * @param {string} baseUrl 清单地址
+ * @return {Object} {duration, video, audio}，video 和 audio 为码率列表
+ */
+export function parseMPD (text, baseUrl) {
+  let doc = new DOMParser().parseFromString(text, 'application/xml')
+  let mpd = doc.documentElement
+  if (!mpd || mpd.localName !== 'MPD') {
+    throw new Error('Invalid mpd manifest: ' + baseUrl)
+  }
+
+  let period = getChildren(mpd, 'Period')[0]
+  let duration = parseDuration(mpd.getAttribute('mediaPresentationDuration')) ||
+    parseDuration(period && period.getAttribute('duration'))
+  let result = {duration, video: [], audio: []}
+  if (!period) {
+    return result
+  }
+
+  let periodBase = getBaseUrl(period, getBaseUrl(mpd, baseUrl))
+  getChildren(period, 'AdaptationSet').forEach(set => {
+    let setBase = getBaseUrl(set, periodBase)
+    getChildren(set, 'Representation').forEach(rep => {
+      let get = name => rep.getAttribute(name) || set.getAttribute(name) || ''
+      let mimeType = get('mimeType')
+      let kind = get('contentType') || mimeType.split('/')[0]
+      if (!result[kind]) {
+        return
+      }
+      let info = {
+        id: rep.getAttribute('id'),
+        bandwidth: +rep.getAttribute('bandwidth') || 0,
+        width: +get('width') || 0,
+        height: +get('height') || 0,
+        mimeType,
+        codecs: get('codecs'),
+        baseUrl: getBaseUrl(rep, setBase)
+      }
+      result[kind].push({...info, ...getSegments(set, rep, info, duration)})
+    })
+  })
+  return result
+}
+
+/**
+ * 选择宽度不超过展示宽度的最高码率，都超过时选择最小的码率
+ *
+ * @param {Array.<Object>} renditions 码率列表
+ * @param {number} width 展示宽度（物理像素）
+ * @return {Object|undefined} 选中的码率
+ */
+export function selectRendition (renditions, width) {
+  let sorted = renditions.slice().sort((a, b) => (a.width - b.width) || (a.bandwidth - b.bandwidth))
+  let selected = sorted[0]
+  sorted.forEach(item => {
+    if (item.width <= width) {
+      selected = item
+    }
+  })
+  return selected
+}
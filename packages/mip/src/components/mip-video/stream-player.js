@@ -0,0 +1,344 @@
+/**
+ * @file stream-player.js 在不支持原生播放的环境中，通过 Media Source Extensions 播放 HLS 和 DASH 点播码流
+ * @author sfe-sy (sfe-sy@baidu.com)
+ */
+
+/* global fetch */
+
+import {parseM3U8, parseMPD, selectRendition} from './manifest'
+
+/**
+ * 预先缓冲的时长，单位秒
+ *
+ * @const
+ * @type {number}
+ */
+const BUFFER_AHEAD = 30
+
+/**
+ * HLS 主清单未声明 CODECS 时使用的编码
+ *
+ * @const
+ * @type {string}
+ */
+const DEFAULT_CODECS = 'avc1.42E01E,mp4a.40.2'
+
+/**
+ * 根据地址和 type 判断码流类型
+ *
+ * @param {string} src 地址
+ * @param {string=} type 媒体类型
+ * @return {string} hls、dash，不是自适应码流时为空字符串
+ */
+export function getStreamType (src, type) {
+  type = (type || '').toLowerCase()
+  if (/mpegurl$/.test(type) || /\.m3u8([?#]|$)/i.test(src || '')) {
+    return 'hls'
+  }
+  if (type === 'application/dash+xml' || /\.mpd([?#]|$)/i.test(src || '')) {
+    return 'dash'
+  }
+  return ''
+}
+
+/**
+ * 浏览器是否可以直接播放该类型的码流，如 iOS Safari 原生支持 HLS
+ *
+ * @param {HTMLVideoElement} video 视频元素
+ * @param {string} type 码流类型
+ * @return {boolean} 是否支持
+ */
+export function canPlayNatively (video, type) {
+  return !!video.canPlayType(type === 'hls' ? 'application/vnd.apple.mpegurl' : 'application/dash+xml')
+}
+
+/**
+ * 是否支持 Media Source Extensions
+ *
+ * @return {boolean} 是否支持
+ */
+export function isMSESupported () {
+  return !!(window.MediaSource && window.MediaSource.isTypeSupported)
+}
+
+/**
+ * 获取码率对应的 SourceBuffer 类型
+ *
+ * @param {Object} rendition 码率
+ * @return {string} 如 video/mp4; codecs="avc1.42E01E"
+ */
+function getMimeType ({mimeType, codecs}) {
+  return `${mimeType}; codecs="${codecs}"`
+}
+
+/**
+ * 请求清单或分片
+ *
+ * @param {string} url 地址
+ * @param {boolean=} text 是否以文本形式返回
+ * @return {Promise.<string|ArrayBuffer>} 响应内容
+ */
+function request (url, text) {
+  return fetch(url).then(res => {
+    if (!res.ok) {
+      throw new Error(`Failed to load ${url}: ${res.status}`)
+    }
+    return text ? res.text() : res.arrayBuffer()
+  })
+}
+
+/**
+ * 查找包含指定时间的分片下标
+ *
+ * @param {Array.<Object>} segments 分片列表
+ * @param {number} time 时间
+ * @return {number} 分片下标
+ */
+function findSegment (segments, time) {
+  for (let i = 0; i < segments.length; i++) {
+    if (segments[i].start + segments[i].duration > time) {
+      return i
+    }
+  }
+  return segments.length
+}
+
+/**
+ * SourceBuffer 中是否已缓冲指定时间
+ *
+ * @param {SourceBuffer} buffer SourceBuffer
+ * @param {number} time 时间
+ * @return {boolean} 是否已缓冲
+ */
+function isBuffered (buffer, time) {
+  let ranges = buffer.buffered
+  for (let i = 0; i < ranges.length; i++) {
+    if (ranges.start(i) <= time && ranges.end(i) > time) {
+      return true
+    }
+  }
+  return false
+}
+
+export default class StreamPlayer {
+  /**
+   * @param {HTMLVideoElement} video 视频元素
+   * @param {Object} options 配置
+   * @param {string} options.src 清单地址
+   * @param {string} options.type 码流类型，hls 或 dash
+   * @param {number} options.width 展示宽度（物理像素），用于选择码率
+   * @param {Function=} options.onError 播放过程中加载分片失败时的回调
+   */
+  constructor (video, {src, type, width, onError}) {
+    this.video = video
+    this.src = src
+    this.type = type
+    this.width = width
+    this.onError = onError || (() => {})
+
+    /**
+     * 音视频轨道，每个轨道对应一个 SourceBuffer
+     * @type {Array.<Object>}
+     */
+    this.tracks = []
+    this.mediaSource = null
+    this.objectUrl = ''
+    this.destroyed = false
+
+    this.loadSegments = this.loadSegments.bind(this)
+    this.seekingHandler = this.seekingHandler.bind(this)
+  }
+
+  /**
+   * 加载清单并开始缓冲
+   *
+   * @return {Promise} 初始化分片添加完成后 resolve，清单或编码不支持时 reject
+   */
+  load () {
+    return this.loadManifest().then(({tracks, duration}) => this.destroyed || this.open(tracks, duration))
+  }
+
+  /**
+   * 加载清单，并为每种媒体类型选择码率
+   *
+   * @return {Promise.<Object>} {tracks, duration}
+   */
+  loadManifest () {
+    let {src} = this
+
+    if (this.type === 'dash') {
+      return request(src, true).then(text => {
+        let manifest = parseMPD(text, src)
+        let tracks = [manifest.video, manifest.audio]
+          .filter(renditions => renditions.length)
+          .map(renditions => this.select(renditions))
+        return {tracks, duration: manifest.duration}
+      })
+    }
+
+    return request(src, true).then(text => {
+      let playlist = parseM3U8(text, src)
+      let base = {mimeType: 'video/mp4', codecs: DEFAULT_CODECS}
+      if (!playlist.variants) {
+        return {rendition: base, playlist}
+      }
+      let rendition = this.select(playlist.variants.map(variant => ({
+        ...variant,
+        mimeType: base.mimeType,
+        codecs: variant.codecs || base.codecs
+      })))
+      return request(rendition.url, true).then(text => ({rendition, playlist: parseM3U8(text, rendition.url)}))
+    }).then(({rendition, playlist}) => {
+      // MSE 不支持 TS 分片，需要使用带 #EXT-X-MAP 的 fMP4 分片
+      if (!playlist.init) {
+        throw new Error('Only fragmented MP4 HLS streams are supported: ' + src)
+      }
+      return {
+        tracks: [{...rendition, init: playlist.init, segments: playlist.segments}],
+        duration: playlist.duration
+      }
+    })
+  }
+
+  /**
+   * 在浏览器支持的码率中，根据展示宽度选择码率
+   *
+   * @param {Array.<Object>} renditions 码率列表
+   * @return {Object} 码率
+   */
+  select (renditions) {
+    let supported = renditions.filter(item => window.MediaSource.isTypeSupported(getMimeType(item)))
+    if (!supported.length) {
+      throw new Error('No supported codecs in ' + this.src)
+    }
+    return selectRendition(supported, this.width)
+  }
+
+  /**
+   * 创建 MediaSource 和 SourceBuffer，并添加初始化分片
+   *
+   * @param {Array.<Object>} tracks 选中的码率
+   * @param {number} duration 总时长
+   * @return {Promise} 初始化分片添加完成后 resolve
+   */
+  open (tracks, duration) {
+    let mediaSource = this.mediaSource = new window.MediaSource()
+
+    let opened = new Promise(resolve => {
+      let handler = () => {
+        mediaSource.removeEventListener('sourceopen', handler)
+        resolve()
+      }
+      mediaSource.addEventListener('sourceopen', handler)
+      this.objectUrl = URL.createObjectURL(mediaSource)
+      this.video.src = this.objectUrl
+    })
+
+    return opened.then(() => {
+      if (duration) {
+        mediaSource.duration = duration
+      }
+      this.tracks = tracks.map(track => ({
+        ...track,
+        buffer: mediaSource.addSourceBuffer(getMimeType(track)),
+        index: 0,
+        loading: false
+      }))
+      return Promise.all(this.tracks.map(track => request(track.init).then(data => this.append(track, data))))
+    }).then(() => {
+      if (this.destroyed) {
+        return
+      }
+      this.video.addEventListener('timeupdate', this.loadSegments)
+      this.video.addEventListener('seeking', this.seekingHandler)
+      this.loadSegments()
+    })
+  }
+
+  /**
+   * 向 SourceBuffer 添加数据
+   *
+   * @param {Object} track 轨道
+   * @param {ArrayBuffer} data 数据
+   * @return {Promise} 添加完成后 resolve
+   */
+  append (track, data) {
+    let {buffer} = track
+    return new Promise((resolve, reject) => {
+      let done = e => {
+        buffer.removeEventListener('updateend', done)
+        buffer.removeEventListener('error', done)
+        e.type === 'error' ? reject(new Error('Failed to append media data to ' + track.mimeType)) : resolve()
+      }
+      buffer.addEventListener('updateend', done)
+      buffer.addEventListener('error', done)
+      buffer.appendBuffer(data)
+    })
+  }
+
+  /**
+   * 按顺序加载各轨道的分片，直到缓冲了当前时间之后 BUFFER_AHEAD 秒
+   */
+  loadSegments () {
+    let currentTime = this.video.currentTime
+
+    this.tracks.forEach(track => {
+      let index = track.index
+      let segment = track.segments[index]
+      if (this.destroyed || track.loading || !segment || segment.start > currentTime + BUFFER_AHEAD) {
+        return
+      }
+
+      track.loading = true
+      request(segment.url)
+        .then(data => this.destroyed || this.append(track, data))
+        .then(() => {
+          track.loading = false
+          // 加载过程中发生了跳转时，下标已经重新计算
+          if (track.index === index) {
+            track.index++
+          }
+          this.endOfStream()
+          this.loadSegments()
+        }, err => {
+          track.loading = false
+          this.destroyed || this.onError(err)
+        })
+    })
+  }
+
+  /**
+   * 所有分片都已添加时结束码流，视频才能正常触发 ended
+   */
+  endOfStream () {
+    let {mediaSource} = this
+    let finished = this.tracks.every(track => track.index >= track.segments.length && !track.buffer.updating)
+    if (!this.destroyed && finished && mediaSource.readyState === 'open') {
+      mediaSource.endOfStream()
+    }
+  }
+
+  /**
+   * 跳转到未缓冲的位置时，从对应的分片开始加载
+   */
+  seekingHandler () {
+    let time = this.video.currentTime
+    this.tracks.forEach(track => {
+      if (!isBuffered(track.buffer, time)) {
+        track.index = findSegment(track.segments, time)
+      }
+    })
+    this.loadSegments()
+  }
+
+  /**
+   * 停止加载并释放 MediaSource
+   */
+  destroy () {
+    this.destroyed = true
+    this.video.removeEventListener('timeupdate', this.loadSegments)
+    this.video.removeEventListener('seeking', this.seekingHandler)
+    this.objectUrl && URL.revokeObjectURL(this.objectUrl)
+    this.tracks = []
+  }
+}
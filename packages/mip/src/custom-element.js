@@ -4,6 +4,7 @@
  */
 
 import EventEmitter from './util/event-emitter'
+import {isThenable} from './util/fn'
 // import {actions as htmlElementAction} from './util/event-action/whitelist/element-action'
 // import {globalAction} from './util/event-action/global-action'
 
@@ -195,10 +196,13 @@ class CustomElement {
   }
 
   /**
-   * Trigger the handlers had been added by `addEventAction` of an action
+   * Trigger the handlers had been added by `addEventAction` of an action.
+   * Handlers may return promises, so that the following actions in the
+   * same `on` expression will wait until they are settled.
    *
    * @param {Object} action The action object.
-   * @return {boolean} is targeted custom element event
+   * @return {boolean|Promise} false if it is not a targeted custom element event,
+   *         a promise if any of the handlers is asynchronous, or true
    */
   executeEventAction (action) {
     let eventObj = this._actionEvent
@@ -207,8 +211,8 @@ class CustomElement {
       return false
     }
     if (eventObj && eventObj.__events[action.handler]) {
-      eventObj.trigger(action.handler, action.event, action.arg)
-      return true
+      let results = eventObj.trigger(action.handler, action.event, action.arg)
+      return results.some(isThenable) ? Promise.all(results) : true
     }
     return false
     // else if (htmlElementAction[action.handler]) {
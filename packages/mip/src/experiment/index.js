@@ -4,6 +4,12 @@
  */
 
 import defaultExperimentConfig from './config'
+import Services from '../services/index'
+import customStorage from '../util/custom-storage'
+import jsonParse from '../util/json-parse'
+import log from '../util/log'
+
+const logger = log('MIP-experiment')
 
 /**
  * 默认的 cookie 失效时间
@@ -13,8 +19,31 @@ import defaultExperimentConfig from './config'
  */
 const COOKIE_DEFAULT_EXPIRES = 24 * 60 * 60 * 1000
 
+/**
+ * 页面实验的默认分组名，权重之和不足 100 时剩余的流量属于默认分组
+ *
+ * @type {string}
+ * @const
+ */
+export const DEFAULT_VARIANT = 'default'
+
+/**
+ * 页面实验分组结果的默认有效期，30 天
+ *
+ * @type {number}
+ * @const
+ */
+const STICKY_DEFAULT_EXPIRES = 30 * 24 * 60 * 60 * 1000
+
 let experimentConfig = defaultExperimentConfig
 
+/**
+ * 当前页面的实验分组结果，key 为实验名
+ *
+ * @type {Object}
+ */
+let pageVariants = {}
+
 /**
  * 判断是否是实验生效状态
  *
@@ -65,6 +94,29 @@ function getCookie (key) {
   return ''
 }
 
+/**
+ * 计算用户在实验中的流量分桶。有 client id 时由 client id 和实验名计算，
+ * 保证同一用户在同一实验中的分桶固定，并且与统计请求中的用户标识一致
+ *
+ * @param {string} expName 实验名称
+ * @returns {number} 0 到 99 之间的分桶
+ */
+function getBucket (expName) {
+  let clientId = Services.getServiceOrNull('client-id')
+  let id = clientId && clientId.get()
+
+  if (!id) {
+    return parseInt(Math.random() * 100, 10)
+  }
+
+  let hash = 0
+  let str = id + ':' + expName
+  for (let i = 0; i < str.length; i++) {
+    hash = (hash * 31 + str.charCodeAt(i)) >>> 0
+  }
+  return hash % 100
+}
+
 /**
  * 全局设置实验配置（提供一种 API 设置全局实验配置的机制）
  *
@@ -143,7 +195,7 @@ function isShootAbTest (expName, abExpConf = {}) {
     probabilityControlArr[i] = i < ratio
   }
 
-  let expIndex = parseInt(Math.random() * 100, 10)
+  let expIndex = getBucket(expName)
 
   // 如果实验在设定的生效时间中，就可以判断是否命中
   if (probabilityControlArr[expIndex]) {
@@ -192,3 +244,92 @@ export function tryAssertAllAbTests () {
 
   return abTestNames
 }
+
+/**
+ * 按权重为页面中 <mip-experiment> 定义的实验分组，并将分组写入 body 的 mip-x-实验名 属性，
+ * 页面可以通过 body[mip-x-实验名="分组名"] 选择器编写各分组的样式
+ *
+ * @param {string} name 实验名
+ * @param {Object} conf 实验配置
+ * @param {Object} conf.variants 分组及其流量百分比，如 {"yellow": 30, "grey": 30}
+ * @param {boolean=} conf.sticky 是否保持分组结果，默认为 true，为 false 时每次访问重新分组
+ * @param {string=} conf.storage 分组结果的存储方式，local 为 localStorage，cookie 为 cookie，默认为 local
+ * @param {number=} conf.expires 分组结果保存在 cookie 中的有效期（毫秒），默认为 30 天
+ * @returns {string} 分组名
+ */
+export function assignPageExperiment (name, conf = {}) {
+  if (pageVariants.hasOwnProperty(name)) {
+    return pageVariants[name]
+  }
+
+  let variants = conf.variants || {}
+  let sticky = conf.sticky !== false
+  let key = 'mip-x-' + name
+  let useCookie = conf.storage === 'cookie'
+  let storage = sticky ? customStorage(useCookie ? 2 : 0) : null
+  let variant = storage && storage.get(key)
+
+  // 实验配置中删除了存储的分组时重新分组
+  if (!variant || (variant !== DEFAULT_VARIANT && !variants.hasOwnProperty(variant))) {
+    // 保持分组结果时使用 client id 分桶，与统计请求中的用户标识一致
+    let bucket = sticky ? getBucket(name) : parseInt(Math.random() * 100, 10)
+    let sum = 0
+    variant = DEFAULT_VARIANT
+    for (let item of Object.keys(variants)) {
+      sum += +variants[item] || 0
+      if (bucket < sum) {
+        variant = item
+        break
+      }
+    }
+
+    // 页面使用 mip-consent 时，用户同意之前不保存分组结果
+    if (storage && !Services.consent().isStorageBlocked()) {
+      try {
+        // 有效期只用于 cookie，缓存页的 localStorage 有效期作用于整个站点的存储
+        if (useCookie) {
+          storage.set(key, variant, conf.expires > 0 ? conf.expires : STICKY_DEFAULT_EXPIRES)
+        } else {
+          storage.set(key, variant)
+        }
+      } catch (e) {
+        logger.warn(e)
+      }
+    }
+  }
+
+  pageVariants[name] = variant
+  document.body.setAttribute(key, variant)
+  return variant
+}
+
+/**
+ * 读取 <mip-experiment> 中的实验配置并分组。MIP 初始化时会先执行一次，
+ * 使分组样式在首次渲染前生效，避免页面闪动
+ *
+ * @param {HTMLElement|Document=} root 在 root 中查找 <mip-experiment>，root 也可以是 <mip-experiment> 本身
+ * @returns {Object} 分组结果，key 为实验名
+ */
+export function applyPageExperiments (root = document) {
+  let result = {}
+
+  if (!document.body) {
+    return result
+  }
+
+  let scripts = root.querySelectorAll('mip-experiment > script[type="application/json"]')
+  for (let i = 0; i < scripts.length; i++) {
+    let config
+    try {
+      config = jsonParse(scripts[i].textContent.toString())
+    } catch (e) {
+      logger.error(e)
+      continue
+    }
+    Object.keys(config || {}).forEach(name => {
+      result[name] = assignPageExperiment(name, config[name])
+    })
+  }
+
+  return result
+}
@@ -17,8 +17,8 @@ import installSandbox from './sandbox'
 import sleepWakeModule from './sleep-wake-module'
 import performance from './performance'
 import errorMonitorInstall from './log/error-monitor'
-import {OUTER_MESSAGE_PERFORMANCE_UPDATE} from './page/const/index'
-import {tryAssertAllAbTests} from './experiment/index'
+import {OUTER_MESSAGE_PERFORMANCE_UPDATE, OUTER_MESSAGE_ELEMENT_TIMING} from './page/const/index'
+import {tryAssertAllAbTests, applyPageExperiments} from './experiment/index'
 
 // Ensure loaded only once
 /* istanbul ignore next */
@@ -27,6 +27,9 @@ if (typeof window.MIP === 'undefined' || typeof window.MIP.version === 'undefine
   const MIP = getRuntime()
   const abTestResult = tryAssertAllAbTests()
 
+  // Assign experiments of <mip-experiment> before first paint to avoid flicker.
+  applyPageExperiments()
+
   util.dom.waitDocumentReady(() => {
     // init viewport
     viewport.init()
@@ -63,6 +66,13 @@ if (typeof window.MIP === 'undefined' || typeof window.MIP.version === 'undefine
       timing.msids = abTestResult.join(',')
       viewer.sendMessage(OUTER_MESSAGE_PERFORMANCE_UPDATE, timing)
     })
+    performance.on('element-timing', ({element, ...timing}) => {
+      viewer.sendMessage(OUTER_MESSAGE_ELEMENT_TIMING, {
+        ...timing,
+        tagName: element.tagName.toLowerCase(),
+        id: element.id
+      })
+    })
 
     // Show page
     viewer.show()
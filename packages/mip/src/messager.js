@@ -118,6 +118,10 @@ class Messenger {
       // console.warn('Origin ' + origin + ' is not safe, ignore event', event)
       return
     }
+    // 与 iframe 通信时，只处理来自该 iframe 的消息，避免其他窗口冒用 name
+    if (messenger.targetWindow instanceof HTMLIFrameElement && event.source !== messenger.getWindow()) {
+      return
+    }
     // 检查单双向
     let eventData = event.data
     if (!eventData) {
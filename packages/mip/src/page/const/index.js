@@ -46,6 +46,14 @@ export const BUILT_IN_COMPONENTS = [
   'mip-iframe',
   'mip-img',
   'mip-pix',
+  'mip-analytics',
+  'mip-consent',
+  'mip-experiment',
+  'mip-list',
+  'mip-form',
+  'mip-accordion',
+  'mip-tabs',
+  'mip-lightbox',
   'mip-video',
   'mip-shell'
 ]
@@ -55,6 +63,7 @@ export const MAX_PAGE_NUM = 6
 // 和 SF 通讯的事件名称
 export const OUTER_MESSAGE_MIP_PAGE_LOAD = 'mippageload'
 export const OUTER_MESSAGE_PERFORMANCE_UPDATE = 'performance-update'
+export const OUTER_MESSAGE_ELEMENT_TIMING = 'element-timing'
 export const OUTER_MESSAGE_STABILITY_LOG = 'stability-log'
 export const OUTER_MESSAGE_PERFORMANCE_ANALYSIS_LOG = 'performance-analysis-log'
 export const OUTER_MESSAGE_CHANGE_STATE = 'change-state'
@@ -37,6 +37,12 @@ let isStart = false
  */
 let recorder = {}
 
+/**
+ * Record element timings.
+ * @inner
+ */
+let elementTimings = []
+
 /**
  * Event for updating timing.
  * @inner
@@ -101,6 +107,37 @@ function recordTiming (name, timing) {
   performanceEvent.trigger('update', getTiming())
 }
 
+/**
+ * Record timing of an element, such as when a lazy embed is activated and
+ * loaded. An element timing may be recorded by many elements, so it is kept
+ * in a list instead of the page timing.
+ *
+ * @param {HTMLElement} element html element
+ * @param {string} name Name of the timing.
+ * @param {Object=} detail Extra data of the timing.
+ * @return {Object} The recorded element timing.
+ */
+function recordElementTiming (element, name, detail) {
+  let timing = extend({
+    element,
+    name,
+    time: Date.now()
+  }, detail)
+  elementTimings.push(timing)
+  performanceEvent.trigger('element-timing', timing)
+  return timing
+}
+
+/**
+ * Get the recorded element timings.
+ *
+ * @param {HTMLElement=} element Only the timings of this element if specified.
+ * @return {Array<Object>}
+ */
+function getElementTimings (element) {
+  return elementTimings.filter(timing => !element || timing.element === element)
+}
+
 /**
  * Try recording first-screen loaded.
  */
@@ -186,6 +223,8 @@ export default {
   fsElementLoaded,
   getTiming,
   recordTiming,
+  recordElementTiming,
+  getElementTimings,
   lockFirstScreen,
   on () {
     performanceEvent.on.apply(performanceEvent, arguments)
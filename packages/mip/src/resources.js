@@ -206,7 +206,11 @@ class Resources {
         // The element may have been removed.
         if (ele && ele.isBuilt()) {
           try {
-            let inViewport = this.isInViewport(ele, viewportRect)
+            // Elements inside an owned container follow the layout state set by the owner.
+            let container = this.getOwnerContainer(ele)
+            let inViewport = container
+              ? container._ownerLayout
+              : this.isInViewport(ele, viewportRect)
             this.setInViewport(ele, inViewport)
           } catch (e) {
             console.warn(e)
@@ -217,6 +221,72 @@ class Resources {
     this._rafId = null
   }
 
+  /**
+   * Hand over the layout of the elements inside `container` to `owner`, such as the
+   * slides of mip-carousel. Viewport updates will not lay out these elements until
+   * the owner calls `layoutElement(container)`.
+   *
+   * @param {HTMLElement} container container
+   * @param {HTMLElement} owner owner element
+   */
+  setOwner (container, owner) {
+    container._owner = owner
+    container._ownerLayout = false
+  }
+
+  /**
+   * Find the nearest owned container of the element.
+   *
+   * @param {HTMLElement} element element
+   * @return {?HTMLElement} the container or null
+   */
+  getOwnerContainer (element) {
+    for (let node = element.parentNode; node; node = node.parentNode) {
+      if (node._owner) {
+        return node
+      }
+    }
+    return null
+  }
+
+  /**
+   * Lay out the built elements inside an owned container. Elements built later will be
+   * laid out by the next viewport update.
+   *
+   * @param {HTMLElement} container owned container
+   */
+  layoutElement (container) {
+    this._setOwnerLayout(container, true)
+  }
+
+  /**
+   * Unlay out the elements inside an owned container, their `unlayoutCallback` will be called.
+   *
+   * @param {HTMLElement} container owned container
+   */
+  unlayoutElement (container) {
+    this._setOwnerLayout(container, false)
+  }
+
+  /**
+   * @param {HTMLElement} container owned container
+   * @param {boolean} layout layout state
+   * @private
+   */
+  _setOwnerLayout (container, layout) {
+    if (container._ownerLayout === layout) {
+      return
+    }
+    container._ownerLayout = layout
+    this.getResourcesList().forEach(element => {
+      if (!element.isBuilt() || this.getOwnerContainer(element) !== container) {
+        return
+      }
+      this.setInViewport(element, layout)
+      !layout && element.unlayoutCallback && element.unlayoutCallback()
+    })
+  }
+
   /**
    * Forced set the element's viewport state to 'true'.
    *
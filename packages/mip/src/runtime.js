@@ -1,7 +1,10 @@
 import CustomElement from './custom-element'
 import Services, {
+  installClientIdService,
+  installConsentService,
   installExtensionsService,
   installTimerService,
+  installUrlReplacementsService,
   installVueCompatService
 } from './services'
 import MipShell from './components/mip-shell'
@@ -34,6 +37,9 @@ class Runtime {
   installServices () {
     installExtensionsService()
     installTimerService()
+    installClientIdService()
+    installConsentService()
+    installUrlReplacementsService()
     installVueCompatService()
   }
 
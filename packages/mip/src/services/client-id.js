@@ -0,0 +1,213 @@
+import Services from './services'
+import customStorage from '../util/custom-storage'
+
+/**
+ * Storage key of client ids of all scopes.
+ *
+ * @const
+ * @type {string}
+ */
+const STORAGE_KEY = 'mip-cid'
+
+/**
+ * Storage key of the opt-out flag.
+ *
+ * @const
+ * @type {string}
+ */
+const OPT_OUT_KEY = 'mip-cid-opt-out'
+
+/**
+ * Default scope of client ids.
+ *
+ * @const
+ * @type {string}
+ */
+const DEFAULT_SCOPE = 'default'
+
+/**
+ * Default lifetime of a client id, 365 days.
+ *
+ * @const
+ * @type {number}
+ */
+const DEFAULT_LIFETIME = 365 * 24 * 60 * 60 * 1000
+
+/**
+ * Returns a random id, uses `crypto.getRandomValues` when supported.
+ *
+ * @returns {string}
+ */
+function createId () {
+  let {crypto} = window
+  let random
+  if (crypto && crypto.getRandomValues) {
+    random = Array.prototype.map.call(
+      crypto.getRandomValues(new Uint32Array(2)),
+      value => value.toString(36)
+    ).join('')
+  } else {
+    random = Math.random().toString(36).slice(2) + Math.random().toString(36).slice(2)
+  }
+  return Date.now().toString(36) + '.' + random
+}
+
+export class ClientId {
+  constructor () {
+    /**
+     * @type {!Object}
+     * @private
+     * @const
+     */
+    this.storage = customStorage(0)
+
+    /**
+     * Lifetime of client ids in milliseconds.
+     *
+     * @type {number}
+     * @private
+     */
+    this.lifetime = DEFAULT_LIFETIME
+
+    /**
+     * Client ids created while storage is blocked by consent, kept in memory
+     * so they stay the same on this page, and stored once accepted.
+     *
+     * @type {!Object<string, string>}
+     * @private
+     */
+    this.unsavedIds = {}
+  }
+
+  /**
+   * Returns the service of the root page, so pages in shell iframes share the
+   * same identity with the root page.
+   *
+   * @returns {!ClientId}
+   * @private
+   */
+  getRoot () {
+    let {MIP} = window
+    let page = MIP && MIP.viewer && MIP.viewer.page
+    if (!page || page.isRootPage || page.isCrossOrigin) {
+      return this
+    }
+    try {
+      return window.parent.MIP.Services.clientId() || this
+    } catch (e) {
+      /* istanbul ignore next */
+      return this
+    }
+  }
+
+  /**
+   * Sets the lifetime of client ids. An id will be rotated once it's older
+   * than the lifetime.
+   *
+   * @param {number} lifetime in milliseconds.
+   */
+  setLifetime (lifetime) {
+    let root = this.getRoot()
+    if (root !== this) {
+      root.setLifetime(lifetime)
+      return
+    }
+    if (lifetime > 0) {
+      this.lifetime = lifetime
+    }
+  }
+
+  /**
+   * Returns the client id of a scope, creates a new one if absent or expired.
+   * Returns `null` if the user has opted out. New ids are not stored until
+   * the user accepts if the page uses `<mip-consent>`.
+   *
+   * @param {string=} scope of the id, ids of different scopes are unrelated.
+   * @returns {?string}
+   */
+  get (scope = DEFAULT_SCOPE) {
+    let root = this.getRoot()
+    if (root !== this) {
+      return root.get(scope)
+    }
+    if (this.isOptedOut()) {
+      return null
+    }
+
+    let ids = this.getStoredIds()
+    let stored = ids[scope]
+    let now = Date.now()
+    if (stored && stored.id && now - stored.time < this.lifetime) {
+      return stored.id
+    }
+
+    let id = this.unsavedIds[scope] || createId()
+    if (Services.consent().isStorageBlocked()) {
+      this.unsavedIds[scope] = id
+      return id
+    }
+
+    delete this.unsavedIds[scope]
+    ids[scope] = {id, time: now}
+    try {
+      this.storage.set(STORAGE_KEY, JSON.stringify(ids))
+    } catch (e) {}
+    return id
+  }
+
+  /**
+   * Whether the user has opted out.
+   *
+   * @returns {boolean}
+   */
+  isOptedOut () {
+    let root = this.getRoot()
+    if (root !== this) {
+      return root.isOptedOut()
+    }
+    return this.storage.get(OPT_OUT_KEY) === '1'
+  }
+
+  /**
+   * Opts out, stored client ids are removed and no more will be created.
+   */
+  optOut () {
+    let root = this.getRoot()
+    if (root !== this) {
+      root.optOut()
+      return
+    }
+    this.storage.set(OPT_OUT_KEY, '1')
+    this.storage.rm(STORAGE_KEY)
+  }
+
+  /**
+   * Opts in again after `optOut`.
+   */
+  optIn () {
+    let root = this.getRoot()
+    if (root !== this) {
+      root.optIn()
+      return
+    }
+    this.storage.rm(OPT_OUT_KEY)
+  }
+
+  /**
+   * Returns stored client ids of all scopes.
+   *
+   * @returns {!Object<string, {id: string, time: number}>}
+   * @private
+   */
+  getStoredIds () {
+    try {
+      return JSON.parse(this.storage.get(STORAGE_KEY) || '{}') || {}
+    } catch (e) {
+      return {}
+    }
+  }
+}
+
+export function installClientIdService () {
+  Services.registerService('client-id', ClientId)
+}
@@ -0,0 +1,231 @@
+import Services from './services'
+import EventEmitter from '../util/event-emitter'
+import customStorage from '../util/custom-storage'
+import {whenDocumentInteractive} from '../util/dom/dom'
+
+/**
+ * Storage key of the consent decision.
+ *
+ * @const
+ * @type {string}
+ */
+const STORAGE_KEY = 'mip-consent'
+
+/**
+ * States of user consent.
+ *
+ * @const
+ * @enum {string}
+ */
+export const CONSENT_STATE = {
+  UNKNOWN: 'unknown',
+  ACCEPTED: 'accepted',
+  REJECTED: 'rejected'
+}
+
+export class Consent {
+  constructor () {
+    /**
+     * @type {!Object}
+     * @private
+     * @const
+     */
+    this.storage = customStorage(0)
+
+    /**
+     * @type {!EventEmitter}
+     * @private
+     * @const
+     */
+    this.emitter = new EventEmitter()
+
+    /**
+     * @type {string}
+     * @private
+     */
+    this.state = CONSENT_STATE.UNKNOWN
+
+    /**
+     * Whether the page manages consent, set by `<mip-consent>`.
+     *
+     * @type {boolean}
+     * @private
+     */
+    this.required = false
+
+    /**
+     * Pending callbacks of `whenAccepted`.
+     *
+     * @type {!Array<Function>}
+     * @private
+     */
+    this.waiters = []
+
+    /**
+     * Whether the document has been parsed without `<mip-consent>`, in which
+     * case `whenAccepted` doesn't hold anything.
+     *
+     * @type {boolean}
+     * @private
+     */
+    this.notRequired = false
+
+    /**
+     * @type {boolean}
+     * @private
+     */
+    this.checking = false
+  }
+
+  /**
+   * Enables consent management and restores the stored decision.
+   * Called by `<mip-consent>`.
+   *
+   * @returns {string} restored state.
+   */
+  require () {
+    this.required = true
+    let state = this.storage.get(STORAGE_KEY)
+    if (state === CONSENT_STATE.ACCEPTED || state === CONSENT_STATE.REJECTED) {
+      this.update(state, false)
+    }
+    return this.state
+  }
+
+  /**
+   * Whether the page manages consent.
+   *
+   * @returns {boolean}
+   */
+  isRequired () {
+    return this.required
+  }
+
+  /**
+   * Returns the current state.
+   *
+   * @returns {string} one of `CONSENT_STATE`.
+   */
+  getState () {
+    return this.state
+  }
+
+  /**
+   * Whether things depending on consent, such as cookie writes, should be
+   * blocked. Nothing is blocked if the page doesn't manage consent.
+   *
+   * @returns {boolean}
+   */
+  isBlocked () {
+    return this.required && this.state !== CONSENT_STATE.ACCEPTED
+  }
+
+  /**
+   * Whether writes to client-side storage, such as cookies, client ids,
+   * sticky experiment variants and persisted mip-data, should be blocked.
+   * Unlike `isBlocked`, it also takes a `<mip-consent>` that hasn't been
+   * built yet into account, as some writes happen before first paint.
+   *
+   * @returns {boolean}
+   */
+  isStorageBlocked () {
+    if (!this.required && document.querySelector('mip-consent')) {
+      this.require()
+    }
+    return this.isBlocked()
+  }
+
+  /**
+   * Accepts and stores the decision.
+   */
+  accept () {
+    this.update(CONSENT_STATE.ACCEPTED, true)
+  }
+
+  /**
+   * Rejects and stores the decision.
+   */
+  reject () {
+    this.update(CONSENT_STATE.REJECTED, true)
+  }
+
+  /**
+   * Returns a promise that resolves when consent is accepted. Stays pending
+   * while the user hasn't decided or has rejected. Resolves once the document
+   * is parsed if the page doesn't manage consent, the same as `isBlocked`.
+   *
+   * @returns {!Promise<void>}
+   */
+  whenAccepted () {
+    if (this.state === CONSENT_STATE.ACCEPTED || this.notRequired) {
+      return Promise.resolve()
+    }
+    this.checkRequired()
+    return new Promise(resolve => this.waiters.push(resolve))
+  }
+
+  /**
+   * Listens to state changes.
+   *
+   * @param {function(string)} handler receives the new state.
+   * @returns {function()} removes the listener.
+   */
+  onChange (handler) {
+    this.emitter.on('change', handler)
+    return () => this.emitter.off('change', handler)
+  }
+
+  /**
+   * Releases pending `whenAccepted` callbacks if there is no `<mip-consent>`
+   * in the document once it is parsed.
+   *
+   * @private
+   */
+  checkRequired () {
+    if (this.checking) {
+      return
+    }
+    this.checking = true
+    whenDocumentInteractive(document).then(() => {
+      if (!this.required && !document.querySelector('mip-consent')) {
+        this.notRequired = true
+        this.flushWaiters()
+      }
+    })
+  }
+
+  /**
+   * @private
+   */
+  flushWaiters () {
+    let waiters = this.waiters
+    this.waiters = []
+    waiters.forEach(resolve => resolve())
+  }
+
+  /**
+   * @param {string} state new state.
+   * @param {boolean} persist whether to store the decision.
+   * @private
+   */
+  update (state, persist) {
+    if (persist) {
+      try {
+        this.storage.set(STORAGE_KEY, state)
+      } catch (e) {}
+    }
+    if (state === this.state) {
+      return
+    }
+    this.state = state
+
+    if (state === CONSENT_STATE.ACCEPTED) {
+      this.flushWaiters()
+    }
+    this.emitter.trigger('change', state)
+  }
+}
+
+export function installConsentService () {
+  Services.registerService('consent', Consent)
+}
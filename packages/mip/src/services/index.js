@@ -1,7 +1,10 @@
 import Services from './services'
 
+export * from './client-id'
+export * from './consent'
 export * from './extensions'
 export * from './timer'
+export * from './url-replacements'
 export * from './vue-compat'
 
 export default Services
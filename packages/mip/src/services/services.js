@@ -1,6 +1,20 @@
 import {Deferred} from '../util'
 
 class ServicesFactory {
+  /**
+   * @returns {import('./client-id').ClientId}
+   */
+  static clientId () {
+    return Services.getService('client-id')
+  }
+
+  /**
+   * @returns {import('./consent').Consent}
+   */
+  static consent () {
+    return Services.getService('consent')
+  }
+
   /**
    * @returns {import('./extensions').Extensions}
    */
@@ -15,6 +29,13 @@ class ServicesFactory {
     return Services.getService('timer')
   }
 
+  /**
+   * @returns {import('./url-replacements').UrlReplacements}
+   */
+  static urlReplacements () {
+    return Services.getService('url-replacements')
+  }
+
   /**
    * @returns {import('./vue-compat').VueCompat}
    */
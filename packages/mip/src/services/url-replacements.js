@@ -0,0 +1,244 @@
+import Services from './services'
+import performance from '../performance'
+import viewport from '../viewport'
+
+/**
+ * Matches `${NAME}`, `${NAME(arg)}` and the legacy `{NAME}` syntax of mip-pix.
+ *
+ * @const
+ * @type {RegExp}
+ */
+const VARIABLE_REG = /\$?\{([A-Za-z_][\w-]*)(?:\(([^()]*)\))?\}/g
+
+/**
+ * Legacy prefix of experiment groups, e.g. `${MIP-X-BUTTON-COLOR}`.
+ *
+ * @const
+ * @type {string}
+ */
+const EXPERIMENT_PREFIX = 'MIP-X-'
+
+/**
+ * Returns the href of `<link rel="canonical">`, or the current URL if absent.
+ *
+ * @returns {string}
+ */
+function getCanonicalUrl () {
+  let link = document.querySelector('link[rel="canonical"]')
+  return (link && link.href) || window.location.href
+}
+
+/**
+ * Returns the group of an experiment from the body attribute `mip-x-{name}`.
+ *
+ * @param {string} name of the experiment.
+ * @returns {string}
+ */
+function getExperimentGroup (name) {
+  return document.body.getAttribute('mip-x-' + name) || 'default'
+}
+
+/**
+ * Returns the client id of a scope, or an empty string if the user has opted out.
+ *
+ * @param {string=} scope of the client id.
+ * @returns {string}
+ */
+function getClientId (scope) {
+  return Services.clientId().get(scope || undefined) || ''
+}
+
+/**
+ * Returns the value of `MIP.getData(path)`, objects are serialized.
+ *
+ * @param {string} path of the data.
+ * @returns {string|number|boolean|undefined}
+ */
+function getData (path) {
+  let {MIP} = window
+  let value = MIP && MIP.getData ? MIP.getData(path) : undefined
+  return value !== null && typeof value === 'object' ? JSON.stringify(value) : value
+}
+
+/**
+ * Returns a promise that resolves with the page load time after `load` event.
+ *
+ * @returns {Promise<number>}
+ */
+function getPageLoadTime () {
+  let loaded = document.readyState === 'complete'
+    ? Promise.resolve()
+    : new Promise(resolve => window.addEventListener('load', resolve))
+
+  // `loadEventEnd` is set after all `load` listeners are called.
+  return loaded.then(() => Services.timer().sleep(0)).then(() => {
+    let timing = performance.getTiming()
+    return timing.loadEventEnd && timing.navigationStart
+      ? timing.loadEventEnd - timing.navigationStart
+      : ''
+  })
+}
+
+export class UrlReplacements {
+  constructor () {
+    /**
+     * @type {!Object<string, {resolver: Function, async: boolean}>}
+     * @private
+     */
+    this.variables = {}
+
+    this.set('RANDOM', () => Math.random())
+    this.set('TIME', () => Date.now())
+    this.set('TIMESTAMP', () => Date.now())
+    this.set('TITLE', () => document.title)
+    this.set('HOST', () => window.location.href)
+    this.set('SOURCE_URL', () => window.location.href)
+    this.set('SOURCE_HOST', () => window.location.host)
+    this.set('CANONICAL_URL', getCanonicalUrl)
+    this.set('DOCUMENT_REFERRER', () => document.referrer)
+    this.set('VIEWPORT_WIDTH', () => viewport.getWidth())
+    this.set('VIEWPORT_HEIGHT', () => viewport.getHeight())
+    this.set('SCROLL_TOP', () => viewport.getScrollTop())
+    this.set('SCROLL_HEIGHT', () => viewport.getScrollHeight())
+    this.set('CLIENT_ID', getClientId)
+    this.set('EXPERIMENT', getExperimentGroup)
+    this.set('MIP_DATA', getData)
+    this.setAsync('PAGE_LOAD_TIME', getPageLoadTime)
+  }
+
+  /**
+   * Registers a variable resolved synchronously.
+   *
+   * @param {string} name of the variable.
+   * @param {function(string=):*} resolver receives the argument in `${NAME(arg)}`.
+   * @returns {UrlReplacements}
+   */
+  set (name, resolver) {
+    this.variables[name] = {resolver, async: false}
+    return this
+  }
+
+  /**
+   * Registers a variable resolved asynchronously.
+   *
+   * @param {string} name of the variable.
+   * @param {function(string=):Promise<*>} resolver receives the argument in `${NAME(arg)}`.
+   * @returns {UrlReplacements}
+   */
+  setAsync (name, resolver) {
+    this.variables[name] = {resolver, async: true}
+    return this
+  }
+
+  /**
+   * Returns the registered variable of a name. `MIP-X-*` is an alias of `EXPERIMENT(*)`.
+   *
+   * @param {string} name of the variable.
+   * @param {string=} arg in `${NAME(arg)}`.
+   * @returns {?{resolver: Function, async: boolean, arg: (string|undefined)}}
+   * @private
+   */
+  getVariable (name, arg) {
+    if (name.toUpperCase().indexOf(EXPERIMENT_PREFIX) === 0) {
+      return {...this.variables.EXPERIMENT, arg: name.slice(EXPERIMENT_PREFIX.length).toLowerCase()}
+    }
+    return this.variables.hasOwnProperty(name) ? {...this.variables[name], arg} : null
+  }
+
+  /**
+   * Whether the url contains any asynchronous variable.
+   *
+   * @param {string} url to check.
+   * @returns {boolean}
+   */
+  hasAsyncVariables (url) {
+    let found = false
+    String(url).replace(VARIABLE_REG, (all, name, arg) => {
+      let variable = this.getVariable(name, arg)
+      found = found || !!(variable && variable.async)
+    })
+    return found
+  }
+
+  /**
+   * Returns the value of a synchronous variable, `undefined` for unknown or
+   * asynchronous ones.
+   *
+   * @param {string} name of the variable.
+   * @param {string=} arg in `${NAME(arg)}`.
+   * @returns {*}
+   */
+  getSync (name, arg) {
+    let variable = this.getVariable(name, arg)
+    return variable && !variable.async ? variable.resolver(variable.arg) : undefined
+  }
+
+  /**
+   * Replaces variables in the url synchronously, asynchronous variables are
+   * replaced with empty strings.
+   *
+   * @param {string} url to expand.
+   * @param {Object=} options
+   * @param {Object=} options.vars extra variables that take precedence.
+   * @param {boolean=} options.encode whether to encode values, defaults to `true`.
+   * @returns {string}
+   */
+  expandSync (url, options = {}) {
+    let encode = createEncoder(options.encode)
+    return this.replace(url, options.vars, variable =>
+      encode(variable.async ? '' : variable.resolver(variable.arg))
+    )
+  }
+
+  /**
+   * Replaces variables in the url, waits for asynchronous variables.
+   *
+   * @param {string} url to expand.
+   * @param {Object=} options same as `expandSync`.
+   * @returns {Promise<string>}
+   */
+  expand (url, options = {}) {
+    let encode = createEncoder(options.encode)
+    let pending = []
+    this.replace(url, options.vars, variable => {
+      pending.push(Promise.resolve(variable.resolver(variable.arg)).catch(() => ''))
+      return ''
+    })
+    return Promise.all(pending).then(values => {
+      // Variables are matched in the same order, so values are filled in by index.
+      let index = 0
+      return this.replace(url, options.vars, () => encode(values[index++]))
+    })
+  }
+
+  /**
+   * @param {string} url to expand.
+   * @param {Object=} vars extra variables that take precedence.
+   * @param {function(Object):string} resolve returns the replacement of a known variable.
+   * @returns {string}
+   * @private
+   */
+  replace (url, vars = {}, resolve) {
+    return String(url).replace(VARIABLE_REG, (all, name, arg) => {
+      let variable = vars.hasOwnProperty(name)
+        ? {resolver: () => vars[name], async: false}
+        : this.getVariable(name, arg)
+      return variable ? resolve(variable) : all
+    })
+  }
+}
+
+/**
+ * @param {boolean=} encode whether to encode values.
+ * @returns {function(*):string}
+ */
+function createEncoder (encode) {
+  return value => {
+    value = value == null ? '' : String(value)
+    return encode === false ? value : encodeURIComponent(value)
+  }
+}
+
+export function installUrlReplacementsService () {
+  Services.registerService('url-replacements', UrlReplacements)
+}
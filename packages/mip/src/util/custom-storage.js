@@ -5,9 +5,10 @@
 
 'use strict'
 
-/* globals localStorage, fetch, top */
+/* globals localStorage, sessionStorage, fetch, top */
 
 import {isCacheUrl, del, isString} from './fn'
+import Services from '../services/services'
 
 /**
  * Type of storage
@@ -18,7 +19,8 @@ import {isCacheUrl, del, isString} from './fn'
 let storageType = {
   LOCALSTORAGE: 0,
   ASYNCSTORAGE: 1,
-  COOKIESTORAGE: 2
+  COOKIESTORAGE: 2,
+  SESSIONSTORAGE: 3
 }
 
 /**
@@ -40,6 +42,14 @@ let eCode = {
  */
 let lsCache = {}
 
+/**
+ * When no support session storage, store data temporary
+ *
+ * @inner
+ * @type {Object}
+ */
+let ssCache = {}
+
 /**
  * Location href
  *
@@ -334,6 +344,79 @@ class LocalStorage {
   }
 }
 
+/**
+ * Session Storage class
+ *
+ * @class
+ */
+class SessionStorage {
+  /**
+   * Whether support Session Storage
+   *
+   * @return {boolean} Whether support ss
+   */
+  _supportSs () {
+    let support = false
+    try {
+      window.sessionStorage.setItem('ssExisted', '1')
+      window.sessionStorage.removeItem('ssExisted')
+      support = true
+    } catch (e) {
+      support = false
+    }
+    return support
+  }
+
+  /**
+   * Set data in session storage
+   *
+   * @param {string} name name of storage
+   * @param {string} value value of storage
+   */
+  set (name, value) {
+    if (!name || !value) {
+      return
+    }
+    if (this._supportSs()) {
+      sessionStorage.setItem(name, value)
+    } else {
+      ssCache[name] = value
+    }
+  }
+
+  /**
+   * Get data in session storage
+   *
+   * @param {string} name name of storage
+   * @return {string} get data with key
+   */
+  get (name) {
+    if (!isString(name)) {
+      return
+    }
+    return this._supportSs() ? sessionStorage.getItem(name) : ssCache[name]
+  }
+
+  /**
+   * Delete data in session storage with key
+   *
+   * @param {string} name name of storage
+   */
+  rm (name) {
+    if (!isString(name)) {
+      return
+    }
+    this._supportSs() ? sessionStorage.removeItem(name) : del(ssCache, name)
+  }
+
+  /**
+   * Clear session storage
+   */
+  clear () {
+    this._supportSs() ? sessionStorage.clear() : ssCache = {}
+  }
+}
+
 /**
  * Publisher manage storage, via request
  *
@@ -429,6 +512,54 @@ class CookieStorage {
     }
   }
 
+  /**
+   * Get cookie
+   *
+   * @param {string} name cookie name
+   * @return {string|undefined} decoded cookie value
+   */
+  get (name) {
+    if (!isString(name)) {
+      return
+    }
+    let value = this._get(name)
+    return value === undefined ? value : decodeURIComponent(value)
+  }
+
+  /**
+   * Set cookie of current path. Writes are blocked until the user accepts
+   * if the page uses <mip-consent>.
+   *
+   * @param {string} name cookie name
+   * @param {string} value cookie value
+   * @param {number=} expire expire time in milliseconds, session cookie if not set
+   * @return {boolean} whether the cookie is written
+   */
+  set (name, value, expire) {
+    let consent = Services.getServiceOrNull('consent')
+    if (!name || (consent && consent.isStorageBlocked())) {
+      return false
+    }
+    let cookie = name + '=' + encodeURIComponent(value) + '; path=/'
+    if (expire > 0) {
+      cookie += '; expires=' + new Date(Date.now() + expire).toGMTString()
+    }
+    document.cookie = cookie
+    return true
+  }
+
+  /**
+   * Delete cookie of current path
+   *
+   * @param {string} name cookie name
+   */
+  rm (name) {
+    if (!isString(name)) {
+      return
+    }
+    document.cookie = name + '=; path=/; expires=' + new Date(0).toGMTString()
+  }
+
   /**
    * Whether iframed or not
    *
@@ -544,6 +675,8 @@ function customStorage (type) {
       return new LocalStorage()
     case storageType.COOKIESTORAGE:
       return new CookieStorage()
+    case storageType.SESSIONSTORAGE:
+      return new SessionStorage()
   }
 }
 
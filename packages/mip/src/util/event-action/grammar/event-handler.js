@@ -31,7 +31,8 @@ import {
 
 import {
   $string,
-  $identifier
+  $identifier,
+  $number
 } from './basic'
 
 import lex from './lexer'
@@ -112,6 +113,30 @@ export const $htmlIdentifier = lex.set({
   }
 })
 
+/**
+ * 匹配行为执行失败时的 catch 分支
+ * 如 tap:abc.refresh().catch(error-tip.show) 中的 .catch(error-tip.show) 部分
+ *
+ * @type {Rule}
+ */
+export const $mipActionCatch = lex.set({
+  type: 'MIPActionCatch',
+  rule: () => [
+    _,
+    $dot,
+    [text, 'catch'],
+    _,
+    $leftParen,
+    _,
+    $mipActions,
+    _,
+    $rightParen
+  ],
+  match (args) {
+    return args[6]
+  }
+})
+
 /**
  * 匹配 MIP 行为表达式
  * 如 tap:abc.doSomething(a='bcdef') 中的 abc.doSomething(a='bcdef') 部分
@@ -127,13 +152,15 @@ export const $mipAction = lex.set({
     ]],
     $dot,
     $identifier,
-    [opt, $mipArgumentText]
+    [opt, $mipArgumentText],
+    [opt, $mipActionCatch]
   ],
   match (args) {
     return {
       object: args[0].name || args[0].raw,
       property: args[2].name,
-      argumentText: args[3] ? args[3].raw : null
+      argumentText: args[3] ? args[3].raw : null,
+      fallback: args[4]
     }
   }
 })
@@ -168,9 +195,37 @@ export const $mipActions = lex.set({
   }
 })
 
+/**
+ * 匹配事件修饰符，用于控制行为的触发频率，时间间隔单位为 ms，可省略
+ * 如 input.debounce(300):a.do1() 中的 .debounce(300) 部分
+ *
+ * @type {Rule}
+ */
+export const $mipEventModifier = lex.set({
+  type: 'MIPEventModifier',
+  rule: [
+    $dot,
+    [regexp, /^(debounce|throttle)\b/],
+    [opt, [
+      _,
+      $leftParen,
+      _,
+      $number,
+      _,
+      $rightParen
+    ]]
+  ],
+  match (args) {
+    return {
+      name: args[1].raw,
+      delay: args[2] ? args[2][3].value : undefined
+    }
+  }
+})
+
 /**
  * 匹配单事件监听的 MIP 表达式
- * 如tap:a.do1(),b.do2()
+ * 如tap:a.do1(),b.do2() 或 input.debounce(300):a.do1()
  *
  * @type {Rule}
  */
@@ -178,6 +233,7 @@ export const $mipEventHandler = lex.set({
   type: 'MIPEventHandler',
   rule: [
     [regexp, /^[a-z][\w$-]*/i],
+    [opt, $mipEventModifier],
     _,
     $colon,
     _,
@@ -186,7 +242,8 @@ export const $mipEventHandler = lex.set({
   match (args) {
     return {
       event: args[0].raw,
-      actions: args[4]
+      modifier: args[1],
+      actions: args[5]
     }
   }
 })
@@ -5,10 +5,67 @@
 
 import elementAction from '../whitelist/element-action'
 import mipAction from '../whitelist/mip-action'
+import {debounce, throttle, isThenable} from '../../fn'
 import log from '../../log'
 
 const logger = log('Event-Action')
 
+/**
+ * 事件修饰符对应的频率控制方法及默认时间间隔，与 viewer 中 input-debounced / input-throttled 事件保持一致
+ *
+ * @const
+ * @type {Object}
+ */
+const MODIFIERS = {
+  debounce: {
+    limit: debounce,
+    delay: 300
+  },
+  throttle: {
+    limit: throttle,
+    delay: 100
+  }
+}
+
+/**
+ * 事件修饰符在元素上存储频率控制函数的属性名前缀，同一个 on 表达式的解析结果会被多个元素共享，
+ * 因此频率控制函数需要按元素分别存储
+ *
+ * @const
+ * @type {string}
+ */
+const MODIFIER_KEY = '__mipEventModifier'
+
+let modifierId = 0
+
+/**
+ * 依次执行行为列表，行为返回 Promise 时等待其完成后再执行下一个行为。
+ * 行为之间互不干扰，执行出错时仅打印错误信息并继续执行后续行为
+ *
+ * @param {Array.<Function>} actions 行为列表
+ * @param {Object} options 行为执行参数
+ * @param {number=} start 开始执行的行为下标
+ * @return {Promise|undefined} 存在异步行为时返回全部行为执行完成的 Promise
+ */
+function runActions (actions, options, start = 0) {
+  for (let i = start; i < actions.length; i++) {
+    let result
+    try {
+      result = actions[i](options)
+    } catch (e) /* istanbul ignore next */ {
+      logger.error(e)
+      continue
+    }
+    if (isThenable(result)) {
+      let next = () => runActions(actions, options, i + 1)
+      return result.then(next, e => {
+        logger.error(e)
+        return next()
+      })
+    }
+  }
+}
+
 const visitor = {
   MIPEventHandlers (path) {
     let handlers = []
@@ -24,33 +81,52 @@ const visitor = {
   },
 
   MIPEventHandler (path) {
-    let event = path.node.event
+    let {event, modifier} = path.node
     let actions = []
 
     for (let action of path.node.actions) {
       actions.push(path.traverse(action))
     }
 
-    return function ({eventName}) {
-      if (eventName !== event) {
+    let run = function (options) {
+      return runActions(actions, options)
+    }
+
+    if (!modifier) {
+      return function (options) {
+        if (options.eventName !== event) {
+          return
+        }
+        return run(options)
+      }
+    }
+
+    let {limit, delay} = MODIFIERS[modifier.name]
+    let key = MODIFIER_KEY + modifierId++
+    delay = modifier.delay == null ? delay : modifier.delay
+
+    return function (options) {
+      if (options.eventName !== event) {
         return
       }
-      for (let action of actions) {
-        // 行为在执行的时候是互不干扰的，因此强制捕获错误
-        try {
-          action()
-        } catch (e) /* istanbul ignore next */ {
-          logger.error(e)
-        }
+      let target = options.target
+      /* istanbul ignore if */
+      if (!target) {
+        return run(options)
       }
+      // 按元素与事件分别做频率控制
+      if (!target[key]) {
+        target[key] = limit(run, delay)
+      }
+      target[key](options)
     }
   },
 
   MIPAction (path) {
-    let {object, property, argumentText} = path.node
+    let {object, property, argumentText, fallback} = path.node
     // MIP Action 目前仅支持 html-id.doSomething 和 MIP.doSomething 两种形式
     // 分别对应元素行为和 MIP 全局行为
-    return object === 'MIP'
+    let action = object === 'MIP'
       ? function (options) {
         return mipAction({
           options,
@@ -67,6 +143,29 @@ const visitor = {
           argumentText
         })
       }
+
+    if (!fallback) {
+      return action
+    }
+
+    // 行为执行出错或返回的 Promise 被 reject 时，执行 catch 分支中的行为
+    let catches = fallback.map(node => path.traverse(node))
+    let handleError = (e, options) => {
+      logger.error(e)
+      return runActions(catches, options)
+    }
+
+    return function (options) {
+      let result
+      try {
+        result = action(options)
+      } catch (e) {
+        return handleError(e, options)
+      }
+      return isThenable(result)
+        ? result.then(null, e => handleError(e, options))
+        : result
+    }
   },
 
   MIPActionArguments (path) {
@@ -178,9 +178,10 @@ export default function elementAction ({
       params.arg = args.map(a => JSON.stringify(a)).join(',')
     }
 
+    // 组件行为返回 Promise 时，后续行为需等待其执行完成
     let isTargeted = element.executeEventAction(params)
     if (isTargeted) {
-      return
+      return isTargeted
     }
   }
 
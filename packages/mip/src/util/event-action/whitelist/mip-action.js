@@ -96,6 +96,20 @@ function $set (args) {
   MIP.$set(args)
 }
 
+/**
+ * 撤销最近一次 MIP Data 数据修改，需开启数据修改历史记录
+ */
+function undo () {
+  MIP.undoData()
+}
+
+/**
+ * 重做最近一次被撤销的 MIP Data 数据修改，需开启数据修改历史记录
+ */
+function redo () {
+  MIP.redoData()
+}
+
 // 旧版 MIP 表达式解析的实现方法
 // @TODO deprecated
 
@@ -144,6 +158,8 @@ function setDataParseFallback ({argumentText, options, deprecate}) {
 export const actions = {
   setData,
   $set,
+  undo,
+  redo,
   scrollTo,
   navigateTo,
   closeOrNavigateTo,
@@ -129,6 +129,7 @@ class EventEmitter {
    * Trigger events.
    *
    * @param {string} name name
+   * @return {Array|undefined} return values of the handlers
    */
   trigger (name) {
     let args = Array.prototype.slice.call(arguments, 1)
@@ -137,12 +138,14 @@ class EventEmitter {
     }
     let list = this._getEvent(name)
     let context = this.__eventContext || this
+    let results = []
     for (let i = 0; i < list.length; i++) {
-      list[i].apply(context, args)
+      results.push(list[i].apply(context, args))
       if (list[i].__once) {
         list.splice(i, 1)
       }
     }
+    return results
   }
 
   /**
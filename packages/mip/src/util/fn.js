@@ -209,6 +209,16 @@ export function isString (string) {
   // return Object.prototype.toString.call(string) === '[object String]'
 }
 
+/**
+ * If varible is a promise-like object
+ *
+ * @param {*} obj variable
+ * @return {boolean} whether varible has a then method
+ */
+export function isThenable (obj) {
+  return !!obj && typeof obj.then === 'function'
+}
+
 /**
  * Empty a property
  *
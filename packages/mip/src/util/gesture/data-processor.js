@@ -27,6 +27,13 @@ export default {
    */
   lastCenter: null,
 
+  /**
+   * The vector between the first two points when multi-touch starts.
+   *
+   * @type {?Object}
+   */
+  startVector: null,
+
   /**
    * The starting time of event.
    *
@@ -51,6 +58,7 @@ export default {
       this.startTime = now
       this.startData = data
       this.preData = null
+      this.startVector = touches.length > 1 ? this.getVector(touches) : null
     }
     let startCenter = this.startCenter
     let center = this.getCenter(touches)
@@ -71,7 +79,21 @@ export default {
     data.distance = this.getDistance(startCenter, center)
     data.direction = this.getDirection(deltaX, deltaY)
     data.eventState = event.type.replace('touch', '')
+    data.target = event.target
     data.timeStamp = now
+    data.center = center
+
+    // Scale and rotation are relative to the moment when the second finger touched.
+    // When fingers are lifted, keep the last values for the ending events.
+    if (touches.length > 1) {
+      let vector = this.getVector(touches)
+      this.startVector = this.startVector || vector
+      data.scale = vector.length / this.startVector.length || 1
+      data.rotation = this.getRotation(this.startVector, vector)
+    } else {
+      data.scale = this.preData ? this.preData.scale : 1
+      data.rotation = this.preData ? this.preData.rotation : 0
+    }
 
     if (this.preData) {
       let instTime = data.instantDeltaTime = now - this.preData.timeStamp
@@ -95,16 +117,61 @@ export default {
 
   /**
    * Get the center point from some points.
-   * TODO: Calculates the center point of multiple points.
    *
    * @param {Array} points points
    * @return {Object}
    */
   getCenter (points) {
+    let len = points.length
+    if (len === 1) {
+      return {
+        x: round(points[0].clientX),
+        y: round(points[0].clientY)
+      }
+    }
+    let x = 0
+    let y = 0
+    for (let i = 0; i < len; i++) {
+      x += points[i].clientX
+      y += points[i].clientY
+    }
+    return {
+      x: round(x / len),
+      y: round(y / len)
+    }
+  },
+
+  /**
+   * Get the vector from the first point to the second point.
+   *
+   * @param {Array} points points, at least two
+   * @return {Object} {length, angle}
+   */
+  getVector (points) {
+    let start = {x: points[0].clientX, y: points[0].clientY}
+    let end = {x: points[1].clientX, y: points[1].clientY}
     return {
-      x: round(points[0].clientX),
-      y: round(points[0].clientY)
+      length: this.getDistance(start, end),
+      angle: this.getAngle(start, end)
+    }
+  },
+
+  /**
+   * Get the rotation from one vector to another, in degrees between -180 and 180.
+   * Positive means clockwise.
+   *
+   * @param {Object} start start vector
+   * @param {Object} end end vector
+   * @return {number}
+   */
+  getRotation (start, end) {
+    let rotation = end.angle - start.angle
+    if (rotation > 180) {
+      rotation -= 360
+    } else if (rotation < -180) {
+      rotation += 360
     }
+    return rotation
   },
 
   /**
@@ -298,7 +298,7 @@ class Recognizer {
     }
     for (let i in this.conflictList) {
       let conflictRecognizer = this.conflictList[i]
-      if (conflictRecognizer.level > this.level && this.conflictList[i].state !== STATE_HOLD) {
+      if (conflictRecognizer.level > this.level && conflictRecognizer._state !== STATE_HOLD) {
         return false
       }
     }
@@ -602,12 +602,403 @@ class SwipeRecognizer extends Recognizer {
   }
 }
 
+class ContinuousRecognizer extends Recognizer {
+  /**
+   * Base class of the recognizers which emit start, move and end events continuously,
+   * such as pan and pinch. It is not registered itself.
+   *
+   * @constructor
+   * @param {Gesture} gesture gesture instance
+   */
+  constructor (gesture) {
+    super(gesture)
+
+    /**
+     * Minimum change to begin the gesture.
+     *
+     * @type {number}
+     */
+    this.threshold = 0
+
+    /**
+     * Whether the gesture has began and the start event has been emitted.
+     *
+     * @type {boolean}
+     */
+    this.began = false
+  }
+
+  /**
+   * Check whether the pointers of gesture data are acceptable.
+   *
+   * @param {Object} data data
+   * @return {boolean}
+   */
+  acceptPointers (data) {
+    return true
+  }
+
+  /**
+   * Check whether the gesture data is over the threshold.
+   *
+   * @param {Object} data data
+   * @return {boolean}
+   */
+  overThreshold (data) {
+    return true
+  }
+
+  /**
+   * @override
+   */
+  process (data) {
+    if (!this.acceptPointers(data) || data.eventState === 'end' || data.eventState === 'cancel') {
+      return this.began ? STATE_END : STATE_HOLD
+    }
+    if (this.began || this.overThreshold(data)) {
+      return STATE_PENDING
+    }
+    return STATE_WAIT
+  }
+
+  /**
+   * @override
+   */
+  emit (data) {
+    let name = this.eventList[0]
+    if (this._state === STATE_PENDING) {
+      if (!this.began) {
+        this.began = true
+        this.triggerWith(data, name + 'start')
+      }
+      this.triggerWith(data, name)
+      this.triggerWith(data, name + 'move')
+      this.emitMore(data)
+    } else if (this._state === STATE_END) {
+      this.triggerWith(data, name + 'end')
+      this.reset()
+      this.hold()
+    }
+  }
+
+  /**
+   * Emit additional events on every move.
+   *
+   * @param {Object} data data
+   */
+  emitMore (data) {}
+
+  /**
+   * Create the event data with a specified type.
+   *
+   * @param {Object} data data
+   * @param {string} type event type
+   * @return {Object}
+   */
+  createEventData (data, type) {
+    let eventData = Object.create(data)
+    eventData.type = type
+    return eventData
+  }
+
+  /**
+   * Trigger the gesture's event with a specified type.
+   *
+   * @param {Object} data data
+   * @param {string} type event type
+   */
+  triggerWith (data, type) {
+    this.trigger(this.createEventData(data, type))
+  }
+
+  /**
+   * @override
+   */
+  reset () {
+    this.began = false
+  }
+}
+
+class PinchRecognizer extends ContinuousRecognizer {
+  /**
+   * Pinch recognizer. Recognizes two-finger gestures that change the distance between fingers.
+   *
+   * @constructor
+   * @param {Gesture} gesture gesture instance
+   */
+  constructor (gesture) {
+    super(gesture)
+
+    /**
+     * Minimum scale change to begin the gesture.
+     *
+     * @override
+     */
+    this.threshold = 0.05
+
+    /**
+     * Multi-touch gestures take precedence over swipe and pan.
+     *
+     * @override
+     */
+    this.level = 3
+  }
+
+  /**
+   * The event list of current recognizer.
+   * Pinch and pinchmove will be triggered on every move, with pinchin or pinchout.
+   *
+   * @type {Array.<string>}
+   * @override
+   */
+  get eventList () {
+    return this._eventList || ['pinch', 'pinchstart', 'pinchmove', 'pinchend', 'pinchin', 'pinchout']
+  }
+
+  /**
+   * @override
+   */
+  acceptPointers (data) {
+    return data.pointers.length > 1
+  }
+
+  /**
+   * @override
+   */
+  overThreshold (data) {
+    return Math.abs(data.scale - 1) >= this.threshold
+  }
+
+  /**
+   * Emit pinchin or pinchout according to the scale.
+   *
+   * @override
+   */
+  emitMore (data) {
+    data.scale !== 1 && this.triggerWith(data, data.scale < 1 ? 'pinchin' : 'pinchout')
+  }
+}
+
+class RotateRecognizer extends PinchRecognizer {
+  /**
+   * Rotate recognizer. It inherits from PinchRecognizer, and recognizes
+   * two-finger gestures that change the angle between fingers.
+   *
+   * @constructor
+   * @param {Gesture} gesture gesture instance
+   */
+  constructor (gesture) {
+    super(gesture)
+
+    /**
+     * Minimum rotation in degrees to begin the gesture.
+     *
+     * @override
+     */
+    this.threshold = 10
+  }
+
+  /**
+   * The event list of current recognizer.
+   *
+   * @type {Array.<string>}
+   * @override
+   */
+  get eventList () {
+    return this._eventList || ['rotate', 'rotatestart', 'rotatemove', 'rotateend']
+  }
+
+  /**
+   * @override
+   */
+  overThreshold (data) {
+    return Math.abs(data.rotation) >= this.threshold
+  }
+
+  /**
+   * @override
+   */
+  emitMore () {}
+}
+
+class PanRecognizer extends ContinuousRecognizer {
+  /**
+   * Pan recognizer. Recognizes one-finger dragging.
+   *
+   * @constructor
+   * @param {Gesture} gesture gesture instance
+   */
+  constructor (gesture) {
+    super(gesture)
+
+    /**
+     * Minimum distance to begin the gesture.
+     *
+     * @override
+     */
+    this.threshold = 10
+  }
+
+  /**
+   * The event list of current recognizer.
+   *
+   * @type {Array.<string>}
+   * @override
+   */
+  get eventList () {
+    return this._eventList || ['pan', 'panstart', 'panmove', 'panend']
+  }
+
+  /**
+   * @override
+   */
+  acceptPointers (data) {
+    return data.pointers.length === 1
+  }
+
+  /**
+   * @override
+   */
+  overThreshold (data) {
+    return data.distance >= this.threshold
+  }
+
+  /**
+   * Add panDirection to the event data, just like swipeDirection.
+   *
+   * @override
+   */
+  createEventData (data, type) {
+    let eventData = super.createEventData(data, type)
+    eventData.panDirection = DIRECTION_STR[data.direction]
+    return eventData
+  }
+}
+
+/**
+ * Handler for press time.
+ */
+function pressTimeFn () {
+  this._state = STATE_END
+  this.emit(this._data)
+}
+
+class PressRecognizer extends Recognizer {
+  /**
+   * Press recognizer. Recognizes holding a finger still for a while.
+   *
+   * @constructor
+   * @param {Gesture} gesture gesture instance
+   */
+  constructor (gesture) {
+    super(gesture)
+
+    this.boundPressTimeFn = pressTimeFn.bind(this)
+
+    /**
+     * Minimum press time.
+     *
+     * @type {number}
+     */
+    this.time = 500
+
+    /**
+     * The move range of finger.
+     *
+     * @type {number}
+     */
+    this.moveRange = 10
+
+    /**
+     * Whether press has been emitted and waits for pressup.
+     *
+     * @type {boolean}
+     */
+    this.pressed = false
+  }
+
+  /**
+   * The event list of current recognizer.
+   * Press is triggered when time is up, and pressup is triggered when the finger is lifted after press.
+   *
+   * @type {Array.<string>}
+   * @override
+   */
+  get eventList () {
+    return this._eventList || ['press', 'pressup']
+  }
+
+  /**
+   * @override
+   */
+  process (data) {
+    if (data.pointers.length > 1 || data.distance > this.moveRange || data.eventState === 'cancel') {
+      this.reset()
+      return this.hold()
+    }
+    this._data = data
+    if (data.eventState === 'start') {
+      clearTimeout(this.pressTimer)
+      this.pressTimer = setTimeout(this.boundPressTimeFn, this.time)
+      return STATE_WAIT
+    }
+    if (data.eventState === 'end') {
+      if (this.pressed) {
+        return STATE_END
+      }
+      this.reset()
+      return this.hold()
+    }
+    return STATE_WAIT
+  }
+
+  /**
+   * @override
+   */
+  emit (data) {
+    if (this._state !== STATE_END) {
+      return
+    }
+    let eventData = Object.create(data)
+    if (this.pressed) {
+      eventData.type = 'pressup'
+      this.trigger(eventData)
+      this.reset()
+      this.hold()
+    } else {
+      this.pressed = true
+      this._state = STATE_WAIT
+      eventData.type = 'press'
+      this.trigger(eventData)
+    }
+  }
+
+  /**
+   * @override
+   */
+  reset () {
+    this.pressed = false
+    this._data = null
+    clearTimeout(this.pressTimer)
+  }
+}
+
 // doubletap 和 tap 的注册顺序不能换，得先子类，再父类
 // 否则 conflictList 都指向 tap 的 conflictList，就有问题了
 Recognizer.register(DoubleTapRecognizer, 'doubletap')
 Recognizer.register(TapRecognizer, 'tap')
 Recognizer.register(SwipeRecognizer, 'swipe')
+// rotate 继承自 pinch，同样需要先注册子类
+Recognizer.register(RotateRecognizer, 'rotate')
+Recognizer.register(PinchRecognizer, 'pinch')
+Recognizer.register(PanRecognizer, 'pan')
+Recognizer.register(PressRecognizer, 'press')
 
 Recognizer.conflict(DoubleTapRecognizer, TapRecognizer)
+// 双指手势的 level 高于 swipe 和 pan，双指手势进行中不会触发 swipe 和 pan
+Recognizer.conflict(PinchRecognizer, SwipeRecognizer)
+Recognizer.conflict(RotateRecognizer, SwipeRecognizer)
+Recognizer.conflict(PinchRecognizer, PanRecognizer)
+Recognizer.conflict(RotateRecognizer, PanRecognizer)
 
 export default Recognizer
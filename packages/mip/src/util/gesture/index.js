@@ -127,7 +127,8 @@ class Gesture extends EventEmitter {
    * @return {boolean}
    */
   _hasRegister (name) {
-    return !!this._recognizers[Recognizer.getByEventname(name)]
+    let RecognizerClass = Recognizer.getByEventname(name)
+    return !!RecognizerClass && !!this._recognizers[RecognizerClass.recName]
   }
 
   /**
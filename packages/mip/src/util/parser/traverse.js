@@ -27,7 +27,8 @@ function traverse (visitor, node, parent) {
         parent || node
       )
 
-      return () => fn(innerArgs, scopeManager)
+      // 允许显式传入执行参数，以便子节点函数在延迟执行时仍能拿到当次调用的参数
+      return args => fn(args || innerArgs, scopeManager)
     },
     scopeManager
   }
@@ -0,0 +1,116 @@
+/**
+ * @file srcset.js Parse srcset and select image candidates for browsers
+ *       without native `<picture>` and srcset support
+ * @author sfe-sy (sfe-sy@baidu.com)
+ */
+
+/**
+ * Image candidate definition
+ * @typedef {Object} ImageCandidate
+ * @property {string} url
+ * @property {number} width width descriptor, 0 if not specified
+ * @property {number} density pixel density descriptor, 1 if not specified
+ */
+
+/**
+ * Parses the srcset attribute into image candidates. URLs may contain commas,
+ * e.g. data URIs, so only trailing commas of a URL end a candidate.
+ *
+ * @param {string} srcset srcset attribute
+ * @return {Array<ImageCandidate>}
+ */
+export function parseSrcset (srcset) {
+  let str = srcset || ''
+  let candidates = []
+  let reg = /[\s,]*(\S+)/g
+  let match
+
+  while ((match = reg.exec(str))) {
+    let url = match[1]
+    let descriptors = ''
+
+    if (/,$/.test(url)) {
+      url = url.replace(/,+$/, '')
+    } else {
+      // Descriptors end with the next comma
+      let end = str.indexOf(',', reg.lastIndex)
+      end = end === -1 ? str.length : end
+      descriptors = str.slice(reg.lastIndex, end)
+      reg.lastIndex = end
+    }
+
+    let candidate = {url, width: 0, density: 1}
+    descriptors.trim().split(/\s+/).forEach(descriptor => {
+      if (/^\d+w$/.test(descriptor)) {
+        candidate.width = parseFloat(descriptor)
+      } else if (/^\d+(\.\d+)?x$/.test(descriptor)) {
+        candidate.density = parseFloat(descriptor)
+      }
+    })
+    candidates.push(candidate)
+  }
+
+  return candidates
+}
+
+/**
+ * Whether the srcset uses width descriptors, which rely on `sizes`.
+ *
+ * @param {string} srcset srcset attribute
+ * @return {boolean}
+ */
+export function hasWidthDescriptor (srcset) {
+  return parseSrcset(srcset).some(candidate => candidate.width > 0)
+}
+
+/**
+ * Selects the smallest candidate that satisfies the device pixel ratio at the
+ * given slot width. The largest one is returned if none satisfies.
+ *
+ * @param {Array<ImageCandidate>} candidates image candidates
+ * @param {number} slotWidth the display width of the image in CSS pixels
+ * @param {number} dpr device pixel ratio
+ * @return {ImageCandidate|undefined}
+ */
+export function selectCandidate (candidates, slotWidth, dpr) {
+  let sorted = candidates
+    .map(candidate => ({
+      candidate,
+      density: candidate.width ? candidate.width / (slotWidth || 1) : candidate.density
+    }))
+    .sort((a, b) => a.density - b.density)
+
+  for (let i = 0; i < sorted.length; i++) {
+    if (sorted[i].density >= dpr) {
+      return sorted[i].candidate
+    }
+  }
+  return sorted.length ? sorted[sorted.length - 1].candidate : undefined
+}
+
+let webpSupported
+
+/**
+ * Whether the image type of a `<source>` can be decoded. It is used only where
+ * `<picture>` is not supported natively: none of these browsers decodes AVIF,
+ * and WebP support is detected by canvas encoding, which old Android WebViews
+ * support and old iOS Safari does not.
+ *
+ * @param {string} type MIME type
+ * @return {boolean}
+ */
+export function supportsImageType (type) {
+  type = (type || '').toLowerCase()
+  if (!type) {
+    return true
+  }
+  if (type === 'image/webp') {
+    if (webpSupported === undefined) {
+      let canvas = document.createElement('canvas')
+      canvas.width = canvas.height = 1
+      webpSupported = !!canvas.toDataURL && canvas.toDataURL('image/webp').indexOf('data:image/webp') === 0
+    }
+    return webpSupported
+  }
+  return /^image\/(jpeg|png|gif|svg\+xml)$/.test(type)
+}
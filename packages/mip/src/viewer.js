@@ -28,6 +28,7 @@ import {resolvePath} from './page/util/path'
 import Messager from './messager'
 import fixedElement from './fixed-element'
 import clientPrerender from './client-prerender'
+import {DOM_CHANGE_EVENT} from './components/mip-bind/util'
 
 /**
  * Save window.
@@ -39,6 +40,22 @@ const win = window
 
 const eventListenerOptions = supportsPassive ? {passive: true} : false
 
+/**
+ * Gesture events that can be used in `on` attribute besides tap.
+ *
+ * @inner
+ * @type {Array.<string>}
+ */
+const GESTURE_EVENTS = ['press', 'pressup', 'panstart', 'panmove', 'panend']
+
+/**
+ * Selector of elements that use gesture events in `on` attribute, with or without modifiers.
+ *
+ * @inner
+ * @type {string}
+ */
+const GESTURE_HANDLER_SELECTOR = GESTURE_EVENTS.map(name => `[on*="${name}"]`).join(', ')
+
 /**
  * The mip viewer.Complement native viewer, and solve the page-level problems.
  */
@@ -231,6 +248,23 @@ let viewer = {
       eventAction.execute('click', event.target, event)
     }, false)
 
+    // Long-press and pan gestures, eg. `on="press:menu.open"`, `on="panend:MIP.setData({offset: event.deltaY})"`.
+    // The gesture data is passed as the event, so that `event.deltaX`, `event.velocityY` etc. can be used in expressions.
+    // The recognizers run on every touch, so they are registered only when the page has such handlers.
+    let setupGestureEvents = () => {
+      if (!document.querySelector(GESTURE_HANDLER_SELECTOR)) {
+        return false
+      }
+      document.removeEventListener(DOM_CHANGE_EVENT, setupGestureEvents)
+      this._gesture.on(GESTURE_EVENTS.join(' '), (event, data) => {
+        eventAction.execute(data.type, data.target, data)
+      })
+      return true
+    }
+    if (!setupGestureEvents()) {
+      document.addEventListener(DOM_CHANGE_EVENT, setupGestureEvents)
+    }
+
     document.addEventListener('input', inputHandle, false)
 
     event.delegate(document, 'input', 'change', event => {
@@ -75,7 +75,8 @@ if (process.env.TRAVIS) {
 
 module.exports = {
   files: [
-    'index.js'
+    'index.js',
+    {pattern: 'fixtures/**/*', included: false, served: true, watched: false}
   ],
 
   frameworks: ['mocha', 'chai-sinon', 'chai'],
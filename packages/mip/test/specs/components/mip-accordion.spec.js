@@ -0,0 +1,125 @@
+/**
+ * @file mip-accordion spec file
+ * @author sfe-sy (sfe-sy@baidu.com)
+ */
+
+/* eslint-disable no-unused-expressions */
+/* globals describe, it, expect, afterEach, sinon, MIP, Event */
+
+import viewer from 'src/viewer'
+import {parseSectionArg} from 'src/components/mip-accordion'
+
+function createAccordion (attrs) {
+  let accordion = document.createElement('mip-accordion')
+  Object.keys(attrs).forEach(key => accordion.setAttribute(key, attrs[key]))
+  accordion.innerHTML = `
+    <section expanded>
+      <h3>标题一</h3>
+      <p>内容一</p>
+    </section>
+    <section id="accordion-second">
+      <h3>标题二</h3>
+      <p>内容二</p>
+    </section>
+    <section>
+      <h3>标题三</h3>
+      <p>内容三</p>
+    </section>
+  `
+  document.body.appendChild(accordion)
+  accordion.viewportCallback(true)
+  return accordion
+}
+
+function keydown (el, key) {
+  let event = new Event('keydown', {bubbles: true, cancelable: true})
+  event.key = key
+  el.dispatchEvent(event)
+  return event
+}
+
+describe('mip-accordion', function () {
+  let accordion
+
+  afterEach(function () {
+    accordion && accordion.parentNode && accordion.parentNode.removeChild(accordion)
+  })
+
+  it('should parse section arguments', function () {
+    expect(parseSectionArg('1')).to.equal(1)
+    expect(parseSectionArg('"faq-1"')).to.equal('faq-1')
+    expect(parseSectionArg('')).to.be.undefined
+  })
+
+  it('should init hidden state and aria attributes', function () {
+    accordion = createAccordion({})
+    let headers = accordion.querySelectorAll('h3')
+    let contents = accordion.querySelectorAll('p')
+
+    expect(headers[0].getAttribute('role')).to.equal('button')
+    expect(headers[0].getAttribute('aria-expanded')).to.equal('true')
+    expect(headers[0].getAttribute('aria-controls')).to.equal(contents[0].id)
+    expect(contents[0].getAttribute('aria-labelledby')).to.equal(headers[0].id)
+    expect(contents[0].hasAttribute('hidden')).to.be.false
+    expect(headers[1].getAttribute('aria-expanded')).to.equal('false')
+    expect(contents[1].hasAttribute('hidden')).to.be.true
+  })
+
+  it('should toggle by click and actions', function () {
+    let spy = sinon.spy(viewer.eventAction, 'execute')
+    accordion = createAccordion({})
+    let sections = accordion.querySelectorAll('section')
+
+    accordion.querySelectorAll('h3')[1].click()
+    expect(sections[1].hasAttribute('expanded')).to.be.true
+    expect(sections[0].hasAttribute('expanded')).to.be.true
+    expect(spy.calledWith('expand', accordion)).to.be.true
+
+    accordion.customElement.executeEventAction({handler: 'collapse', arg: '"accordion-second"'})
+    expect(sections[1].querySelector('p').hasAttribute('hidden')).to.be.true
+    expect(spy.calledWith('collapse', accordion)).to.be.true
+
+    accordion.customElement.executeEventAction({handler: 'expand', arg: ''})
+    expect(accordion.querySelectorAll('section[expanded]')).to.have.lengthOf(3)
+    spy.restore()
+  })
+
+  it('should expand single section', function () {
+    accordion = createAccordion({'expand-single-section': ''})
+    let sections = accordion.querySelectorAll('section')
+
+    accordion.customElement.executeEventAction({handler: 'toggle', arg: '2'})
+    expect(sections[2].hasAttribute('expanded')).to.be.true
+    expect(sections[0].hasAttribute('expanded')).to.be.false
+  })
+
+  it('should support keyboard navigation', function () {
+    accordion = createAccordion({})
+    let headers = accordion.querySelectorAll('h3')
+
+    headers[0].focus()
+    let event = keydown(headers[0], 'ArrowUp')
+    expect(event.defaultPrevented).to.be.true
+    expect(document.activeElement).to.equal(headers[2])
+
+    keydown(headers[2], 'Enter')
+    expect(headers[2].getAttribute('aria-expanded')).to.equal('true')
+  })
+
+  it('should sync expanded state with MIP data', async function () {
+    MIP.setData({accordionState: {expanded: [1]}})
+    accordion = createAccordion({id: 'accordionState', scope: ''})
+    let sections = accordion.querySelectorAll('section')
+
+    expect(sections[0].hasAttribute('expanded')).to.be.false
+    expect(sections[1].hasAttribute('expanded')).to.be.true
+
+    accordion.querySelectorAll('h3')[2].click()
+    expect(MIP.getData('accordionState.expanded')).to.deep.equal([1, 2])
+
+    MIP.setData({accordionState: {expanded: [0]}})
+    await new Promise(resolve => setTimeout(resolve))
+    expect(sections[0].hasAttribute('expanded')).to.be.true
+    expect(sections[2].hasAttribute('expanded')).to.be.false
+  })
+})
@@ -0,0 +1,185 @@
+/**
+ * @file mip-analytics spec file
+ * @author sfe-sy (sfe-sy@baidu.com)
+ */
+
+/* eslint-disable no-unused-expressions, no-template-curly-in-string */
+/* globals describe, it, expect, beforeEach, afterEach, sinon */
+
+import Services from 'src/services'
+import viewer from 'src/viewer'
+import {expandTemplate, send, VENDOR_SERVICE_PREFIX} from 'src/components/mip-analytics/index'
+
+const LOG = 'https://log.example.com/l'
+
+function sleep (ms) {
+  return new Promise(resolve => setTimeout(resolve, ms))
+}
+
+describe('mip-analytics', function () {
+  let beacon
+  let wrapper
+
+  function createAnalytics (config, attrs = '') {
+    wrapper.insertAdjacentHTML('beforeend', `
+      <mip-analytics id="analytics" ${attrs}>
+        <script type="application/json">${JSON.stringify(config)}</script>
+      </mip-analytics>
+    `)
+    return wrapper.querySelector('mip-analytics')
+  }
+
+  function getUrls () {
+    return beacon.getCalls().map(call => call.args[0])
+  }
+
+  beforeEach(function () {
+    beacon = sinon.stub(navigator, 'sendBeacon').returns(true)
+    wrapper = document.createElement('div')
+    document.body.insertBefore(wrapper, document.body.firstChild)
+  })
+
+  afterEach(function () {
+    beacon.restore()
+    document.body.removeChild(wrapper)
+  })
+
+  describe('expandTemplate', function () {
+    it('should expand requests and encode vars', function () {
+      let context = {
+        requests: {
+          base: `${LOG}?id=\${id}`,
+          click: '${base}&type=click&name=${name}&unknown=${unknown}'
+        },
+        vars: {
+          id: 'a b',
+          name: '${id}&c'
+        }
+      }
+      expect(expandTemplate(context.requests.click, context))
+        .to.equal(`${LOG}?id=a%20b&type=click&name=a%20b%26c&unknown=`)
+      expect(expandTemplate('${name}', {vars: context.vars, encode: false})).to.equal('a b&c')
+    })
+
+    it('should expand builtin vars', function () {
+      let url = expandTemplate('t=${TIME}&title=${TITLE}&r=${RANDOM}', {})
+      expect(url).to.match(/^t=\d+&title=.*&r=0\.\d+$/)
+    })
+
+    it('should stop expanding circular references', function () {
+      let context = {requests: {a: 'a${b}', b: 'b${a}'}}
+      expect(expandTemplate('${a}', context)).to.equal('ababa')
+    })
+  })
+
+  describe('send', function () {
+    it('should use sendBeacon', function () {
+      expect(send(LOG)).to.equal('beacon')
+      expect(beacon).to.be.calledWith(LOG)
+    })
+
+    it('should fallback to image', function () {
+      beacon.returns(false)
+      expect(send(LOG)).to.equal('image')
+      expect(send(LOG, {beacon: false})).to.equal('image')
+      expect(send(LOG, {beacon: false, image: false})).to.equal('')
+    })
+  })
+
+  it('should send pageview with extra url params', async function () {
+    createAnalytics({
+      vars: {account: 'test'},
+      requests: {pageview: `${LOG}?type=pageview&acc=\${account}`},
+      extraUrlParams: {page: '${account}/index', from: 'a b'},
+      triggers: {
+        pv: {on: 'pageview', request: 'pageview'}
+      }
+    })
+    await sleep(0)
+    expect(getUrls()).to.deep.equal([`${LOG}?type=pageview&acc=test&page=test%2Findex&from=a%20b`])
+  })
+
+  it('should send on tap with data-vars', async function () {
+    createAnalytics({
+      requests: {click: `${LOG}?type=click&name=\${buttonName}&pos=\${pos}`},
+      triggers: {
+        click: {on: 'tap', selector: '.analytics-btn', request: 'click', vars: {pos: 'top'}}
+      }
+    })
+    wrapper.insertAdjacentHTML('beforeend', '<button class="analytics-btn" data-vars-button-name="buy"><span>buy</span></button>')
+    await sleep(0)
+
+    wrapper.querySelector('.analytics-btn span').click()
+    expect(getUrls()).to.deep.equal([`${LOG}?type=click&name=buy&pos=top`])
+  })
+
+  it('should send custom event by trigger action', async function () {
+    createAnalytics({
+      requests: {share: `${LOG}?type=share`},
+      triggers: {
+        share: {on: 'custom', event: 'share', request: 'share'}
+      }
+    })
+    wrapper.insertAdjacentHTML('beforeend', '<button on="tap:analytics.trigger(share)"></button><button on="tap:analytics.trigger(\'share\')"></button>')
+    await sleep(0)
+
+    let buttons = wrapper.querySelectorAll('button')
+    viewer.eventAction.execute('tap', buttons[0], {})
+    viewer.eventAction.execute('tap', buttons[1], {})
+    expect(getUrls()).to.deep.equal([`${LOG}?type=share`, `${LOG}?type=share`])
+  })
+
+  it('should send scroll depth', async function () {
+    createAnalytics({
+      requests: {scroll: `${LOG}?depth=\${scrollDepth}`},
+      triggers: {
+        scroll: {on: 'scroll', boundaries: [1, 0], request: 'scroll'}
+      }
+    })
+    await sleep(0)
+    expect(getUrls()).to.include(`${LOG}?depth=0`)
+    expect(getUrls().indexOf(`${LOG}?depth=0`)).to.equal(0)
+  })
+
+  it('should send by timer', async function () {
+    createAnalytics({
+      requests: {heartbeat: `${LOG}?count=\${timerCount}`},
+      triggers: {
+        heartbeat: {on: 'timer', interval: 20, maxCount: 2, request: 'heartbeat'}
+      }
+    })
+    await sleep(100)
+    expect(getUrls()).to.deep.equal([`${LOG}?count=1`, `${LOG}?count=2`])
+  })
+
+  it('should send when element is visible for duration', async function () {
+    wrapper.innerHTML = '<div class="analytics-ad" style="height: 50px"></div>'
+    let analytics = createAnalytics({
+      requests: {visible: `${LOG}?ratio=\${visibleRatio}`},
+      triggers: {
+        visible: {on: 'visible', selector: '.analytics-ad', threshold: 0.5, duration: 50, request: 'visible'}
+      }
+    })
+    await sleep(0)
+    expect(beacon).to.not.be.called
+    await sleep(100)
+    expect(getUrls()).to.deep.equal([`${LOG}?ratio=1`])
+
+    analytics.parentNode.removeChild(analytics)
+  })
+
+  it('should merge vendor config registered as service', async function () {
+    Services.registerService(VENDOR_SERVICE_PREFIX + 'test', class {
+      constructor () {
+        this.config = {
+          vars: {account: 'vendor'},
+          requests: {pageview: `${LOG}?acc=\${account}`},
+          triggers: {pv: {on: 'pageview', request: 'pageview'}}
+        }
+      }
+    })
+    createAnalytics({vars: {account: 'site'}}, 'type="test"')
+    await sleep(0)
+    expect(getUrls()).to.deep.equal([`${LOG}?acc=site`])
+  })
+})
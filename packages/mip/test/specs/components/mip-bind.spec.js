@@ -9,6 +9,12 @@
 import MipData from 'src/components/mip-bind/mip-data'
 import { timeout } from 'src/components/mip-bind/util'
 import EventAction from 'src/util/event-action'
+import customStorage from 'src/util/custom-storage'
+import {getDependencies} from 'src/components/mip-bind/computed'
+import parser from 'src/util/event-action/parser'
+import DataStore from 'src/components/mip-bind/data-store'
+import History from 'src/components/mip-bind/history'
+import {instance as domWatcher} from 'src/components/mip-bind/binding-dom-watcher'
 
 const action = new EventAction()
 
@@ -284,6 +290,22 @@ describe('mip-bind', function () {
       })
     })
 
+    it('should not record remote data in history', async function () {
+      window.fetch.returns(
+        Promise.resolve(
+          json({historyRemote: 1}, 200)
+        )
+      )
+
+      div.innerHTML = '<mip-data src="/historyData" history="5"></mip-data>'
+      await Promise.all(window.mipDataPromises)
+      await sleep()
+
+      expect(MIP.getData('historyRemote')).to.equal(1)
+      let {records} = MIP.exportDataHistory()
+      expect(records.some(record => record.changes.some(change => change.expr === 'historyRemote'))).to.be.false
+    })
+
     it('should fetch async data when src is set and refresh', async function () {
       window.fetch.returns(
         Promise.resolve(
@@ -885,6 +907,364 @@ describe('mip-bind', function () {
     })
   })
 
+  describe('persist mip-data', function () {
+    let div
+    let localStore = customStorage(0)
+    let sessionStore = customStorage(3)
+
+    before(function () {
+      div = document.createElement('div')
+      document.body.appendChild(div)
+    })
+
+    after(function () {
+      document.body.removeChild(div)
+      localStore.rm('mip-data-persistCart')
+      localStore.rm('mip-data-persistExpired')
+      sessionStore.rm('mip-data-persistDraft')
+    })
+
+    it('should hydrate from storage and write back on change', async function () {
+      localStore.set('mip-data-persistCart', JSON.stringify({
+        data: {persistCart: {count: 3}},
+        expire: 0
+      }))
+
+      div.innerHTML = `
+        <mip-data persist="local" persist-key="persistCart">
+          <script type="application/json">
+            {"persistCart": {"count": 0, "name": "cart"}}
+          </script>
+        </mip-data>
+      `
+      await sleep()
+      expect(MIP.getData('persistCart.count')).to.be.equal(3)
+      expect(MIP.getData('persistCart.name')).to.be.equal('cart')
+
+      MIP.setData({persistCart: {count: 5}})
+      await sleep()
+      let stored = JSON.parse(localStore.get('mip-data-persistCart'))
+      expect(stored.data.persistCart).to.deep.equal({count: 5, name: 'cart'})
+      expect(stored.expire).to.be.equal(0)
+    })
+
+    it('should ignore expired data', async function () {
+      localStore.set('mip-data-persistExpired', JSON.stringify({
+        data: {persistExpired: 'stored'},
+        expire: Date.now() - 1000
+      }))
+
+      div.innerHTML = `
+        <mip-data persist="local" persist-key="persistExpired" persist-expire="60000">
+          <script type="application/json">
+            {"persistExpired": "initial"}
+          </script>
+        </mip-data>
+      `
+      await sleep()
+      expect(MIP.getData('persistExpired')).to.be.equal('initial')
+
+      MIP.setData({persistExpired: 'changed'})
+      await sleep()
+      let stored = JSON.parse(localStore.get('mip-data-persistExpired'))
+      expect(stored.data.persistExpired).to.be.equal('changed')
+      expect(stored.expire).to.be.above(Date.now())
+    })
+
+    it('should persist scoped data in session storage by id', async function () {
+      sessionStore.set('mip-data-persistDraft', JSON.stringify({
+        data: {title: 'draft'}
+      }))
+
+      div.innerHTML = `
+        <mip-data id="persistDraft" scope persist="session">
+          <script type="application/json">
+            {"title": "", "content": ""}
+          </script>
+        </mip-data>
+      `
+      await sleep()
+      expect(MIP.getData('persistDraft.title')).to.be.equal('draft')
+
+      MIP.setData({persistDraft: {content: 'hello'}})
+      await sleep()
+      let stored = JSON.parse(sessionStore.get('mip-data-persistDraft'))
+      expect(stored.data).to.deep.equal({title: 'draft', content: 'hello'})
+    })
+  })
+
+  describe('computed', function () {
+    let div
+
+    before(function () {
+      div = document.createElement('div')
+      document.body.appendChild(div)
+    })
+
+    after(function () {
+      document.body.removeChild(div)
+    })
+
+    it('should get dependencies from expression', function () {
+      let deps = getDependencies(parser.parse(
+        `items.filter(item => item.price > min).length + Math.max(a.b, c[d])`,
+        'Conditional'
+      ))
+      expect(deps).to.have.members(['items', 'min', 'a', 'c', 'd'])
+    })
+
+    it('should compute and recompute when dependencies change', async function () {
+      div.innerHTML = `
+        <mip-data>
+          <script type="application/json">
+            {"computedPrice": 10, "computedCount": 2, "computedOther": 1}
+          </script>
+          <script type="application/json" computed>
+            {
+              "computedTotal": "computedPrice * computedCount",
+              "computedLabel": "'total: ' + computedTotal"
+            }
+          </script>
+        </mip-data>
+        <p m-text="computedLabel"></p>
+      `
+      MIP.util.customEmit(document, 'dom-change', {add: [div]})
+      await sleep()
+      expect(MIP.getData('computedTotal')).to.be.equal(20)
+      expect(MIP.getData('computedLabel')).to.be.equal('total: 20')
+      expect(div.querySelector('p').textContent).to.be.equal('total: 20')
+
+      let total = []
+      MIP.watch('computedTotal', newVal => total.push(newVal))
+
+      MIP.setData({computedOther: 2})
+      await sleep()
+      expect(total).to.have.lengthOf(0)
+
+      MIP.setData({computedCount: 3})
+      await sleep()
+      expect(total).to.deep.equal([30])
+      expect(MIP.getData('computedLabel')).to.be.equal('total: 30')
+      expect(div.querySelector('p').textContent).to.be.equal('total: 30')
+    })
+  })
+
+  describe('m-for and m-if', function () {
+    let div
+
+    before(function () {
+      div = document.createElement('div')
+      document.body.appendChild(div)
+    })
+
+    after(function () {
+      document.body.removeChild(div)
+    })
+
+    it('should render list with m-for', async function () {
+      MIP.setData({forList: [{name: 'a'}, {name: 'b'}], forPrefix: '#'})
+      div.innerHTML = `
+        <ul>
+          <li m-for="(item, index) in forList" m-text="forPrefix + index + item.name"></li>
+        </ul>
+      `
+      MIP.util.customEmit(document, 'dom-change', {add: [div]})
+      await sleep()
+
+      let texts = () => [...div.querySelectorAll('li')].map(li => li.textContent)
+      expect(texts()).to.deep.equal(['#0a', '#1b'])
+      expect(div.querySelector('li').hasAttribute('m-for')).to.be.false
+
+      MIP.setData({forList: [{name: 'c'}, {name: 'd'}, {name: 'e'}]})
+      await sleep()
+      expect(texts()).to.deep.equal(['#0c', '#1d', '#2e'])
+
+      MIP.setData({forPrefix: '$'})
+      await sleep()
+      expect(texts()).to.deep.equal(['$0c', '$1d', '$2e'])
+
+      let removed = [...div.querySelectorAll('li')].slice(1)
+      MIP.setData({forList: [{name: 'f'}]})
+      await sleep()
+      expect(texts()).to.deep.equal(['$0f'])
+      // 只移除节点时也要清理 domWatcher 中的绑定节点
+      expect(domWatcher.doms.some(dom => removed.indexOf(dom.node) > -1)).to.be.false
+    })
+
+    it('should render nested m-for with template', async function () {
+      MIP.setData({forGroups: [{title: 'x', list: [1, 2]}, {title: 'y', list: [3]}]})
+      div.innerHTML = `
+        <div class="groups">
+          <template m-for="group in forGroups">
+            <h3 m-text="group.title"></h3>
+            <p>
+              <span m-for="num in group.list" m-text="group.title + num"></span>
+            </p>
+          </template>
+        </div>
+      `
+      MIP.util.customEmit(document, 'dom-change', {add: [div]})
+      await sleep()
+
+      expect([...div.querySelectorAll('h3')].map(h => h.textContent)).to.deep.equal(['x', 'y'])
+      expect([...div.querySelectorAll('span')].map(s => s.textContent)).to.deep.equal(['x1', 'x2', 'y3'])
+    })
+
+    it('should toggle element with m-if', async function () {
+      MIP.setData({ifShow: false})
+      div.innerHTML = `
+        <p class="if-element" m-if="ifShow" m-text="'show'"></p>
+        <template m-if="!ifShow"><span class="if-template">hide</span></template>
+      `
+      MIP.util.customEmit(document, 'dom-change', {add: [div]})
+      await sleep()
+
+      expect(div.querySelector('.if-element')).to.be.null
+      expect(div.querySelector('.if-template')).to.not.be.null
+
+      MIP.setData({ifShow: true})
+      await sleep()
+      expect(div.querySelector('.if-element').textContent).to.be.equal('show')
+      expect(div.querySelector('.if-template')).to.be.null
+    })
+
+    it('should keep nested directives when m-if element is shown again', async function () {
+      MIP.setData({ifListShow: true, ifList: ['a', 'b']})
+      div.innerHTML = `
+        <ul class="if-list" m-if="ifListShow">
+          <li m-for="item in ifList" m-text="item"></li>
+        </ul>
+      `
+      MIP.util.customEmit(document, 'dom-change', {add: [div]})
+      await sleep()
+
+      let texts = () => [...div.querySelectorAll('.if-list li')].map(li => li.textContent)
+      expect(texts()).to.deep.equal(['a', 'b'])
+
+      MIP.setData({ifListShow: false})
+      await sleep()
+      expect(div.querySelector('.if-list')).to.be.null
+
+      // 触发 dom-change，使 domWatcher 清理已移除的节点
+      MIP.util.customEmit(document, 'dom-change', {add: []})
+      MIP.setData({ifListShow: true, ifList: ['c', 'd', 'e']})
+      await sleep()
+      expect(texts()).to.deep.equal(['c', 'd', 'e'])
+
+      MIP.setData({ifList: ['f']})
+      await sleep()
+      expect(texts()).to.deep.equal(['f'])
+    })
+
+    it('should emit dom-change for stamped nodes', async function () {
+      let added = []
+      let handler = e => added.push(...e.detail[0].add)
+      document.addEventListener('dom-change', handler)
+
+      MIP.setData({forImages: []})
+      div.innerHTML = `
+        <template m-for="src in forImages">
+          <mip-img layout="responsive" width="100" height="100" m-bind:src="src"></mip-img>
+        </template>
+      `
+      MIP.util.customEmit(document, 'dom-change', {add: [div]})
+      await sleep()
+      added.length = 0
+
+      MIP.setData({forImages: ['a.jpg']})
+      await sleep()
+      document.removeEventListener('dom-change', handler)
+
+      let img = div.querySelector('mip-img')
+      expect(added).to.include(img)
+      expect(img.getAttribute('src')).to.be.equal('a.jpg')
+    })
+  })
+
+  describe('history', function () {
+    it('should undo and redo changes', function () {
+      let data = {a: 1, b: {c: 1}}
+      let history = new History(data)
+
+      history.record([{expr: 'a', oldVal: 1, newVal: 2}])
+      data.a = 2
+      history.record([
+        {expr: 'b.c', oldVal: 1, newVal: 2},
+        {expr: 'b.d', oldVal: undefined, newVal: 3}
+      ])
+      data.b.c = 2
+      data.b.d = 3
+
+      expect(history.undo()).to.deep.equal([
+        {expr: 'b.d', oldVal: 3, newVal: undefined},
+        {expr: 'b.c', oldVal: 2, newVal: 1}
+      ])
+      expect(data).to.deep.equal({a: 2, b: {c: 1}})
+      history.undo()
+      expect(data).to.deep.equal({a: 1, b: {c: 1}})
+      expect(history.undo()).to.deep.equal([])
+
+      history.redo()
+      expect(data).to.deep.equal({a: 2, b: {c: 1}})
+
+      // 撤销后写入新数据会丢弃后续的重做记录
+      history.record([{expr: 'a', oldVal: 2, newVal: 4}])
+      expect(history.redo()).to.deep.equal([])
+      expect(history.records.length).to.be.equal(2)
+    })
+
+    it('should cap records by size', function () {
+      let history = new History({}, 2)
+      for (let i = 0; i < 5; i++) {
+        history.record([{expr: 'a', oldVal: i, newVal: i + 1}])
+      }
+      expect(history.records.length).to.be.equal(2)
+      expect(history.index).to.be.equal(2)
+      expect(history.records[0].changes[0].newVal).to.be.equal(4)
+
+      history.resize(1)
+      expect(history.records.length).to.be.equal(1)
+      expect(history.index).to.be.equal(1)
+    })
+
+    it('should travel through data store and notify watchers', async function () {
+      let store = new DataStore()
+      let values = []
+      store.watcher.watch('historyTotal', newVal => values.push(newVal))
+      store.set({historyPrice: 1})
+      store.defineComputed({historyTotal: 'historyPrice * 2'})
+      await sleep()
+
+      expect(store.undo()).to.be.false
+
+      store.enableHistory(10)
+      store.set({historyPrice: 2})
+      await sleep()
+
+      expect(store.undo()).to.be.true
+      expect(store.get('historyPrice')).to.be.equal(1)
+      expect(store.get('historyTotal')).to.be.equal(2)
+      await sleep()
+
+      expect(store.redo()).to.be.true
+      expect(store.get('historyPrice')).to.be.equal(2)
+      expect(store.redo()).to.be.false
+      await sleep()
+
+      expect(values).to.deep.equal([2, 4, 2, 4])
+
+      let snapshot = store.exportHistory()
+      expect(snapshot.size).to.be.equal(10)
+      expect(snapshot.index).to.be.equal(1)
+      // 只记录直接修改的数据，不包含计算属性的变化
+      expect(snapshot.records[0].changes).to.deep.equal([
+        {expr: 'historyPrice', oldVal: 1, newVal: 2}
+      ])
+      expect(store.history.records[0].changes.some(change => change.expr === 'historyTotal')).to.be.false
+      expect(snapshot.data.historyTotal).to.be.equal(4)
+    })
+  })
+
   describe('mip-data-watch', function () {
     it('should watch correctly', async function () {
       expect(MIP.getData('testChangeData')).to.be.equal(undefined)
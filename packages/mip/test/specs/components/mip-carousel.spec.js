@@ -4,9 +4,10 @@
  */
 
 /* eslint-disable no-unused-expressions */
-/* globals describe, before, it, expect, after */
+/* globals describe, before, it, expect, after, afterEach, sinon, MIP */
 
-import {waitForChild} from 'src/util/dom/dom'
+import dom, {waitForChild} from 'src/util/dom/dom'
+import viewer from 'src/viewer'
 
 let sleep = t => new Promise(resolve => setTimeout(resolve, t))
 
@@ -49,7 +50,7 @@ describe('mip-carousel', function () {
       div.innerHTML = `
         <mip-carousel
           autoplay
-          defer="400"
+          defer="600"
           width="100"
           height="80">
           <mip-i-space></mip-i-space>
@@ -81,20 +82,21 @@ describe('mip-carousel', function () {
       expect(mipCarouselContainer).to.be.exist
       expect(wrapBox).to.be.exist
       expect(wrapBox.parentNode.classList.contains('mip-carousel-container')).to.be.true
-      expect(slideBoxs.length).to.equal(5)
-      expect(slideBoxs[0].querySelector('img').getAttribute('src')).to.equal('https://mip-doc.cdn.bcebos.com/mipengine-org/assets/mipengine/wide.jpg')
-      expect(slideBoxs[4].querySelector('img').getAttribute('src')).to.equal('https://www.mipengine.org/static/img/sample_01.jpg')
+      // 不再复制头尾节点，mip-i-space 不作为 slide
+      expect(slideBoxs.length).to.equal(3)
+      expect(slideBoxs[0].querySelector('mip-img').getAttribute('src')).to.equal('https://www.mipengine.org/static/img/sample_01.jpg')
+      expect(slideBoxs[2].querySelector('mip-img').getAttribute('src')).to.equal('https://mip-doc.cdn.bcebos.com/mipengine-org/assets/mipengine/wide.jpg')
+      // loop 模式下最后一个 slide 排布在第一个之前
+      expect(slideBoxs[2].style.transform).to.equal('translate3d(-100%, 0px, 0px)')
     })
 
     it('should autoplay', async function () {
-      // 定时播放，所以使用 setTimeout 定时检查 400 + 100
-      await sleep(500)
-      expect(wrapBox.style.transform).to.equal('translate3d(-200px, 0px, 0px)')
+      // 定时播放 600ms 后开始切换，切换动画 300ms
+      await sleep(1000)
+      expect(wrapBox.style.transform).to.equal('translate3d(-100px, 0px, 0px)')
     })
 
     it('should move to next img when touch', async function () {
-      // after move to -300
-      await sleep(400)
       let event = document.createEvent('Events')
       event.initEvent('touchstart', true, true)
       event.targetTouches = event.touches = [{
@@ -113,8 +115,8 @@ describe('mip-carousel', function () {
       event.initEvent('touchend', true, true)
       wrapBox.dispatchEvent(event)
 
-      await sleep(100)
-      expect(wrapBox.style.transform).to.be.oneOf(['translate3d(-100px, 0px, 0px)', 'translate3d(-400px, 0px, 0px)'])
+      await sleep(400)
+      expect(wrapBox.style.transform).to.equal('translate3d(-200px, 0px, 0px)')
     })
 
     it('should popup and close popup', async () => {
@@ -126,18 +128,16 @@ describe('mip-carousel', function () {
       await sleep(500)
       evt.initEvent('click', true, true)
       img.dispatchEvent(evt)
-      await waitForChild(document.body, body => body.querySelector('.mip-img-popUp-wrapper'))
-      let mipPopWrap = document.querySelector('.mip-img-popUp-wrapper')
-      expect(mipPopWrap.getAttribute('data-name')).to.equal('mip-img-popUp-name')
-      await waitForChild(mipPopWrap, mipPopWrap => mipPopWrap.querySelector('mip-carousel'))
-      let carousel = mipPopWrap.querySelector('mip-carousel')
-      expect(carousel).to.be.exist
-      carousel.viewportCallback(true)
-      await waitForChild(carousel, carousel => carousel.querySelector('.mip-carousel-wrapper'))
-      mipPopWrap.dispatchEvent(evt)
-      // 等待 popup 完全关闭
-      await sleep(500)
-      expect(carousel.style.display).to.equal('none')
+      await waitForChild(document.body, body => body.querySelector('mip-lightbox.mip-lightbox-open'))
+      let lightbox = document.querySelector('mip-lightbox')
+      let closePopup = sinon.spy()
+      let carousel = dom.closest(mipImg, 'mip-carousel')
+      carousel.addEventListener('close-popup', closePopup)
+      expect(lightbox.querySelectorAll('.mip-lightbox-slide').length).to.be.at.least(1)
+      lightbox.querySelector('.mip-lightbox-close').dispatchEvent(evt)
+      expect(lightbox.classList.contains('mip-lightbox-open')).to.be.false
+      expect(closePopup).to.be.calledOnce
+      document.body.removeChild(lightbox)
     }).timeout(4000)
 
     after(function () {
@@ -173,7 +173,7 @@ describe('mip-carousel', function () {
     it('should autoplay', async function () {
       let wrapBox = div.querySelector('.mip-carousel-wrapper')
       await sleep(500)
-      expect(wrapBox.style.transform).to.equal('translate3d(-200px, 0px, 0px)')
+      expect(wrapBox.style.transform).to.equal('translate3d(-100px, 0px, 0px)')
     })
 
     after(function () {
@@ -244,8 +244,8 @@ describe('mip-carousel', function () {
       event.initEvent('touchend', true, true)
       wrapBox.dispatchEvent(event)
 
-      await sleep(330)
-      expect(wrapBox.style.transform).to.equal('translate3d(-100px, 0px, 0px)')
+      await sleep(400)
+      expect(wrapBox.style.transform).to.equal('translate3d(0px, 0px, 0px)')
       expect(indicator.innerHTML).to.equal('1')
     })
 
@@ -269,8 +269,8 @@ describe('mip-carousel', function () {
 
       event.initEvent('touchend', true, true)
       wrapBox.dispatchEvent(event)
-      await sleep(330)
-      expect(wrapBox.style.transform).to.equal('translate3d(-100px, 0px, 0px)')
+      await sleep(400)
+      expect(wrapBox.style.transform).to.equal('translate3d(0px, 0px, 0px)')
       expect(indicator.innerHTML).to.equal('1')
     })
 
@@ -296,9 +296,9 @@ describe('mip-carousel', function () {
       event.initEvent('touchend', true, true)
       wrapBox.dispatchEvent(event)
 
-      await sleep(330)
+      await sleep(400)
 
-      expect(wrapBox.style.transform).to.equal('translate3d(-200px, 0px, 0px)')
+      expect(wrapBox.style.transform).to.equal('translate3d(-100px, 0px, 0px)')
       expect(indicator.innerHTML).to.equal('2')
     })
 
@@ -322,8 +322,8 @@ describe('mip-carousel', function () {
       event.initEvent('touchend', true, true)
       wrapBox.dispatchEvent(event)
 
-      await sleep(330)
-      expect(wrapBox.style.transform).to.equal('translate3d(-100px, 0px, 0px)')
+      await sleep(400)
+      expect(wrapBox.style.transform).to.equal('translate3d(0px, 0px, 0px)')
       expect(indicator.innerHTML).to.equal('1')
     })
 
@@ -336,8 +336,8 @@ describe('mip-carousel', function () {
         event: 'tap',
         arg: '2'
       })
-      await sleep(830)
-      expect(wrapBox.style.transform).to.equal('translate3d(-200px, 0px, 0px)')
+      await sleep(400)
+      expect(wrapBox.style.transform).to.equal('translate3d(-100px, 0px, 0px)')
       expect(indicator.innerHTML).to.equal('2')
     })
 
@@ -577,26 +577,26 @@ describe('mip-carousel', function () {
       nextBtn.dispatchEvent(eventClick)
 
       wrapBox = div.querySelector('div.mip-carousel-wrapper')
-      await sleep(330)
-      expect(wrapBox.style.transform).to.equal('translate3d(-200px, 0px, 0px)')
+      await sleep(400)
+      expect(wrapBox.style.transform).to.equal('translate3d(-100px, 0px, 0px)')
     })
 
     it('should go to pre img when click btn', async function () {
       preBtn = div.querySelector('p.mip-carousel-preBtn')
       eventClick.initEvent('click', true, true)
       preBtn.dispatchEvent(eventClick)
-      await sleep(330)
+      await sleep(400)
       wrapBox = div.querySelector('div.mip-carousel-wrapper')
-      expect(wrapBox.style.transform).to.equal('translate3d(-100px, 0px, 0px)')
+      expect(wrapBox.style.transform).to.equal('translate3d(0px, 0px, 0px)')
     })
 
     it('should go to last img by clicking preBtn', async function () {
       eventClick.initEvent('click', true, true)
       preBtn.dispatchEvent(eventClick)
 
-      await sleep(530)
+      await sleep(400)
       wrapBox = div.querySelector('div.mip-carousel-wrapper')
-      expect(wrapBox.style.transform).to.equal('translate3d(-300px, 0px, 0px)')
+      expect(wrapBox.style.transform).to.equal('translate3d(-200px, 0px, 0px)')
     })
 
     after(function () {
@@ -641,17 +641,17 @@ describe('mip-carousel', function () {
       nextBtn.dispatchEvent(eventClick)
 
       wrapBox = div.querySelector('div.mip-carousel-wrapper')
-      await sleep(330)
-      expect(wrapBox.style.transform).to.equal('translate3d(-200px, 0px, 0px)')
+      await sleep(400)
+      expect(wrapBox.style.transform).to.equal('translate3d(-100px, 0px, 0px)')
     })
 
     it('should go to pre img when click btn', async function () {
       let preBtn = div.querySelector('p.mip-carousel-preBtn')
       eventClick.initEvent('click', true, true)
       preBtn.dispatchEvent(eventClick)
-      await sleep(330)
+      await sleep(400)
       wrapBox = div.querySelector('div.mip-carousel-wrapper')
-      expect(wrapBox.style.transform).to.equal('translate3d(-100px, 0px, 0px)')
+      expect(wrapBox.style.transform).to.equal('translate3d(0px, 0px, 0px)')
     })
 
     after(function () {
@@ -709,7 +709,7 @@ describe('mip-carousel', function () {
 
     it('should start from index img', async function () {
       wrapBox = div.querySelector('div.mip-carousel-wrapper')
-      expect(wrapBox.style.transform).to.equal('translate3d(-200px, 0px, 0px)')
+      expect(wrapBox.style.transform).to.equal('translate3d(-100px, 0px, 0px)')
 
       indicatorDom = div.querySelector('#mip-carousel-example5')
       dotsDom = indicatorDom.querySelectorAll('.mip-carousel-indecator-item')
@@ -722,9 +722,9 @@ describe('mip-carousel', function () {
       eventClick.initEvent('click', true, true)
       switchBtn.dispatchEvent(eventClick)
 
-      await sleep(330)
+      await sleep(400)
       wrapBox = div.querySelector('div.mip-carousel-wrapper')
-      expect(wrapBox.style.transform).to.equal('translate3d(-300px, 0px, 0px)')
+      expect(wrapBox.style.transform).to.equal('translate3d(-200px, 0px, 0px)')
     })
 
     after(function () {
@@ -760,18 +760,17 @@ describe('mip-carousel', function () {
       document.body.insertBefore(div, document.body.firstChild)
       div.querySelector('mip-carousel').viewportCallback(true)
     })
-    // 一定要挑一张图片上面的代码都没用到过，并且不能在第一张和最后一张
+    // 只加载当前 slide 及前后各一个 slide，第三张图片不在其中
     it('should not load picture samplePX', async function () {
-      let mipImg = div.querySelectorAll('mip-img')[3]
-      let img = mipImg.querySelector('img')
-      expect(img.getAttribute('src')).to.not.equal('https://www.mipengine.org/static/img/P2x1_457e18b.jpg')
+      let mipImg = div.querySelectorAll('mip-img')[2]
+      expect(mipImg.querySelector('img')).to.be.null
     })
     it('should load picture samplePX when swiping', async function () {
       let eventClick = document.createEvent('MouseEvents')
       let nextBtn = div.querySelector('p.mip-carousel-nextBtn')
       eventClick.initEvent('click', true, true)
       nextBtn.dispatchEvent(eventClick)
-      let img = div.querySelectorAll('mip-img')[3].querySelector('img')
+      let img = div.querySelectorAll('mip-img')[2].querySelector('img')
       expect(img.getAttribute('src')).to.equal('https://www.mipengine.org/static/img/P2x1_457e18b.jpg')
     })
 
@@ -817,18 +816,17 @@ describe('mip-carousel', function () {
       document.body.insertBefore(div, document.body.firstChild)
       div.querySelector('mip-carousel').viewportCallback(true)
     })
-    // 一定要挑一张图片上面的代码都没用到过，并且不能在第一张和最后一张
+    // 只加载当前 slide 及前后各一个 slide，第三张图片不在其中
     it('should not load picture samplePX', async function () {
-      let mipImg = div.querySelectorAll('mip-img')[3]
-      let img = mipImg.querySelector('img')
-      expect(img.getAttribute('src')).to.not.equal('https://www.mipengine.org/static/img/P2x1_457e18b.jpg')
+      let mipImg = div.querySelectorAll('mip-img')[2]
+      expect(mipImg.querySelector('img')).to.be.null
     })
     it('should load picture samplePX when swiping', async function () {
       let eventClick = document.createEvent('MouseEvents')
       let nextBtn = div.querySelector('p.mip-carousel-nextBtn')
       eventClick.initEvent('click', true, true)
       nextBtn.dispatchEvent(eventClick)
-      let img = div.querySelectorAll('mip-img')[3].querySelector('img')
+      let img = div.querySelectorAll('mip-img')[2].querySelector('img')
       expect(img.getAttribute('src')).to.equal('https://www.mipengine.org/static/img/P2x1_457e18b.jpg')
     })
 
@@ -869,7 +867,7 @@ describe('mip-carousel', function () {
     })
 
     it('should load picture correctly', async function () {
-      let img = div.querySelectorAll('mip-img')[1].querySelector('img')
+      let img = div.querySelectorAll('mip-img')[0].querySelector('img')
       expect(img.getAttribute('src')).to.equal(img1)
     })
 
@@ -879,10 +877,216 @@ describe('mip-carousel', function () {
       eventClick.initEvent('click', true, true)
       nextBtn.dispatchEvent(eventClick)
 
+      // 等待图片加载后改变高度
+      await sleep(100)
       expect(window.getComputedStyle(div, null).getPropertyValue('height')).not.equal(originHeight)
     })
     after(function () {
       document.body.removeChild(div)
     })
   })
+
+  describe('with slides-per-view, centered and rtl', function () {
+    let div
+    let gif = 'data:image/gif;base64,R0lGODlhAQABAIAAAAAAAP///yH5BAEAAAAALAAAAAABAAEAAAIBRAA7'
+    this.timeout(2000)
+
+    function createCarousel (attrs, count = 5) {
+      div = document.createElement('div')
+      div.innerHTML = `
+        <mip-carousel width="100" height="80" ${attrs}>
+          ${new Array(count).fill(`<mip-img src="${gif}"></mip-img>`).join('')}
+        </mip-carousel>
+      `
+      document.body.insertBefore(div, document.body.firstChild)
+      let carousel = div.querySelector('mip-carousel')
+      carousel.viewportCallback(true)
+      return carousel
+    }
+
+    function drag (target, dx) {
+      let event = document.createEvent('Events')
+      event.initEvent('touchstart', true, true)
+      event.targetTouches = event.touches = [{pageX: 0, pageY: 0}]
+      target.dispatchEvent(event)
+
+      event = document.createEvent('Events')
+      event.initEvent('touchmove', true, true)
+      event.targetTouches = event.touches = [{pageX: dx, pageY: 0}]
+      target.dispatchEvent(event)
+      return event
+    }
+
+    function release (target) {
+      let event = document.createEvent('Events')
+      event.initEvent('touchend', true, true)
+      target.dispatchEvent(event)
+    }
+
+    afterEach(function () {
+      document.body.removeChild(div)
+    })
+
+    it('should show several slides and only lay out the window', function () {
+      let carousel = createCarousel('slides-per-view="2"')
+      let slides = div.querySelectorAll('.mip-carousel-slideBox')
+      let mipImgs = div.querySelectorAll('mip-img')
+
+      expect(slides[0].style.width).to.equal('50%')
+      expect(slides[4].style.transform).to.equal('translate3d(-100%, 0px, 0px)')
+      expect(mipImgs[2].querySelector('img')).to.be.exist
+      expect(mipImgs[3].querySelector('img')).to.be.null
+
+      carousel.customElement.go(1, false)
+      expect(div.querySelector('.mip-carousel-wrapper').style.transform).to.equal('translate3d(-50px, 0px, 0px)')
+      expect(mipImgs[3].querySelector('img')).to.be.exist
+    })
+
+    it('should unlay out slides outside the window', function () {
+      let carousel = createCarousel('loop="false"')
+      let mipImgs = div.querySelectorAll('mip-img')
+      expect(mipImgs[0].inViewport()).to.be.true
+
+      carousel.customElement.go(4, false)
+      expect(mipImgs[0].inViewport()).to.be.false
+      expect(mipImgs[4].inViewport()).to.be.true
+
+      // 非 loop 模式下不会越过最后一个
+      carousel.customElement.next()
+      expect(carousel.customElement.index).to.equal(4)
+    })
+
+    it('should center the current slide', function () {
+      let carousel = createCarousel('slides-per-view="2" centered loop="false"', 3)
+      let wrapBox = div.querySelector('.mip-carousel-wrapper')
+      expect(wrapBox.style.transform).to.equal('translate3d(25px, 0px, 0px)')
+
+      carousel.customElement.go(2, false)
+      expect(wrapBox.style.transform).to.equal('translate3d(-75px, 0px, 0px)')
+    })
+
+    it('should loop without cloning slides', async function () {
+      let carousel = createCarousel('', 3)
+      let wrapBox = div.querySelector('.mip-carousel-wrapper')
+      let slides = div.querySelectorAll('.mip-carousel-slideBox')
+
+      carousel.customElement.prev()
+      expect(carousel.customElement.index).to.equal(2)
+      await sleep(400)
+      expect(wrapBox.style.transform).to.equal('translate3d(-200px, 0px, 0px)')
+      // 第一个 slide 排布在最后一个之后
+      expect(slides[0].style.transform).to.equal('translate3d(300%, 0px, 0px)')
+      expect(div.querySelectorAll('.mip-carousel-slideBox').length).to.equal(3)
+    })
+
+    it('should move in the opposite direction with rtl', async function () {
+      createCarousel('dir="rtl"', 3)
+      let wrapBox = div.querySelector('.mip-carousel-wrapper')
+      let slides = div.querySelectorAll('.mip-carousel-slideBox')
+      expect(div.querySelector('mip-carousel').classList.contains('mip-carousel-rtl')).to.be.true
+      expect(slides[1].style.transform).to.equal('translate3d(-100%, 0px, 0px)')
+
+      drag(wrapBox, 60)
+      release(wrapBox)
+      await sleep(400)
+      expect(wrapBox.style.transform).to.equal('translate3d(100px, 0px, 0px)')
+    })
+
+    it('should stop anywhere with free-scroll', async function () {
+      createCarousel('free-scroll loop="false"')
+      let wrapBox = div.querySelector('.mip-carousel-wrapper')
+      drag(wrapBox, -130)
+      // 停顿后松手，没有惯性
+      await sleep(50)
+      let event = document.createEvent('Events')
+      event.initEvent('touchmove', true, true)
+      event.targetTouches = event.touches = [{pageX: -130, pageY: 0}]
+      wrapBox.dispatchEvent(event)
+      release(wrapBox)
+      await sleep(400)
+      expect(wrapBox.style.transform).to.equal('translate3d(-130px, 0px, 0px)')
+    })
+
+    it('should snap to slides with free-scroll and snap', async function () {
+      let carousel = createCarousel('free-scroll snap loop="false"')
+      let wrapBox = div.querySelector('.mip-carousel-wrapper')
+      // 快速滑动后按惯性滑到最后一个
+      drag(wrapBox, -30)
+      release(wrapBox)
+      await sleep(400)
+      expect(carousel.customElement.index).to.equal(4)
+      expect(wrapBox.style.transform).to.equal('translate3d(-400px, 0px, 0px)')
+    })
+  })
+
+  describe('events, actions and state binding', function () {
+    let div
+    let gif = 'data:image/gif;base64,R0lGODlhAQABAIAAAAAAAP///yH5BAEAAAAALAAAAAABAAEAAAIBRAA7'
+    this.timeout(2000)
+
+    function createCarousel (attrs) {
+      div = document.createElement('div')
+      div.innerHTML = `
+        <mip-carousel width="100" height="80" ${attrs}>
+          <mip-img src="${gif}"></mip-img>
+          <mip-img src="${gif}"></mip-img>
+          <mip-img src="${gif}"></mip-img>
+        </mip-carousel>
+      `
+      document.body.appendChild(div)
+      let carousel = div.querySelector('mip-carousel')
+      carousel.viewportCallback(true)
+      return carousel
+    }
+
+    afterEach(function () {
+      document.body.removeChild(div)
+    })
+
+    it('should emit slideChange with next and prev actions', function () {
+      let spy = sinon.spy(viewer.eventAction, 'execute')
+      let carousel = createCarousel('')
+
+      carousel.customElement.executeEventAction({handler: 'next'})
+      expect(spy).to.be.calledWith('slideChange', carousel, {index: 2, previous: 1, total: 3})
+
+      carousel.customElement.executeEventAction({handler: 'prev'})
+      carousel.customElement.executeEventAction({handler: 'prev'})
+      expect(spy).to.be.calledWith('slideChange', carousel, {index: 3, previous: 1, total: 3})
+      spy.restore()
+    })
+
+    it('should pause and play autoplay', async function () {
+      let carousel = createCarousel('autoplay defer="200"')
+      carousel.customElement.executeEventAction({handler: 'pause'})
+      await sleep(300)
+      expect(carousel.customElement.index).to.equal(0)
+
+      carousel.customElement.executeEventAction({handler: 'play'})
+      await sleep(300)
+      expect(carousel.customElement.index).to.equal(1)
+      carousel.customElement.executeEventAction({handler: 'pause'})
+    })
+
+    it('should bind index to MIP data', async function () {
+      MIP.setData({boundCarousel: {index: 2}})
+      let carousel = createCarousel('id="boundCarousel" scope')
+
+      // MIP 数据中已存在的下标优先
+      expect(carousel.customElement.index).to.equal(1)
+
+      carousel.customElement.executeEventAction({handler: 'next'})
+      expect(MIP.getData('boundCarousel.index')).to.equal(3)
+
+      MIP.setData({boundCarousel: {index: 1}})
+      await sleep(50)
+      expect(carousel.customElement.index).to.equal(0)
+    })
+
+    it('should switch when index attribute changes', function () {
+      let carousel = createCarousel('')
+      carousel.setAttribute('index', '3')
+      expect(carousel.customElement.index).to.equal(2)
+    })
+  })
 })
@@ -0,0 +1,102 @@
+/**
+ * @file mip-consent spec file
+ * @author sfe-sy (sfe-sy@baidu.com)
+ */
+
+/* eslint-disable no-unused-expressions */
+/* globals describe, it, expect, beforeEach, afterEach, after */
+
+import Services, {installConsentService, CONSENT_STATE} from 'src/services'
+import viewer from 'src/viewer'
+import customStorage from 'src/util/custom-storage'
+
+function sleep (ms) {
+  return new Promise(resolve => setTimeout(resolve, ms))
+}
+
+function resetConsent () {
+  customStorage(0).rm('mip-consent')
+  window.services.consent = null
+  installConsentService()
+}
+
+describe('mip-consent', function () {
+  let wrapper
+  let consentElement
+
+  beforeEach(async function () {
+    resetConsent()
+    wrapper = document.createElement('div')
+    wrapper.innerHTML = `
+      <mip-consent id="consent">
+        <div ui>
+          <button class="accept" on="tap:consent.accept">同意</button>
+          <button class="reject" on="tap:consent.reject">拒绝</button>
+        </div>
+      </mip-consent>
+    `
+    document.body.appendChild(wrapper)
+    consentElement = wrapper.querySelector('mip-consent')
+    await sleep(0)
+  })
+
+  afterEach(function () {
+    document.body.removeChild(wrapper)
+  })
+
+  after(resetConsent)
+
+  it('should show ui before deciding', function () {
+    expect(Services.consent().isRequired()).to.be.true
+    expect(consentElement.getAttribute('state')).to.equal(CONSENT_STATE.UNKNOWN)
+    expect(consentElement.classList.contains('mip-consent-prompt')).to.be.true
+  })
+
+  it('should accept by action and store decision', function () {
+    viewer.eventAction.execute('tap', wrapper.querySelector('.accept'), {})
+
+    expect(Services.consent().getState()).to.equal(CONSENT_STATE.ACCEPTED)
+    expect(consentElement.getAttribute('state')).to.equal(CONSENT_STATE.ACCEPTED)
+    expect(consentElement.classList.contains('mip-consent-prompt')).to.be.false
+    expect(customStorage(0).get('mip-consent')).to.equal(CONSENT_STATE.ACCEPTED)
+  })
+
+  it('should reject by action and prompt again', function () {
+    viewer.eventAction.execute('tap', wrapper.querySelector('.reject'), {})
+    expect(Services.consent().getState()).to.equal(CONSENT_STATE.REJECTED)
+    expect(consentElement.classList.contains('mip-consent-prompt')).to.be.false
+
+    consentElement.customElement.togglePrompt(true)
+    expect(consentElement.classList.contains('mip-consent-prompt')).to.be.true
+  })
+
+  it('should hold layout of elements with data-block-on-consent', async function () {
+    let pix = document.createElement('mip-pix')
+    pix.setAttribute('src', 'https://www.mipengine.org/a.gif')
+    pix.setAttribute('data-block-on-consent', '')
+    wrapper.appendChild(pix)
+    await sleep(0)
+
+    pix.viewportCallback(true)
+    await sleep(10)
+    expect(pix.querySelector('img')).to.be.null
+
+    Services.consent().accept()
+    await sleep(10)
+    expect(pix.querySelector('img')).to.exist
+  })
+
+  it('should block cookie writes until accepted', function () {
+    let cookieStorage = customStorage(2)
+
+    expect(cookieStorage.set('mip-consent-test', 'a b')).to.be.false
+    expect(cookieStorage.get('mip-consent-test')).to.be.undefined
+
+    Services.consent().accept()
+    expect(cookieStorage.set('mip-consent-test', 'a b')).to.be.true
+    expect(cookieStorage.get('mip-consent-test')).to.equal('a b')
+
+    cookieStorage.rm('mip-consent-test')
+    expect(cookieStorage.get('mip-consent-test')).to.be.undefined
+  })
+})
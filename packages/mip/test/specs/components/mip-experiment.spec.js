@@ -0,0 +1,106 @@
+/**
+ * @file mip-experiment spec file
+ * @author sfe-sy (sfe-sy@baidu.com)
+ */
+
+/* eslint-disable no-unused-expressions, no-template-curly-in-string */
+/* globals describe, it, expect, beforeEach, afterEach, sinon, MIP */
+
+import Services from 'src/services'
+import customStorage from 'src/util/custom-storage'
+import {assignPageExperiment, DEFAULT_VARIANT} from 'src/experiment/index'
+
+function sleep (ms) {
+  return new Promise(resolve => setTimeout(resolve, ms))
+}
+
+describe('mip-experiment', function () {
+  let wrapper
+  let names = []
+
+  function createExperiment (config) {
+    names.push(...Object.keys(config))
+    wrapper.insertAdjacentHTML('beforeend', `
+      <mip-experiment>
+        <script type="application/json">${JSON.stringify(config)}</script>
+      </mip-experiment>
+    `)
+    return sleep(0)
+  }
+
+  beforeEach(function () {
+    wrapper = document.createElement('div')
+    document.body.appendChild(wrapper)
+  })
+
+  afterEach(function () {
+    document.body.removeChild(wrapper)
+    names.forEach(name => {
+      document.body.removeAttribute('mip-x-' + name)
+      customStorage(0).rm('mip-x-' + name)
+      customStorage(2).rm('mip-x-' + name)
+    })
+    names = []
+  })
+
+  it('should expose variant as body attribute, data and url variable', async function () {
+    await createExperiment({
+      'exp-full': {variants: {red: 100}}
+    })
+
+    expect(document.body.getAttribute('mip-x-exp-full')).to.equal('red')
+    expect(MIP.getData('experiment.exp-full')).to.equal('red')
+    expect(Services.urlReplacements().expandSync('c=${MIP-X-EXP-FULL}&c2=${EXPERIMENT(exp-full)}'))
+      .to.equal('c=red&c2=red')
+    expect(customStorage(0).get('mip-x-exp-full')).to.equal('red')
+  })
+
+  it('should assign default variant for the rest traffic', async function () {
+    await createExperiment({
+      'exp-empty': {variants: {red: 0}}
+    })
+
+    expect(document.body.getAttribute('mip-x-exp-empty')).to.equal(DEFAULT_VARIANT)
+  })
+
+  it('should keep sticky variant in storage', function () {
+    customStorage(0).set('mip-x-exp-local', 'blue')
+    customStorage(2).set('mip-x-exp-cookie', 'blue')
+    customStorage(0).set('mip-x-exp-removed', 'green')
+    names.push('exp-local', 'exp-cookie', 'exp-removed')
+
+    let variants = {red: 100, blue: 0}
+    expect(assignPageExperiment('exp-local', {variants})).to.equal('blue')
+    expect(assignPageExperiment('exp-cookie', {variants, storage: 'cookie'})).to.equal('blue')
+    expect(assignPageExperiment('exp-removed', {variants})).to.equal('red')
+    expect(customStorage(0).get('mip-x-exp-removed')).to.equal('red')
+  })
+
+  it('should only pass expires to cookie storage', function () {
+    let localSet = sinon.spy(Object.getPrototypeOf(customStorage(0)), 'set')
+    let cookieSet = sinon.spy(Object.getPrototypeOf(customStorage(2)), 'set')
+    names.push('exp-local-expires', 'exp-cookie-expires')
+
+    assignPageExperiment('exp-local-expires', {variants: {red: 100}, expires: 1000})
+    assignPageExperiment('exp-cookie-expires', {variants: {red: 100}, storage: 'cookie', expires: 1000})
+    expect(localSet).to.be.calledWithExactly('mip-x-exp-local-expires', 'red')
+    expect(cookieSet).to.be.calledWithExactly('mip-x-exp-cookie-expires', 'red', 1000)
+
+    localSet.restore()
+    cookieSet.restore()
+  })
+
+  it('should not store variant if not sticky', function () {
+    names.push('exp-not-sticky')
+
+    expect(assignPageExperiment('exp-not-sticky', {variants: {red: 100}, sticky: false})).to.equal('red')
+    expect(customStorage(0).get('mip-x-exp-not-sticky')).to.not.exist
+  })
+
+  it('should keep variant in the same page', function () {
+    names.push('exp-same')
+
+    expect(assignPageExperiment('exp-same', {variants: {red: 100}})).to.equal('red')
+    expect(assignPageExperiment('exp-same', {variants: {blue: 100}})).to.equal('red')
+  })
+})
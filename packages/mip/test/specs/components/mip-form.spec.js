@@ -0,0 +1,168 @@
+/**
+ * @file mip-form spec file
+ * @author sfe-sy (sfe-sy@baidu.com)
+ */
+
+/* eslint-disable no-unused-expressions */
+/* globals describe, before, it, expect, after, afterEach, sinon, MIP, Event, FormData */
+
+import templates from 'src/util/templates'
+import viewer from 'src/viewer'
+import {serialize} from 'src/components/mip-form'
+
+function sleep (time) {
+  return new Promise(resolve => setTimeout(resolve, time))
+}
+
+function json (body, status) {
+  return new window.Response(JSON.stringify(body), {
+    status: status,
+    headers: {
+      'Content-type': 'application/json'
+    }
+  })
+}
+
+function createForm (attrs, inner) {
+  let mipForm = document.createElement('mip-form')
+  Object.keys(attrs).forEach(key => mipForm.setAttribute(key, attrs[key]))
+  mipForm.innerHTML = inner
+  document.body.appendChild(mipForm)
+  mipForm.viewportCallback(true)
+  return mipForm
+}
+
+describe('mip-form', function () {
+  let fetchOrigin
+  let mipForm
+
+  before(function () {
+    let MipFormTestTemplate = templates.inheritTemplate()
+    MipFormTestTemplate.prototype.cache = function (html) {
+      return html
+    }
+    MipFormTestTemplate.prototype.render = function (html, data) {
+      return html.replace('{{message}}', data.message)
+    }
+    templates.register('mip-form-test-template', MipFormTestTemplate)
+
+    fetchOrigin = window.fetch
+    sinon.stub(window, 'fetch')
+  })
+
+  after(function () {
+    window.fetch = fetchOrigin
+  })
+
+  afterEach(function () {
+    mipForm && mipForm.parentNode && mipForm.parentNode.removeChild(mipForm)
+    window.fetch.reset()
+  })
+
+  it('should serialize form fields', function () {
+    let form = document.createElement('form')
+    form.innerHTML = `
+      <input name="a" value="1">
+      <input name="b" type="checkbox" value="2" checked>
+      <input name="c" type="checkbox" value="3">
+      <input name="d" value="4" disabled>
+      <input value="5">
+    `
+    expect(serialize(form)).to.deep.equal([['a', '1'], ['b', '2']])
+  })
+
+  it('should wrap fields with form', function () {
+    mipForm = createForm({url: '/search'}, '<input name="q">')
+    expect(mipForm.querySelector('form input[name=q]')).to.not.be.null
+  })
+
+  it('should show errors and not submit when invalid', async function () {
+    mipForm = createForm({url: '/submit', method: 'post'}, `
+      <form>
+        <input name="phone" required required-message="请填写手机号">
+        <input name="email" type="email" value="invalid">
+        <div validation-for="email"></div>
+      </form>
+    `)
+
+    mipForm.customElement.submit()
+    await sleep(0)
+
+    expect(window.fetch.called).to.be.false
+    let phone = mipForm.querySelector('[name=phone]')
+    expect(phone.classList.contains('mip-form-invalid')).to.be.true
+    expect(phone.getAttribute('aria-invalid')).to.equal('true')
+    expect(phone.nextSibling.textContent).to.equal('请填写手机号')
+    expect(mipForm.querySelector('[validation-for=email]').textContent).to.equal('格式不正确')
+
+    phone.value = '123'
+    phone.dispatchEvent(new Event('input', {bubbles: true}))
+    expect(phone.classList.contains('mip-form-invalid')).to.be.false
+    expect(phone.nextSibling.hasAttribute('hidden')).to.be.true
+  })
+
+  it('should submit by get with query', async function () {
+    window.fetch.returns(Promise.resolve(json({}, 200)))
+    mipForm = createForm({url: '/search?from=mip'}, `
+      <form><input name="q" value="mip form"></form>
+    `)
+
+    mipForm.customElement.submit()
+    await sleep(100)
+
+    expect(window.fetch.firstCall.args[0]).to.equal('/search?from=mip&q=mip%20form')
+    expect(window.fetch.firstCall.args[1].method).to.equal('GET')
+  })
+
+  it('should use action and method of the wrapped form', async function () {
+    window.fetch.returns(Promise.resolve(json({}, 200)))
+    mipForm = createForm({}, `
+      <form action="/submit" method="post"><input name="q" value="mip"></form>
+    `)
+
+    mipForm.customElement.submit()
+    await sleep(100)
+
+    let [url, options] = window.fetch.firstCall.args
+    expect(url).to.equal('/submit')
+    expect(options.method).to.equal('POST')
+    expect(options.body).to.be.instanceof(FormData)
+  })
+
+  it('should render success template and set data', async function () {
+    window.fetch.returns(Promise.resolve(json({message: 'ok', formResult: 1}, 200)))
+    let spy = sinon.spy(viewer.eventAction, 'execute')
+    mipForm = createForm({url: '/submit', method: 'post'}, `
+      <form><input name="name" value="mip"></form>
+      <div submit-success><template type="mip-form-test-template">{{message}}</template></div>
+      <div submit-error><template type="mip-form-test-template">{{message}}</template></div>
+    `)
+
+    mipForm.querySelector('form').dispatchEvent(new Event('submit', {cancelable: true}))
+    await sleep(100)
+
+    let options = window.fetch.firstCall.args[1]
+    expect(options.method).to.equal('POST')
+    expect(options.body).to.be.instanceof(FormData)
+    expect(mipForm.querySelector('[submit-success] .mip-form-result').textContent).to.equal('ok')
+    expect(mipForm.querySelector('[submit-success]').hasAttribute('hidden')).to.be.false
+    expect(mipForm.querySelector('[submit-error]').hasAttribute('hidden')).to.be.true
+    expect(mipForm.classList.contains('mip-form-submit-success')).to.be.true
+    expect(MIP.getData('formResult')).to.equal(1)
+    expect(spy.calledWith('submit-success', mipForm)).to.be.true
+    spy.restore()
+  })
+
+  it('should trigger submit-error when request failed', async function () {
+    window.fetch.returns(Promise.resolve(json({}, 500)))
+    let spy = sinon.spy(viewer.eventAction, 'execute')
+    mipForm = createForm({url: '/submit', method: 'post'}, '<input name="name" value="mip">')
+
+    mipForm.customElement.submit()
+    await sleep(100)
+
+    expect(mipForm.classList.contains('mip-form-submit-error')).to.be.true
+    expect(spy.calledWith('submit-error', mipForm)).to.be.true
+    spy.restore()
+  })
+})
@@ -12,6 +12,10 @@ import {
 } from 'src/page/const'
 
 import viewport from 'src/viewport'
+import viewer from 'src/viewer'
+import performance from 'src/performance'
+
+const DEFAULT_SANDBOX = 'allow-scripts allow-forms allow-popups allow-popups-to-escape-sandbox allow-same-origin'
 
 describe('mip-iframe', function () {
   let mipIframe
@@ -48,7 +52,7 @@ describe('mip-iframe', function () {
       expect(iframe.src).to.equal('data:text/html;charset=utf-8;base64,' + window.btoa('<p>Hello MIP!</p>'))
       expect(iframe.getAttribute('allowfullscreen')).to.equal('true')
       expect(iframe.getAttribute('allowtransparency')).to.equal('true')
-      expect(iframe.getAttribute('sandbox')).to.be.null
+      expect(iframe.getAttribute('sandbox')).to.equal(DEFAULT_SANDBOX)
       await new Promise(resolve => setTimeout(resolve, 600))
       expect(iframe.style.height).to.equal(viewport.getHeight() + 'px')
     })
@@ -77,7 +81,7 @@ describe('mip-iframe', function () {
       expect(iframe.src).to.equal('data:text/html;charset=utf-8;base64,' + window.btoa('<p>Hello MIP!</p>'))
       expect(iframe.getAttribute('allowfullscreen')).to.be.null
       expect(iframe.getAttribute('allowtransparency')).to.be.null
-      expect(iframe.getAttribute('sandbox')).to.be.null
+      expect(iframe.getAttribute('sandbox')).to.equal(DEFAULT_SANDBOX)
     })
 
     it('should resize with detail', function () {
@@ -131,4 +135,165 @@ describe('mip-iframe', function () {
       document.body.removeChild(mipIframe)
     })
   })
+
+  describe('sandbox and message bridge', function () {
+    let setDataStub
+
+    function createMipIframe (attrs, srcdoc) {
+      mipIframe = document.createElement('mip-iframe')
+      Object.keys(attrs).forEach(name => mipIframe.setAttribute(name, attrs[name]))
+      srcdoc && mipIframe.setAttribute('srcdoc', srcdoc)
+      document.body.insertBefore(mipIframe, document.body.firstChild)
+      return mipIframe
+    }
+
+    beforeEach(function () {
+      setDataStub = sinon.stub(window.MIP, 'setData')
+    })
+
+    afterEach(function () {
+      setDataStub.restore()
+      document.body.removeChild(mipIframe)
+    })
+
+    it('should use sandbox attribute if specified', function () {
+      createMipIframe({height: '100', sandbox: 'allow-scripts'}, '<p>Hello MIP!</p>')
+      mipIframe.viewportCallback(true)
+      expect(mipIframe.querySelector('iframe').getAttribute('sandbox')).to.equal('allow-scripts')
+    })
+
+    it('should not allow same origin for same origin pages', function () {
+      createMipIframe({height: '100', src: '/mip-iframe-same-origin.html'})
+      mipIframe.viewportCallback(true)
+      expect(mipIframe.querySelector('iframe').getAttribute('sandbox'))
+        .to.equal('allow-scripts allow-forms allow-popups allow-popups-to-escape-sandbox')
+    })
+
+    it('should handle setData and allowed actions from the embedded page', async function () {
+      let spy = sinon.spy(viewer.eventAction, 'execute')
+      createMipIframe({height: '100', 'allow-actions': 'submitted'}, `<script>
+        parent.postMessage({name: window.name, event: 'setData', data: null}, '*')
+        parent.postMessage({name: window.name, event: 'setData', data: {iframeBridge: 1}}, '*')
+        parent.postMessage({name: window.name, event: 'action', data: {name: 'submitted', data: {id: 2}}}, '*')
+        parent.postMessage({name: window.name, event: 'action', data: {name: 'blocked'}}, '*')
+      </script>`)
+      await mipIframe.customElement.layoutCallback()
+      iframe = mipIframe.querySelector('iframe')
+
+      // 其他窗口使用相同的 name 发送的消息会被忽略
+      window.postMessage({name: iframe.name, event: 'setData', data: {fake: 1}}, '*')
+      await new Promise(resolve => setTimeout(resolve, 100))
+
+      expect(setDataStub).to.be.calledOnce
+      expect(setDataStub).to.be.calledWith({iframeBridge: 1})
+      let calls = spy.getCalls().filter(call => call.args[1] === mipIframe)
+      spy.restore()
+      expect(calls.length).to.equal(1)
+      expect(calls[0].args[0]).to.equal('submitted')
+      expect(calls[0].args[2]).to.deep.equal({id: 2})
+    })
+
+    it('should reply failure when setData payload is not a plain object', function () {
+      createMipIframe({height: '100'}, '<p>Hello MIP!</p>')
+      let customElement = mipIframe.customElement
+
+      expect(customElement.setDataHandler('{"a": 1}')).to.deep.equal({success: false})
+      expect(customElement.setDataHandler(null)).to.deep.equal({success: false})
+      expect(customElement.setDataHandler([1])).to.deep.equal({success: false})
+      expect(setDataStub).to.not.be.called
+      expect(customElement.setDataHandler({a: 1})).to.deep.equal({success: true})
+      expect(setDataStub).to.be.calledWith({a: 1})
+    })
+
+    it('should resize with overflow when in viewport', function () {
+      createMipIframe({height: '100', layout: 'fixed-height'}, '<p>Hello MIP!</p>')
+      let overflow = document.createElement('div')
+      overflow.setAttribute('overflow', '')
+      mipIframe.appendChild(overflow)
+      mipIframe.viewportCallback(true)
+
+      let result = mipIframe.customElement.resizeHandler({height: 200})
+      expect(result).to.deep.equal({success: false, overflow: true})
+      expect(overflow.classList.contains('mip-iframe-overflow-visible')).to.be.true
+
+      overflow.click()
+      expect(mipIframe.style.height).to.equal('200px')
+      expect(overflow.classList.contains('mip-iframe-overflow-visible')).to.be.false
+
+      mipIframe.style.marginTop = viewport.getHeight() * 2 + 'px'
+      result = mipIframe.customElement.resizeHandler({height: 300})
+      expect(result).to.deep.equal({success: true})
+      expect(mipIframe.style.height).to.equal('300px')
+    })
+
+    it('should resize after leaving viewport without overflow element', function () {
+      createMipIframe({height: '100', layout: 'fixed-height'}, '<p>Hello MIP!</p>')
+      mipIframe.viewportCallback(true)
+
+      mipIframe.customElement.resizeHandler({height: 200})
+      expect(mipIframe.style.height).to.equal('100px')
+      mipIframe.viewportCallback(false)
+      expect(mipIframe.style.height).to.equal('200px')
+    })
+  })
+
+  describe('facade', function () {
+    function createMipIframe (attrs, html) {
+      mipIframe = document.createElement('mip-iframe')
+      Object.keys(attrs).forEach(name => mipIframe.setAttribute(name, attrs[name]))
+      mipIframe.setAttribute('srcdoc', '<p>Hello MIP!</p>')
+      mipIframe.setAttribute('height', '100')
+      mipIframe.setAttribute('layout', 'fixed-height')
+      mipIframe.innerHTML = html || ''
+      document.body.insertBefore(mipIframe, document.body.firstChild)
+      return mipIframe
+    }
+
+    afterEach(function () {
+      document.body.removeChild(mipIframe)
+    })
+
+    it('should render default facade and load iframe on tap', async function () {
+      createMipIframe({facade: ''})
+      mipIframe.viewportCallback(true)
+
+      let placeholder = mipIframe.querySelector('.mip-iframe-facade')
+      expect(placeholder.hasAttribute('placeholder')).to.be.true
+      expect(mipIframe.querySelector('iframe')).to.be.null
+
+      placeholder.click()
+      iframe = mipIframe.querySelector('iframe')
+      expect(iframe).to.be.exist
+      expect(mipIframe.classList.contains('mip-iframe-activated')).to.be.false
+
+      await new Promise(resolve => iframe.addEventListener('load', resolve))
+      await new Promise(resolve => setTimeout(resolve))
+      expect(mipIframe.classList.contains('mip-iframe-activated')).to.be.true
+
+      let timings = performance.getElementTimings(mipIframe)
+      expect(timings.map(timing => timing.name)).to.deep.equal(['facade-render', 'facade-activate', 'facade-load'])
+      expect(timings[1].trigger).to.equal('tap')
+      expect(timings[2].duration).to.be.a('number')
+    })
+
+    it('should load iframe after staying in viewport for facade-delay', async function () {
+      createMipIframe({facade: '', 'facade-delay': '50'}, '<mip-img placeholder layout="fill" src="poster.jpg"></mip-img>')
+      mipIframe.viewportCallback(true)
+
+      expect(mipIframe.querySelector('.mip-iframe-facade')).to.be.null
+      expect(mipIframe.querySelector('iframe')).to.be.null
+      await new Promise(resolve => setTimeout(resolve, 100))
+      expect(mipIframe.querySelector('iframe')).to.be.exist
+      expect(performance.getElementTimings(mipIframe)[1].trigger).to.equal('visible')
+    })
+
+    it('should not load iframe if it leaves viewport before facade-delay', async function () {
+      createMipIframe({facade: '', 'facade-delay': '50'})
+      mipIframe.viewportCallback(true)
+      mipIframe.viewportCallback(false)
+
+      await new Promise(resolve => setTimeout(resolve, 100))
+      expect(mipIframe.querySelector('iframe')).to.be.null
+    })
+  })
 })
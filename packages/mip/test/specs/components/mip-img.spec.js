@@ -6,6 +6,7 @@
 import dom, {waitForChild} from 'src/util/dom/dom'
 import util from 'src/util'
 import viewer from 'src/viewer'
+import viewport from 'src/viewport'
 import Services, {installTimerService} from 'src/services'
 
 /* eslint-disable no-unused-expressions */
@@ -27,10 +28,10 @@ describe('mip-img', function () {
 
   afterEach(function () {
     document.body.removeChild(mipImgWrapper)
-    // Clear popup wrap
-    let popup = document.querySelector('.mip-img-popUp-wrapper')
-    if (popup) {
-      popup.parentElement.removeChild(popup)
+    // Clear lightbox created by popup
+    let lightbox = document.querySelector('mip-lightbox')
+    if (lightbox) {
+      lightbox.parentElement.removeChild(lightbox)
     }
   })
 
@@ -180,24 +181,42 @@ describe('mip-img', function () {
     evt.initEvent('click', true, true)
     img.dispatchEvent(evt)
     // 等待 popup 生成
-    await waitForChild(document.body, body => body.querySelector('mip-carousel'))
-    let mipPopWrap = document.querySelector('.mip-img-popUp-wrapper')
-    expect(mipPopWrap.getAttribute('data-name')).to.equal('mip-img-popUp-name')
-    expect(mipPopWrap.parentNode.tagName).to.equal('BODY')
-    expect(mipPopWrap.tagName).to.equal('DIV')
-    expect(mipPopWrap.querySelector('.mip-img-popUp-bg')).to.be.exist
-    let carousel = mipPopWrap.querySelector('mip-carousel')
-    expect(carousel).to.be.exist
-
-    // 等待 carousel 生成
-    await waitForChild(carousel, carousel => carousel.querySelector('.mip-carousel-wrapper'))
-    mipPopWrap.dispatchEvent(evt)
-    // 等待 popup 完全关闭
-    await timer.sleep(500)
-    expect(mipPopWrap.style.display).to.equal('none')
+    await waitForChild(document.body, body => body.querySelector('mip-lightbox.mip-lightbox-open'))
+    let lightbox = document.querySelector('mip-lightbox')
+    expect(lightbox.parentNode.tagName).to.equal('BODY')
+    expect(lightbox.getAttribute('layout')).to.equal('nodisplay')
+    let popupImg = lightbox.querySelector('.mip-lightbox-img')
+    expect(popupImg.getAttribute('src')).to.equal(img.currentSrc || img.src)
+
+    lightbox.querySelector('.mip-lightbox-close').dispatchEvent(evt)
+    expect(lightbox.classList.contains('mip-lightbox-open')).to.be.false
     mipImgWrapper.removeChild(carou)
   }).timeout(5000)
 
+  it('should popup with the lightbox of its group', async () => {
+    let mipImg = document.createElement('mip-img')
+    mipImg.setAttribute('width', '100px')
+    mipImg.setAttribute('height', '100px')
+    mipImg.setAttribute('src', 'https://mip-doc.cdn.bcebos.com/mipengine-org/assets/mipengine/wide.jpg')
+    mipImg.setAttribute('popup', '')
+    mipImg.setAttribute('lightbox', 'gallery')
+    mipImgWrapper.appendChild(mipImg)
+
+    mipImg.viewportCallback(true)
+
+    let img = mipImg.querySelector('img')
+    await new Promise(resolve => event.listen(img, 'load', resolve))
+    let evt = document.createEvent('MouseEvents')
+    evt.initEvent('click', true, true)
+    img.dispatchEvent(evt)
+    await waitForChild(document.body, body => body.querySelector('mip-lightbox.mip-lightbox-open'))
+    let lightbox = document.querySelector('mip-lightbox')
+    expect(lightbox.getAttribute('group')).to.equal('gallery')
+    expect(lightbox.customElement.items).to.deep.equal([mipImg])
+
+    lightbox.customElement.close()
+  }).timeout(5000)
+
   it('should not popup if the image is not loaded', async () => {
     mipImgWrapper.innerHTML = `<mip-img popup src="https://www.wrong.org?test=1"></mip-img>`
     let mipImg = mipImgWrapper.querySelector('mip-img')
@@ -207,7 +226,7 @@ describe('mip-img', function () {
     evt.initEvent('click', true, true)
     img.dispatchEvent(evt)
     await timer.sleep(500)
-    expect(document.querySelector('.mip-img-popUp-wrapper')).to.not.exist
+    expect(document.querySelector('mip-lightbox.mip-lightbox-open')).to.not.exist
   })
   it('should resize popup according to window resizing', function () {
     let mipImg = document.createElement('mip-img')
@@ -225,8 +244,11 @@ describe('mip-img', function () {
     evt.initEvent('resize', true, true)
     window.dispatchEvent(evt)
   })
-  it('with special image popuping should popup', async () => {
-    // 针对长图的大图浏览代码测试，其实只需要设置一张特殊的图即可。
+  it('should delegate popup to an existing mip-lightbox', async () => {
+    let existing = document.createElement('mip-lightbox')
+    existing.setAttribute('layout', 'nodisplay')
+    document.body.appendChild(existing)
+
     let mipImg = document.createElement('mip-img')
     mipImg.setAttribute('width', '100px')
     mipImg.setAttribute('height', '100px')
@@ -244,25 +266,16 @@ describe('mip-img', function () {
     img.dispatchEvent(evt)
 
     // 等待 popup 生成
-    await waitForChild(document.body, body => body.querySelector('mip-carousel'))
-    let mipPopWrap = document.querySelector('.mip-img-popUp-wrapper')
-    expect(mipPopWrap.getAttribute('data-name')).to.equal('mip-img-popUp-name')
-    expect(mipPopWrap.parentNode.tagName).to.equal('BODY')
-    expect(mipPopWrap.tagName).to.equal('DIV')
-
-    // 等待 carousel 生成
-    await waitForChild(mipPopWrap, mipPopWrap => mipPopWrap.querySelector('mip-carousel'))
-    expect(mipPopWrap.querySelector('.mip-img-popUp-bg')).to.be.exist
-    expect(mipPopWrap.querySelector('mip-carousel')).to.be.exist
-    expect(mipPopWrap.querySelector('mip-carousel').getAttribute('index')).to.equal('1')
-
-    // 等待 carousel 生成
-    let carousel = mipPopWrap.querySelector('mip-carousel')
-    await waitForChild(carousel, carousel => carousel.querySelector('.mip-carousel-wrapper'))
-    mipPopWrap.dispatchEvent(evt)
-    // 等待 popup 完全关闭
-    await timer.sleep(500)
-    expect(mipPopWrap.style.display).to.equal('none')
+    await waitForChild(document.body, body => body.querySelector('mip-lightbox.mip-lightbox-open'))
+    let lightbox = document.querySelector('mip-lightbox')
+    expect(lightbox).to.equal(existing)
+    expect(document.querySelectorAll('mip-lightbox').length).to.equal(1)
+    expect(lightbox.querySelectorAll('.mip-lightbox-slide').length).to.equal(1)
+    expect(lightbox.querySelector('.mip-lightbox-counter').textContent).to.equal('')
+
+    // 点击图片以外的区域关闭
+    lightbox.querySelector('.mip-lightbox-slide').dispatchEvent(evt)
+    expect(lightbox.classList.contains('mip-lightbox-open')).to.be.false
   }).timeout(4000)
   it('should invoke image browser in BaiduApp when the popup image is clicked', async () => {
     let appStub = sinon.stub(platform, 'isBaiduApp')
@@ -335,4 +348,170 @@ describe('mip-img', function () {
     await loading
     expect(img.currentSrc).to.equal('https://mip-doc.cdn.bcebos.com/mipengine-org/assets/mipengine/logo.jpeg')
   })
+
+  describe('lqip placeholder', () => {
+    const IMG = 'https://mip-doc.cdn.bcebos.com/mipengine-org/assets/mipengine/logo.jpeg'
+    const LQIP = 'data:image/gif;base64,R0lGODlhAQABAIAAAP///wAAACH5BAEAAAAALAAAAAABAAEAAAICRAEAOw=='
+
+    it('should show blurred lqip and hide it after the image loaded', async () => {
+      mipImgWrapper.innerHTML = `<mip-img layout="responsive" width="100" height="100" lqip="${LQIP}" src="${IMG}"></mip-img>`
+      let mipImg = mipImgWrapper.querySelector('mip-img')
+
+      let placeholder = mipImg.querySelector('.mip-img-lqip')
+      expect(placeholder.hasAttribute('placeholder')).to.be.true
+      expect(placeholder.querySelector('.mip-img-lqip-blur').style.backgroundImage).to.contain(LQIP)
+
+      let loaded = new Promise(resolve => event.listen(mipImg, 'load', resolve))
+      mipImg.viewportCallback(true)
+      await loaded
+      await timer.sleep(0)
+      expect(placeholder.classList.contains('mip-hidden')).to.be.true
+      expect(mipImg.classList.contains('mip-img-loaded')).to.be.true
+    })
+
+    it('should use lqip color as background', () => {
+      mipImgWrapper.innerHTML = `<mip-img layout="fixed" width="100" height="100" lqip="#ff0000" src="${IMG}"></mip-img>`
+      let placeholder = mipImgWrapper.querySelector('.mip-img-lqip')
+      expect(placeholder.style.backgroundColor).to.equal('rgb(255, 0, 0)')
+      expect(placeholder.querySelector('.mip-img-lqip-blur')).to.not.exist
+    })
+
+    it('should use placeholder-src unless lqip is set', () => {
+      mipImgWrapper.innerHTML = `
+        <mip-img layout="fixed" width="100" height="100" placeholder-src="${IMG}?lqip" src="${IMG}"></mip-img>
+        <mip-img layout="fixed" width="100" height="100" lqip="${LQIP}" placeholder-src="${IMG}?lqip" src="${IMG}"></mip-img>
+      `
+      let blurs = mipImgWrapper.querySelectorAll('.mip-img-lqip-blur')
+      expect(blurs[0].style.backgroundImage).to.contain(`${IMG}?lqip`)
+      expect(blurs[1].style.backgroundImage).to.contain(LQIP)
+    })
+
+    it('should not create lqip if there is a placeholder element', () => {
+      mipImgWrapper.innerHTML = `
+        <mip-img layout="fixed" width="100" height="100" lqip="#ff0000" src="${IMG}">
+          <div placeholder class="custom"></div>
+        </mip-img>
+      `
+      expect(mipImgWrapper.querySelector('.mip-img-lqip')).to.not.exist
+    })
+  })
+
+  describe('responsive images', () => {
+    const IMG = 'https://www.mipengine.org/static/img/sample'
+
+    it('should set sizes by display width for width descriptors', () => {
+      mipImgWrapper.innerHTML = `
+        <mip-img layout="fixed" width="100" height="100"
+          srcset="${IMG}_01.jpg 320w, ${IMG}_02.jpg 640w">
+          <source media="(min-width: 10000px)" srcset="${IMG}_03.jpg 320w">
+          <source srcset="${IMG}_04.jpg 1x" sizes="50vw">
+        </mip-img>
+      `
+      let mipImg = mipImgWrapper.querySelector('mip-img')
+      mipImg.viewportCallback(true)
+
+      let img = mipImg.querySelector('img')
+      let sources = mipImg.querySelectorAll('picture > source')
+      expect(img.getAttribute('sizes')).to.equal('100px')
+      expect(sources[0].getAttribute('sizes')).to.equal('100px')
+      expect(sources[0].getAttribute('media')).to.equal('(min-width: 10000px)')
+      expect(sources[1].getAttribute('sizes')).to.equal('50vw')
+    })
+
+    it('should pass sizes to img and sources', () => {
+      mipImgWrapper.innerHTML = `
+        <mip-img layout="fixed" width="100" height="100" sizes="(min-width: 1px) 50px, 100px"
+          srcset="${IMG}_01.jpg 320w, ${IMG}_02.jpg 640w">
+          <source type="image/webp" srcset="${IMG}_03.webp 320w">
+          <source srcset="${IMG}_04.jpg 320w" sizes="30px">
+        </mip-img>
+      `
+      let mipImg = mipImgWrapper.querySelector('mip-img')
+      mipImg.viewportCallback(true)
+
+      let sources = mipImg.querySelectorAll('picture > source')
+      // sizes 同时决定 mip-img 的宽度
+      expect(mipImg.style.width).to.equal('50px')
+      expect(mipImg.querySelector('img').getAttribute('sizes')).to.equal('(min-width: 1px) 50px, 100px')
+      expect(sources[0].getAttribute('sizes')).to.equal('(min-width: 1px) 50px, 100px')
+      expect(sources[1].getAttribute('sizes')).to.equal('30px')
+    })
+
+    it('should resolve slot width from sizes without measuring', () => {
+      mipImgWrapper.innerHTML = `
+        <mip-img layout="fixed" width="100" height="100" sizes="(min-width: 1px) 50px, 100px"
+          srcset="${IMG}_01.jpg 320w, ${IMG}_02.jpg 640w">
+        </mip-img>
+      `
+      let mipImg = mipImgWrapper.querySelector('mip-img')
+      let rectSpy = sinon.spy(mipImg, 'getBoundingClientRect')
+
+      expect(mipImg.customElement.getSlotWidth()).to.equal(50)
+      mipImg.setAttribute('sizes', '(min-width: 1px) 10vw, 100px')
+      expect(mipImg.customElement.getSlotWidth()).to.equal(viewport.getWidth() / 10)
+      mipImg.setAttribute('sizes', 'calc(50vw - 10px)')
+      expect(mipImg.customElement.getSlotWidth()).to.equal(viewport.getWidth())
+      expect(rectSpy.called).to.be.false
+      rectSpy.restore()
+    })
+
+    it('should update sizes when srcset changes', () => {
+      mipImgWrapper.innerHTML = `<mip-img layout="fixed" width="100" height="100" src="${IMG}_01.jpg"></mip-img>`
+      let mipImg = mipImgWrapper.querySelector('mip-img')
+      mipImg.viewportCallback(true)
+
+      let img = mipImg.querySelector('img')
+      expect(img.hasAttribute('sizes')).to.be.false
+      mipImg.setAttribute('srcset', `${IMG}_01.jpg 320w, ${IMG}_02.jpg 640w`)
+      expect(img.getAttribute('srcset')).to.equal(`${IMG}_01.jpg 320w, ${IMG}_02.jpg 640w`)
+      expect(img.getAttribute('sizes')).to.equal('100px')
+    })
+
+    describe('without native picture support', () => {
+      let pictureStub
+      let dprStub
+
+      beforeEach(() => {
+        pictureStub = sinon.stub(window, 'HTMLPictureElement').value(undefined)
+        dprStub = sinon.stub(window, 'devicePixelRatio').value(2)
+      })
+
+      afterEach(() => {
+        pictureStub.restore()
+        dprStub.restore()
+      })
+
+      it('should select source by media, type and device pixel ratio', () => {
+        let canvas = document.createElement('canvas')
+        let webp = canvas.toDataURL('image/webp').indexOf('data:image/webp') === 0
+        mipImgWrapper.innerHTML = `
+          <mip-img layout="fixed" width="100" height="100" src="${IMG}_01.jpg">
+            <source media="(min-width: 10000px)" srcset="${IMG}_02.jpg 1x">
+            <source type="image/avif" srcset="${IMG}_03.avif 200w">
+            <source type="image/webp" srcset="${IMG}_04.webp 100w, ${IMG}_05.webp 200w, ${IMG}_06.webp 400w">
+            <source srcset="${IMG}_07.jpg 1x, ${IMG}_08.jpg 2x">
+          </mip-img>
+        `
+        let mipImg = mipImgWrapper.querySelector('mip-img')
+        mipImg.viewportCallback(true)
+
+        let img = mipImg.querySelector('img')
+        expect(img.getAttribute('src')).to.equal(webp ? `${IMG}_05.webp` : `${IMG}_08.jpg`)
+      })
+
+      it('should select from srcset of the img', () => {
+        mipImgWrapper.innerHTML = `
+          <mip-img layout="fixed" width="100" height="100" src="${IMG}_01.jpg"
+            srcset="${IMG}_01.jpg 1x, ${IMG}_02.jpg 2x, ${IMG}_03.jpg 3x">
+          </mip-img>
+        `
+        let mipImg = mipImgWrapper.querySelector('mip-img')
+        mipImg.viewportCallback(true)
+
+        let img = mipImg.querySelector('img')
+        expect(img.getAttribute('src')).to.equal(`${IMG}_02.jpg`)
+        expect(img.hasAttribute('srcset')).to.be.false
+      })
+    })
+  })
 })
@@ -0,0 +1,205 @@
+/**
+ * @file mip-lightbox spec file
+ * @author sfe-sy (sfe-sy@baidu.com)
+ */
+
+/* eslint-disable no-unused-expressions */
+/* globals describe, it, expect, afterEach, sinon, Event */
+
+import viewer from 'src/viewer'
+import {getGroupItems} from 'src/components/mip-lightbox'
+
+const IMG = 'https://mip-doc.cdn.bcebos.com/mipengine-org/assets/mipengine/logo.jpeg'
+
+function createGallery (attrs) {
+  let wrapper = document.createElement('div')
+  wrapper.innerHTML = `
+    <div lightbox="gallery" lightbox-src="${IMG}?0" data-caption="第一张"></div>
+    <figure>
+      <div lightbox="gallery" lightbox-src="${IMG}?1"></div>
+      <figcaption>第二张</figcaption>
+    </figure>
+    <div lightbox="gallery" lightbox-src="${IMG}?2" alt="第三张"></div>
+    <div lightbox="gallery" lightbox-src="${IMG}?3"></div>
+    <div lightbox lightbox-src="${IMG}?other"></div>
+  `
+  let lightbox = document.createElement('mip-lightbox')
+  lightbox.setAttribute('layout', 'nodisplay')
+  lightbox.setAttribute('group', 'gallery')
+  Object.keys(attrs).forEach(key => lightbox.setAttribute(key, attrs[key]))
+  wrapper.appendChild(lightbox)
+  document.body.appendChild(wrapper)
+  return wrapper
+}
+
+function createTouchEvent (type, points) {
+  let event = document.createEvent('Event')
+  event.initEvent(type, true, true)
+  event.touches = type === 'touchend' ? [] : points
+  event.changedTouches = points
+  return event
+}
+
+function keydown (key) {
+  let event = new Event('keydown', {bubbles: true, cancelable: true})
+  event.key = key
+  document.dispatchEvent(event)
+}
+
+describe('mip-lightbox', function () {
+  let wrapper
+
+  afterEach(function () {
+    let lightbox = wrapper && wrapper.querySelector('mip-lightbox')
+    lightbox && lightbox.customElement.close()
+    wrapper && wrapper.parentNode && wrapper.parentNode.removeChild(wrapper)
+  })
+
+  it('should collect items by group', function () {
+    wrapper = createGallery({})
+    expect(getGroupItems('gallery').length).to.equal(4)
+    expect(getGroupItems('default').length).to.equal(1)
+  })
+
+  it('should open with index and show captions', function () {
+    let spy = sinon.spy(viewer.eventAction, 'execute')
+    wrapper = createGallery({})
+    let lightbox = wrapper.querySelector('mip-lightbox')
+    lightbox.customElement.executeEventAction({handler: 'open', arg: '1'})
+
+    let slides = lightbox.querySelectorAll('.mip-lightbox-img')
+    expect(lightbox.classList.contains('mip-lightbox-open')).to.be.true
+    expect(lightbox.getAttribute('aria-hidden')).to.equal('false')
+    expect(slides.length).to.equal(4)
+    expect(lightbox.querySelector('.mip-lightbox-caption').textContent).to.equal('第二张')
+    expect(lightbox.querySelector('.mip-lightbox-counter').textContent).to.equal('2 / 4')
+    expect(spy).to.be.calledWith('open', lightbox, {index: 1})
+
+    // 只加载当前及相邻的图片
+    expect(slides[0].getAttribute('src')).to.equal(`${IMG}?0`)
+    expect(slides[2].getAttribute('src')).to.equal(`${IMG}?2`)
+    expect(slides[3].hasAttribute('src')).to.be.false
+
+    lightbox.customElement.executeEventAction({handler: 'close'})
+    expect(lightbox.classList.contains('mip-lightbox-open')).to.be.false
+    expect(spy).to.be.calledWith('close', lightbox, {index: 1})
+    spy.restore()
+  })
+
+  it('should switch by actions and keyboard', function () {
+    let spy = sinon.spy(viewer.eventAction, 'execute')
+    wrapper = createGallery({})
+    let lightbox = wrapper.querySelector('mip-lightbox')
+    let caption = lightbox.querySelector('.mip-lightbox-caption')
+    lightbox.customElement.open(2)
+    expect(caption.textContent).to.equal('第三张')
+
+    lightbox.customElement.executeEventAction({handler: 'next'})
+    expect(lightbox.customElement.index).to.equal(3)
+    expect(spy).to.be.calledWith('change', lightbox, {index: 3, previous: 2})
+
+    // 未开启 loop 时不会越过最后一张
+    lightbox.customElement.executeEventAction({handler: 'next'})
+    expect(lightbox.customElement.index).to.equal(3)
+
+    keydown('ArrowLeft')
+    expect(lightbox.customElement.index).to.equal(2)
+    lightbox.customElement.executeEventAction({handler: 'prev'})
+    expect(caption.textContent).to.equal('第二张')
+
+    keydown('Escape')
+    expect(lightbox.customElement.isOpen).to.be.false
+    spy.restore()
+  })
+
+  it('should loop when loop is set', function () {
+    wrapper = createGallery({loop: ''})
+    let lightbox = wrapper.querySelector('mip-lightbox')
+    lightbox.customElement.open(0)
+    lightbox.customElement.executeEventAction({handler: 'prev'})
+    expect(lightbox.customElement.index).to.equal(3)
+    lightbox.customElement.executeEventAction({handler: 'next'})
+    expect(lightbox.customElement.index).to.equal(0)
+  })
+
+  it('should open when an item of the group is clicked', function () {
+    wrapper = createGallery({})
+    let lightbox = wrapper.querySelector('mip-lightbox')
+    let items = wrapper.querySelectorAll('[lightbox]')
+
+    // 其他分组的元素不会打开
+    items[4].click()
+    expect(lightbox.customElement.isOpen).to.be.false
+
+    items[2].click()
+    expect(lightbox.customElement.isOpen).to.be.true
+    expect(lightbox.customElement.index).to.equal(2)
+  })
+
+  it('should pause and resume the carousel of the opened item', function () {
+    wrapper = createGallery({})
+    let lightbox = wrapper.querySelector('mip-lightbox')
+    let items = wrapper.querySelectorAll('[lightbox="gallery"]')
+    let first = document.createElement('mip-carousel')
+    let second = document.createElement('mip-carousel')
+    wrapper.insertBefore(first, items[0])
+    first.appendChild(items[0])
+    wrapper.insertBefore(second, items[2])
+    second.appendChild(items[2])
+    let firstSpy = sinon.spy()
+    let secondSpy = sinon.spy()
+    first.addEventListener('open-popup', firstSpy)
+    second.addEventListener('open-popup', secondSpy)
+    second.addEventListener('close-popup', secondSpy)
+
+    lightbox.customElement.open(2)
+    expect(firstSpy).to.not.be.called
+    expect(secondSpy).to.be.calledOnce
+
+    // 切换到其他轮播中的图片后关闭，仍然通知打开时的轮播
+    lightbox.customElement.go(0)
+    lightbox.customElement.close()
+    expect(secondSpy).to.be.calledTwice
+    expect(secondSpy.secondCall.args[0].type).to.equal('close-popup')
+  })
+
+  it('should not open with an invalid index', function () {
+    wrapper = createGallery({})
+    let lightbox = wrapper.querySelector('mip-lightbox')
+    lightbox.customElement.open(10)
+    expect(lightbox.customElement.isOpen).to.be.false
+  })
+
+  it('should zoom by pinch and limit the scale', function () {
+    wrapper = createGallery({'max-scale': '2'})
+    let lightbox = wrapper.querySelector('mip-lightbox')
+    lightbox.customElement.open(0)
+    let img = lightbox.querySelectorAll('.mip-lightbox-img')[0]
+
+    lightbox.dispatchEvent(createTouchEvent('touchstart', [
+      {clientX: 100, clientY: 100},
+      {clientX: 150, clientY: 100}
+    ]))
+    lightbox.dispatchEvent(createTouchEvent('touchmove', [
+      {clientX: 100, clientY: 100},
+      {clientX: 175, clientY: 100}
+    ]))
+    expect(lightbox.customElement.zoom.scale).to.equal(1.5)
+    expect(img.style.transform).to.contain('scale(1.5)')
+
+    lightbox.dispatchEvent(createTouchEvent('touchmove', [
+      {clientX: 0, clientY: 100},
+      {clientX: 300, clientY: 100}
+    ]))
+    expect(lightbox.customElement.zoom.scale).to.equal(2)
+    lightbox.dispatchEvent(createTouchEvent('touchend', [
+      {clientX: 0, clientY: 100}
+    ]))
+
+    // 放大后不响应切换，切换图片后重置缩放
+    expect(lightbox.classList.contains('mip-lightbox-zoomed')).to.be.true
+    lightbox.customElement.go(1)
+    expect(lightbox.customElement.zoom.scale).to.equal(1)
+    expect(img.style.transform).to.equal('')
+  })
+})
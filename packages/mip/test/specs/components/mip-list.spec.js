@@ -0,0 +1,156 @@
+/**
+ * @file mip-list spec file
+ * @author sfe-sy (sfe-sy@baidu.com)
+ */
+
+/* eslint-disable no-unused-expressions */
+/* globals describe, before, it, expect, after, afterEach, sinon */
+
+import templates from 'src/util/templates'
+import viewer from 'src/viewer'
+
+function sleep (time) {
+  return new Promise(resolve => setTimeout(resolve, time))
+}
+
+function json (body, status) {
+  return new window.Response(JSON.stringify(body), {
+    status: status,
+    headers: {
+      'Content-type': 'application/json'
+    }
+  })
+}
+
+function createList (attrs, inner = '') {
+  let list = document.createElement('mip-list')
+  Object.keys(attrs).forEach(key => list.setAttribute(key, attrs[key]))
+  list.innerHTML = `<template type="mip-list-test-template">{{title}}</template>${inner}`
+  document.body.appendChild(list)
+  return list
+}
+
+describe('mip-list', function () {
+  let fetchOrigin
+  let list
+
+  before(function () {
+    let MipListTestTemplate = templates.inheritTemplate()
+    MipListTestTemplate.prototype.cache = function (html) {
+      return html
+    }
+    MipListTestTemplate.prototype.render = function (html, data) {
+      return html.replace('{{title}}', data.title)
+    }
+    templates.register('mip-list-test-template', MipListTestTemplate)
+
+    fetchOrigin = window.fetch
+    sinon.stub(window, 'fetch')
+  })
+
+  after(function () {
+    window.fetch = fetchOrigin
+  })
+
+  afterEach(function () {
+    list && list.parentNode && list.parentNode.removeChild(list)
+    window.fetch.reset()
+  })
+
+  it('should render local data', async function () {
+    list = createList({layout: 'container'}, `
+      <script type="application/json">
+        {"items": [{"title": "a"}, {"title": "b"}]}
+      </script>
+    `)
+    await list.viewportCallback(true)
+    await sleep(0)
+
+    let items = list.querySelectorAll('[role=listitem]')
+    expect(items).to.have.lengthOf(2)
+    expect(items[0].textContent).to.equal('a')
+    expect(items[1].textContent).to.equal('b')
+  })
+
+  it('should not read data path from local data', async function () {
+    list = createList({layout: 'container', 'load-more': 'manual'}, `
+      <script type="application/json">
+        {
+          "items": [
+            {"title": "a"}
+          ],
+          "next": "/list?page=2"
+        }
+      </script>
+    `)
+    await list.viewportCallback(true)
+    await sleep(0)
+
+    let items = list.querySelectorAll('[role=listitem]')
+    expect(items).to.have.lengthOf(1)
+    expect(items[0].textContent).to.equal('a')
+    expect(list.customElement.nextSrc).to.equal('/list?page=2')
+    expect(list.querySelector('.mip-list-load-more').hasAttribute('hidden')).to.be.false
+  })
+
+  it('should fetch remote data with custom items key', async function () {
+    window.fetch.returns(Promise.resolve(json({data: {list: [{title: 'remote'}]}}, 200)))
+
+    list = createList({layout: 'container', src: '/list', items: 'data.list'})
+    list.viewportCallback(true)
+    await sleep(100)
+
+    expect(window.fetch.calledWith('/list')).to.be.true
+    let items = list.querySelectorAll('[role=listitem]')
+    expect(items).to.have.lengthOf(1)
+    expect(items[0].textContent).to.equal('remote')
+  })
+
+  it('should load more by button', async function () {
+    window.fetch.onFirstCall().returns(Promise.resolve(json({items: [{title: '1'}], next: '/list?page=2'}, 200)))
+    window.fetch.onSecondCall().returns(Promise.resolve(json({items: [{title: '2'}]}, 200)))
+
+    list = createList({layout: 'container', src: '/list', 'load-more': 'manual'})
+    list.viewportCallback(true)
+    await sleep(100)
+
+    let button = list.querySelector('.mip-list-load-more')
+    expect(button.hasAttribute('hidden')).to.be.false
+
+    button.click()
+    await sleep(100)
+
+    expect(window.fetch.secondCall.args[0]).to.equal('/list?page=2')
+    expect(list.querySelectorAll('[role=listitem]')).to.have.lengthOf(2)
+    expect(button.hasAttribute('hidden')).to.be.true
+  })
+
+  it('should replace items when refresh', async function () {
+    window.fetch.returns(Promise.resolve(json({items: [{title: 'a'}, {title: 'b'}]}, 200)))
+
+    list = createList({layout: 'container', src: '/list'})
+    list.viewportCallback(true)
+    await sleep(100)
+
+    window.fetch.returns(Promise.resolve(json({items: [{title: 'c'}]}, 200)))
+    list.customElement.refresh()
+    await sleep(100)
+
+    let items = list.querySelectorAll('[role=listitem]')
+    expect(items).to.have.lengthOf(1)
+    expect(items[0].textContent).to.equal('c')
+  })
+
+  it('should trigger fetch-error when request failed', async function () {
+    window.fetch.returns(Promise.resolve(json({}, 404)))
+    let spy = sinon.spy(viewer.eventAction, 'execute')
+
+    list = createList({layout: 'container', src: '/list'})
+    list.viewportCallback(true)
+    await sleep(100)
+
+    expect(spy.calledWith('fetch-error', list)).to.be.true
+    expect(list.querySelectorAll('[role=listitem]')).to.have.lengthOf(0)
+    spy.restore()
+  })
+})
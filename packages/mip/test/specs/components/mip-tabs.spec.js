@@ -0,0 +1,98 @@
+/**
+ * @file mip-tabs spec file
+ * @author sfe-sy (sfe-sy@baidu.com)
+ */
+
+/* eslint-disable no-unused-expressions */
+/* globals describe, it, expect, afterEach, sinon, MIP, Event */
+
+import viewer from 'src/viewer'
+
+function createTabs (attrs) {
+  let tabs = document.createElement('mip-tabs')
+  Object.keys(attrs).forEach(key => tabs.setAttribute(key, attrs[key]))
+  tabs.innerHTML = `
+    <div>
+      <button tab>标签一</button>
+      <button tab>标签二</button>
+      <button tab>标签三</button>
+    </div>
+    <div tab-panel>内容一</div>
+    <div tab-panel>内容二</div>
+    <div tab-panel>内容三</div>
+  `
+  document.body.appendChild(tabs)
+  tabs.viewportCallback(true)
+  return tabs
+}
+
+function keydown (el, key) {
+  let event = new Event('keydown', {bubbles: true, cancelable: true})
+  event.key = key
+  el.dispatchEvent(event)
+  return event
+}
+
+describe('mip-tabs', function () {
+  let tabs
+
+  afterEach(function () {
+    tabs && tabs.parentNode && tabs.parentNode.removeChild(tabs)
+  })
+
+  it('should init selected tab and aria attributes', function () {
+    tabs = createTabs({selected: '1'})
+    let tabEls = tabs.querySelectorAll('[tab]')
+    let panels = tabs.querySelectorAll('[tab-panel]')
+
+    expect(tabEls[0].parentNode.getAttribute('role')).to.equal('tablist')
+    expect(tabEls[1].getAttribute('aria-selected')).to.equal('true')
+    expect(tabEls[1].getAttribute('tabindex')).to.equal('0')
+    expect(tabEls[0].getAttribute('tabindex')).to.equal('-1')
+    expect(tabEls[1].getAttribute('aria-controls')).to.equal(panels[1].id)
+    expect(panels[1].getAttribute('role')).to.equal('tabpanel')
+    expect(panels[1].hasAttribute('hidden')).to.be.false
+    expect(panels[0].hasAttribute('hidden')).to.be.true
+  })
+
+  it('should select by click, actions and keyboard', function () {
+    let spy = sinon.spy(viewer.eventAction, 'execute')
+    tabs = createTabs({})
+    let tabEls = tabs.querySelectorAll('[tab]')
+    let panels = tabs.querySelectorAll('[tab-panel]')
+
+    tabEls[2].click()
+    expect(panels[2].hasAttribute('hidden')).to.be.false
+    expect(spy.calledWith('change', tabs, {index: 2, previous: 0})).to.be.true
+
+    tabs.customElement.executeEventAction({handler: 'next'})
+    expect(panels[0].hasAttribute('hidden')).to.be.false
+
+    tabs.customElement.executeEventAction({handler: 'select', arg: '1'})
+    expect(panels[1].hasAttribute('hidden')).to.be.false
+
+    let event = keydown(tabEls[1], 'ArrowRight')
+    expect(event.defaultPrevented).to.be.true
+    expect(panels[2].hasAttribute('hidden')).to.be.false
+    expect(document.activeElement).to.equal(tabEls[2])
+
+    keydown(tabEls[2], 'Home')
+    expect(panels[0].hasAttribute('hidden')).to.be.false
+    spy.restore()
+  })
+
+  it('should sync selected state with MIP data', async function () {
+    MIP.setData({tabsState: {selected: 2}})
+    tabs = createTabs({id: 'tabsState', scope: ''})
+    let panels = tabs.querySelectorAll('[tab-panel]')
+
+    expect(panels[2].hasAttribute('hidden')).to.be.false
+
+    tabs.querySelectorAll('[tab]')[0].click()
+    expect(MIP.getData('tabsState.selected')).to.equal(0)
+
+    MIP.setData({tabsState: {selected: 1}})
+    await new Promise(resolve => setTimeout(resolve))
+    expect(panels[1].hasAttribute('hidden')).to.be.false
+  })
+})
@@ -4,9 +4,66 @@
  */
 
 /* eslint-disable no-unused-expressions */
-/* globals describe, before, it, expect, after, Event */
+/* globals describe, before, beforeEach, it, expect, after, Event, EventTarget, TextDecoder, HTMLMediaElement, URL, sinon, MIP */
 
+import viewer from 'src/viewer'
 import MipVideo from 'src/components/mip-video'
+import {parseM3U8, parseMPD, selectRendition} from 'src/components/mip-video/manifest'
+import StreamPlayer, {getStreamType} from 'src/components/mip-video/stream-player'
+
+const FIXTURES = '/base/fixtures/mip-video'
+
+function sleep (time) {
+  return new Promise(resolve => setTimeout(resolve, time))
+}
+
+/**
+ * 模拟 MediaSource，记录添加到 SourceBuffer 的分片内容。fixtures 中的分片内容为分片路径
+ *
+ * @param {Array.<string>} appended 添加的分片
+ * @return {Function} MediaSource
+ */
+function createFakeMediaSource (appended) {
+  class FakeSourceBuffer extends EventTarget {
+    constructor (type) {
+      super()
+      this.type = type
+      this.updating = false
+      this.buffered = {length: 0}
+    }
+
+    appendBuffer (data) {
+      appended.push(`${this.type} ${new TextDecoder().decode(data)}`)
+      this.updating = true
+      setTimeout(() => {
+        this.updating = false
+        this.dispatchEvent(new Event('updateend'))
+      })
+    }
+  }
+
+  class FakeMediaSource extends EventTarget {
+    constructor () {
+      super()
+      this.readyState = 'closed'
+      setTimeout(() => {
+        this.readyState = 'open'
+        this.dispatchEvent(new Event('sourceopen'))
+      })
+    }
+
+    addSourceBuffer (type) {
+      return new FakeSourceBuffer(type)
+    }
+
+    endOfStream () {
+      this.readyState = 'ended'
+    }
+  }
+
+  FakeMediaSource.isTypeSupported = type => type.indexOf('unsupported') === -1
+  return FakeMediaSource
+}
 
 function getAttributeSet (attributes) {
   let attrs = {}
@@ -240,4 +297,300 @@ describe('mip-video', function () {
       document.body.removeChild(mipVideo)
     })
   })
+
+  describe('adaptive streaming', function () {
+    it('should detect stream type by src and type', function () {
+      expect(getStreamType('https://a.com/a.m3u8?t=1')).to.equal('hls')
+      expect(getStreamType('https://a.com/live', 'application/x-mpegURL')).to.equal('hls')
+      expect(getStreamType('https://a.com/a.mpd')).to.equal('dash')
+      expect(getStreamType('https://a.com/a', 'application/dash+xml')).to.equal('dash')
+      expect(getStreamType('https://a.com/a.mp4', 'video/mp4')).to.equal('')
+    })
+
+    it('should parse m3u8 playlists', function () {
+      let master = parseM3U8(`#EXTM3U
+        #EXT-X-STREAM-INF:BANDWIDTH=800000,RESOLUTION=640x360,CODECS="avc1.42c01e,mp4a.40.2"
+        360/index.m3u8
+        #EXT-X-STREAM-INF:BANDWIDTH=2800000
+        https://b.com/720.m3u8
+      `, 'https://a.com/video/master.m3u8')
+      expect(master.variants).to.deep.equal([{
+        url: 'https://a.com/video/360/index.m3u8',
+        bandwidth: 800000,
+        width: 640,
+        height: 360,
+        codecs: 'avc1.42c01e,mp4a.40.2'
+      }, {
+        url: 'https://b.com/720.m3u8',
+        bandwidth: 2800000,
+        width: 0,
+        height: 0,
+        codecs: ''
+      }])
+
+      let media = parseM3U8(`#EXTM3U
+        #EXT-X-MAP:URI="init.mp4"
+        #EXTINF:4.5,
+        1.m4s
+        #EXTINF:3,
+        2.m4s
+        #EXT-X-ENDLIST
+      `, 'https://a.com/video/360/index.m3u8')
+      expect(media.init).to.equal('https://a.com/video/360/init.mp4')
+      expect(media.duration).to.equal(7.5)
+      expect(media.segments[1]).to.deep.equal({url: 'https://a.com/video/360/2.m4s', start: 4.5, duration: 3})
+
+      expect(() => parseM3U8('<html>', 'https://a.com/a.m3u8')).to.throw(/Invalid m3u8/)
+    })
+
+    it('should parse mpd manifests with segment timeline and segment list', function () {
+      let manifest = parseMPD(`<?xml version="1.0"?>
+        <MPD xmlns="urn:mpeg:dash:schema:mpd:2011" mediaPresentationDuration="PT0H0M10.0S">
+          <BaseURL>media/</BaseURL>
+          <Period>
+            <AdaptationSet mimeType="video/mp4" codecs="avc1.4d401f">
+              <SegmentTemplate timescale="1000" initialization="$RepresentationID$-init.mp4" media="$RepresentationID$-$Time$.m4s">
+                <SegmentTimeline>
+                  <S t="0" d="4000" r="1"/>
+                  <S d="2000"/>
+                </SegmentTimeline>
+              </SegmentTemplate>
+              <Representation id="v1" bandwidth="1000" width="960" height="540"/>
+            </AdaptationSet>
+            <AdaptationSet mimeType="audio/mp4">
+              <Representation id="a1" bandwidth="128" codecs="mp4a.40.2">
+                <SegmentList duration="5">
+                  <Initialization sourceURL="a-init.mp4"/>
+                  <SegmentURL media="a-1.m4s"/>
+                  <SegmentURL media="a-2.m4s"/>
+                </SegmentList>
+              </Representation>
+            </AdaptationSet>
+            <AdaptationSet mimeType="text/vtt">
+              <Representation id="t1" bandwidth="1"/>
+            </AdaptationSet>
+          </Period>
+        </MPD>
+      `, 'https://a.com/dash/manifest.mpd')
+
+      expect(manifest.duration).to.equal(10)
+      expect(manifest.video.length).to.equal(1)
+      let video = manifest.video[0]
+      expect(video.codecs).to.equal('avc1.4d401f')
+      expect(video.width).to.equal(960)
+      expect(video.init).to.equal('https://a.com/dash/media/v1-init.mp4')
+      expect(video.segments.map(segment => segment.url)).to.deep.equal([
+        'https://a.com/dash/media/v1-0.m4s',
+        'https://a.com/dash/media/v1-4000.m4s',
+        'https://a.com/dash/media/v1-8000.m4s'
+      ])
+      expect(video.segments[2].start).to.equal(8)
+
+      let audio = manifest.audio[0]
+      expect(audio.init).to.equal('https://a.com/dash/media/a-init.mp4')
+      expect(audio.segments[1]).to.deep.equal({url: 'https://a.com/dash/media/a-2.m4s', start: 5, duration: 5})
+    })
+
+    it('should select rendition by display width', function () {
+      let renditions = [
+        {width: 1280, bandwidth: 2800},
+        {width: 640, bandwidth: 800},
+        {width: 1920, bandwidth: 5000}
+      ]
+      expect(selectRendition(renditions, 1500).width).to.equal(1280)
+      expect(selectRendition(renditions, 2000).width).to.equal(1920)
+      expect(selectRendition(renditions, 320).width).to.equal(640)
+    })
+
+    describe('with media source', function () {
+      let MediaSource
+      let appended
+
+      before(function () {
+        MediaSource = window.MediaSource
+        sinon.stub(URL, 'createObjectURL').returns('blob:mip-video')
+        sinon.stub(URL, 'revokeObjectURL')
+      })
+
+      beforeEach(function () {
+        appended = []
+        window.MediaSource = createFakeMediaSource(appended)
+      })
+
+      after(function () {
+        window.MediaSource = MediaSource
+        URL.createObjectURL.restore()
+        URL.revokeObjectURL.restore()
+      })
+
+      it('should play hls fixture segments with rendition by width', function () {
+        let video = document.createElement('video')
+        let player = new StreamPlayer(video, {src: `${FIXTURES}/hls/master.m3u8`, type: 'hls', width: 700})
+        return player.load().then(() => sleep(200)).then(() => {
+          let type = 'video/mp4; codecs="avc1.42c01e,mp4a.40.2"'
+          expect(video.getAttribute('src')).to.equal('blob:mip-video')
+          expect(appended).to.deep.equal([
+            `${type} hls/360/init.mp4`,
+            `${type} hls/360/1.m4s`,
+            `${type} hls/360/2.m4s`
+          ])
+          expect(player.mediaSource.readyState).to.equal('ended')
+          expect(player.mediaSource.duration).to.equal(8)
+          player.destroy()
+        })
+      })
+
+      it('should play dash fixture segments with audio and video tracks', function () {
+        let video = document.createElement('video')
+        let player = new StreamPlayer(video, {src: `${FIXTURES}/dash/manifest.mpd`, type: 'dash', width: 2000})
+        return player.load().then(() => sleep(200)).then(() => {
+          let videoType = 'video/mp4; codecs="avc1.4d401f"'
+          let audioType = 'audio/mp4; codecs="mp4a.40.2"'
+          expect(appended.filter(item => item.indexOf(videoType) === 0)).to.deep.equal([
+            `${videoType} dash/v720/init.mp4`,
+            `${videoType} dash/v720/01.m4s`,
+            `${videoType} dash/v720/02.m4s`
+          ])
+          expect(appended.filter(item => item.indexOf(audioType) === 0)).to.deep.equal([
+            `${audioType} dash/a128/init.mp4`,
+            `${audioType} dash/a128/01.m4s`,
+            `${audioType} dash/a128/02.m4s`
+          ])
+          expect(player.mediaSource.readyState).to.equal('ended')
+          player.destroy()
+        })
+      })
+
+      it('should reject hls streams without fragmented mp4 segments', function () {
+        let player = new StreamPlayer(document.createElement('video'), {src: `${FIXTURES}/hls/ts.m3u8`, type: 'hls', width: 700})
+        return player.load().then(() => {
+          throw new Error('should not resolve')
+        }, err => {
+          expect(err.message).to.contain('fragmented MP4')
+        })
+      })
+
+      it('should play stream in mip-video and pause when out of viewport', function () {
+        let canPlayType = sinon.stub(HTMLMediaElement.prototype, 'canPlayType').returns('')
+        let mipVideo = document.createElement('mip-video')
+        mipVideo.setAttribute('layout', 'responsive')
+        mipVideo.setAttribute('width', '640')
+        mipVideo.setAttribute('height', '360')
+        mipVideo.innerHTML = `
+          <source src="${FIXTURES}/hls/master.m3u8" type="application/x-mpegURL">
+          <source src="https://mip-doc.bj.bcebos.com/sample_video.mp4" type="video/mp4">
+        `
+        document.body.appendChild(mipVideo)
+        mipVideo.viewportCallback(true)
+
+        let video = mipVideo.querySelector('video')
+        let player = mipVideo.customElement.player
+        expect(player).to.be.instanceof(StreamPlayer)
+        expect(player.type).to.equal('hls')
+        expect(video.querySelectorAll('source').length).to.equal(1)
+
+        return sleep(300).then(() => {
+          expect(video.getAttribute('src')).to.equal('blob:mip-video')
+          expect(appended.length).to.equal(3)
+
+          Object.defineProperty(video, 'paused', {value: false})
+          let pause = sinon.stub(video, 'pause')
+          mipVideo.viewportCallback(false)
+          expect(pause).to.have.been.calledOnce
+
+          canPlayType.restore()
+          document.body.removeChild(mipVideo)
+          expect(player.destroyed).to.be.true
+        })
+      })
+    })
+  })
+
+  describe('events and state binding', function () {
+    let mipVideo
+    let video
+
+    before(function () {
+      mipVideo = document.createElement('mip-video')
+      mipVideo.setAttribute('id', 'eventVideo')
+      mipVideo.setAttribute('scope', '')
+      mipVideo.setAttribute('width', '100px')
+      mipVideo.setAttribute('height', '100px')
+      mipVideo.setAttribute('src', 'https://mip-doc.bj.bcebos.com/sample_video.mp4')
+      document.body.appendChild(mipVideo)
+      mipVideo.viewportCallback(true)
+
+      video = mipVideo.querySelector('video')
+      // 浏览器中无法模拟真实播放，直接修改播放状态后派发事件
+      ;['paused', 'ended', 'currentTime', 'duration'].forEach(key => {
+        Object.defineProperty(video, key, {value: video[key], writable: true})
+      })
+      video.duration = 10
+    })
+
+    after(function () {
+      document.body.removeChild(mipVideo)
+    })
+
+    it('should emit play and pause with playback state', function () {
+      let spy = sinon.spy(viewer.eventAction, 'execute')
+      video.paused = false
+      video.currentTime = 1
+      video.dispatchEvent(new Event('play'))
+      expect(spy).to.be.calledWith('play', mipVideo, {
+        playing: true,
+        ended: false,
+        currentTime: 1,
+        duration: 10,
+        percent: 10
+      })
+      expect(MIP.getData('eventVideo.playing')).to.be.true
+
+      video.paused = true
+      video.dispatchEvent(new Event('pause'))
+      expect(spy).to.be.calledWith('pause', mipVideo, sinon.match({playing: false, currentTime: 1}))
+      expect(MIP.getData('eventVideo.playing')).to.be.false
+      spy.restore()
+    })
+
+    it('should emit throttled timeupdate and quartiles', function () {
+      let spy = sinon.spy(viewer.eventAction, 'execute')
+      video.paused = false
+      video.currentTime = 6
+      video.dispatchEvent(new Event('timeupdate'))
+      video.currentTime = 6.2
+      video.dispatchEvent(new Event('timeupdate'))
+
+      let names = spy.args.map(args => args[0])
+      expect(names.filter(name => name === 'timeupdate').length).to.equal(1)
+      expect(spy).to.be.calledWith('timeupdate', mipVideo, sinon.match({currentTime: 6, percent: 60}))
+      expect(spy).to.be.calledWith('quartile', mipVideo, {quartile: 1, percent: 25})
+      expect(spy).to.be.calledWith('quartile', mipVideo, {quartile: 2, percent: 50})
+      expect(spy).to.not.be.calledWith('quartile', mipVideo, {quartile: 3, percent: 75})
+      expect(MIP.getData('eventVideo.currentTime')).to.equal(6)
+      spy.restore()
+    })
+
+    it('should emit the remaining quartiles and ended', function () {
+      let spy = sinon.spy(viewer.eventAction, 'execute')
+      video.paused = true
+      video.ended = true
+      video.currentTime = 10
+      video.dispatchEvent(new Event('pause'))
+      video.dispatchEvent(new Event('ended'))
+
+      let names = spy.args.map(args => args[0])
+      expect(names).to.deep.equal(['quartile', 'quartile', 'ended'])
+      expect(spy).to.be.calledWith('quartile', mipVideo, {quartile: 4, percent: 100})
+      expect(MIP.getData('eventVideo.ended')).to.be.true
+      spy.restore()
+    })
+
+    it('should emit error', function () {
+      let spy = sinon.spy(viewer.eventAction, 'execute')
+      video.dispatchEvent(new Event('error'))
+      expect(spy).to.be.calledWith('error', mipVideo, {code: 0, message: ''})
+      spy.restore()
+    })
+  })
 })
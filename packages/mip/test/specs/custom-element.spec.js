@@ -30,6 +30,24 @@ describe('Custom element', function () {
     }, 1)
   })
 
+  it('async event action', async function () {
+    el.customElement.addEventAction('test-sync-action', () => 1)
+    expect(el.customElement.executeEventAction({
+      handler: 'test-sync-action'
+    })).to.be.true
+
+    el.customElement.addEventAction('test-async-action', () => Promise.resolve(2))
+    let result = el.customElement.executeEventAction({
+      handler: 'test-async-action'
+    })
+    expect(result).to.be.an.instanceof(Promise)
+    expect(await result).to.deep.equal([2])
+
+    expect(el.customElement.executeEventAction({
+      handler: 'test-unknown-action'
+    })).to.be.false
+  })
+
   it('.expendAttr', function () {
     let attrs = ['checked', 'unknown']
     el.setAttribute('checked', 'checked')
@@ -79,4 +79,17 @@ describe('performance', function () {
       performance.on('name')
     }).to.not.throw()
   })
+
+  it('.recordElementTiming', function () {
+    let element = document.createElement('mip-test-performance')
+    let spy = sinon.spy()
+    performance.on('element-timing', spy)
+
+    let timing = performance.recordElementTiming(element, 'test-load', {duration: 10})
+    expect(timing).to.include({element, name: 'test-load', duration: 10})
+    expect(timing.time).to.be.a('number')
+    expect(spy).to.be.calledWith(timing)
+    expect(performance.getElementTimings(element)).to.deep.equal([timing])
+    expect(performance.getElementTimings()).to.include(timing)
+  })
 })
@@ -238,6 +238,58 @@ describe('resources', function () {
     })
   })
 
+  describe('#setOwner', function () {
+    let container
+    let element
+
+    beforeEach(function () {
+      container = document.createElement('div')
+      container.appendChild(document.createElement('div'))
+      element = {
+        parentNode: container.firstChild,
+        _inViewport: false,
+        isBuilt () {
+          return true
+        },
+        inViewport () {
+          return this._inViewport
+        },
+        viewportCallback (inViewport) {
+          this._inViewport = inViewport
+        },
+        unlayoutCallback: sinon.spy()
+      }
+      sinon.stub(app, 'getResources').callsFake(() => ({0: element}))
+    })
+
+    it('should find the owned container', function () {
+      expect(app.getOwnerContainer(element)).to.be.null
+      app.setOwner(container, document.body)
+      expect(app.getOwnerContainer(element)).to.equal(container)
+    })
+
+    it('should not lay out owned elements by viewport update', function () {
+      app.setOwner(container, document.body)
+      sinon.stub(app, 'isInViewport').returns(true)
+      app._doRealUpdate()
+      expect(element.inViewport()).to.be.false
+    })
+
+    it('should lay out and unlay out by the owner', function () {
+      app.setOwner(container, document.body)
+      app.layoutElement(container)
+      expect(element.inViewport()).to.be.true
+
+      app.unlayoutElement(container)
+      expect(element.inViewport()).to.be.false
+      expect(element.unlayoutCallback).to.be.calledOnce
+
+      // nothing happens when the state is unchanged
+      app.unlayoutElement(container)
+      expect(element.unlayoutCallback).to.be.calledOnce
+    })
+  })
+
   describe('.prerenderElement', function () {
     it('empty param', function () {
       expect(function () {
@@ -0,0 +1,98 @@
+import Services, {installClientIdService, ClientId} from 'src/services'
+
+describe('client-id', () => {
+  /**
+   * @type {sinon.SinonSandbox}
+   */
+  let sandbox
+
+  /**
+   * @type {ClientId}
+   */
+  let clientId
+
+  beforeEach(() => {
+    sandbox = sinon.createSandbox()
+    window.services['client-id'] = null
+    installClientIdService()
+    clientId = Services.clientId()
+    clientId.optIn()
+  })
+
+  afterEach(() => {
+    sandbox.restore()
+  })
+
+  it('should return client-id service', () => {
+    expect(clientId).instanceOf(ClientId)
+  })
+
+  it('should keep the same id of a scope', () => {
+    const id = clientId.get()
+
+    expect(id).to.be.a('string').that.is.not.empty
+    expect(clientId.get()).to.equal(id)
+    expect(clientId.get('default')).to.equal(id)
+    expect(clientId.get('other')).to.not.equal(id)
+
+    window.services['client-id'] = null
+    installClientIdService()
+    expect(Services.clientId().get()).to.equal(id)
+  })
+
+  it('should not store id until consent is accepted', () => {
+    const consent = Services.consent()
+    const blocked = sandbox.stub(consent, 'isStorageBlocked').returns(true)
+    const id = clientId.get('consent')
+
+    expect(clientId.get('consent')).to.equal(id)
+    window.services['client-id'] = null
+    installClientIdService()
+    expect(Services.clientId().get('consent')).to.not.equal(id)
+
+    blocked.returns(false)
+    clientId = Services.clientId()
+    const stored = clientId.get('consent')
+    window.services['client-id'] = null
+    installClientIdService()
+    expect(Services.clientId().get('consent')).to.equal(stored)
+  })
+
+  it('should rotate id after lifetime', () => {
+    const now = Date.now()
+    const clock = sandbox.stub(Date, 'now').returns(now)
+    const id = clientId.get('rotate')
+
+    clientId.setLifetime(1000)
+    clock.returns(now + 999)
+    expect(clientId.get('rotate')).to.equal(id)
+
+    clock.returns(now + 1000)
+    const rotated = clientId.get('rotate')
+    expect(rotated).to.not.equal(id)
+    expect(clientId.get('rotate')).to.equal(rotated)
+  })
+
+  it('should respect opt-out', () => {
+    const id = clientId.get()
+
+    clientId.optOut()
+    expect(clientId.isOptedOut()).to.be.true
+    expect(clientId.get()).to.be.null
+
+    clientId.optIn()
+    expect(clientId.isOptedOut()).to.be.false
+    expect(clientId.get()).to.be.a('string').that.not.equal(id)
+  })
+
+  it('should use the service of root page in shell iframes', () => {
+    const root = new ClientId()
+    sandbox.stub(window.MIP.viewer, 'page').value({isRootPage: false, isCrossOrigin: false})
+    sandbox.stub(window, 'parent').value({MIP: {Services: {clientId: () => root}}})
+    sandbox.stub(root, 'getRoot').returns(root)
+    const get = sandbox.spy(root, 'get')
+
+    expect(clientId.get('shell')).to.equal(root.get('shell'))
+    expect(get).to.be.calledWith('shell')
+  })
+})
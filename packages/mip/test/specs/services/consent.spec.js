@@ -0,0 +1,82 @@
+import Services, {installConsentService, Consent, CONSENT_STATE} from 'src/services'
+import customStorage from 'src/util/custom-storage'
+
+describe('consent', () => {
+  /**
+   * @type {Consent}
+   */
+  let consent
+
+  beforeEach(() => {
+    customStorage(0).rm('mip-consent')
+    window.services.consent = null
+    installConsentService()
+    consent = Services.consent()
+  })
+
+  after(() => {
+    customStorage(0).rm('mip-consent')
+    window.services.consent = null
+    installConsentService()
+  })
+
+  it('should return consent service', () => {
+    expect(consent).instanceOf(Consent)
+    expect(consent.getState()).to.equal(CONSENT_STATE.UNKNOWN)
+  })
+
+  it('should not block anything if not required', () => {
+    expect(consent.isRequired()).to.be.false
+    expect(consent.isBlocked()).to.be.false
+  })
+
+  it('should not hold whenAccepted if not required', async () => {
+    const accepted = sinon.spy()
+    consent.whenAccepted().then(accepted)
+    await new Promise(resolve => setTimeout(resolve))
+    expect(accepted).to.be.calledOnce
+  })
+
+  it('should hold whenAccepted if mip-consent exists', async () => {
+    const accepted = sinon.spy()
+    const element = document.createElement('mip-consent')
+    element.setAttribute('layout', 'nodisplay')
+    document.body.appendChild(element)
+    consent.whenAccepted().then(accepted)
+    await new Promise(resolve => setTimeout(resolve))
+    expect(accepted).to.not.be.called
+    document.body.removeChild(element)
+  })
+
+  it('should block until accepted', async () => {
+    const accepted = sinon.spy()
+    const onChange = sinon.spy()
+    consent.onChange(onChange)
+
+    expect(consent.require()).to.equal(CONSENT_STATE.UNKNOWN)
+    expect(consent.isBlocked()).to.be.true
+
+    consent.whenAccepted().then(accepted)
+    consent.whenAccepted().then(accepted)
+    consent.reject()
+    await Promise.resolve()
+    expect(accepted).to.not.be.called
+    expect(consent.isBlocked()).to.be.true
+
+    consent.accept()
+    await Promise.resolve()
+    expect(accepted).to.be.calledTwice
+    expect(consent.isBlocked()).to.be.false
+    expect(onChange.args).to.deep.equal([[CONSENT_STATE.REJECTED], [CONSENT_STATE.ACCEPTED]])
+  })
+
+  it('should restore stored decision', () => {
+    consent.require()
+    consent.accept()
+
+    window.services.consent = null
+    installConsentService()
+    expect(Services.consent().getState()).to.equal(CONSENT_STATE.UNKNOWN)
+    expect(Services.consent().require()).to.equal(CONSENT_STATE.ACCEPTED)
+  })
+})
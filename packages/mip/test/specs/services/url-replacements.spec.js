@@ -0,0 +1,93 @@
+/* eslint-disable no-template-curly-in-string */
+
+import Services, {installUrlReplacementsService, UrlReplacements} from 'src/services'
+import viewport from 'src/viewport'
+
+describe('url-replacements', () => {
+  /**
+   * @type {sinon.SinonSandbox}
+   */
+  let sandbox
+
+  /**
+   * @type {UrlReplacements}
+   */
+  let urlReplacements
+
+  beforeEach(() => {
+    sandbox = sinon.createSandbox()
+    window.services['url-replacements'] = null
+    installUrlReplacementsService()
+    urlReplacements = Services.urlReplacements()
+  })
+
+  afterEach(() => {
+    sandbox.restore()
+    document.body.removeAttribute('mip-x-color')
+  })
+
+  it('should return url-replacements service', () => {
+    expect(urlReplacements).instanceOf(UrlReplacements)
+  })
+
+  it('should expand builtin variables and encode values', () => {
+    sandbox.stub(viewport, 'getWidth').returns(375)
+    sandbox.stub(Date, 'now').returns(1500000000000)
+
+    const url = urlReplacements.expandSync('/a?w=${VIEWPORT_WIDTH}&t={TIME}&href=${HOST}&canonical=${CANONICAL_URL}')
+
+    expect(url).to.equal(`/a?w=375&t=1500000000000&href=${encodeURIComponent(window.location.href)}&canonical=${encodeURIComponent(window.location.href)}`)
+  })
+
+  it('should keep unknown variables', () => {
+    expect(urlReplacements.expandSync('/a?x=${UNKNOWN}&y={z}')).to.equal('/a?x=${UNKNOWN}&y={z}')
+  })
+
+  it('should expand experiment groups', () => {
+    document.body.setAttribute('mip-x-color', 'red')
+
+    expect(urlReplacements.expandSync('/a?c=${MIP-X-COLOR}&c2=${EXPERIMENT(color)}&f=${MIP-X-FONT}'))
+      .to.equal('/a?c=red&c2=red&f=default')
+  })
+
+  it('should expand MIP data', () => {
+    window.MIP.setData({urlReplacements: {user: {id: 'a b'}}})
+
+    expect(urlReplacements.expandSync('/a?id=${MIP_DATA(urlReplacements.user.id)}'))
+      .to.equal('/a?id=a%20b')
+    expect(urlReplacements.expandSync('/a?user=${MIP_DATA(urlReplacements.user)}', {encode: false}))
+      .to.equal('/a?user={"id":"a b"}')
+  })
+
+  it('should keep client id', () => {
+    const clientId = urlReplacements.getSync('CLIENT_ID')
+
+    expect(clientId).to.be.a('string').that.is.not.empty
+    expect(urlReplacements.getSync('CLIENT_ID')).to.equal(clientId)
+  })
+
+  it('should use extra vars first', () => {
+    expect(urlReplacements.expandSync('/a?t=${TIME}&x=${x}', {vars: {TIME: 1, x: '&'}}))
+      .to.equal('/a?t=1&x=%26')
+  })
+
+  it('should wait for async variables', async () => {
+    urlReplacements
+      .setAsync('ASYNC', arg => Promise.resolve(arg + '/1'))
+      .setAsync('FAILED', () => Promise.reject(new Error()))
+
+    expect(urlReplacements.hasAsyncVariables('/a?x=${ASYNC(a)}')).to.be.true
+    expect(urlReplacements.hasAsyncVariables('/a?t=${TIME}')).to.be.false
+    expect(urlReplacements.expandSync('/a?x=${ASYNC(a)}')).to.equal('/a?x=')
+
+    const url = await urlReplacements.expand('/a?x=${ASYNC(a)}&f=${FAILED}&y=${ASYNC(b)}&r=${RANDOM}')
+
+    expect(url).to.match(/^\/a\?x=a%2F1&f=&y=b%2F1&r=0\.\d+$/)
+  })
+
+  it('should expand page load time', async () => {
+    const url = await urlReplacements.expand('/a?load=${PAGE_LOAD_TIME}')
+
+    expect(url).to.match(/^\/a\?load=\d+$/)
+  })
+})
@@ -14,6 +14,7 @@ const CustomStorage = util.customStorage
 let ls = new CustomStorage(0)
 let as = new CustomStorage(1)
 let cs = new CustomStorage(2)
+let ss = new CustomStorage(3)
 let name = 'name'
 let nameValue = 'testName'
 let expireName = 'expireName'
@@ -164,6 +165,36 @@ describe('localstorage-isCachePage', function () {
   })
 })
 
+describe('sessionstorage', function () {
+  it('supportSs', function () {
+    // Check boundary condition
+    ss.set(null, null)
+    ss.get(null)
+    ss.rm(null)
+
+    ss.set(name, nameValue)
+    ss.set(age, ageValue)
+    expect(ss.get(name)).to.be.equal(nameValue)
+    ss.rm(name)
+    expect(!!ss.get(name)).to.be.false
+    ss.clear()
+    expect(!!ss.get(age)).to.be.false
+  })
+
+  it('noSupportSs', function () {
+    let stub = sinon.stub(ss, '_supportSs')
+    stub.callsFake(() => false)
+    ss.set(name, nameValue)
+    ss.set(age, ageValue)
+    expect(ss.get(name)).to.be.equal(nameValue)
+    ss.rm(name)
+    expect(!!ss.get(name)).to.be.false
+    ss.clear()
+    expect(!!ss.get(age)).to.be.false
+    stub.restore()
+  })
+})
+
 describe('asyncstorage', function () {
   it('request1', function (done) {
     // Check boundary condition
@@ -12,6 +12,8 @@ import {actions as elementActions} from 'src/util/event-action/whitelist/element
 import mipAction, {actions as mipActions} from 'src/util/event-action/whitelist/mip-action'
 import viewer from 'src/viewer'
 import rect from 'src/util/dom/rect'
+import {customEmit} from 'src/util/custom-event'
+import {DOM_CHANGE_EVENT} from 'src/components/mip-bind/util'
 
 const action = new EventAction()
 
@@ -386,6 +388,154 @@ describe('Event Action', () => {
   //     }])
   // })
 
+  describe('async action', () => {
+    let asyncEl
+    let deferred
+
+    before(() => {
+      asyncEl = document.createElement('mip-async-action-test')
+      asyncEl.id = 'async-action-test'
+      // 模拟组件行为，仅实现 element-action 调用到的接口
+      asyncEl.executeEventAction = ({handler}) => {
+        if (handler === 'load') {
+          return new Promise((resolve, reject) => {
+            deferred = {resolve, reject}
+          })
+        }
+        if (handler === 'fail') {
+          throw new Error('fail')
+        }
+        return false
+      }
+      document.body.appendChild(asyncEl)
+    })
+
+    after(() => {
+      document.body.removeChild(asyncEl)
+    })
+
+    it('should wait for async action before running the next one', async () => {
+      el.setAttribute('on', 'eventName:async-action-test.load, MIP.setData({asyncLoaded: true})')
+      action.execute('eventName', el, {})
+      expect(MIP.getData('asyncLoaded')).to.be.undefined
+
+      deferred.resolve()
+      await sleep(0)
+      expect(MIP.getData('asyncLoaded')).to.be.true
+    })
+
+    it('should run catch actions when async action rejected', async () => {
+      el.setAttribute('on', `eventName:
+        async-action-test.load.catch(MIP.setData({asyncError: true})),
+        MIP.setData({asyncAfterError: true})
+      `)
+      action.execute('eventName', el, {})
+      deferred.reject(new Error('load failed'))
+      await sleep(0)
+      expect(MIP.getData('asyncError')).to.be.true
+      expect(MIP.getData('asyncAfterError')).to.be.true
+    })
+
+    it('should run catch actions when action throws', () => {
+      el.setAttribute('on', 'eventName:async-action-test.fail().catch(MIP.setData({syncError: true}))')
+      action.execute('eventName', el, {})
+      expect(MIP.getData('syncError')).to.be.true
+    })
+  })
+
+  describe('event modifier', () => {
+    it('should debounce actions per element', async () => {
+      let other = document.createElement('div')
+      let expr = 'input.debounce(50):MIP.setData({debounceCount: debounceCount + 1, debounceValue: event.value})'
+      el.setAttribute('on', expr)
+      other.setAttribute('on', expr)
+      document.body.appendChild(other)
+      MIP.setData({debounceCount: 0})
+
+      action.execute('input', el, {value: 'a'})
+      action.execute('input', el, {value: 'ab'})
+      action.execute('input', other, {value: 'x'})
+      action.execute('input', el, {value: 'abc'})
+      expect(MIP.getData('debounceCount')).to.equal(0)
+
+      await sleep(100)
+      document.body.removeChild(other)
+      expect(MIP.getData('debounceCount')).to.equal(2)
+      expect(MIP.getData('debounceValue')).to.be.oneOf(['abc', 'x'])
+    })
+
+    it('should throttle actions', async () => {
+      el.setAttribute('on', 'scroll.throttle(50):MIP.setData({throttleCount: throttleCount + 1})')
+      MIP.setData({throttleCount: 0})
+
+      action.execute('scroll', el, {})
+      action.execute('scroll', el, {})
+      action.execute('scroll', el, {})
+      expect(MIP.getData('throttleCount')).to.equal(1)
+
+      await sleep(100)
+      expect(MIP.getData('throttleCount')).to.equal(2)
+    })
+
+    it('should not limit other events', () => {
+      el.setAttribute('on', 'input.debounce:MIP.setData({modifierA: 1}); tap:MIP.setData({modifierB: 1})')
+      action.execute('tap', el, {})
+      expect(MIP.getData('modifierA')).to.be.undefined
+      expect(MIP.getData('modifierB')).to.equal(1)
+    })
+  })
+
+  describe('gesture event', () => {
+    function touch (type, x, y) {
+      let event = document.createEvent('Event')
+      event.initEvent(type, true, true)
+      event.touches = type === 'touchend' ? [] : [{clientX: x, clientY: y}]
+      event.changedTouches = [{clientX: x, clientY: y}]
+      el.dispatchEvent(event)
+    }
+
+    // viewer 只在页面中存在手势事件时注册识别器，新增节点时通过 dom-change 通知
+    function setOn (expr) {
+      el.setAttribute('on', expr)
+      customEmit(document, DOM_CHANGE_EVENT, {add: [el]})
+    }
+
+    it('should register recognizers when gesture handlers are added', () => {
+      setOn('panmove.throttle(50):MIP.setData({panMoved: true})')
+      expect(viewer._gesture._hasRegister('press')).to.be.true
+      expect(viewer._gesture._hasRegister('panmove')).to.be.true
+    })
+
+    it('should dispatch pan events with gesture data', () => {
+      setOn('panstart:MIP.setData({panStarted: true}); panend:MIP.setData({panDeltaX: event.deltaX, panDirection: event.panDirection})')
+      MIP.setData({panStarted: false})
+
+      touch('touchstart', 0, 0)
+      touch('touchmove', 30, 5)
+      expect(MIP.getData('panStarted')).to.be.true
+      touch('touchend', 60, 5)
+      expect(MIP.getData('panDeltaX')).to.equal(60)
+      expect(MIP.getData('panDirection')).to.equal('right')
+    })
+
+    it('should dispatch press events', async () => {
+      setOn('press:MIP.setData({pressCount: pressCount + 1}); pressup:MIP.setData({pressup: true})')
+      MIP.setData({pressCount: 0, pressup: false})
+
+      touch('touchstart', 0, 0)
+      touch('touchend', 0, 0)
+      await sleep(600)
+      expect(MIP.getData('pressCount')).to.equal(0)
+
+      touch('touchstart', 0, 0)
+      await sleep(600)
+      expect(MIP.getData('pressCount')).to.equal(1)
+      expect(MIP.getData('pressup')).to.be.false
+      touch('touchend', 0, 0)
+      expect(MIP.getData('pressup')).to.be.true
+    })
+  })
+
   it('should throw error when execute not-supported action', () => {
     expect(() => mipAction({property: 'anotherMethod'})).to.throw()
   })
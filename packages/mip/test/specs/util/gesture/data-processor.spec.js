@@ -33,4 +33,28 @@ describe('gesture/data-processor', function () {
   expect(moveData.direction).to.equal(3)
 })
 
+describe('gesture/data-processor multi-touch', function () {
+  function mockMultiTouchEvent (name, points) {
+    let evt = domEvent.create(name)
+    evt.touches = points.map(([clientX, clientY]) => ({clientX, clientY}))
+    return evt
+  }
+
+  let startData = dataProcessor.process(mockMultiTouchEvent('touchstart', [[0, 0], [100, 0]]))
+  let moveData = dataProcessor.process(mockMultiTouchEvent('touchmove', [[0, 0], [0, 200]]))
+  let endEvent = mockMultiTouchEvent('touchend', [])
+  endEvent.changedTouches = [{clientX: 0, clientY: 200}]
+  let endData = dataProcessor.process(endEvent)
+
+  expect(startData.center).to.eql({x: 50, y: 0})
+  expect(startData.scale).to.equal(1)
+  expect(startData.rotation).to.equal(0)
+  expect(moveData.center).to.eql({x: 0, y: 100})
+  expect(moveData.scale).to.equal(2)
+  expect(moveData.rotation).to.equal(90)
+  // Keep the last values when fingers are lifted.
+  expect(endData.scale).to.equal(2)
+  expect(endData.rotation).to.equal(90)
+})
+
 /* eslint-enable no-unused-expressions */
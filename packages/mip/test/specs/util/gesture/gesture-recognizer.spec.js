@@ -16,13 +16,18 @@ describe('gesture/recognizer', function () {
   let TapRecognizer = Recognizer.get('tap')
   let DoubleTapRecognizer = Recognizer.get('doubletap')
   let SwipeRecognizer = Recognizer.get('swipe')
+  let PinchRecognizer = Recognizer.get('pinch')
+  let RotateRecognizer = Recognizer.get('rotate')
+  let PanRecognizer = Recognizer.get('pan')
+  let PressRecognizer = Recognizer.get('press')
 
   // Caution: class name will be uglified to one single alphabet, if under webpack mode production
   expect(TapRecognizer.name).to.equal('TapRecognizer')
 
   Recognizer.conflict('tap', 'doubletap')
   expect(Recognizer.getConflictList('tap')).to.have.lengthOf(2)
-  expect(Recognizer.getConflictList('swipe')).to.eql([])
+  expect(Recognizer.getConflictList('swipe')).to.eql(['pinch', 'rotate'])
+  expect(Recognizer.getConflictList('pan')).to.eql(['pinch', 'rotate'])
 
   Recognizer.getConflictList('tap').pop()
   Recognizer.getConflictList('doubletap').pop()
@@ -107,6 +112,159 @@ describe('gesture/recognizer', function () {
     swipe.recognize(data)
     expect(swipe.isState('end')).to.be.true
   })
+
+  it('pinch', function () {
+    let gesture = {trigger: sinon.spy()}
+    let pinch = new PinchRecognizer(gesture)
+    let data = {
+      eventState: 'move',
+      pointers: ['', ''],
+      scale: 1.02,
+      rotation: 0
+    }
+    pinch.recognize(data)
+    // Under the threshold.
+    expect(pinch.isState('wait')).to.be.true
+    expect(gesture.trigger).to.not.have.been.called
+
+    data.scale = 0.8
+    pinch.recognize(data)
+    expect(pinch.isState('pending')).to.be.true
+    let types = gesture.trigger.args.map(args => args[0])
+    expect(types).to.eql(['pinchstart', 'pinch', 'pinchmove', 'pinchin'])
+    expect(gesture.trigger.args[0][2].scale).to.equal(0.8)
+
+    gesture.trigger.resetHistory()
+    pinch.recognize({
+      eventState: 'end',
+      pointers: [''],
+      scale: 0.8,
+      rotation: 0
+    })
+    expect(gesture.trigger).to.have.been.calledOnce
+    expect(gesture.trigger.args[0][0]).to.equal('pinchend')
+    expect(pinch.isState('hold')).to.be.true
+
+    // Single finger gestures hold the recognizer.
+    pinch.recognize({
+      eventState: 'start',
+      pointers: [''],
+      scale: 1,
+      rotation: 0
+    })
+    expect(pinch.isState('hold')).to.be.true
+  })
+
+  it('rotate', function () {
+    let gesture = {trigger: sinon.spy()}
+    let rotate = new RotateRecognizer(gesture)
+    let data = {
+      eventState: 'move',
+      pointers: ['', ''],
+      scale: 1.5,
+      rotation: 5
+    }
+    rotate.recognize(data)
+    expect(rotate.isState('wait')).to.be.true
+
+    data.rotation = -30
+    rotate.recognize(data)
+    let types = gesture.trigger.args.map(args => args[0])
+    expect(types).to.eql(['rotatestart', 'rotate', 'rotatemove'])
+    expect(gesture.trigger.args[1][2].rotation).to.equal(-30)
+  })
+
+  it('pan', function () {
+    let gesture = {trigger: sinon.spy()}
+    let pan = new PanRecognizer(gesture)
+    let data = {
+      eventState: 'move',
+      pointers: [''],
+      distance: 5,
+      direction: 2
+    }
+    pan.recognize(data)
+    // Under the threshold.
+    expect(pan.isState('wait')).to.be.true
+
+    data.distance = 20
+    pan.recognize(data)
+    let types = gesture.trigger.args.map(args => args[0])
+    expect(types).to.eql(['panstart', 'pan', 'panmove'])
+    expect(gesture.trigger.args[0][2].panDirection).to.equal('right')
+
+    gesture.trigger.resetHistory()
+    pan.recognize({
+      eventState: 'end',
+      pointers: [''],
+      distance: 30,
+      direction: 4
+    })
+    expect(gesture.trigger.args[0][0]).to.equal('panend')
+    expect(gesture.trigger.args[0][2].panDirection).to.equal('left')
+    expect(pan.isState('hold')).to.be.true
+
+    // Multi-touch gestures hold the recognizer.
+    pan.recognize({
+      eventState: 'start',
+      pointers: ['', ''],
+      distance: 0,
+      direction: 0
+    })
+    expect(pan.isState('hold')).to.be.true
+  })
+
+  it('press', function (done) {
+    let gesture = {trigger: sinon.spy()}
+    let press = new PressRecognizer(gesture)
+    let data = {
+      eventState: 'start',
+      pointers: [''],
+      distance: 0
+    }
+
+    // Moving out of range cancels the press.
+    press.recognize(data)
+    press.recognize({eventState: 'move', pointers: [''], distance: 20})
+    expect(press.isState('hold')).to.be.true
+
+    press.recognize(data)
+    setTimeout(function () {
+      let types = gesture.trigger.args.map(args => args[0])
+      expect(types).to.eql(['press'])
+
+      press.recognize({eventState: 'end', pointers: [''], distance: 2})
+      types = gesture.trigger.args.map(args => args[0])
+      expect(types).to.eql(['press', 'pressup'])
+      expect(press.isState('hold')).to.be.true
+      done()
+    }, press.time + 10)
+  })
+
+  it('swipe should wait for multi-touch recognizers', function () {
+    let swipe = new SwipeRecognizer(mockGesture)
+    let pinch = new PinchRecognizer(mockGesture)
+    let data = {
+      eventState: 'end',
+      pointers: [''],
+      deltaTime: 10,
+      distance: 40,
+      direction: 2,
+      velocity: 0.04
+    }
+    swipe.conflictList.pinch = pinch
+    pinch.conflictList.swipe = swipe
+    sinon.spy(swipe, 'emit')
+
+    pinch.setState('wait')
+    swipe.recognize(data)
+    expect(swipe.emit).to.not.have.been.called
+
+    pinch.setState('hold')
+    swipe.setState('start')
+    swipe.recognize(data)
+    expect(swipe.emit).to.have.been.calledOnce
+  })
 })
 
 /* eslint-enable no-unused-expressions */
@@ -106,6 +106,29 @@ describe('mip-event-handler', () => {
       })
 
     })
+    describe('EventModifier', () => {
+      let fn = createFn(lexer.$mipEventHandlers)
+
+      it('Debounce with delay', () => {
+        let ast = fn('input.debounce( 300 ):MIP.setData({q: event.value})')
+        expect(ast.event).to.be.equal('input')
+        expect(ast.modifier.name).to.be.equal('debounce')
+        expect(ast.modifier.delay).to.be.equal(300)
+        expect(ast.actions[0].property).to.be.equal('setData')
+      })
+
+      it('Throttle without delay', () => {
+        let ast = fn('tap:a.b(); scroll.throttle:c.d')
+        expect(ast.handlers[0].modifier).to.be.undefined
+        expect(ast.handlers[1].event).to.be.equal('scroll')
+        expect(ast.handlers[1].modifier.name).to.be.equal('throttle')
+        expect(ast.handlers[1].modifier.delay).to.be.undefined
+      })
+
+      it('Unknown modifier', () => {
+        expect(() => parser.parse('input.delay(300):a.b')).to.throw()
+      })
+    })
     describe('OldEventHandlers', () => {
       it('Multi', () => {
         const str = `
@@ -0,0 +1,60 @@
+import {parseSrcset, hasWidthDescriptor, selectCandidate, supportsImageType} from 'src/util/srcset'
+
+/* globals describe, it, expect */
+
+describe('parseSrcset', () => {
+  it('should parse width and density descriptors', () => {
+    expect(parseSrcset('a.jpg 1x,b.jpg 2x')).to.deep.equal([
+      {url: 'a.jpg', width: 0, density: 1},
+      {url: 'b.jpg', width: 0, density: 2}
+    ])
+    expect(parseSrcset(' a.jpg 320w , b.jpg 640w ')).to.deep.equal([
+      {url: 'a.jpg', width: 320, density: 1},
+      {url: 'b.jpg', width: 640, density: 1}
+    ])
+    expect(parseSrcset('')).to.deep.equal([])
+  })
+
+  it('should keep commas inside urls', () => {
+    expect(parseSrcset('data:image/png;base64,AAAA 1x, b.jpg, c.jpg 1.5x').map(c => c.url)).to.deep.equal([
+      'data:image/png;base64,AAAA',
+      'b.jpg',
+      'c.jpg'
+    ])
+    expect(parseSrcset('c.jpg 1.5x')[0].density).to.equal(1.5)
+  })
+})
+
+describe('hasWidthDescriptor', () => {
+  it('should check width descriptors', () => {
+    expect(hasWidthDescriptor('a.jpg 320w, b.jpg 640w')).to.equal(true)
+    expect(hasWidthDescriptor('a.jpg 1x, b.jpg 2x')).to.equal(false)
+    expect(hasWidthDescriptor(null)).to.equal(false)
+  })
+})
+
+describe('selectCandidate', () => {
+  it('should select by slot width and device pixel ratio', () => {
+    let candidates = parseSrcset('s.jpg 320w, m.jpg 640w, l.jpg 1280w')
+    expect(selectCandidate(candidates, 320, 1).url).to.equal('s.jpg')
+    expect(selectCandidate(candidates, 320, 2).url).to.equal('m.jpg')
+    expect(selectCandidate(candidates, 400, 2).url).to.equal('l.jpg')
+    expect(selectCandidate(candidates, 1000, 3).url).to.equal('l.jpg')
+  })
+
+  it('should select by density descriptors', () => {
+    let candidates = parseSrcset('a.jpg, b.jpg 2x, c.jpg 3x')
+    expect(selectCandidate(candidates, 100, 1).url).to.equal('a.jpg')
+    expect(selectCandidate(candidates, 100, 1.5).url).to.equal('b.jpg')
+    expect(selectCandidate([], 100, 1)).to.equal(undefined)
+  })
+})
+
+describe('supportsImageType', () => {
+  it('should check image types', () => {
+    expect(supportsImageType('')).to.equal(true)
+    expect(supportsImageType('image/jpeg')).to.equal(true)
+    expect(supportsImageType('image/avif')).to.equal(false)
+    expect(supportsImageType('image/webp')).to.be.a('boolean')
+  })
+})